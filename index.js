@@ -1,12 +1,24 @@
-const { App } = require('@slack/bolt');
+const { App, webApi } = require('@slack/bolt');
 const cron = require('node-cron');
 const { v4: uuidv4 } = require('uuid');
 const OpenAI = require('openai');
-const { MongoClient } = require('mongodb');
 require('dotenv').config();
-
-
-const langdetect = require('langdetect');
+const { createStorage } = require('./storage');
+const { createLock } = require('./scheduler/lock');
+const { createDmQueue, dmJobId, RateLimitedError } = require('./scheduler/dm-queue');
+const { expandCronField, matchesCron } = require('./scheduler/cron-match');
+const pointsRules = require('./points/rules');
+const { analyzeLanguage, detectLanguage } = require('./language/detect');
+const {
+    LANGUAGES,
+    getLanguage,
+    getEnabledLanguages,
+    getDefaultNativeLanguage,
+    getFeedbackTemplate,
+    getCorrectionTemplate,
+    joinNames
+} = require('./language/registry');
+const { isMessageLocale, getMessageLocales, hasMessage, t } = require('./language/messages');
 const axios = require('axios');
 
 // Initialize OpenAI
@@ -14,38 +26,8 @@ const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY,
 });
 
-// Initialize MongoDB with retry logic
-let db;
-const client = new MongoClient(process.env.MONGODB_URI, {
-    maxPoolSize: 10,
-    serverSelectionTimeoutMS: 5000,
-    socketTimeoutMS: 45000,
-    connectTimeoutMS: 10000,
-    retryWrites: true,
-    retryReads: true
-});
-
-async function connectToDatabase() {
-    let retries = 3;
-    while (retries > 0) {
-        try {
-            await client.connect();
-            db = client.db(process.env.DB_NAME);
-            console.log('✅ Connected to MongoDB Atlas');
-            return;
-        } catch (error) {
-            retries--;
-            console.error(`❌ MongoDB connection error (${3 - retries}/3):`, error.message);
-            if (retries > 0) {
-                console.log(`🔄 Retrying MongoDB connection in 3 seconds...`);
-                await new Promise(resolve => setTimeout(resolve, 3000));
-            } else {
-                console.error('❌ Failed to connect to MongoDB after 3 attempts');
-                // Don't exit - continue with in-memory storage only
-            }
-        }
-    }
-}
+// Initialize storage (memory, MongoDB or PostgreSQL - see STORAGE_BACKEND)
+const storage = createStorage();
 
 // Initialize the Slack app with Socket Mode
 const app = new App({
@@ -64,152 +46,345 @@ const app = new App({
     }
 });
 
-// In-memory storage for development (will replace with MongoDB)
-const users = new Map();
-const pseudonyms = new Map();
-const submissions = new Map();
-const points = new Map();
-const promptThreads = new Map();
-const userPromptMessages = new Map(); // Store user's prompt message timestamps
-const userFeedbackMessages = new Map(); // Store user's feedback message timestamps
-
-// MongoDB Collections (will use these once connected)
-const getCollections = () => {
-    if (!db) return null;
-    return {
-        users: db.collection('users'),
-        pseudonyms: db.collection('pseudonyms'),
-        submissions: db.collection('submissions'),
-        points: db.collection('points'),
-        prompts: db.collection('prompts')
-    };
-};
-
-// Helper function to sync user data with MongoDB
-async function syncUserToDatabase(userId, userData) {
-    try {
-        const collections = getCollections();
-        if (!collections) return;
-
-        await collections.users.updateOne(
-            { userId: userId },
-            { $set: { ...userData, updatedAt: new Date() } },
-            { upsert: true }
-        );
-    } catch (error) {
-        console.error('Error syncing user to database:', error);
-    }
-}
-
-// Helper function to load existing data from MongoDB on startup
-async function loadDataFromDatabase() {
-    try {
-        const collections = getCollections();
-        if (!collections) {
-            console.log('⚠️ MongoDB not connected, using in-memory storage only');
-            return;
-        }
-
-        console.log('💾 Loading existing data from MongoDB...');
-
-        // Load users
-        const usersData = await collections.users.find({}).toArray();
-        usersData.forEach(userData => {
-            users.set(userData.userId, {
-                id: userData.userId,
-                teamId: userData.teamId,
-                targetLanguage: userData.targetLanguage,
-                createdAt: userData.createdAt
-            });
-        });
-        console.log(`✅ Loaded ${usersData.length} users`);
-
-        // Load pseudonyms
-        const pseudonymsData = await collections.pseudonyms.find({}).toArray();
-        pseudonymsData.forEach(pseudonymData => {
-            pseudonyms.set(pseudonymData.userId, {
-                handle: pseudonymData.handle,
-                emoji1: pseudonymData.emoji1,
-                emoji2: pseudonymData.emoji2,
-                cohortLabel: pseudonymData.cohortLabel
-            });
-        });
-        console.log(`✅ Loaded ${pseudonymsData.length} pseudonyms`);
-
-        // Load points
-        const pointsData = await collections.points.find({}).toArray();
-        pointsData.forEach(pointData => {
-            points.set(pointData.userId, pointData.points);
-        });
-        console.log(`✅ Loaded ${pointsData.length} point records`);
-
-        console.log('✨ Data loading complete!');
-    } catch (error) {
-        console.error('❌ Error loading data from database:', error);
-        console.log('⚠️ Continuing with fresh in-memory storage');
-    }
-}
-
-// Helper function to sync pseudonym data with MongoDB
-async function syncPseudonymToDatabase(userId, pseudonymData) {
-    try {
-        const collections = getCollections();
-        if (!collections) return;
-
-        await collections.pseudonyms.updateOne(
-            { userId: userId },
-            { $set: { ...pseudonymData, userId: userId, updatedAt: new Date() } },
-            { upsert: true }
-        );
-    } catch (error) {
-        console.error('Error syncing pseudonym to database:', error);
-    }
-}
-
-// Helper function to sync points data with MongoDB
-async function syncPointsToDatabase(userId, pointsValue) {
-    try {
-        const collections = getCollections();
-        if (!collections) return;
-
-        await collections.points.updateOne(
-            { userId: userId },
-            { $set: { points: pointsValue, userId: userId, updatedAt: new Date() } },
-            { upsert: true }
-        );
-    } catch (error) {
-        console.error('Error syncing points to database:', error);
-    }
-}
-
-// AI-powered prompt bank
+// AI-powered prompt bank (fallback when generation fails or keeps repeating itself)
 const promptTemplates = [
     {
+        id: 'breakfast',
         category: 'daily_life',
+        stage: 'warm_up',
         en: 'What did you eat for breakfast today? Why did you choose it?',
         ja: '今日の朝食は何を食べましたか？詳しく説明して、なぜそれを選んだのか理由も教えてください。'
     },
     {
-        category: 'culture',
-        en: 'Is there a tradition or custom from your home country that you want more people to know about?',
-        ja: '母国で、「これは知ってほしい！」と思う伝統や文化はありますか？'
+        id: 'morning_routine',
+        category: 'daily_life',
+        stage: 'warm_up',
+        en: 'What does your usual morning look like before class or work?',
+        ja: '授業や仕事の前は、いつもどんな朝を過ごしていますか？'
     },
     {
+        id: 'study_time',
         category: 'opinions',
+        stage: 'warm_up',
         en: 'Do you prefer studying in the morning or at night? Which works better for you?',
         ja: '勉強するなら、朝と夜どちらのほうが集中できますか？'
     },
     {
+        id: 'favorite_season',
+        category: 'opinions',
+        stage: 'warm_up',
+        en: 'Which season do you like the most, and why?',
+        ja: '一番好きな季節はいつですか？その理由も教えてください。'
+    },
+    {
+        id: 'tradition',
+        category: 'culture',
+        stage: 'creative',
+        en: 'Is there a tradition or custom from your home country that you want more people to know about?',
+        ja: '母国で、「これは知ってほしい！」と思う伝統や文化はありますか？'
+    },
+    {
+        id: 'hometown_food',
+        category: 'culture',
+        stage: 'creative',
+        en: 'What food from your hometown should everyone try at least once?',
+        ja: '地元の料理で、みんなに一度は食べてほしいものは何ですか？'
+    },
+    {
+        id: 'city_for_a_year',
+        category: 'imagination',
+        stage: 'creative',
+        en: 'If you could live in any city in the world for one year, where would you go?',
+        ja: '世界のどこかの街に一年住めるとしたら、どこに行きたいですか？'
+    },
+    {
+        id: 'animal_classmate',
+        category: 'fun',
+        stage: 'creative',
+        en: 'If any animal could join your class, which one would you choose and why?',
+        ja: 'どんな動物でもクラスメートにできるとしたら、どの動物を選びますか？理由も教えてください。'
+    },
+    {
+        id: 'small_mistake',
         category: 'storytelling',
+        stage: 'storytelling',
         en: 'What\'s a small mistake or accident that turned out to be a good memory later on?',
         ja: 'ちょっとした失敗が、あとでいい思い出になったことはありますか？'
     },
     {
+        id: 'unplanned_trip',
+        category: 'storytelling',
+        stage: 'storytelling',
+        en: 'Tell us about a trip or outing that didn\'t go as planned. What happened?',
+        ja: '予定どおりにいかなかった旅行やお出かけの話を聞かせてください。何が起きましたか？'
+    },
+    {
+        id: 'student_cafe',
         category: 'collaboration',
+        stage: 'storytelling',
         en: 'Let\'s imagine the perfect student café together! What kind of place would it be?',
         ja: '一緒に理想の学生カフェを考えてみましょう！どんなお店だったら行きたくなりますか？'
+    },
+    {
+        id: 'school_festival',
+        category: 'collaboration',
+        stage: 'storytelling',
+        en: 'Let\'s plan a one-day festival for our school together! What events should it have?',
+        ja: '一緒に学校の一日限定フェスティバルを企画しましょう！どんなイベントがあったらいいと思いますか？'
+    }
+];
+
+// Duplicate detection: candidates too similar to any earlier prompt (in either language) are regenerated
+const PROMPT_SIMILARITY_THRESHOLD = Number(process.env.PROMPT_SIMILARITY_THRESHOLD || 0.6);
+const PROMPT_MAX_RETRIES = Number(process.env.PROMPT_MAX_RETRIES || 3);
+const PROMPT_HISTORY_LIMIT = 200;
+
+// Lowercase, width-normalized text with whitespace, punctuation and symbols removed
+function normalizeText(text) {
+    return (text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+function getBigrams(text) {
+    const normalized = normalizeText(text);
+    const bigrams = new Map();
+    if (normalized.length === 1) {
+        bigrams.set(normalized, 1);
+    }
+    for (let i = 0; i < normalized.length - 1; i++) {
+        const bigram = normalized.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    return bigrams;
+}
+
+// Dice coefficient over character bigrams (0 = nothing shared, 1 = identical)
+function textSimilarity(a, b) {
+    const bigramsA = getBigrams(a);
+    const bigramsB = getBigrams(b);
+    const total = [...bigramsA.values(), ...bigramsB.values()].reduce((sum, count) => sum + count, 0);
+    if (total === 0) return 0;
+
+    let shared = 0;
+    bigramsA.forEach((count, bigram) => {
+        shared += Math.min(count, bigramsB.get(bigram) || 0);
+    });
+    return (2 * shared) / total;
+}
+
+// Return the most similar earlier prompt if it is over the threshold (compared in every shared language)
+function findSimilarPrompt(candidate, history, threshold = PROMPT_SIMILARITY_THRESHOLD) {
+    let closest = null;
+    history.forEach(previous => {
+        const similarity = Math.max(0, ...Object.keys(LANGUAGES)
+            .filter(code => candidate[code] && previous[code])
+            .map(code => textSimilarity(candidate[code], previous[code])));
+        if (!closest || similarity > closest.similarity) {
+            closest = { prompt: previous, similarity };
+        }
+    });
+    return closest && closest.similarity >= threshold ? closest : null;
+}
+
+// Least recently used template first; among equals prefer the planned category, then stage
+function pickFallbackTemplate(plan, history) {
+    const lastUsed = template => {
+        const used = history.find(previous => previous.templateId === template.id || previous.en === template.en);
+        return used ? new Date(used.postedAt || used.createdAt).getTime() : -Infinity;
+    };
+    const fit = template => (template.category === plan.category ? 2 : 0) + (template.stage === plan.stage ? 1 : 0);
+
+    const [template] = promptTemplates
+        .map(template => ({ template, lastUsed: lastUsed(template), fit: fit(template) }))
+        .sort((a, b) => a.lastUsed - b.lastUsed || b.fit - a.fit)
+        .map(entry => entry.template);
+
+    const { id, ...prompt } = template;
+    return { ...prompt, templateId: id, stage: plan.stage, isAIGenerated: false };
+}
+
+// Prompt rotation: each day runs warm-up → creative → storytelling, and categories
+// within a stage rotate so the least recently used one goes next
+const PROMPT_TIMEZONE = process.env.PROMPT_TIMEZONE || 'America/New_York';
+
+const promptStages = [
+    {
+        id: 'warm_up',
+        label: 'easy warm-up',
+        description: 'an easy warm-up question involving daily life',
+        categories: ['daily_life', 'opinions']
+    },
+    {
+        id: 'creative',
+        label: 'creative',
+        description: 'a more creative question involving themes like culture, imagination or fun',
+        categories: ['culture', 'imagination', 'fun']
+    },
+    {
+        id: 'storytelling',
+        label: 'storytelling',
+        description: 'a longer answer question where storytelling and collaboration are encouraged',
+        categories: ['storytelling', 'collaboration']
+    }
+];
+
+// Calendar day (YYYY-MM-DD) in the prompt timezone
+function getDateKey(date, timezone = PROMPT_TIMEZONE) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date(date));
+}
+
+// Pick the candidate used longest ago (never-used first); ties keep the candidates' order
+function pickLeastRecent(candidates, recentlyUsed) {
+    let best = candidates[0];
+    let bestAge = -1;
+    candidates.forEach(candidate => {
+        const index = recentlyUsed.indexOf(candidate);
+        const age = index === -1 ? Infinity : index;
+        if (age > bestAge) {
+            best = candidate;
+            bestAge = age;
+        }
+    });
+    return best;
+}
+
+// Decide the stage and category of the next posted prompt from prompt history
+async function planNextPrompt(now = new Date(), options = {}) {
+    const timezone = options.timezone || PROMPT_TIMEZONE;
+    // Each prompt channel runs its own sequence
+    const filter = { postedAt: { $exists: true } };
+    if (options.channelId) filter.channelId = options.channelId;
+    const recentPrompts = await storage.listPrompts(filter, { sort: { postedAt: -1 }, limit: 10 });
+    const lastPrompt = recentPrompts[0];
+
+    // A new day always starts a new sequence at the warm-up stage
+    let stageIndex = 0;
+    if (lastPrompt && lastPrompt.stage && getDateKey(lastPrompt.postedAt, timezone) === getDateKey(now, timezone)) {
+        const lastIndex = promptStages.findIndex(stage => stage.id === lastPrompt.stage);
+        stageIndex = (lastIndex + 1) % promptStages.length;
     }
+
+    const stage = promptStages[stageIndex];
+    const recentCategories = recentPrompts.map(prompt => prompt.category).filter(Boolean);
+
+    return {
+        stage: stage.id,
+        stageIndex: stageIndex,
+        category: pickLeastRecent(stage.categories, recentCategories),
+        recentCategories: recentCategories
+    };
+}
+
+function getStage(stageId) {
+    return promptStages.find(stage => stage.id === stageId) || promptStages[0];
+}
+
+const promptCategories = promptStages.flatMap(stage => stage.categories);
+
+function getStageForCategory(category) {
+    return (promptStages.find(stage => stage.categories.includes(category)) || promptStages[0]).id;
+}
+
+function formatCategory(category, locale = 'en') {
+    return t(locale, `category.${category || 'general'}`);
+}
+
+function formatStage(stageId, locale = 'en') {
+    return t(locale, `stage.${getStage(stageId).id}`);
+}
+
+// Proficiency levels: one shared scale, shown in each target language's own terms (see the
+// registry's formatLevel - CEFR for English, JLPT for Japanese, TOPIK for Korean)
+const proficiencyLevels = [
+    { id: 'A1', jlpt: 'N5', topik: '1', tier: 'beginner' },
+    { id: 'A2', jlpt: 'N4', topik: '2', tier: 'beginner' },
+    { id: 'B1', jlpt: 'N3', topik: '3', tier: 'intermediate' },
+    { id: 'B2', jlpt: 'N2', topik: '4', tier: 'intermediate' },
+    { id: 'C1', jlpt: 'N1', topik: '5', tier: 'advanced' },
+    { id: 'C2', jlpt: 'N1+', topik: '6', tier: 'advanced' }
 ];
+const DEFAULT_LEVEL = 'B1';
+const LEVEL_INFERENCE_MIN_SUBMISSIONS = 3;
+
+const levelGuidance = {
+    beginner: 'The learner is a beginner. Point out only the one or two most important errors, keep explanations very simple, and write the 👉 expansion sentence with basic, everyday vocabulary and short sentences.',
+    intermediate: 'The learner is intermediate. Point out all clear errors with short explanations, and use natural everyday vocabulary in the 👉 expansion sentence.',
+    advanced: 'The learner is advanced. Besides errors, comment on naturalness, nuance and register, and use richer, more idiomatic vocabulary in the 👉 expansion sentence.'
+};
+
+function getProficiencyLevel(levelId) {
+    return proficiencyLevels.find(level => level.id === levelId)
+        || proficiencyLevels.find(level => level.id === DEFAULT_LEVEL);
+}
+
+function formatLevel(levelId, targetLanguage) {
+    const level = getProficiencyLevel(levelId);
+    const language = getLanguage(targetLanguage);
+    return language ? language.formatLevel(level) : `CEFR ${level.id}`;
+}
+
+// Pick the simplified or advanced variant of a prompt for the learner's level, when there is one
+function getPromptForLevel(prompt, targetLanguage, levelId) {
+    const tier = getProficiencyLevel(levelId).tier;
+    const variantName = tier === 'beginner' ? 'simple' : tier === 'advanced' ? 'advanced' : null;
+    const variant = variantName && prompt.variants ? prompt.variants[variantName] : null;
+    return (variant && variant[targetLanguage]) || prompt[targetLanguage] || prompt.en;
+}
+
+// Rough level estimate from recent target-language submissions (length, vocabulary, and the share
+// of complex characters such as kanji where the registry defines them)
+function inferProficiencyLevel(submissions, targetLanguage) {
+    const texts = submissions
+        .filter(sub => sub.language === targetLanguage)
+        .map(sub => sub.text || '');
+    if (texts.length < LEVEL_INFERENCE_MIN_SUBMISSIONS) return null;
+
+    const language = getLanguage(targetLanguage);
+    let score;
+    if (language && language.script.type !== 'latin') {
+        const allText = texts.join('');
+        const averageLength = allText.length / texts.length;
+        if (language.complexityPattern) {
+            const complexRatio = (allText.match(language.complexityPattern) || []).length / Math.max(allText.length, 1);
+            score = Math.min(averageLength / 80, 1) * 0.5 + Math.min(complexRatio / 0.35, 1) * 0.5;
+        } else {
+            score = Math.min(averageLength / 80, 1);
+        }
+    } else {
+        const words = texts.join(' ').toLowerCase().match(/[a-z']+/g) || [];
+        const averageWords = words.length / texts.length;
+        const averageWordLength = words.reduce((sum, word) => sum + word.length, 0) / Math.max(words.length, 1);
+        const uniqueRatio = new Set(words).size / Math.max(words.length, 1);
+        score = Math.min(averageWords / 40, 1) * 0.5
+            + Math.min(Math.max(averageWordLength - 3, 0) / 2.5, 1) * 0.3
+            + uniqueRatio * 0.2;
+    }
+
+    const index = Math.min(Math.floor(score * proficiencyLevels.length), proficiencyLevels.length - 1);
+    return proficiencyLevels[index].id;
+}
+
+// Re-estimate the level of users who haven't picked one themselves
+async function updateInferredLevel(user) {
+    if (user.levelSource === 'self' || !user.targetLanguage) return user;
+
+    const recentSubmissions = await storage.listSubmissions({ userId: user.id }, { limit: 10 });
+    const inferredLevel = inferProficiencyLevel(recentSubmissions, user.targetLanguage);
+    if (!inferredLevel || inferredLevel === user.level) return user;
+
+    user.level = inferredLevel;
+    user.levelSource = 'inferred';
+    await storage.saveUser(user);
+    console.log(`📈 Estimated level for ${user.id}: ${formatLevel(inferredLevel, user.targetLanguage)}`);
+    return user;
+}
 
 // Helper functions
 function generatePseudonym() {
@@ -226,87 +401,409 @@ function generatePseudonym() {
     return `${letter1}${letter2}-${number} ${animal}${plant}`;
 }
 
-function getOrCreateUser(userId, teamId) {
-    if (!users.has(userId)) {
-        const pseudonym = generatePseudonym();
-        const userData = {
+function createPseudonymData() {
+    const pseudonym = generatePseudonym();
+    const [emoji1, emoji2] = Array.from(pseudonym.split(' ')[1]);
+    return {
+        handle: pseudonym,
+        emoji1: emoji1,
+        emoji2: emoji2
+    };
+}
+
+// A freshly generated handle that nobody has ever held (storage reserves every handle given out)
+async function createUniquePseudonym(userId) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const pseudonym = createPseudonymData();
+        if (await storage.claimHandle(userId, pseudonym.handle)) return pseudonym;
+    }
+    throw new Error('Could not find an unused pseudonym');
+}
+
+// Startup: reserve every existing handle, and give a new one to anyone whose handle was already
+// taken by someone else (handles used to be picked without checking)
+async function ensureUniquePseudonyms() {
+    let renamed = 0;
+    for (const pseudonym of await storage.listPseudonyms()) {
+        if (await storage.claimHandle(pseudonym.userId, pseudonym.handle)) continue;
+
+        const replacement = await createUniquePseudonym(pseudonym.userId);
+        await storage.savePseudonym(pseudonym.userId, {
+            ...replacement,
+            previousHandles: [...pseudonym.previousHandles, { handle: pseudonym.handle, retiredAt: new Date() }]
+        });
+        console.log(`🎭 ${pseudonym.userId} shared the handle ${pseudonym.handle} - now ${replacement.handle}`);
+        renamed++;
+    }
+    if (renamed > 0) {
+        console.log(`✅ Gave ${renamed} user(s) a new pseudonym so every handle is unique`);
+    }
+}
+
+// Learners can swap their handle from the Home tab at most PSEUDONYM_CHANGE_LIMIT times,
+// PSEUDONYM_CHANGE_COOLDOWN_DAYS apart, for PSEUDONYM_CHANGE_COST points each (0 turns a limit off;
+// a limit of 0 turns changes off). Old handles stay reserved and listed, and everything is keyed by
+// user ID, so history carries over.
+const readLimit = (name, fallback) => (process.env[name] === undefined ? fallback : Math.max(parseInt(process.env[name], 10) || 0, 0));
+const PSEUDONYM_CHANGE_LIMIT = readLimit('PSEUDONYM_CHANGE_LIMIT', 3);
+const PSEUDONYM_CHANGE_COST = readLimit('PSEUDONYM_CHANGE_COST', 25);
+const PSEUDONYM_CHANGE_COOLDOWN_DAYS = readLimit('PSEUDONYM_CHANGE_COOLDOWN_DAYS', 7);
+
+// Whether a user may change their handle now: { allowed, left, reason, availableAt }
+function getPseudonymChangeStatus(pseudonym, points, now = new Date()) {
+    const left = Math.max(PSEUDONYM_CHANGE_LIMIT - pseudonym.regenerations, 0);
+    if (left === 0) return { allowed: false, left, reason: 'limit' };
+
+    const availableAt = pseudonym.regeneratedAt
+        ? new Date(new Date(pseudonym.regeneratedAt).getTime() + PSEUDONYM_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000)
+        : null;
+    if (availableAt && availableAt > now) return { allowed: false, left, reason: 'cooldown', availableAt };
+    if (points < PSEUDONYM_CHANGE_COST) return { allowed: false, left, reason: 'points' };
+    return { allowed: true, left };
+}
+
+// Handle as shown in channel posts and leaderboards, with the cohort label an admin gave (if any)
+function formatHandle(pseudonym) {
+    return pseudonym.cohortLabel ? `${pseudonym.handle} [${pseudonym.cohortLabel}]` : pseudonym.handle;
+}
+
+// Users who haven't picked a native language get the registry default for their target language
+function getNativeLanguage(user) {
+    if (user && user.nativeLanguage && getLanguage(user.nativeLanguage)) return user.nativeLanguage;
+    return getDefaultNativeLanguage(user ? user.targetLanguage : null);
+}
+
+// UI language (language/messages.js): the learner's own choice from the Home tab, otherwise their
+// native language when the catalog has it, otherwise DEFAULT_UI_LANGUAGE - which is also used for
+// everything posted in channels, where readers of every language see the same message
+const DEFAULT_UI_LANGUAGE = isMessageLocale(process.env.DEFAULT_UI_LANGUAGE) ? process.env.DEFAULT_UI_LANGUAGE : 'en';
+
+function getLocale(user) {
+    if (!user) return DEFAULT_UI_LANGUAGE;
+    if (isMessageLocale(user.uiLanguage)) return user.uiLanguage;
+    if (user.nativeLanguage || user.targetLanguage) {
+        const nativeLanguage = getNativeLanguage(user);
+        if (isMessageLocale(nativeLanguage)) return nativeLanguage;
+    }
+    return DEFAULT_UI_LANGUAGE;
+}
+
+async function getUserLocale(userId) {
+    return getLocale(await storage.getUser(userId));
+}
+
+// "Japanese" / "日本語" - a registry language named in the UI language
+function getLanguageName(code, locale) {
+    return getLanguage(code) ? t(locale, `language.${code}`) : t(locale, 'common.unknown');
+}
+
+// "🇯🇵 Japanese" - the localized counterpart of the registry's getLanguageLabel
+function formatLanguage(code, locale) {
+    const language = getLanguage(code);
+    return language ? `${language.flag} ${getLanguageName(code, locale)}` : `❔ ${t(locale, 'common.unknown')}`;
+}
+
+// "English or Japanese" - for setup messages
+function describeEnabledLanguages(locale = DEFAULT_UI_LANGUAGE) {
+    return t(locale, 'list.or', { items: getEnabledLanguages().map(language => getLanguageName(language.code, locale)) });
+}
+
+async function getOrCreateUser(userId, teamId) {
+    let user = await storage.getUser(userId);
+
+    if (!user) {
+        user = {
             id: userId,
             teamId: teamId,
             targetLanguage: null,
+            nativeLanguage: null,
             createdAt: new Date()
         };
 
-        users.set(userId, userData);
+        await storage.saveUser(user);
+        await storage.savePseudonym(userId, await createUniquePseudonym(userId));
+        return user;
+    }
 
-        const pseudonymData = {
-            handle: pseudonym,
-            emoji1: pseudonym.split(' ')[1][0],
-            emoji2: pseudonym.split(' ')[1][1],
-            cohortLabel: null
-        };
-        pseudonyms.set(userId, pseudonymData);
+    // Ensure pseudonym exists even for existing users
+    if (!(await storage.getPseudonym(userId))) {
+        await storage.savePseudonym(userId, await createUniquePseudonym(userId));
+    }
+
+    return user;
+}
+
+// Format a date with Slack's date token so it renders in each viewer's timezone
+function formatSlackDate(date, format = '{date_short}') {
+    const timestamp = Math.floor(new Date(date).getTime() / 1000);
+    return `<!date^${timestamp}^${format}|${new Date(date).toDateString()}>`;
+}
+
+// Cut long text down for Block Kit (sections hold at most 3000 characters)
+function truncateText(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+// Admins are listed in ADMIN_USER_IDS (comma-separated Slack user IDs)
+function getAdminUserIds() {
+    return (process.env.ADMIN_USER_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+}
+
+function isAdmin(userId) {
+    return getAdminUserIds().includes(userId);
+}
+
+// Accepts an escaped mention (<@U123|name>) or a bare user ID
+function parseUserMention(text) {
+    const match = (text || '').match(/^<@([A-Z0-9]+)(\|[^>]*)?>$/) || (text || '').match(/^([UW][A-Z0-9]+)$/);
+    return match ? match[1] : null;
+}
 
-        points.set(userId, 0);
+// Points rules: /points rules set overrides POINTS_RULES (JSON), which overrides the built-in table
+function getEnvPointsRules() {
+    if (!process.env.POINTS_RULES) return {};
+    try {
+        return JSON.parse(process.env.POINTS_RULES);
+    } catch (error) {
+        console.error('⚠️ POINTS_RULES is not valid JSON - using the default points rules:', error.message);
+        return {};
+    }
+}
 
-        // Sync to MongoDB
-        syncUserToDatabase(userId, userData);
-        syncPseudonymToDatabase(userId, pseudonymData);
-        syncPointsToDatabase(userId, 0);
+async function getPointsRules() {
+    const overrides = await storage.getSetting('pointsRules', null);
+    try {
+        return pointsRules.mergePointsRules(overrides || getEnvPointsRules());
+    } catch (error) {
+        console.error('⚠️ Invalid points rules - using the defaults:', error.message);
+        return pointsRules.mergePointsRules();
     }
+}
 
-    // Ensure pseudonym exists even for existing users
-    if (!pseudonyms.has(userId)) {
-        const pseudonym = generatePseudonym();
-        const pseudonymData = {
-            handle: pseudonym,
-            emoji1: pseudonym.split(' ')[1][0],
-            emoji2: pseudonym.split(' ')[1][1],
-            cohortLabel: null
+// The one place points are earned: applies the rules table and the action's daily cap, records
+// the ledger entry and returns { amount, breakdown, capped, entry, balance } for confirmation DMs
+async function awardActionPoints(userId, action, context = {}) {
+    const rules = await getPointsRules();
+    const calculated = pointsRules.calculatePoints(rules, action, context);
+
+    let earnedToday = 0;
+    if (rules.actions[action].dailyCap) {
+        const dayStart = getZonedMidnight(getDateKey(new Date()), PROMPT_TIMEZONE);
+        const [today] = await storage.getLedgerTotals({ userId, reason: calculated.reason, createdAt: { $gte: dayStart } });
+        earnedToday = today ? today.points : 0;
+    }
+    const award = pointsRules.applyDailyCap(rules, calculated, earnedToday);
+
+    if (award.amount <= 0) {
+        return { ...award, entry: null, balance: await storage.getPoints(userId) };
+    }
+
+    const { entry, balance } = await storage.awardPoints({
+        userId: userId,
+        amount: award.amount,
+        reason: award.reason,
+        sourceType: context.sourceType || null,
+        sourceId: context.sourceId || null,
+        channelId: context.channelId || null,
+        note: pointsRules.formatPointsBreakdown(award),
+        awardedBy: context.awardedBy || null
+    });
+    return { ...award, entry, balance };
+}
+
+// Built-in actions are named from the catalog; a label customized in the rules table is shown as is
+function formatPointsAction(action, label, locale) {
+    const defaultRule = pointsRules.DEFAULT_POINTS_RULES.actions[action];
+    return defaultRule && label === defaultRule.label ? t(locale, `points.action.${action}`) : label;
+}
+
+function describePointsRules(rules, locale = 'en') {
+    const actionLines = Object.entries(rules.actions).map(([action, rule]) => t(locale, 'rules.actionLine', {
+        label: formatPointsAction(action, rule.label, locale),
+        action,
+        base: rule.base,
+        cap: rule.dailyCap,
+        milestones: rule.milestones ? Object.entries(rule.milestones).map(([count, bonus]) => `${count}: +${bonus}`).join(', ') : ''
+    }));
+    const tierLines = Object.entries(rules.lengthTiers).map(([language, tiers]) =>
+        `• ${language === 'default' ? t(locale, 'rules.defaultTier') : formatLanguage(language, locale)}: ${tiers.map(tier => t(locale, 'rules.tier', tier)).join(', ') || t(locale, 'rules.none')}`);
+
+    return `${t(locale, 'rules.actions')}\n${actionLines.join('\n')}\n\n${t(locale, 'rules.bonuses', { targetLanguage: rules.targetLanguageBonus, revision: rules.revisionBonus })}\n\n${t(locale, 'rules.lengthTiers')}\n${tierLines.join('\n')}`;
+}
+
+// One breakdown line in the learner's language (lines from points/rules.js carry an id and params)
+function formatBreakdownLine(line, locale) {
+    switch (line.id) {
+        case 'base':
+            return formatPointsAction(line.params.action, line.params.label, locale);
+        case 'dailyCap':
+            return t(locale, 'points.line.dailyCap', {
+                ...line.params,
+                action: formatPointsAction(line.params.action, line.params.label, locale).toLowerCase()
+            });
+        case 'milestone':
+        case 'targetLanguage':
+        case 'length':
+        case 'revision':
+            return t(locale, `points.line.${line.id}`, line.params);
+        default:
+            return line.label;
+    }
+}
+
+// "🏆 +4 points (Response +1 • Target language +1 • ...)" for confirmation messages
+function formatAwardLine(award, locale = 'en') {
+    const breakdown = pointsRules.formatPointsBreakdown(award, line => formatBreakdownLine(line, locale));
+    return t(locale, 'points.award', { amount: award.amount, breakdown });
+}
+
+function formatPointsReason(reason, locale = 'en') {
+    return hasMessage(`points.reason.${reason}`) ? t(locale, `points.reason.${reason}`) : reason;
+}
+
+// The ledger note is the English breakdown stored with the entry, so it is shown as recorded
+function formatPointsEntry(entry, options = {}) {
+    const locale = options.locale || 'en';
+    const amount = entry.amount > 0 ? `+${entry.amount}` : `${entry.amount}`;
+    let line = `\`${amount}\` ${formatPointsReason(entry.reason, locale)} • ${formatSlackDate(entry.createdAt)}`;
+    if (entry.note) line += ` • _${entry.note}_`;
+    if (entry.reversalEntryId) line += ` • ${t(locale, 'points.reversed')}`;
+    if (options.showId) line += `\n      ID: \`${entry.entryId}\``;
+    return line;
+}
+
+// Anti-gaming checks run before anything is posted: too short, the prompt pasted back, a repeat of
+// the user's recent writing, or too many submissions in a burst. Lengths count normalized characters
+// (no spaces or punctuation), so Japanese needs fewer than English. SUBMISSION_MIN_LENGTH_<CODE>
+// overrides the registry's minimum for a language.
+const SUBMISSION_MIN_LENGTH = Object.fromEntries(Object.values(LANGUAGES).map(language => [
+    language.code,
+    parseInt(process.env[`SUBMISSION_MIN_LENGTH_${language.code.toUpperCase()}`], 10) || language.minSubmissionLength
+]));
+const SUBMISSION_ECHO_THRESHOLD = Number(process.env.SUBMISSION_ECHO_THRESHOLD || 0.7);
+const SUBMISSION_DUPLICATE_THRESHOLD = Number(process.env.SUBMISSION_DUPLICATE_THRESHOLD || 0.85);
+const SUBMISSION_DUPLICATE_LOOKBACK = 20; // recent submissions compared against
+const SUBMISSION_BURST_LIMIT = parseInt(process.env.SUBMISSION_BURST_LIMIT, 10) || 5;
+const SUBMISSION_BURST_WINDOW_MINUTES = parseInt(process.env.SUBMISSION_BURST_WINDOW_MINUTES, 10) || 10;
+
+// Returns null when the text may be posted, otherwise { check, message } explaining why it was held back.
+// sourceTexts are what the user is answering (the prompt, or the post being replied to). A revision of
+// an earlier answer to the same promptId is expected to be close, so there only exact repeats count.
+async function checkSubmission(userId, text, { language, sourceTexts = [], promptId = null, locale = 'en' } = {}) {
+    const normalized = normalizeText(text);
+    const minLength = SUBMISSION_MIN_LENGTH[language] || SUBMISSION_MIN_LENGTH.en;
+
+    if (normalized.length < minLength) {
+        return {
+            check: 'too_short',
+            message: t(locale, 'check.tooShort', { minLength })
+        };
+    }
+
+    for (const source of sourceTexts.filter(Boolean)) {
+        // Catches both a straight copy and the prompt pasted back with a word or two added
+        const remainder = normalized.split(normalizeText(source)).join('');
+        if (textSimilarity(text, source) >= SUBMISSION_ECHO_THRESHOLD || remainder.length < minLength) {
+            return {
+                check: 'echo',
+                message: t(locale, 'check.echo')
+            };
+        }
+    }
+
+    const since = new Date(Date.now() - SUBMISSION_BURST_WINDOW_MINUTES * 60 * 1000);
+    const recentCount = await storage.countSubmissions({ userId, timestamp: { $gte: since } });
+    if (recentCount >= SUBMISSION_BURST_LIMIT) {
+        return {
+            check: 'burst',
+            message: t(locale, 'check.burst', { count: recentCount, minutes: SUBMISSION_BURST_WINDOW_MINUTES })
         };
-        pseudonyms.set(userId, pseudonymData);
-        syncPseudonymToDatabase(userId, pseudonymData);
     }
 
-    // Ensure points exist
-    if (!points.has(userId)) {
-        points.set(userId, 0);
-        syncPointsToDatabase(userId, 0);
+    const recent = await storage.listSubmissions({ userId }, { limit: SUBMISSION_DUPLICATE_LOOKBACK });
+    const duplicate = recent.find(submission => (promptId && submission.type === 'response' && submission.promptId === promptId
+        ? normalizeText(submission.text) === normalized
+        : textSimilarity(text, submission.text) >= SUBMISSION_DUPLICATE_THRESHOLD));
+    if (duplicate) {
+        return {
+            check: 'duplicate',
+            message: t(locale, 'check.duplicate', { date: formatSlackDate(duplicate.timestamp, t(locale, 'date.at')) })
+        };
     }
 
-    return users.get(userId);
+    return null;
 }
 
-// Enhanced language detection
-function detectLanguage(text) {
-    const japanesePattern = /[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/;
-    const englishPattern = /^[a-zA-Z\s.,!?'"()-]+$/;
+// Language policy for submissions (detection itself lives in language/detect.js)
+// MIXED_LANGUAGE_POLICY: "parentheses" allows other-language words only inside (), （） or [];
+// "ratio" allows them anywhere; "strict" allows none. Either way they may make up at most
+// MIXED_LANGUAGE_MAX_SHARE of the letters. ROMAJI_POLICY decides whether romaji counts as Japanese.
+const MIXED_LANGUAGE_POLICY = ['parentheses', 'ratio', 'strict'].includes(process.env.MIXED_LANGUAGE_POLICY)
+    ? process.env.MIXED_LANGUAGE_POLICY
+    : 'parentheses';
+const MIXED_LANGUAGE_MAX_SHARE = Number(process.env.MIXED_LANGUAGE_MAX_SHARE || 0.3);
+const ROMAJI_POLICY = process.env.ROMAJI_POLICY === 'accept' ? 'accept' : 'refuse';
+const LANGUAGE_MIN_CONFIDENCE = Number(process.env.LANGUAGE_MIN_CONFIDENCE || 0.5);
+
+// Check text against the learner's target language: { language, analysis, problem }
+// language is what to record (accepted romaji is recorded as Japanese); problem is a message or null.
+function checkLanguage(text, expectedLanguage, locale = 'en') {
+    const analysis = analyzeLanguage(text);
+    const target = getLanguage(expectedLanguage);
+    const romajiCounts = target.romanization === 'romaji' && ROMAJI_POLICY === 'accept';
+    const language = analysis.language === 'romaji' && romajiCounts ? expectedLanguage : analysis.language;
+    const targetName = `${getLanguageName(expectedLanguage, locale)} ${target.flag}`;
+    const result = problem => ({ language, analysis, problem });
+
+    if (analysis.language === 'unknown' || analysis.confidence < LANGUAGE_MIN_CONFIDENCE) {
+        return result(t(locale, 'check.unclear', { language: targetName }));
+    }
+
+    if (analysis.language === 'romaji' && !romajiCounts) {
+        return result(target.romanization === 'romaji'
+            ? t(locale, 'check.romaji')
+            : t(locale, 'check.romajiOther', { language: targetName }));
+    }
+
+    if (language !== expectedLanguage) {
+        return result(t(locale, 'check.wrongLanguage', { flag: target.flag, name: getLanguageName(expectedLanguage, locale) }));
+    }
 
-    if (japanesePattern.test(text)) {
-        return 'ja';
-    } else if (englishPattern.test(text.trim())) {
-        return 'en';
-    } else if (text.length > 50 && !japanesePattern.test(text)) {
-        return 'en';
+    // Share of letters in anything other than the target language
+    const otherShare = proportions => 1 - proportions[expectedLanguage] - (romajiCounts ? proportions.romaji : 0);
+    const overall = otherShare(analysis.proportions);
+    const outside = otherShare(analysis.outsideParentheses);
+    const tooMuch = overall > MIXED_LANGUAGE_MAX_SHARE + 0.001
+        || (MIXED_LANGUAGE_POLICY === 'strict' && overall > 0.001)
+        || (MIXED_LANGUAGE_POLICY === 'parentheses' && outside > 0.001);
+
+    if (tooMuch) {
+        const allowed = MIXED_LANGUAGE_POLICY === 'strict'
+            ? t(locale, 'check.mixedStrict', { language: targetName })
+            : MIXED_LANGUAGE_POLICY === 'parentheses'
+                ? t(locale, 'check.mixedParentheses', { example: target.glossExample, language: targetName })
+                : t(locale, 'check.mixedRatio', { language: targetName });
+        return result(t(locale, 'check.mixed', { percent: Math.round(overall * 100), allowed }));
     }
-    return 'unknown';
+
+    return result(null);
 }
 
-// Generate detailed Japanese reading with furigana
-async function generateDetailedJapaneseReading(text) {
+// Reading aid for a prompt (furigana for Japanese), for languages whose registry entry has one
+async function generateReadingAid(text, languageCode, locale = 'en') {
+    const language = getLanguage(languageCode);
+    if (!language || !language.readingAid) return text;
+
     try {
         const completion = await openai.chat.completions.create({
             model: "gpt-4o-mini",
             messages: [
                 {
                     role: "system",
-                    content: `You are a Japanese language assistant. When given Japanese text, rewrite it with hiragana readings in parentheses immediately after EVERY word that contains kanji.
-
-Format: 漢字(かんじ) - Put the full hiragana reading for the entire word immediately after it in parentheses.
-
-Example input: 大学の中で、一番好きな場所はどこですか？
-Example output: 大学(だいがく)の中(なか)で、一番(いちばん)好き(すき)な場所(ばしょ)はどこですか？
-
-Only return the text with readings, no explanations.`
+                    content: language.readingAid.systemPrompt
                 },
                 {
                     role: "user",
@@ -320,57 +817,27 @@ Only return the text with readings, no explanations.`
         return completion.choices[0].message.content.trim();
     } catch (error) {
         console.error('Error generating detailed reading:', error);
-        return text + '\n\n(Reading generation temporarily unavailable)';
+        return `${text}\n\n${t(locale, 'reading.failed')}`;
     }
 }
 
-// Generate detailed correction explanation in Japanese
-async function generateDetailedCorrection(originalText, targetLanguage) {
-    try {
-        const systemPrompt = targetLanguage === 'ja'
-            ? `You are an English language tutor for Japanese speakers. Analyze the English text and provide detailed corrections in Japanese format:
-
-原文:
-[Show original with 🔴 before each error]
-
-修正文:
-[Show corrected with 🟢 before each correction]
-
-【詳細な説明】
-「error → correction」 → Detailed explanation in Japanese
-[Repeat for each error]
-
-✨ Encouraging comment in Japanese
-👉 Provide a perfect example sentence in English with Japanese translation in parentheses.
-
-Be thorough but encouraging.`
-            : `You are a Japanese language tutor for English speakers. Analyze the Japanese text and provide detailed corrections in English format:
-
-Original:
-[Show original with 🔴 before each error]
-
-Corrected:
-[Show corrected with 🟢 before each correction]
-
-【Detailed Explanation】
-"error → correction" → Detailed explanation in English
-[Repeat for each error]
-
-✨ Encouraging comment in English
-👉 Provide a perfect example sentence in Japanese with English translation in parentheses.
-
-Be thorough but encouraging.`;
+// Generate a detailed correction, explained in the learner's native language (locale is for the fallback message)
+async function generateDetailedCorrection(originalText, targetLanguage, promptText = null, nativeLanguage = getDefaultNativeLanguage(targetLanguage), locale = 'en') {
+    const languageName = getLanguage(targetLanguage).name;
 
+    try {
         const completion = await openai.chat.completions.create({
             model: "gpt-4o-mini",
             messages: [
                 {
                     role: "system",
-                    content: systemPrompt
+                    content: getCorrectionTemplate(targetLanguage, nativeLanguage)
                 },
                 {
                     role: "user",
-                    content: `Analyze this ${targetLanguage === 'ja' ? 'English' : 'Japanese'} text and provide detailed corrections: "${originalText}"`
+                    content: promptText
+                        ? `The learner was answering this prompt: "${promptText}"\n\nAnalyze this ${languageName} text and provide detailed corrections: "${originalText}"`
+                        : `Analyze this ${languageName} text and provide detailed corrections: "${originalText}"`
                 }
             ],
             temperature: 0.7,
@@ -380,138 +847,411 @@ Be thorough but encouraging.`;
         return completion.choices[0].message.content;
     } catch (error) {
         console.error('Error generating detailed correction:', error);
-        return '詳細な説明は一時的に利用できません。 / Detailed explanation temporarily unavailable.';
+        return t(locale, 'correction.failed');
     }
 }
 
-// AI Functions
-async function generateAIPrompt() {
-    try {
+// Prompt languages: every enabled language that a learner targets or speaks natively (all enabled
+// languages until someone has set up). English is always included - prompt history, similarity
+// checks and admin messages use it as the reference text.
+async function getPromptLanguages() {
+    const enabled = getEnabledLanguages().map(language => language.code);
+    const inUse = new Set();
+    (await storage.listUsers())
+        .filter(user => user.targetLanguage)
+        .forEach(user => {
+            inUse.add(user.targetLanguage);
+            inUse.add(getNativeLanguage(user));
+        });
+
+    const codes = enabled.filter(code => inUse.has(code));
+    return [...new Set(['en', ...(codes.length > 0 ? codes : enabled)])];
+}
+
+// Just the language texts of a prompt ({ en, ja, ko, ... }), for copying between prompt records
+function pickPromptTexts(prompt) {
+    return Object.fromEntries(Object.keys(LANGUAGES)
+        .filter(code => prompt[code])
+        .map(code => [code, prompt[code]]));
+}
+
+// "🇺🇸 text\n🇯🇵 text" for admin views
+function formatPromptTexts(prompt) {
+    return Object.values(LANGUAGES)
+        .filter(language => prompt[language.code])
+        .map(language => `${language.flag} ${prompt[language.code]}`)
+        .join('\n');
+}
+
+// Fill in any languages a prompt (and its level variants) is missing by translating the English text
+async function ensurePromptLanguages(prompt, codes) {
+    const missing = codes.filter(code => !prompt[code] && getLanguage(code));
+    if (missing.length === 0 || !prompt.en) return prompt;
+
+    try {
         const completion = await openai.chat.completions.create({
             model: "gpt-4o-mini",
+            response_format: { type: "json_object" },
             messages: [
                 {
                     role: "system",
-                    content: `You are creating engaging prompts for intercultural language exchange between English and Japanese speakers. Create a bilingual prompt that:
+                    content: `You translate short prompts for an intercultural language exchange. Translate the English prompt (and its simple/advanced variants, if given) into ${joinNames(missing)}, keeping the same core meaning but localising it so it sounds natural to native speakers. ${missing.map(code => getLanguage(code).promptNotes).join(' ')}
+
+Respond with JSON: { "texts": { ${missing.map(code => `"${code}": "..."`).join(', ')} }, "variants": { "simple": { ... }, "advanced": { ... } } } - leave "variants" out if none were given.`
+                },
+                {
+                    role: "user",
+                    content: JSON.stringify({
+                        en: prompt.en,
+                        variants: prompt.variants
+                            ? { simple: prompt.variants.simple?.en, advanced: prompt.variants.advanced?.en }
+                            : undefined
+                    })
+                }
+            ],
+            temperature: 0.3,
+            max_tokens: 600
+        });
+
+        const translation = JSON.parse(completion.choices[0].message.content);
+        const variants = prompt.variants
+            ? Object.fromEntries(Object.entries(prompt.variants).map(([name, texts]) => [
+                name,
+                { ...pickPromptTexts((translation.variants || {})[name] || {}), ...texts }
+            ]))
+            : prompt.variants;
+
+        console.log(`🌐 Translated prompt into ${missing.join(', ')}`);
+        return { ...pickPromptTexts(translation.texts || {}), ...prompt, variants };
+    } catch (error) {
+        console.error(`Error translating prompt into ${missing.join(', ')}:`, error);
+        return prompt;
+    }
+}
+
+// AI Functions
+// Ask the model for one candidate prompt following the plan, written in every prompt language
+async function requestAIPrompt(plan, rejectedPrompts = [], languages = ['en', 'ja']) {
+    const stage = getStage(plan.stage);
+    const names = joinNames(languages);
+    const levelScales = languages.map(code => {
+        const language = getLanguage(code);
+        return `${language.formatLevel(proficiencyLevels[1])}-${language.formatLevel(proficiencyLevels[5])}`;
+    });
+    const textFields = (label, indent) => languages
+        .map(code => `${indent}"${code}": "${label} ${getLanguage(code).name} prompt"`)
+        .join(',\n');
+    const completion = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [
+            {
+                role: "system",
+                content: `You are creating engaging prompts for intercultural language exchange between ${names} speakers. Create a multilingual prompt that:
 1. Is culturally sensitive and interesting
 2. Encourages personal sharing (memories, experiences, opinions)
-3. Is appropriate and understandable for a broad proficiency of language learners (roughly CEFR A2-C2 / JLPT N4-N1)
+3. Is appropriate and understandable for a broad proficiency of language learners (roughly ${[...new Set(levelScales)].join(' / ')})
 4. Avoids controversial topics (religion, politics, sensitive social issues)
-5. Prompts must have the same core meaning in both languages but be localised in the English and Japanese languages so that it sounds natural to native speakers (example: in japanese, avoid あなた pronoun sentences)
+5. Prompts must have the same core meaning in every language but be localised in ${names} so that it sounds natural to native speakers
 6. Prompts must be open-ended, invite reciprocity, and be neutral and inclusive (avoid inside jokes or slang that only one culture knows)
 7. Prompts should use everyday vocabulary (food, study, hobbies, dreams, travel, etc.)
-8. The follow order of prompt generation should always go: easy warm-up question involving daily life → more creative question involving themes like culture / fun → a longer answer question where storytelling and collaboration answer is encouraged
+8. The follow order of prompt generation should always go: easy warm-up question involving daily life → more creative question involving themes like culture / fun → a longer answer question where storytelling and collaboration answer is encouraged (you will be told which step of the sequence and which category to write for)
 9. Each prompt should be one or two sentences maximum (preferably under 20 words as per the English language equivalent)
 10. Exemplar categories for the rotation of prompts may include: 1. daily life (meals, routines, school, hobbies), 2. opinions and preferences (choices, likes/ dislikes), 3. culture and traditions (holidays, customs, habits), 4. storytelling and memories (funny mistakes, best experiences), 5. imagination and "what if" (dreams, future, fantasy scenarios), 6. collaboration and teamwork (design something together, group preferences), 7. fun and random (animals, superpowers, "would you rather" questions)
+11. Also write two variants with the same core meaning: a simplified one for beginners (short sentences, basic vocabulary) and an advanced one (richer vocabulary that invites nuance and detail)
+12. Language notes: ${languages.map(code => `${getLanguage(code).name}: ${getLanguage(code).promptNotes}`).join(' ')}
 
 Format your response as JSON:
 {
   "category": "category_name",
-  "en": "English prompt here",
-  "ja": "Japanese prompt here in pure Japanese without readings"
+${textFields('The', '  ')},
+  "variants": {
+    "simple": {
+${textFields('Simplified', '      ')}
+    },
+    "advanced": {
+${textFields('Advanced', '      ')}
+    }
+  }
 }`
+            },
+            {
+                role: "user",
+                content: `Generate a new intercultural language learning prompt.
+
+This is prompt ${plan.stageIndex + 1} of ${promptStages.length} in today's sequence, so it must be ${stage.description}.
+Use the category "${plan.category}".
+Recently used categories (most recent first): ${plan.recentCategories.length > 0 ? plan.recentCategories.join(', ') : 'none'}.${rejectedPrompts.length > 0
+                ? `\n\nThese ideas were already used recently - write something clearly different:\n${rejectedPrompts.map(prompt => `- ${prompt}`).join('\n')}`
+                : ''}`
+            }
+        ],
+        temperature: 0.8,
+        max_tokens: 300 + 300 * languages.length
+    });
+
+    // Strip markdown code blocks if present
+    let content = completion.choices[0].message.content;
+    content = content.replace(/```json\n?|\n?```/g, '').trim();
+
+    // The plan decides stage and category, whatever the model labels them
+    const response = {
+        ...JSON.parse(content),
+        category: plan.category,
+        stage: plan.stage
+    };
+
+    return response;
+}
+
+async function generateAIPrompt(plan = null, options = {}) {
+    if (!plan) {
+        plan = await planNextPrompt();
+    }
+    const saveToHistory = options.saveToHistory !== false;
+
+    // Compare against everything already generated, posted or sitting in the prompt bank
+    const history = [
+        ...await storage.listPrompts({}, { limit: PROMPT_HISTORY_LIMIT }),
+        ...await storage.listBankPrompts({}, { limit: PROMPT_HISTORY_LIMIT })
+    ];
+    const rejectedPrompts = [];
+    const languages = await getPromptLanguages();
+
+    for (let attempt = 0; attempt <= PROMPT_MAX_RETRIES; attempt++) {
+        let candidate;
+        try {
+            candidate = await requestAIPrompt(plan, rejectedPrompts, languages);
+        } catch (error) {
+            console.error('Error generating AI prompt:', error);
+            break;
+        }
+
+        const similar = findSimilarPrompt(candidate, history);
+        if (!similar && !saveToHistory) {
+            return { ...candidate, isAIGenerated: true };
+        }
+        if (!similar) {
+            // Save prompt to prompt history
+            try {
+                return await storage.savePrompt({
+                    ...candidate,
+                    isAIGenerated: true
+                });
+            } catch (dbError) {
+                console.error('Error saving prompt to database:', dbError);
+            }
+            return candidate;
+        }
+
+        console.log(`🔁 Generated prompt is ${Math.round(similar.similarity * 100)}% similar to "${similar.prompt.en}" - regenerating (${attempt + 1}/${PROMPT_MAX_RETRIES + 1})`);
+        rejectedPrompts.push(candidate.en);
+    }
+
+    const fallback = pickFallbackTemplate(plan, history);
+    console.log(`📚 Using fallback template "${fallback.templateId}"`);
+    return fallback;
+}
+
+// Prompt bank: admins curate hand-written prompts and review AI candidates before they go out
+const PROMPT_REVIEW_CHANNEL_ID = process.env.PROMPT_REVIEW_CHANNEL_ID;
+
+const bankStatuses = ['pending', 'approved', 'rejected', 'retired'];
+
+function formatBankStatus(status, locale = 'en') {
+    return bankStatuses.includes(status) ? t(locale, `bank.status.${status}`) : status;
+}
+
+// Review messages go to a shared channel or admin DMs: DMs use that admin's UI language
+async function getReviewLocale(channelId, userId) {
+    return channelId.startsWith('D') ? getUserLocale(userId) : getUserLocale(channelId);
+}
+
+// Runtime toggle (/prompts approval on|off) overrides the PROMPT_REQUIRE_APPROVAL default
+async function isPromptApprovalRequired() {
+    return storage.getSetting('promptApprovalRequired', process.env.PROMPT_REQUIRE_APPROVAL === 'true');
+}
+
+function formatBankPrompt(entry, locale = 'en') {
+    return t(locale, 'bank.entry', {
+        id: entry.bankId,
+        status: formatBankStatus(entry.status, locale),
+        category: formatCategory(entry.category, locale).toUpperCase(),
+        stage: formatStage(entry.stage, locale),
+        used: entry.timesUsed || 0,
+        texts: formatPromptTexts(entry)
+    });
+}
+
+function promptBankReviewBlocks(entry, locale = 'en') {
+    const blocks = [
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: t(locale, 'bank.review', { pending: entry.status === 'pending', manual: entry.source === 'manual', entry: formatBankPrompt(entry, locale) })
+            }
+        }
+    ];
+
+    if (entry.status === 'pending') {
+        blocks.push({
+            type: 'actions',
+            elements: [
+                {
+                    type: 'button',
+                    text: { type: 'plain_text', text: t(locale, 'bank.approve'), emoji: true },
+                    style: 'primary',
+                    action_id: 'prompt_bank_approve',
+                    value: entry.bankId
                 },
                 {
-                    role: "user",
-                    content: "Generate a new intercultural language learning prompt."
+                    type: 'button',
+                    text: { type: 'plain_text', text: t(locale, 'bank.edit'), emoji: true },
+                    action_id: 'prompt_bank_edit',
+                    value: entry.bankId
+                },
+                {
+                    type: 'button',
+                    text: { type: 'plain_text', text: t(locale, 'bank.reject'), emoji: true },
+                    style: 'danger',
+                    action_id: 'prompt_bank_reject',
+                    value: entry.bankId
                 }
-            ],
-            temperature: 0.8,
-            max_tokens: 300
+            ]
+        });
+    } else if (entry.reviewedBy) {
+        blocks.push({
+            type: 'context',
+            elements: [
+                {
+                    type: 'mrkdwn',
+                    text: t(locale, 'bank.reviewedBy', { status: formatBankStatus(entry.status, locale), user: entry.reviewedBy })
+                }
+            ]
         });
+    }
 
-        // Strip markdown code blocks if present
-        let content = completion.choices[0].message.content;
-        content = content.replace(/```json\n?|\n?```/g, '').trim();
+    return blocks;
+}
 
-        const response = JSON.parse(content);
+// Send a review message to the review channel, or to every admin by DM
+async function sendPromptForReview(entry, recipients = null) {
+    const channels = recipients || (PROMPT_REVIEW_CHANNEL_ID ? [PROMPT_REVIEW_CHANNEL_ID] : getAdminUserIds());
+    if (channels.length === 0) {
+        console.log(`⚠️ Prompt ${entry.bankId} is awaiting review but no PROMPT_REVIEW_CHANNEL_ID or ADMIN_USER_IDS are configured`);
+        return;
+    }
 
-        // Save prompt to MongoDB
+    for (const channel of channels) {
         try {
-            const collections = getCollections();
-            if (collections) {
-                await collections.prompts.insertOne({
-                    ...response,
-                    createdAt: new Date(),
-                    isAIGenerated: true
-                });
-            }
-        } catch (dbError) {
-            console.error('Error saving prompt to database:', dbError);
+            // Admins get it in their own UI language, channels in DEFAULT_UI_LANGUAGE
+            const locale = await getUserLocale(channel);
+            await app.client.chat.postMessage({
+                channel: channel,
+                text: t(locale, 'bank.reviewText', { text: entry.en }),
+                blocks: promptBankReviewBlocks(entry, locale)
+            });
+        } catch (error) {
+            console.error(`❌ Error sending prompt ${entry.bankId} for review to ${channel}:`, error.message);
         }
+    }
+}
 
-        return response;
-    } catch (error) {
-        console.error('Error generating AI prompt:', error);
-        return promptTemplates[Math.floor(Math.random() * promptTemplates.length)];
+// `message` is a function of the locale: each admin gets it in their UI language, the review channel in DEFAULT_UI_LANGUAGE
+async function notifyAdmins(message) {
+    const channels = PROMPT_REVIEW_CHANNEL_ID ? [PROMPT_REVIEW_CHANNEL_ID] : getAdminUserIds();
+    for (const channel of channels) {
+        try {
+            await app.client.chat.postMessage({ channel, text: message(await getUserLocale(channel)) });
+        } catch (error) {
+            console.error(`❌ Error notifying admin channel ${channel}:`, error.message);
+        }
     }
 }
 
-async function generateAIFeedback(text, targetLanguage, userLevel = 'beginner') {
-    try {
-        const systemPrompt = targetLanguage === 'ja'
-            ? `You are a gentle Japanese language tutor helping an English speaker learn Japanese. The output corrections must always follow these rules:
-1. The correction must follow the structure of: original sentence → corrected sentence → error explanation → motivational note + expansion suggestion
-2. For the original sentence: show the learner's original text → mark errors with a 🔴 directly before the incorrect word, wrongly used kanji character in the context of the prompt and its consequential answer or incorrect grammar structure
-3. For the corrected sentence: rewrite the sentence with all errors fixed and after each kanji word include its hiragana writing directly after in parentheses → mark each corrected word and grammar structure with 🟢 directly before it
-4. For Error Explanations: list each mistake on a new line → format: 「wrong」 → 「correct」 (short reason) → explanations must be short and clear (e.g., "adjective form," "spelling," "missing particle")
-5. For the motivational note: always include one differing ✨ motivational sentence (short praise)
-6. For the Expansion Suggestion: always provide one 👉 model expansion sentence in Japanese → underneath, provide the English translation in parentheses → expansion must be natural, descriptive, and connected as well as complete the learner's attempt, it should also rephrase and restructure the correct sentence to sound more natural
-7. Note: users could type the wrong kanji in response to the prompt question asked, based on the context of the prompt and its consequent answer, correct any mistakes and incorrect kanji choice with the correct one
-8. For the Slack Formatting: use line breaks \\n to separate sections cleanly → use emojis (🔴🟢✨👉) exactly as shown → keep messages short enough for Slack readability
-
-Here is the exact example breakdown of the correction format I would like for you to follow for the Japanese language:
-
-Original:
-隠(かく)すとカウントするとても 🔴楽しな 🔴ゲム です。
-
-Corrected:
-隠(かく)すとカウントするとても 🟢楽(たの)しい 🟢ゲーム です。
-
-「楽しな」 → 「楽しい」 (adjective form)
-「ゲム」 → 「ゲーム」 (spelling)
-
-✨ Great! To be more descriptive, you can say:
-👉 「一人が数えている間に、ほかの人たちが隠れて、見つかるまで待つゲームです。とても楽しいゲームです！」
-(It's a game where one person counts while the others hide and wait until they're found. It's a super fun game!)`
-
-            : `You are a gentle English language tutor helping a Japanese speaker learn English. The output corrections must always follow these rules:
-1. The correction must follow the structure of: original sentence → corrected sentence → error explanation → motivational note + expansion suggestion
-2. For the original sentence: show the learner's original text → mark errors with a 🔴 directly before the incorrect word
-3. For the corrected sentence: rewrite the sentence with all errors fixed → mark each corrected word with a 🟢 directly before it
-4. For Error Explanations: list each mistake on a new line → format: 「wrong」 → 「correct」 (short reason) → explanations must be short and clear and written in fluent n1 level japanese (e.g., "adjective form," "spelling," "missing particle")
-5. For the motivational note: always include one differing ✨ motivational sentence (short praise) in fluent n1 level japanese
-6. For the Expansion Suggestion: always provide one 👉 model expansion sentence in English → underneath, provide the Japanese translation in parentheses → expansion must be natural, descriptive, and connected to the learner's attempt
-7. For the Slack Formatting: use line breaks \\n to separate sections cleanly → use emojis (🔴🟢✨👉) exactly as shown → keep messages short enough for Slack readability
-
-Here is the exact example breakdown of the correction format I would like for you to follow for the English language:
-
-原文:
-We 🔴playing 🔴run game, we 🔴run many time 🔴about tree, 🔴very fast pace.
-
-修正文:
-We 🟢played 🟢a running game. We 🟢ran many times 🟢around the tree 🟢at a very fast pace.
-
-「playing」 → 「played」 (動詞の時制)
-「run game」 → 「a running game」 (冠詞＋名詞表現)
-「run many time」 → 「ran many times」 (動詞形＋複数形)
-「about tree」 → 「around the tree」 (前置詞の誤用)
-「very fast pace」 → 「at a very fast pace」 (前置詞不足)
-
-✨ とても良い挑戦です！あと少しで自然な表現になりました。
-👉 "In my country, children often play a running game where everyone runs around a large tree many times at a very fast pace."
-（私の国では、子供たちはよく大きな木の周りを何度も走るゲームをします。とても速いペースなので、とてもワクワクします。）`;
+// Generate an AI candidate and put it in the review queue instead of posting it
+async function queuePromptCandidate(plan) {
+    const candidate = await generateAIPrompt(plan, { saveToHistory: false });
+    const entry = await storage.addBankPrompt({
+        category: candidate.category,
+        stage: getStageForCategory(candidate.category),
+        ...pickPromptTexts(candidate),
+        variants: candidate.variants || null,
+        source: candidate.templateId ? 'template' : 'ai',
+        status: 'pending'
+    });
+    console.log(`🕒 Queued prompt candidate ${entry.bankId} for review`);
+    await sendPromptForReview(entry);
+    return entry;
+}
+
+// Never-used approved prompts first, then least recently used (when reuse is allowed);
+// among equals prefer the planned category, then the planned stage
+async function pickBankPrompt(plan, options = {}) {
+    const approved = await storage.listBankPrompts({ status: 'approved' });
+    const candidates = options.allowReuse ? approved : approved.filter(entry => !entry.timesUsed);
+    const fit = entry => (entry.category === plan.category ? 2 : 0) + (entry.stage === plan.stage ? 1 : 0);
+    const lastUsed = entry => (entry.lastUsedAt ? new Date(entry.lastUsedAt).getTime() : -Infinity);
 
+    return candidates
+        .sort((a, b) => (a.timesUsed || 0) - (b.timesUsed || 0) || fit(b) - fit(a) || lastUsed(a) - lastUsed(b))[0] || null;
+}
+
+// In approval mode, keep one candidate waiting for review once the unused approved prompts run out
+async function topUpReviewQueue() {
+    const [unused] = (await storage.listBankPrompts({ status: 'approved' })).filter(entry => !entry.timesUsed);
+    const [pending] = await storage.listBankPrompts({ status: 'pending' }, { limit: 1 });
+    if (unused || pending) return;
+
+    await queuePromptCandidate(await planNextPrompt());
+}
+
+// Decide what postPrompt sends: an approved bank prompt, a fresh AI prompt, or nothing
+async function choosePromptForPost(plan) {
+    const approvalRequired = await isPromptApprovalRequired();
+    const bankPrompt = await pickBankPrompt(plan, { allowReuse: approvalRequired });
+
+    if (bankPrompt) {
+        await storage.updateBankPrompt(bankPrompt.bankId, {
+            timesUsed: (bankPrompt.timesUsed || 0) + 1,
+            lastUsedAt: new Date()
+        });
+        console.log(`📚 Using prompt bank entry ${bankPrompt.bankId}`);
+        return {
+            category: bankPrompt.category,
+            stage: plan.stage,
+            ...pickPromptTexts(bankPrompt),
+            variants: bankPrompt.variants || null,
+            bankId: bankPrompt.bankId,
+            isAIGenerated: bankPrompt.source === 'ai'
+        };
+    }
+
+    if (approvalRequired) {
+        console.log('⏸️ Approval required but no approved prompts are available - queueing a candidate instead of posting');
+        await queuePromptCandidate(plan);
+        await notifyAdmins(locale => t(locale, 'bank.noneApproved'));
+        return null;
+    }
+
+    return generateAIPrompt(plan);
+}
+
+async function generateAIFeedback(text, targetLanguage, userLevel = DEFAULT_LEVEL, nativeLanguage = getDefaultNativeLanguage(targetLanguage), locale = 'en') {
+    const level = getProficiencyLevel(userLevel);
+    const languageName = getLanguage(targetLanguage).name;
+
+    try {
         const completion = await openai.chat.completions.create({
             model: "gpt-4o-mini",
             messages: [
                 {
                     role: "system",
-                    content: systemPrompt
+                    content: `${getFeedbackTemplate(targetLanguage, nativeLanguage)}\n\nLearner level: ${formatLevel(level.id, targetLanguage)}. ${levelGuidance[level.tier]}`
                 },
                 {
                     role: "user",
-                    content: `Please provide gentle feedback on this ${targetLanguage === 'ja' ? 'Japanese' : 'English'} text: "${text}"`
+                    content: `Please provide gentle feedback on this ${languageName} text: "${text}"`
                 }
             ],
             temperature: 0.7,
@@ -521,31 +1261,33 @@ We 🟢played 🟢a running game. We 🟢ran many times 🟢around the tree 🟢
         return completion.choices[0].message.content;
     } catch (error) {
         console.error('Error generating AI feedback:', error);
-        return `Great job practicing ${targetLanguage === 'ja' ? 'Japanese' : 'English'}! Keep up the good work! 🌟`;
+        return t(locale, 'feedback.failed', { language: getLanguageName(targetLanguage, locale) });
     }
 }
 
-// Dictionary lookup function (Jisho.org + OpenAI)
-async function generateDictionaryEntry(word, wordLanguage, userNativeLanguage) {
+// Dictionary lookup: the word's registry provider (Jisho.org for Japanese → English) or OpenAI
+// for any other pair, with meanings given in meaningLanguage and the surrounding text in locale
+async function generateDictionaryEntry(word, wordLanguage, meaningLanguage, locale = 'en') {
+    const from = getLanguage(wordLanguage);
+    const to = getLanguage(meaningLanguage) || LANGUAGES.en;
 
-    // English-to-Japanese (using OpenAI)
-    if (wordLanguage === 'en') {
+    if (from.dictionary !== 'jisho' || to.code !== 'en') {
 
-        const systemPrompt = `You are an expert English-to-Japanese dictionary (英和辞典).
-The user will provide an English word.
+        const systemPrompt = `You are an expert ${from.name}-to-${to.name} dictionary.
+The user will provide a ${from.name} word.
 Your task is to provide a concise, "MacBook-style" dictionary entry.
 You MUST respond in the following JSON format:
 {
-  "word": "The original English word",
-  "reading": "The IPA pronunciation, e.g., |prɛzənˈteɪʃ(ə)n|",
+  "word": "The original ${from.name} word",
+  "reading": "The pronunciation (IPA for English, kana for Japanese, romanization otherwise)",
   "definitions": [
     {
       "part_of_speech": "e.g., Noun",
-      "japanese_meaning": "The primary Japanese translation and definition, e.g., 発表 (はっぴょう), 提示 (ていじ)"
+      "meaning": "The primary ${to.name} translation and definition"
     },
     {
       "part_of_speech": "e.g., Noun (secondary)",
-      "japanese_meaning": "A secondary meaning, e.g., 贈呈 (ぞうてい)"
+      "meaning": "A secondary meaning, in ${to.name}"
     }
   ]
 }
@@ -579,7 +1321,7 @@ Be accurate and concise. Only provide the JSON.`;
                     type: 'section',
                     text: {
                         type: 'mrkdwn',
-                        text: `*${index + 1}.* (${def.part_of_speech})\n${def.japanese_meaning}`
+                        text: `*${index + 1}.* (${def.part_of_speech})\n${def.meaning}`
                     }
                 });
             });
@@ -590,7 +1332,7 @@ Be accurate and concise. Only provide the JSON.`;
                 elements: [
                     {
                         type: 'mrkdwn',
-                        text: `Powered by OpenAI (Weblio Equivalent)`
+                        text: t(locale, 'dictionary.poweredBy', { from: from.flag, to: to.flag })
                     }
                 ]
             });
@@ -598,12 +1340,12 @@ Be accurate and concise. Only provide the JSON.`;
             return { blocks: definitionBlocks };
 
         } catch (error) {
-            console.error('Error generating English->Japanese definition with OpenAI:', error);
+            console.error(`Error generating ${from.name}->${to.name} definition with OpenAI:`, error);
             return {
                 blocks: [
                     {
                         type: 'section',
-                        text: { type: 'mrkdwn', text: `❌ Sorry, I had an error looking up *${word}* with OpenAI.` }
+                        text: { type: 'mrkdwn', text: t(locale, 'dictionary.openaiError', { word }) }
                     }
                 ]
             };
@@ -627,7 +1369,7 @@ Be accurate and concise. Only provide the JSON.`;
                         type: 'section',
                         text: {
                             type: 'mrkdwn',
-                            text: `😕 Sorry, I couldn't find *${word}* on Jisho.org. Here's a link to a manual search:\n\n<https://jisho.org/search/${encodedWord}|Search for "${word}" on Jisho.org>`
+                            text: t(locale, 'dictionary.jishoNotFound', { word, url: `https://jisho.org/search/${encodedWord}` })
                         }
                     }
                 ]
@@ -670,7 +1412,7 @@ Be accurate and concise. Only provide the JSON.`;
             elements: [
                 {
                     type: 'mrkdwn',
-                    text: `<https://jisho.org/search/${encodedWord}|View full entry for "${word}" on Jisho.org>`
+                    text: t(locale, 'dictionary.jishoFullEntry', { word, url: `https://jisho.org/search/${encodedWord}` })
                 }
             ]
         });
@@ -683,195 +1425,207 @@ Be accurate and concise. Only provide the JSON.`;
             blocks: [
                 {
                     type: 'section',
-                    text: { type: 'mrkdwn', text: `❌ Sorry, I had an error connecting to Jisho.org.` }
+                    text: { type: 'mrkdwn', text: t(locale, 'dictionary.jishoError') }
                 }
             ]
         };
     }
 }
 
-// Fixed Periodic prompt posting function
-async function postPrompt() {
-    const channelId = process.env.PROMPT_CHANNEL_ID;
-    if (!channelId) {
-        console.log('❌ No prompt channel configured - set PROMPT_CHANNEL_ID in .env');
-        return;
-    }
+// Prompt channels: PROMPT_CHANNEL_IDS / PROMPT_CHANNEL_ID plus any channels admins add with /channels.
+// Each channel (one per class or cohort) has its own members, schedule, prompt sequence and leaderboard.
+function getEnvPromptChannelIds() {
+    return [process.env.PROMPT_CHANNEL_IDS, process.env.PROMPT_CHANNEL_ID]
+        .filter(Boolean)
+        .flatMap(value => value.split(','))
+        .map(channelId => channelId.trim())
+        .filter(Boolean);
+}
 
-    try {
-        console.log('📝 Generating new AI prompt...');
-        const prompt = await generateAIPrompt();
-        console.log(`✅ Generated prompt - Category: ${prompt.category}`);
+async function getPromptChannelIds() {
+    const records = await storage.listChannels();
+    const removed = new Set(records.filter(record => record.active === false).map(record => record.channelId));
+    const added = records.filter(record => record.active !== false).map(record => record.channelId);
 
-        // Post @everyone alert in channel
-        console.log(`📤 Posting alert to channel: ${channelId}`);
-        const result = await app.client.chat.postMessage({
-            channel: channelId,
-            text: `🚨 <!everyone> New Intercultural Prompt Alert! 📱 Check your DMs for today's ${prompt.category} prompt!`,
-            blocks: [
-                {
-                    type: 'header',
-                    text: {
-                        type: 'plain_text',
-                        text: '🚨 New Prompt Alert!'
-                    }
-                },
-                {
-                    type: 'section',
-                    text: {
-                        type: 'mrkdwn',
-                        text: `<!everyone> 📱 **Check your DMs now!**\n\n*Today's Topic:* ${prompt.category.replace('_', ' ').toUpperCase()}\n\n• Your personalized prompt is waiting in your DMs\n• Respond directly to me in DMs\n• I'll post your response here anonymously`
-                    }
-                },
-                {
-                    type: 'section',
-                    text: {
-                        type: 'mrkdwn',
-                        text: '🎯 *How it works:*\n1️⃣ Read your prompt in DMs (in your target language)\n2️⃣ Reply to me directly in DMs\n3️⃣ I post your response anonymously in this channel\n4️⃣ Get AI feedback in your DMs'
-                    }
-                }
-            ]
-        });
+    return [...new Set([...getEnvPromptChannelIds(), ...added])].filter(channelId => !removed.has(channelId));
+}
 
-        console.log(`✅ Channel alert posted successfully (ts: ${result.ts})`);
+async function isPromptChannel(channelId) {
+    return (await getPromptChannelIds()).includes(channelId);
+}
 
-        // Store prompt info for thread tracking
-        promptThreads.set(result.ts, {
-            prompt: prompt,
-            postedAt: new Date(),
-            responses: []
-        });
+// Used when there is no better way to pick a channel (e.g. a response with no tracked prompt)
+async function getDefaultPromptChannelId() {
+    const [channelId] = await getPromptChannelIds();
+    return channelId || null;
+}
 
-        // Send personalized prompts to all channel members
-        try {
-            console.log(`👥 Fetching channel members from ${channelId}...`);
-            const channelMembers = await app.client.conversations.members({
-                channel: channelId
-            });
+function parseChannelMention(text) {
+    const match = (text || '').match(/^<#([CG][A-Z0-9]+)(\|[^>]*)?>$/) || (text || '').match(/^([CG][A-Z0-9]{6,})$/);
+    return match ? match[1] : null;
+}
 
-            console.log(`✅ Found ${channelMembers.members.length} channel members`);
+async function getChannelLabel(channelId) {
+    const record = await storage.getChannel(channelId);
+    return record && record.name ? `<#${channelId}> (${record.name})` : `<#${channelId}>`;
+}
 
-            for (const memberId of channelMembers.members) {
-                try {
-                    const userInfo = await app.client.users.info({ user: memberId });
-                    if (userInfo.user.is_bot) continue;
-
-                    const user = getOrCreateUser(memberId, 'default');
-
-                    if (user.targetLanguage) {
-                        const personalizedPrompt = user.targetLanguage === 'ja'
-                            ? prompt.ja : prompt.en;
-                        const languageFlag = user.targetLanguage === 'ja' ? '🇯🇵' : '🇺🇸';
-                        const languageName = user.targetLanguage === 'ja' ? 'Japanese' : 'English';
-
-                        const promptMessage = await app.client.chat.postMessage({
-                            channel: memberId,
-                            text: `🎯 Your personalized prompt is ready!`,
-                            blocks: [
-                                {
-                                    type: 'section',
-                                    text: {
-                                        type: 'mrkdwn',
-                                        text: `*${languageFlag} Today's ${languageName} Prompt:*\n\n${personalizedPrompt}`
-                                    }
-                                },
-                                {
-                                    type: 'section',
-                                    text: {
-                                        type: 'mrkdwn',
-                                        text: `📝 *How to respond:* Simply type your response here in this DM!\n\n💡 _React with ❓ for Japanese reading help!_`
-                                    }
-                                }
-                            ]
-                        });
+// Deadlines: a prompt accepts responses for PROMPT_RESPONSE_WINDOW_HOURS after it is posted.
+// Non-responders get one reminder PROMPT_REMINDER_AT of the way through (unless they opted out),
+// and answers after the window closes are refused or stored as late (LATE_RESPONSE_POLICY).
+const PROMPT_RESPONSE_WINDOW_HOURS = parseFloat(process.env.PROMPT_RESPONSE_WINDOW_HOURS) || 72;
+const PROMPT_REMINDER_AT = process.env.PROMPT_REMINDER_AT === undefined ? 0.5 : Math.min(Math.max(parseFloat(process.env.PROMPT_REMINDER_AT) || 0, 0), 1);
+const LATE_RESPONSE_POLICY = process.env.LATE_RESPONSE_POLICY === 'accept' ? 'accept' : 'refuse';
+
+// reminderAt is left out entirely when reminders are off (PROMPT_REMINDER_AT=0)
+function getPromptDeadlines(postedAt) {
+    const windowMs = PROMPT_RESPONSE_WINDOW_HOURS * 60 * 60 * 1000;
+    const deadlines = { expiresAt: new Date(postedAt.getTime() + windowMs) };
+    if (PROMPT_REMINDER_AT > 0 && PROMPT_REMINDER_AT < 1) {
+        deadlines.reminderAt = new Date(postedAt.getTime() + windowMs * PROMPT_REMINDER_AT);
+    }
+    return deadlines;
+}
 
-                        // Store message timestamp for reaction handling
-                        userPromptMessages.set(memberId, {
-                            messageTs: promptMessage.ts,
-                            promptText: personalizedPrompt
-                        });
+// Number of distinct people who answered a prompt (late answers included)
+async function countPromptResponders(promptId) {
+    const responses = await storage.listSubmissions({ promptId: promptId, type: 'response' });
+    return new Set(responses.map(response => response.userId)).size;
+}
 
-                        console.log(`✅ Sent DM to user ${memberId}`);
-                    } else {
-                        // Send setup message to users without target language
-                        await app.client.chat.postMessage({
-                            channel: memberId,
-                            text: `👋 Hi! You need to set your target language first.\n\n📱 Go to the Home tab to choose Japanese or English as your target language.`
-                        });
-                        console.log(`✅ Sent setup message to user ${memberId}`);
-                    }
-                } catch (error) {
-                    console.log(`❌ Error with user ${memberId}:`, error.message);
-                }
-            }
+function promptStatusText(prompt, responderCount, locale = DEFAULT_UI_LANGUAGE) {
+    const answered = t(locale, 'alert.answered', { count: responderCount });
+    if (prompt.status === 'closed') {
+        return t(locale, 'alert.closed', { date: formatSlackDate(prompt.closedAt || prompt.expiresAt, t(locale, 'date.at')), answered });
+    }
+    return prompt.expiresAt
+        ? t(locale, 'alert.openUntil', { date: formatSlackDate(prompt.expiresAt, t(locale, 'date.at')), answered })
+        : answered;
+}
 
-            console.log(`🎉 Prompt distribution complete!`);
-        } catch (error) {
-            console.error('❌ Error getting channel members:', error);
+// The channel alert for a posted prompt; anonymous responses are threaded under it.
+// Channel posts are read by everyone, so they use DEFAULT_UI_LANGUAGE.
+function promptAlertBlocks(prompt, responderCount = 0, locale = DEFAULT_UI_LANGUAGE) {
+    return [
+        {
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: t(locale, 'alert.header')
+            }
+        },
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: t(locale, 'alert.body', { category: formatCategory(prompt.category, locale).toUpperCase(), stage: formatStage(prompt.stage, locale) })
+            }
+        },
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: t(locale, 'alert.howItWorks')
+            }
+        },
+        {
+            type: 'actions',
+            elements: [
+                {
+                    type: 'button',
+                    text: { type: 'plain_text', text: t(locale, 'alert.viewResponses'), emoji: true },
+                    action_id: 'view_prompt_responses',
+                    value: prompt.promptId
+                }
+            ]
+        },
+        {
+            type: 'context',
+            elements: [
+                {
+                    type: 'mrkdwn',
+                    text: promptStatusText(prompt, responderCount, locale)
+                }
+            ]
         }
+    ];
+}
 
-        console.log(`✅ Prompt posting finished: ${prompt.category} at ${result.ts}`);
+// Re-render a prompt's channel alert with its current status and answer count
+async function refreshPromptAlert(promptId) {
+    try {
+        const prompt = await storage.getPrompt(promptId);
+        if (!prompt || !prompt.channelTs) return;
+
+        await app.client.chat.update({
+            channel: prompt.channelId,
+            ts: prompt.channelTs,
+            text: t(DEFAULT_UI_LANGUAGE, 'alert.updateText', { category: formatCategory(prompt.category, DEFAULT_UI_LANGUAGE) }),
+            blocks: promptAlertBlocks(prompt, await countPromptResponders(promptId))
+        });
     } catch (error) {
-        console.error('❌ Error in postPrompt():', error);
-        console.error('Stack trace:', error.stack);
+        console.error(`❌ Error updating the alert for prompt ${promptId}:`, error.message);
     }
 }
 
-// Helper function to refresh home tab
-async function refreshHomeTab(userId, client) {
-    try {
-        const user = getOrCreateUser(userId, 'default');
-        let userPseudo = pseudonyms.get(userId);
-
-        // If pseudonym doesn't exist, create one
-        if (!userPseudo) {
-            const pseudonym = generatePseudonym();
-            userPseudo = {
-                handle: pseudonym,
-                emoji1: pseudonym.split(' ')[1][0],
-                emoji2: pseudonym.split(' ')[1][1],
-                cohortLabel: null
-            };
-            pseudonyms.set(userId, userPseudo);
-            await syncPseudonymToDatabase(userId, userPseudo);
-        }
+// The prompt a DM response answers: the one the user was sent most recently.
+// `late` is set once that prompt's response window has closed. A Home-tab test prompt comes back
+// with `test` set and takes one practice answer; after that, answers go to the latest scheduled prompt.
+async function getActivePrompt(userId, now = new Date()) {
+    const latest = await storage.getLatestPromptMessage(userId);
+    if (latest && !latest.promptId && !latest.answeredAt) {
+        return { prompt: null, promptMessage: latest, late: false, test: true };
+    }
 
-        const userPoints = points.get(userId) || 0;
+    const promptMessage = latest && latest.promptId ? latest : await storage.getLatestPromptMessage(userId, { scheduledOnly: true });
+    if (!promptMessage) return null;
 
-        await client.views.publish({
-            user_id: userId,
-            view: {
-                type: 'home',
+    const prompt = await storage.getPrompt(promptMessage.promptId);
+    if (!prompt || !prompt.channelTs) return null;
+
+    const late = prompt.status === 'closed' || Boolean(prompt.expiresAt && now > new Date(prompt.expiresAt));
+    return { prompt, promptMessage, late };
+}
+
+// Everyone who was DMed a prompt but hasn't answered it (late answers don't count)
+async function getPromptNonResponders(prompt) {
+    const [delivery] = await storage.listDeliveries({ promptId: prompt.promptId }, { limit: 1 });
+    if (!delivery) return [];
+
+    const recipients = await storage.listDeliveryResults(delivery.deliveryId, { status: 'sent' });
+    const responses = await storage.listSubmissions({ promptId: prompt.promptId, type: 'response', late: { $ne: true } });
+    const responded = new Set(responses.map(response => response.userId));
+    return recipients.map(recipient => recipient.userId).filter(userId => !responded.has(userId));
+}
+
+// Remind everyone who was DMed a prompt but hasn't answered it yet
+async function sendPromptReminders(prompt) {
+    let sent = 0;
+
+    for (const userId of await getPromptNonResponders(prompt)) {
+        try {
+            const user = await storage.getUser(userId);
+            if (!user) continue;
+
+            // Answering now would answer a newer prompt, so don't nudge about this one
+            const latestPrompt = await storage.getLatestPromptMessage(userId, { scheduledOnly: true });
+            if (!latestPrompt || latestPrompt.promptId !== prompt.promptId) continue;
+
+            const locale = getLocale(user);
+            const streak = await storage.getStreak(userId);
+            const streakWarning = streak && streak.promptCurrent > 0
+                ? t(locale, 'reminder.streak', { count: streak.promptCurrent, freezes: streak.freezeTokens })
+                : '';
+            const closes = formatSlackDate(prompt.expiresAt, t(locale, 'date.at'));
+
+            const result = await sendNotificationDm(user, 'reminder', {
+                text: t(locale, 'reminder.text', { date: closes }),
                 blocks: [
-                    {
-                        type: 'header',
-                        text: {
-                            type: 'plain_text',
-                            text: '🌍 Intercultural Learning Hub'
-                        }
-                    },
-                    {
-                        type: 'section',
-                        text: {
-                            type: 'mrkdwn',
-                            text: `👋 Welcome! Your anonymous identity: *${userPseudo.handle}*`
-                        }
-                    },
-                    {
-                        type: 'section',
-                        text: {
-                            type: 'mrkdwn',
-                            text: `🏆 *Points:* ${userPoints} | 🎯 *Target Language:* ${user.targetLanguage ? (user.targetLanguage === 'ja' ? '🇯🇵 Japanese' : '🇺🇸 English') : 'Not set'}`
-                        }
-                    },
-                    {
-                        type: 'divider'
-                    },
                     {
                         type: 'section',
                         text: {
                             type: 'mrkdwn',
-                            text: '*🎯 Choose Your Target Language:*\nSelect the language you want to practice:'
+                            text: `${t(locale, 'reminder.body', { date: closes, prompt: latestPrompt.promptText })}${streakWarning}`
                         }
                     },
                     {
@@ -879,857 +1633,3851 @@ async function refreshHomeTab(userId, client) {
                         elements: [
                             {
                                 type: 'button',
-                                text: {
-                                    type: 'plain_text',
-                                    text: '🇯🇵 Japanese'
-                                },
-                                value: 'ja',
-                                action_id: 'set_target_language_ja',
-                                style: user.targetLanguage === 'ja' ? 'primary' : undefined
-                            },
-                            {
-                                type: 'button',
-                                text: {
-                                    type: 'plain_text',
-                                    text: '🇺🇸 English'
-                                },
-                                value: 'en',
-                                action_id: 'set_target_language_en',
-                                style: user.targetLanguage === 'en' ? 'primary' : undefined
-                            }
-                        ]
-                    },
-                    {
-                        type: 'divider'
-                    },
-                    {
-                        type: 'section',
-                        text: {
-                            type: 'mrkdwn',
-                            text: '*📚 How it works:*\n\n1️⃣ I post prompts Mon/Wed/Fri at 9 AM, 2 PM, and 6 PM\n2️⃣ You receive a DM with a prompt in your target language\n3️⃣ Reply to me in DMs - I post your response anonymously\n4️⃣ Get personalized AI feedback in your DMs\n5️⃣ Earn points for participation!'
-                        }
-                    },
-                    {
-                        type: 'section',
-                        text: {
-                            type: 'mrkdwn',
-                            text: '*🔒 Privacy Features:*\n• All responses are posted anonymously\n• Your identity is protected with a pseudonym\n• Only you can see your DM feedback'
-                        }
-                    },
-                    {
-                        type: 'divider'
-                    },
-                    {
-                        type: 'section',
-                        text: {
-                            type: 'mrkdwn',
-                            text: '*🚀 Testing:*\nWant to try it out right now?'
-                        }
-                    },
-                    {
-                        type: 'actions',
-                        elements: [
-                            {
-                                type: 'button',
-                                text: {
-                                    type: 'plain_text',
-                                    text: '🚀 Generate Test Prompt',
-                                    emoji: true
-                                },
-                                value: 'generate_prompt',
-                                action_id: 'generate_test_prompt',
-                                style: 'primary'
+                                text: { type: 'plain_text', text: t(locale, 'reminder.stop'), emoji: true },
+                                action_id: 'reminders_opt_out'
                             }
                         ]
                     }
                 ]
-            }
-        });
-    } catch (error) {
-        console.error('Error refreshing home tab:', error);
+            }, { expiresAt: prompt.expiresAt });
+            if (result !== 'skipped') sent++;
+        } catch (error) {
+            console.log(`❌ Error reminding user ${userId}:`, error.message);
+        }
     }
+
+    return sent;
 }
 
-// Event Handlers
+// Runs every minute: send due reminders and close prompts whose window has ended
+async function processPromptDeadlines() {
+    const now = new Date();
 
-// App Home Handler
-app.event('app_home_opened', async ({ event, client, logger }) => {
-    await refreshHomeTab(event.user, client);
-});
+    try {
+        const dueReminders = await storage.listPrompts({
+            status: 'open',
+            reminderAt: { $lte: now },
+            reminderSentAt: { $exists: false }
+        });
+        for (const prompt of dueReminders) {
+            if (!await storage.updatePrompt(prompt.promptId, { reminderSentAt: now }, { reminderSentAt: { $exists: false } })) continue;
+            const sent = await sendPromptReminders(prompt);
+            console.log(`⏳ Sent ${sent} reminder(s) for prompt ${prompt.promptId}`);
+        }
 
-// Target Language Selection
-app.action('set_target_language_ja', async ({ ack, body, client, logger }) => {
-    await ack();
+        const expired = await storage.listPrompts({ status: 'open', expiresAt: { $lte: now } });
+        for (const prompt of expired) {
+            if (!await storage.updatePrompt(prompt.promptId, { status: 'closed', closedAt: now }, { status: 'open' })) continue;
+            console.log(`🔒 Closed prompt ${prompt.promptId} in ${prompt.channelId}`);
+            await refreshPromptAlert(prompt.promptId);
+            await settleMissedPromptStreaks(prompt);
+        }
+    } catch (error) {
+        console.error('❌ Error processing prompt deadlines:', error);
+    }
+}
+
+// Fixed Periodic prompt posting function - returns the posted prompt, or null if nothing was posted
+async function postPrompt(channelId) {
+    if (!channelId) {
+        channelId = await getDefaultPromptChannelId();
+    }
+    if (!channelId) {
+        console.log('❌ No prompt channel configured - set PROMPT_CHANNEL_IDS in .env or add one with /channels add');
+        return null;
+    }
 
     try {
-        const userId = body.user.id;
-        const selectedLanguage = 'ja';
+        const schedule = await getChannelSchedule(channelId);
+        const plan = await planNextPrompt(new Date(), { timezone: schedule.timezone, channelId: channelId });
+        console.log(`📝 Choosing prompt (stage: ${plan.stage}, category: ${plan.category})...`);
+        const chosen = await choosePromptForPost(plan);
+        if (!chosen) return null;
+        // Bank entries, templates and older prompts may lack a language someone is learning now
+        const prompt = await ensurePromptLanguages(chosen, await getPromptLanguages());
+        console.log(`✅ Chose prompt - Stage: ${prompt.stage}, Category: ${prompt.category}`);
+
+        // Post @everyone alert in channel (the prompt ID is fixed first so the alert can link to its responses)
+        const promptId = prompt.promptId || uuidv4();
+        console.log(`📤 Posting alert to channel: ${channelId}`);
+        const result = await app.client.chat.postMessage({
+            channel: channelId,
+            text: t(DEFAULT_UI_LANGUAGE, 'alert.text', { category: formatCategory(prompt.category, DEFAULT_UI_LANGUAGE) }),
+            blocks: promptAlertBlocks({ ...prompt, promptId })
+        });
 
-        const user = getOrCreateUser(userId, body.team.id);
-        user.targetLanguage = selectedLanguage;
-        users.set(userId, user);
+        console.log(`✅ Channel alert posted successfully (ts: ${result.ts})`);
 
-        // Sync to MongoDB
-        await syncUserToDatabase(userId, user);
+        // Store prompt info for thread tracking
+        let postedPrompt = prompt;
+        try {
+            const postedAt = new Date();
+            postedPrompt = await storage.savePrompt({
+                ...prompt,
+                promptId: promptId,
+                channelId: channelId,
+                channelTs: result.ts,
+                postedAt: postedAt,
+                status: 'open',
+                ...getPromptDeadlines(postedAt)
+            });
+            await refreshPromptAlert(promptId);
+        } catch (dbError) {
+            console.error('Error saving posted prompt to database:', dbError);
+        }
 
-        await client.chat.postMessage({
-            channel: userId,
-            text: `🎯 Target language set to 🇯🇵 Japanese! You'll receive prompts in this language.`
-        });
+        // Queue a personalized DM for every channel member (delivered by deliverPromptDm)
+        try {
+            await startPromptDelivery(channelId, postedPrompt);
+        } catch (error) {
+            console.error('❌ Error queueing prompt DMs:', error);
+        }
 
-        // Refresh home tab
-        await refreshHomeTab(userId, client);
+        // Keep the review queue stocked for the next run
+        if (await isPromptApprovalRequired()) {
+            try {
+                await topUpReviewQueue();
+            } catch (error) {
+                console.error('❌ Error topping up the prompt review queue:', error);
+            }
+        }
+
+        console.log(`✅ Prompt posting finished: ${prompt.category} at ${result.ts}`);
+        return postedPrompt;
     } catch (error) {
-        logger.error(error);
+        console.error('❌ Error in postPrompt():', error);
+        console.error('Stack trace:', error.stack);
+        return null;
     }
+}
+
+// Prompt DM delivery
+// postPrompt queues one job per channel member; jobs are retried with backoff, and a Slack 429
+// pauses the queue for the advertised retry_after instead of burning through attempts.
+// The delivery client rejects rate-limited calls instead of waiting inside the call, so the queue can do it.
+const deliveryClient = new webApi.WebClient(process.env.SLACK_BOT_TOKEN, {
+    rejectRateLimitedCalls: true
 });
+const SLACK_PROFILE_CACHE_MS = (parseFloat(process.env.SLACK_PROFILE_CACHE_HOURS) || 24) * 60 * 60 * 1000;
+// Slack errors that mean the user can never receive a DM - not worth retrying
+const UNREACHABLE_USER_ERRORS = ['user_not_found', 'user_disabled', 'account_inactive', 'cannot_dm_bot', 'user_not_visible'];
+let dmQueue = null;
+
+function toQueueError(error) {
+    if (error.code === webApi.ErrorCode.RateLimitedError) {
+        return new RateLimitedError((error.retryAfter || 1) * 1000);
+    }
+    return error;
+}
 
-app.action('set_target_language_en', async ({ ack, body, client, logger }) => {
-    await ack();
+// users.info is cached in storage so repeat fan-outs skip bots and deactivated accounts without an API call
+async function getSlackProfile(userId, client = app.client) {
+    const cached = await storage.getSlackProfile(userId);
+    if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < SLACK_PROFILE_CACHE_MS) {
+        return cached;
+    }
 
+    const { user } = await client.users.info({ user: userId });
+    const profile = {
+        isBot: Boolean(user.is_bot) || userId === 'USLACKBOT',
+        deleted: Boolean(user.deleted),
+        tz: user.tz || null,
+        fetchedAt: new Date()
+    };
+    await storage.saveSlackProfile(userId, profile);
+    return { userId, ...profile };
+}
+
+// Notification preferences (Home tab): which daily prompt stages to receive, a pause that runs
+// through `pausedUntil` (YYYY-MM-DD), quiet hours and the reminder / reply notification opt-outs.
+// Dates and times are in the user's Slack timezone, or PROMPT_TIMEZONE when Slack doesn't have one.
+async function getUserTimezone(userId, client = app.client) {
     try {
-        const userId = body.user.id;
-        const selectedLanguage = 'en';
+        const profile = await getSlackProfile(userId, client);
+        return profile.tz || PROMPT_TIMEZONE;
+    } catch (error) {
+        console.log(`⚠️ Could not look up the timezone of ${userId}:`, error.message);
+        return PROMPT_TIMEZONE;
+    }
+}
 
-        const user = getOrCreateUser(userId, body.team.id);
-        user.targetLanguage = selectedLanguage;
-        users.set(userId, user);
+// "HH:MM" to minutes after midnight
+function parseTimeOfDay(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+}
 
-        // Sync to MongoDB
-        await syncUserToDatabase(userId, user);
+function getMinuteOfDay(date, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return Number(parts.hour) * 60 + Number(parts.minute);
+}
 
-        await client.chat.postMessage({
-            channel: userId,
-            text: `🎯 Target language set to 🇺🇸 English! You'll receive prompts in this language.`
-        });
+// Minutes until the user's quiet hours end, or 0 outside them (quiet hours may wrap past midnight)
+function getQuietMinutesLeft(quietHours, now, timezone) {
+    if (!quietHours || !quietHours.start || !quietHours.end) return 0;
+    const start = parseTimeOfDay(quietHours.start);
+    const end = parseTimeOfDay(quietHours.end);
+    const current = getMinuteOfDay(now, timezone);
+    if (start === end) return 0;
 
-        // Refresh home tab
-        await refreshHomeTab(userId, client);
+    const quiet = start < end ? current >= start && current < end : current >= start || current < end;
+    return quiet ? (end - current + 24 * 60) % (24 * 60) : 0;
+}
+
+function isPaused(user, now, timezone) {
+    return Boolean(user.pausedUntil) && getDateKey(now, timezone) <= user.pausedUntil;
+}
+
+// Why a DM the user didn't ask for shouldn't go out right now, or null to send it.
+// kind: 'prompt' (scheduled prompt DM, `stage` is the prompt's stage), 'reminder' (deadline and
+// streak-at-risk nudges), 'reply' (someone replied to their post) or 'notice' (anything else).
+// Quiet hours come back with `delayMs`, so the DM can wait for them to end.
+async function getDmHold(user, kind, { now = new Date(), stage = null, client = app.client } = {}) {
+    if (kind === 'reminder' && user.remindersOptOut) return { reason: 'opted_out' };
+    if (kind === 'reply' && user.replyNotificationsOptOut) return { reason: 'opted_out' };
+    if (kind === 'prompt' && stage && user.promptStages && !user.promptStages.includes(stage)) return { reason: 'stage' };
+
+    const timezone = await getUserTimezone(user.id, client);
+    if (isPaused(user, now, timezone)) return { reason: 'paused' };
+
+    const quietMinutes = getQuietMinutesLeft(user.quietHours, now, timezone);
+    if (quietMinutes > 0) return { reason: 'quiet', delayMs: quietMinutes * 60 * 1000 };
+    return null;
+}
+
+// Send a notification DM (`message` is the chat.postMessage text/blocks) unless the user opted out
+// of its kind or is paused. During quiet hours it goes through the DM queue and is sent when they end;
+// `expiresAt` drops it if it would only arrive after it stopped being useful.
+// Returns 'sent', 'deferred' or 'skipped'.
+async function sendNotificationDm(user, kind, message, { now = new Date(), expiresAt = null, client = app.client } = {}) {
+    const hold = await getDmHold(user, kind, { now, client });
+    if (hold && hold.reason === 'quiet') {
+        if (expiresAt && now.getTime() + hold.delayMs >= new Date(expiresAt).getTime()) return 'skipped';
+        await dmQueue.addBulk([{
+            id: dmJobId('notification', user.id, uuidv4()),
+            data: { type: 'notification', kind, userId: user.id, message, expiresAt },
+            delay: hold.delayMs
+        }]);
+        return 'deferred';
+    }
+    if (hold) return 'skipped';
+
+    await client.chat.postMessage({ channel: user.id, ...message });
+    return 'sent';
+}
+
+// Queue processor for notifications held over quiet hours - the settings are checked again on release
+async function deliverNotificationDm({ kind, userId, message, expiresAt }) {
+    try {
+        const user = await storage.getUser(userId);
+        if (!user) return 'skipped';
+        return await sendNotificationDm(user, kind, message, { expiresAt, client: deliveryClient });
     } catch (error) {
-        logger.error(error);
+        if (error.code === webApi.ErrorCode.PlatformError && UNREACHABLE_USER_ERRORS.includes(error.data.error)) {
+            return 'skipped';
+        }
+        throw toQueueError(error);
     }
-});
+}
 
-// Generate Test Prompt Button Handler
-app.action('generate_test_prompt', async ({ ack, body, client, logger }) => {
-    await ack();
+// conversations.members is paginated - walk every page
+async function listChannelMembers(channelId) {
+    const members = [];
+    let cursor;
+    do {
+        const page = await app.client.conversations.members({ channel: channelId, limit: 200, cursor });
+        members.push(...page.members);
+        cursor = page.response_metadata && page.response_metadata.next_cursor;
+    } while (cursor);
+    return members;
+}
+
+async function startPromptDelivery(channelId, prompt) {
+    if (!prompt.promptId) {
+        throw new Error('The prompt was not saved, so its DMs cannot be queued');
+    }
 
+    console.log(`👥 Fetching channel members from ${channelId}...`);
+    const members = await listChannelMembers(channelId);
+    console.log(`✅ Found ${members.length} channel members`);
+
+    const delivery = await storage.createDelivery({
+        channelId: channelId,
+        promptId: prompt.promptId,
+        category: prompt.category,
+        total: members.length
+    });
+
+    if (members.length === 0) {
+        await storage.completeDelivery(delivery.deliveryId);
+        return delivery;
+    }
+
+    await dmQueue.addBulk(members.map(userId => ({
+        id: dmJobId(delivery.deliveryId, userId),
+        data: { deliveryId: delivery.deliveryId, channelId: channelId, promptId: prompt.promptId, userId: userId }
+    })));
+    console.log(`📬 Queued ${members.length} prompt DMs (delivery ${delivery.deliveryId}, ${dmQueue.name} queue)`);
+    return delivery;
+}
+
+// Queue processor: send one member their personalized prompt. Returns the delivery status.
+async function deliverPromptDm({ deliveryId, channelId, promptId, userId }) {
     try {
-        const userId = body.user.id;
-        const user = getOrCreateUser(userId, body.team.id);
+        const profile = await getSlackProfile(userId, deliveryClient);
+        if (profile.deleted) return 'skipped_deleted';
+        if (profile.isBot) return 'skipped_bot';
+
+        let prompt = await storage.getPrompt(promptId);
+        if (!prompt) {
+            throw new Error(`Prompt ${promptId} not found`);
+        }
+        // A DM held for quiet hours can outlast the prompt
+        if (prompt.status === 'closed') return 'skipped_closed';
+
+        const user = await getOrCreateUser(userId, 'default');
+        const locale = getLocale(user);
+
+        // Remember which prompt channels each user belongs to (Home tab schedules)
+        if (!(user.channelIds || []).includes(channelId)) {
+            user.channelIds = [...(user.channelIds || []), channelId];
+            await storage.saveUser(user);
+        }
+
+        // Home tab notification settings: skip unwanted stages and pauses, hold the DM through quiet hours
+        const hold = await getDmHold(user, 'prompt', { stage: prompt.stage, client: deliveryClient });
+        if (hold && hold.reason === 'quiet') {
+            const releaseAt = Date.now() + hold.delayMs;
+            await dmQueue.addBulk([{
+                id: dmJobId(deliveryId, userId, releaseAt),
+                data: { deliveryId, channelId, promptId, userId },
+                delay: hold.delayMs
+            }]);
+            return 'held_quiet';
+        }
+        if (hold) return hold.reason === 'paused' ? 'skipped_paused' : 'skipped_stage';
 
         if (!user.targetLanguage) {
-            await client.chat.postMessage({
+            // Ask users without a target language to set one up - once, not on every prompt
+            if (user.setupNudgedAt) return 'needs_setup';
+            await deliveryClient.chat.postMessage({
                 channel: userId,
-                text: "⚠️ Please set your target language first! Go to the Home tab and choose Japanese or English."
+                text: t(locale, 'setup.needLanguage', { languages: describeEnabledLanguages(locale) })
             });
-            return;
+            user.setupNudgedAt = new Date();
+            await storage.saveUser(user);
+            console.log(`✅ Sent setup message to user ${userId}`);
+            return 'needs_setup';
         }
 
-        // Generate a prompt
-        const prompt = await generateAIPrompt();
-        const personalizedPrompt = user.targetLanguage === 'ja' ? prompt.ja : prompt.en;
-        const languageFlag = user.targetLanguage === 'ja' ? '🇯🇵' : '🇺🇸';
-        const languageName = user.targetLanguage === 'ja' ? 'Japanese' : 'English';
+        // Someone switched to a language the prompt wasn't written in - translate it once for everyone
+        if (!prompt[user.targetLanguage]) {
+            prompt = await ensurePromptLanguages(prompt, [user.targetLanguage]);
+            await storage.updatePrompt(promptId, { ...pickPromptTexts(prompt), variants: prompt.variants || null });
+        }
 
-        const promptMessage = await client.chat.postMessage({
+        const personalizedPrompt = getPromptForLevel(prompt, user.targetLanguage, user.level);
+        const language = getLanguage(user.targetLanguage);
+
+        const languageName = getLanguageName(language.code, locale);
+
+        const promptMessage = await deliveryClient.chat.postMessage({
             channel: userId,
-            text: `🚀 Test prompt generated!`,
+            text: t(locale, 'prompt.ready'),
             blocks: [
                 {
                     type: 'section',
                     text: {
                         type: 'mrkdwn',
-                        text: `*${languageFlag} Test ${languageName} Prompt:*\n\n${personalizedPrompt}`
+                        text: t(locale, 'prompt.heading', { flag: language.flag, language: languageName, prompt: personalizedPrompt })
                     }
                 },
                 {
                     type: 'section',
                     text: {
                         type: 'mrkdwn',
-                        text: `📝 *How to respond:* Simply type your response here in this DM!\n\n💡 _React with ❓ for Japanese reading help!_`
+                        text: `${t(locale, 'prompt.howToRespond')}${language.readingAid ? `\n\n${t(locale, 'prompt.readingTip', { language: languageName })}` : ''}`
                     }
                 }
             ]
         });
 
-        // Store message timestamp for reaction handling
-        userPromptMessages.set(userId, {
+        // Store message for reaction handling
+        await storage.trackMessage({
+            channelId: promptMessage.channel,
             messageTs: promptMessage.ts,
-            promptText: personalizedPrompt
+            userId: userId,
+            type: 'prompt',
+            promptId: promptId,
+            promptChannelId: channelId,
+            promptText: personalizedPrompt,
+            targetLanguage: user.targetLanguage
         });
 
-        console.log(`✅ Test prompt sent to user ${userId}`);
+        console.log(`✅ Sent DM to user ${userId}`);
+        return 'sent';
     } catch (error) {
-        logger.error('Error generating test prompt:', error);
-        await client.chat.postMessage({
-            channel: body.user.id,
-            text: "❌ Sorry, there was an error generating a test prompt. Please try again later."
-        });
+        if (error.code === webApi.ErrorCode.PlatformError && UNREACHABLE_USER_ERRORS.includes(error.data.error)) {
+            await storage.saveSlackProfile(userId, { deleted: true, fetchedAt: new Date() });
+            return 'skipped_deleted';
+        }
+        throw toQueueError(error);
     }
-});
+}
 
-// Reply to Response Button Handler
-app.action(/^reply_to_response_/, async ({ ack, body, client, logger }) => {
-    await ack();
+// Report order; each status has a delivery.status.* label in the catalog
+const deliveryStatuses = ['sent', 'needs_setup', 'held_quiet', 'skipped_paused', 'skipped_stage', 'skipped_closed', 'skipped_bot', 'skipped_deleted', 'failed'];
+
+function formatDeliveryReport(delivery, summary, locale = 'en') {
+    const counts = deliveryStatuses
+        .filter(status => summary.byStatus[status])
+        .map(status => `${t(locale, `delivery.status.${status}`)}: ${summary.byStatus[status]}`)
+        .join(' • ');
+    const finishedAt = delivery.completedAt ? new Date(delivery.completedAt) : null;
+    const progress = delivery.status === 'complete'
+        ? t(locale, 'delivery.finished', { seconds: finishedAt ? Math.round((finishedAt - new Date(delivery.createdAt)) / 1000) : null })
+        : t(locale, 'delivery.processed', { processed: summary.processed, total: delivery.total });
+    const failures = summary.failures.slice(0, 10)
+        .map(failure => `• <@${failure.userId}> - ${failure.error}`)
+        .join('\n');
+
+    return [
+        t(locale, 'delivery.heading', { id: delivery.deliveryId, channel: delivery.channelId, category: formatCategory(delivery.category, locale), progress }),
+        counts || t(locale, 'delivery.noRecipients'),
+        failures ? t(locale, 'delivery.failures', { failures, more: summary.failures.length - 10 }) : null
+    ].filter(Boolean).join('\n');
+}
 
+// Record a recipient's outcome; the last one in completes the delivery and reports to admins.
+// A DM held for quiet hours shows up in /deliveries but isn't final - its queued retry records the outcome.
+async function recordDeliveryResult(job, status, error = null) {
     try {
-        const actionId = body.actions[0].action_id;
-        const value = JSON.parse(body.actions[0].value);
-        const { originalPoster, originalText, messageTs } = value;
-
-        const userId = body.user.id;
-        const user = getOrCreateUser(userId, body.team.id);
+        await storage.recordDeliveryResult(job.deliveryId, job.userId, { status, error });
+
+        const delivery = await storage.getDelivery(job.deliveryId);
+        if (!delivery || await storage.countDeliveryResults(job.deliveryId, { status: { $ne: 'held_quiet' } }) < delivery.total) return;
+        if (!await storage.completeDelivery(job.deliveryId)) return;
+
+        const summary = await storage.getDeliverySummary(job.deliveryId);
+        const completed = await storage.getDelivery(job.deliveryId);
+        console.log(`🎉 Prompt distribution complete! (delivery ${job.deliveryId})`);
+        await notifyAdmins(locale => formatDeliveryReport(completed, summary, locale));
+    } catch (recordError) {
+        console.error(`❌ Error recording delivery result for ${job.userId}:`, recordError);
+    }
+}
 
-        if (!user.targetLanguage) {
-            await client.chat.postMessage({
-                channel: userId,
-                text: "⚠️ Please set your target language first! Go to the Home tab and choose Japanese or English."
-            });
-            return;
+async function startDmQueue() {
+    // Prompt DMs report to their delivery; notifications held over quiet hours just get sent
+    dmQueue = await createDmQueue({
+        processor: job => (job.type === 'notification' ? deliverNotificationDm(job) : deliverPromptDm(job)),
+        onComplete: async (job, status) => {
+            if (job.type !== 'notification') await recordDeliveryResult(job, status);
+        },
+        onFailed: async (job, error, attempts) => {
+            console.log(`❌ Giving up on ${job.type === 'notification' ? `a ${job.kind}` : 'prompt'} DM to ${job.userId} after ${attempts} attempts:`, error.message);
+            if (job.type !== 'notification') await recordDeliveryResult(job, 'failed', error.message);
         }
+    });
+    console.log(`📬 Prompt DM queue: ${dmQueue.name}`);
+}
 
-        // Open reply modal
-        await client.views.open({
-            trigger_id: body.trigger_id,
-            view: {
-                type: 'modal',
-                callback_id: 'reply_modal',
-                private_metadata: JSON.stringify({
-                    originalPoster,
-                    originalText,
-                    messageTs,
-                    channelId: body.channel.id
-                }),
-                title: {
-                    type: 'plain_text',
-                    text: '💬 Reply Anonymously'
-                },
-                submit: {
-                    type: 'plain_text',
-                    text: 'Send Reply'
-                },
-                close: {
-                    type: 'plain_text',
-                    text: 'Cancel'
-                },
-                blocks: [
-                    {
-                        type: 'section',
-                        text: {
-                            type: 'mrkdwn',
-                            text: `*Replying to ${originalPoster}:*\n\n> ${originalText}`
-                        }
-                    },
-                    {
-                        type: 'divider'
-                    },
-                    {
-                        type: 'input',
-                        block_id: 'reply_text',
-                        element: {
-                            type: 'plain_text_input',
-                            action_id: 'reply_input',
-                            multiline: true,
-                            placeholder: {
-                                type: 'plain_text',
-                                text: `Write your reply in ${user.targetLanguage === 'ja' ? 'Japanese' : 'English'}...`
-                            }
-                        },
-                        label: {
-                            type: 'plain_text',
-                            text: 'Your Reply'
-                        }
-                    },
-                    {
-                        type: 'context',
-                        elements: [
-                            {
-                                type: 'mrkdwn',
-                                text: `⚠️ Please write in *${user.targetLanguage === 'ja' ? 'Japanese 🇯🇵' : 'English 🇺🇸'}* (your target language)`
-                            }
-                        ]
-                    }
-                ]
-            }
-        });
-    } catch (error) {
-        logger.error('Error opening reply modal:', error);
-    }
-});
+// Streaks: consecutive scheduled prompts answered on time, and consecutive days (in PROMPT_TIMEZONE)
+// with any target-language writing. Every STREAK_FREEZE_POINTS points earns a freeze token that
+// covers one missed prompt or day; milestones pay the points rules' streak bonus.
+const STREAK_MILESTONES = [7, 30, 100]; // bonus points per milestone live in the points rules table
+const STREAK_FREEZE_POINTS = parseInt(process.env.STREAK_FREEZE_POINTS, 10) || 50;
+const STREAK_FREEZE_MAX = parseInt(process.env.STREAK_FREEZE_MAX, 10) || 3;
+const STREAK_RISK_SCHEDULE = process.env.STREAK_RISK_SCHEDULE || '0 20 * * *';
 
-// Reply Modal Submission Handler
-app.view('reply_modal', async ({ ack, body, view, client, logger }) => {
-    await ack();
 
+async function getStreak(userId) {
+    return {
+        promptCurrent: 0,
+        promptBest: 0,
+        lastAnsweredPromptId: null,
+        dailyCurrent: 0,
+        dailyBest: 0,
+        lastActiveDate: null,
+        freezeTokens: 0,
+        freezesUsed: 0,
+        freezeMilestone: 0,
+        ...(await storage.getStreak(userId) || {})
+    };
+}
+
+// Days between two YYYY-MM-DD keys
+function daysBetween(fromKey, toKey) {
+    return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / (24 * 60 * 60 * 1000));
+}
+
+// The daily streak as it stands today - broken if more days were missed than freezes can cover
+function getCurrentDailyStreak(streak, now = new Date()) {
+    if (!streak.lastActiveDate) return 0;
+    const missedDays = daysBetween(streak.lastActiveDate, getDateKey(now)) - 1;
+    return missedDays <= streak.freezeTokens ? streak.dailyCurrent : 0;
+}
+
+function formatStreakSummary(streak, locale = 'en') {
+    return t(locale, 'streak.summary', {
+        prompt: streak.promptCurrent,
+        promptBest: streak.promptBest,
+        daily: getCurrentDailyStreak(streak),
+        dailyBest: streak.dailyBest,
+        freezes: streak.freezeTokens
+    });
+}
+
+// Update a user's streaks after a submission. onTime answers to promptId extend the prompt streak;
+// any submission extends the daily streak. Returns the updated streak.
+async function recordStreakActivity(userId, { promptId = null, onTime = false, channelId = null } = {}) {
     try {
-        const userId = body.user.id;
-        const metadata = JSON.parse(view.private_metadata);
-        const { originalPoster, originalText, messageTs, channelId } = metadata;
+        const streak = await getStreak(userId);
+        const today = getDateKey(new Date());
+        const milestones = [];
+
+        if (streak.lastActiveDate !== today) {
+            const missedDays = streak.lastActiveDate ? daysBetween(streak.lastActiveDate, today) - 1 : Infinity;
+            if (missedDays <= 0) {
+                streak.dailyCurrent += 1;
+            } else if (missedDays <= streak.freezeTokens) {
+                streak.freezeTokens -= missedDays;
+                streak.freezesUsed += missedDays;
+                streak.dailyCurrent += 1;
+            } else {
+                streak.dailyCurrent = 1;
+            }
+            streak.lastActiveDate = today;
+            streak.dailyBest = Math.max(streak.dailyBest, streak.dailyCurrent);
+            if (STREAK_MILESTONES.includes(streak.dailyCurrent)) {
+                milestones.push({ kind: 'daily', count: streak.dailyCurrent });
+            }
+        }
 
-        const replyText = view.state.values.reply_text.reply_input.value;
+        // Missed prompts are settled when each prompt closes (see settleMissedPromptStreaks)
+        if (promptId && onTime && streak.lastAnsweredPromptId !== promptId) {
+            streak.promptCurrent += 1;
+            streak.promptBest = Math.max(streak.promptBest, streak.promptCurrent);
+            streak.lastAnsweredPromptId = promptId;
+            if (STREAK_MILESTONES.includes(streak.promptCurrent)) {
+                milestones.push({ kind: 'prompt', count: streak.promptCurrent });
+            }
+        }
 
-        if (!replyText || replyText.trim().length === 0) {
-            return;
+        for (const milestone of milestones) {
+            await celebrateStreakMilestone(userId, milestone, channelId);
         }
 
-        const user = getOrCreateUser(userId, body.team.id);
-        const pseudonym = pseudonyms.get(userId);
+        // One freeze per STREAK_FREEZE_POINTS of balance reached, holding at most STREAK_FREEZE_MAX
+        const freezeMilestone = Math.floor(await storage.getPoints(userId) / STREAK_FREEZE_POINTS);
+        let freezesEarned = 0;
+        if (freezeMilestone > streak.freezeMilestone) {
+            freezesEarned = Math.min(freezeMilestone - streak.freezeMilestone, STREAK_FREEZE_MAX - streak.freezeTokens);
+            streak.freezeTokens += Math.max(freezesEarned, 0);
+            streak.freezeMilestone = freezeMilestone;
+        }
 
-        // Detect language and validate
-        const detectedLanguage = detectLanguage(replyText);
-        const expectedLanguage = user.targetLanguage;
+        await storage.saveStreak(userId, streak);
 
-        if (detectedLanguage === 'unknown' || detectedLanguage !== expectedLanguage) {
-            await client.chat.postMessage({
+        if (freezesEarned > 0) {
+            await app.client.chat.postMessage({
                 channel: userId,
-                text: expectedLanguage === 'ja'
-                    ? '⚠️ Please write your reply in Japanese! 🇯🇵'
-                    : '⚠️ Please write your reply in English! 🇺🇸'
+                text: t(await getUserLocale(userId), 'streak.freezesEarned', { count: freezesEarned, total: streak.freezeTokens })
             });
-            return;
         }
 
-        // Post reply as thread
-        const replyPost = await client.chat.postMessage({
-            channel: channelId,
-            thread_ts: messageTs,
-            text: `💬 Reply from ${pseudonym.handle}`,
-            blocks: [
-                {
-                    type: 'section',
-                    text: {
-                        type: 'mrkdwn',
-                        text: `*${pseudonym.handle}* replied:\n\n${replyText}`
+        return streak;
+    } catch (error) {
+        console.error(`❌ Error updating streaks for ${userId}:`, error);
+        return null;
+    }
+}
+
+async function celebrateStreakMilestone(userId, { kind, count }, channelId = null) {
+    const locale = await getUserLocale(userId);
+    const award = await awardActionPoints(userId, 'streak', {
+        milestone: count,
+        sourceType: 'streak',
+        sourceId: `${kind}:${count}:${getDateKey(new Date())}`,
+        channelId: channelId
+    });
+
+    await app.client.chat.postMessage({
+        channel: userId,
+        text: t(locale, 'streak.milestoneText', { kind, count }),
+        blocks: [
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `${t(locale, 'streak.milestone', { kind, count })}${award.amount > 0 ? `\n\n${formatAwardLine(award, locale)}` : ''}\n\n${t(locale, 'streak.keepGoing')}`
+                }
+            }
+        ]
+    });
+}
+
+// When a prompt closes, everyone who missed it spends a freeze or loses their prompt streak
+async function settleMissedPromptStreaks(prompt) {
+    for (const userId of await getPromptNonResponders(prompt)) {
+        try {
+            const streak = await storage.getStreak(userId);
+            if (!streak || !streak.promptCurrent) continue;
+
+            if (streak.freezeTokens > 0) {
+                await storage.saveStreak(userId, {
+                    ...streak,
+                    freezeTokens: streak.freezeTokens - 1,
+                    freezesUsed: (streak.freezesUsed || 0) + 1
+                });
+                const user = await storage.getUser(userId);
+                if (user) {
+                    await sendNotificationDm(user, 'notice', {
+                        text: t(getLocale(user), 'streak.freezeUsed', { count: streak.promptCurrent, left: streak.freezeTokens - 1 })
+                    });
+                }
+            } else {
+                await storage.saveStreak(userId, { ...streak, promptCurrent: 0 });
+            }
+        } catch (error) {
+            console.error(`❌ Error settling streak for ${userId}:`, error.message);
+        }
+    }
+}
+
+// Evening check: warn people whose daily writing streak ends at midnight
+async function sendDailyStreakWarnings(now = new Date()) {
+    const today = getDateKey(now);
+    const yesterday = new Date(Date.parse(today) - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const atRisk = await storage.listStreaks({ lastActiveDate: yesterday, dailyCurrent: { $gte: 2 } });
+    // A warning held over quiet hours is pointless once the day (in PROMPT_TIMEZONE) is over
+    const endOfDay = new Date(now.getTime() + (24 * 60 - getMinuteOfDay(now, PROMPT_TIMEZONE)) * 60 * 1000);
+    let sent = 0;
+
+    for (const streak of atRisk) {
+        try {
+            const user = await storage.getUser(streak.userId);
+            if (!user) continue;
+
+            const result = await sendNotificationDm(user, 'reminder', {
+                text: t(getLocale(user), 'streak.atRisk', { count: streak.dailyCurrent, hasFreeze: streak.freezeTokens > 0 })
+            }, { now, expiresAt: endOfDay });
+            if (result !== 'skipped') sent++;
+        } catch (error) {
+            console.log(`❌ Error warning user ${streak.userId}:`, error.message);
+        }
+    }
+
+    return sent;
+}
+
+// Home tab "My journey": the user's past responses and replies, newest first, 5 per page
+const JOURNEY_PAGE_SIZE = 5;
+
+// What a submission answered: the prompt as it was DMed to the user (or the stored prompt text),
+// or for a reply the response it was posted under
+async function getSubmissionContext(submission) {
+    if (submission.type === 'reply') {
+        const parent = await storage.getSubmissionByPost(submission.channelId, submission.parentPostTs);
+        return parent ? { text: parent.text, language: parent.language } : null;
+    }
+    if (!submission.promptId) return null;
+
+    const promptMessage = await storage.getPromptMessage(submission.userId, submission.promptId);
+    if (promptMessage && promptMessage.promptText) {
+        return { text: promptMessage.promptText, language: promptMessage.targetLanguage || submission.targetLanguage };
+    }
+    const prompt = await storage.getPrompt(submission.promptId);
+    if (!prompt) return null;
+    return prompt[submission.targetLanguage]
+        ? { text: prompt[submission.targetLanguage], language: submission.targetLanguage }
+        : { text: prompt.en, language: 'en' };
+}
+
+async function journeyBlocks(userId, page, locale) {
+    const filter = { userId };
+    const total = await storage.countSubmissions(filter);
+    const pageCount = Math.max(1, Math.ceil(total / JOURNEY_PAGE_SIZE));
+    page = Math.min(Math.max(page, 0), pageCount - 1);
+
+    const submissions = await storage.listSubmissions(filter, {
+        skip: page * JOURNEY_PAGE_SIZE,
+        limit: JOURNEY_PAGE_SIZE
+    });
+    const pointsBySubmission = await storage.getPointsBySource(userId, 'submission', submissions.map(sub => sub.submissionId));
+
+    const blocks = [
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: t(locale, 'journey.title', { total })
+            }
+        }
+    ];
+
+    if (submissions.length === 0) {
+        blocks.push({
+            type: 'section',
+            text: { type: 'mrkdwn', text: t(locale, 'journey.empty') }
+        });
+        return blocks;
+    }
+
+    for (const submission of submissions) {
+        const context = await getSubmissionContext(submission);
+        const heading = [
+            t(locale, submission.type === 'reply' ? 'journey.reply' : 'journey.response'),
+            formatLanguage(submission.language, locale),
+            formatSlackDate(submission.timestamp)
+        ].join(' • ') + (submission.late ? t(locale, 'post.late') : '');
+        const lines = [heading];
+        if (context) {
+            lines.push(t(locale, submission.type === 'reply' ? 'journey.repliedTo' : 'journey.prompt', { text: truncateText(context.text, 200) }));
+        }
+        lines.push(`> ${truncateText(submission.text, 500).replace(/\n/g, '\n> ')}`);
+
+        const details = [t(locale, 'journey.points', { points: pointsBySubmission[submission.submissionId] || 0 })];
+        if (submission.type !== 'reply') {
+            const replyFilter = { type: 'reply', channelId: submission.channelId, parentPostTs: submission.channelPostTs };
+            const replyCount = await storage.countSubmissions(replyFilter);
+            if (replyCount > 0) {
+                const replies = await storage.listSubmissions(replyFilter, { sort: { timestamp: 1 }, limit: 2 });
+                details.push(`${t(locale, 'journey.replies', { count: replyCount })}: ${replies.map(reply => `*${reply.pseudonym}* "${truncateText(reply.text, 80)}"`).join(' ・ ')}`);
+            }
+        }
+
+        const buttons = [
+            {
+                type: 'button',
+                text: { type: 'plain_text', text: t(locale, 'journey.correctionButton'), emoji: true },
+                action_id: 'journey_correction',
+                value: submission.submissionId
+            }
+        ];
+        if (context && getLanguage(context.language)?.readingAid) {
+            buttons.push({
+                type: 'button',
+                text: { type: 'plain_text', text: t(locale, 'journey.readingButton'), emoji: true },
+                action_id: 'journey_reading',
+                value: submission.submissionId
+            });
+        }
+
+        blocks.push(
+            {
+                type: 'section',
+                text: { type: 'mrkdwn', text: lines.join('\n') }
+            },
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: submission.feedback
+                        ? t(locale, 'journey.feedback', { feedback: truncateText(submission.feedback, 600) })
+                        : t(locale, 'journey.noFeedback')
+                }
+            },
+            {
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: details.join(' • ') }]
+            },
+            {
+                type: 'actions',
+                elements: buttons
+            }
+        );
+    }
+
+    if (pageCount > 1) {
+        const buttons = [];
+        if (page > 0) {
+            buttons.push({
+                type: 'button',
+                text: { type: 'plain_text', text: t(locale, 'common.previous') },
+                action_id: 'journey_page_prev',
+                value: String(page - 1)
+            });
+        }
+        if (page < pageCount - 1) {
+            buttons.push({
+                type: 'button',
+                text: { type: 'plain_text', text: t(locale, 'common.next') },
+                action_id: 'journey_page_next',
+                value: String(page + 1)
+            });
+        }
+        blocks.push(
+            { type: 'context', elements: [{ type: 'mrkdwn', text: t(locale, 'common.page', { page: page + 1, pageCount }) }] },
+            { type: 'actions', elements: buttons }
+        );
+    }
+
+    return blocks;
+}
+
+// Helper function to refresh home tab (options.journeyPage picks the "My journey" page)
+async function refreshHomeTab(userId, client, options = {}) {
+    try {
+        const user = await getOrCreateUser(userId, 'default');
+        const locale = getLocale(user);
+        const userPseudo = await storage.getPseudonym(userId);
+        const userPoints = await storage.getPoints(userId);
+        const recentPoints = await storage.getPointsHistory(userId, { limit: 5 });
+        const pseudonymChange = getPseudonymChangeStatus(userPseudo, userPoints);
+        const streak = await getStreak(userId);
+        const promptChannelIds = await getPromptChannelIds();
+        const userChannelIds = (user.channelIds || []).filter(channelId => promptChannelIds.includes(channelId));
+        const scheduleLines = await Promise.all((userChannelIds.length > 0 ? userChannelIds : promptChannelIds).map(async channelId => {
+            return t(locale, 'home.scheduleLine', { channel: channelId, schedule: describeSchedule(await getChannelSchedule(channelId), locale) });
+        }));
+        const levelOptions = [
+            {
+                text: { type: 'plain_text', text: t(locale, 'home.levelAuto') },
+                value: 'auto'
+            },
+            ...proficiencyLevels.map(level => ({
+                text: {
+                    type: 'plain_text',
+                    text: !user.targetLanguage || user.targetLanguage === 'en'
+                        ? `CEFR ${level.id}`
+                        : `${formatLevel(level.id, user.targetLanguage)} (CEFR ${level.id})`
+                },
+                value: level.id
+            }))
+        ];
+        const languageOption = language => ({
+            text: { type: 'plain_text', text: formatLanguage(language.code, locale), emoji: true },
+            value: language.code
+        });
+        const targetLanguageOptions = getEnabledLanguages().map(languageOption);
+        const nativeLanguageOptions = Object.values(LANGUAGES).map(languageOption);
+        // Each UI language is offered under its own name, so it can be found without reading the current one
+        const automaticLocale = getLocale({ ...user, uiLanguage: null });
+        const uiLanguageOptions = [
+            {
+                text: { type: 'plain_text', text: t(locale, 'home.uiLanguageAuto', { language: LANGUAGES[automaticLocale].nativeName }) },
+                value: 'auto'
+            },
+            ...getMessageLocales().map(code => ({
+                text: { type: 'plain_text', text: LANGUAGES[code].nativeName },
+                value: code
+            }))
+        ];
+        const journey = await journeyBlocks(userId, options.journeyPage || 0, locale);
+        const timezone = await getUserTimezone(userId, client);
+        const paused = isPaused(user, new Date(), timezone);
+        const quietHours = user.quietHours || {};
+        const formatTimeOfDay = time => {
+            const minutes = parseTimeOfDay(time);
+            return formatTime(Math.floor(minutes / 60), minutes % 60, locale);
+        };
+        const stageOptions = promptStages.map(stage => ({
+            text: { type: 'plain_text', text: formatStage(stage.id, locale) },
+            value: stage.id
+        }));
+        const selectedStageOptions = stageOptions.filter(option => !user.promptStages || user.promptStages.includes(option.value));
+        const recentPointsText = recentPoints.length > 0
+            ? recentPoints.map(entry => formatPointsEntry(entry, { locale })).join('\n')
+            : t(locale, 'points.none');
+
+        await client.views.publish({
+            user_id: userId,
+            view: {
+                type: 'home',
+                blocks: [
+                    {
+                        type: 'header',
+                        text: {
+                            type: 'plain_text',
+                            text: t(locale, 'home.title')
+                        }
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.welcome', { handle: formatHandle(userPseudo) })
+                        },
+                        ...(PSEUDONYM_CHANGE_LIMIT > 0 ? {
+                            accessory: {
+                                type: 'button',
+                                text: {
+                                    type: 'plain_text',
+                                    text: t(locale, 'home.newPseudonym'),
+                                    emoji: true
+                                },
+                                action_id: 'regenerate_pseudonym',
+                                confirm: {
+                                    title: { type: 'plain_text', text: t(locale, 'home.newPseudonymConfirmTitle') },
+                                    text: { type: 'mrkdwn', text: t(locale, 'home.newPseudonymConfirm', { cost: PSEUDONYM_CHANGE_COST }) },
+                                    confirm: { type: 'plain_text', text: t(locale, 'home.newPseudonymYes') },
+                                    deny: { type: 'plain_text', text: t(locale, 'common.cancel') }
+                                }
+                            }
+                        } : {})
+                    },
+                    ...(PSEUDONYM_CHANGE_LIMIT > 0 || userPseudo.previousHandles.length > 0 ? [{
+                        type: 'context',
+                        elements: [
+                            {
+                                type: 'mrkdwn',
+                                text: t(locale, 'home.pseudonymChanges', {
+                                    left: PSEUDONYM_CHANGE_LIMIT > 0 ? pseudonymChange.left : null,
+                                    cost: PSEUDONYM_CHANGE_COST,
+                                    cooldownDays: PSEUDONYM_CHANGE_COOLDOWN_DAYS,
+                                    previous: userPseudo.previousHandles.map(previous => previous.handle)
+                                })
+                            }
+                        ]
+                    }] : []),
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.summary', {
+                                points: userPoints,
+                                language: user.targetLanguage ? formatLanguage(user.targetLanguage, locale) : t(locale, 'common.notSet')
+                            })
+                        }
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.streaks', { summary: formatStreakSummary(streak, locale), points: STREAK_FREEZE_POINTS })
+                        }
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.pointsHistory', { entries: recentPointsText })
+                        },
+                        accessory: {
+                            type: 'button',
+                            text: {
+                                type: 'plain_text',
+                                text: t(locale, 'home.viewAll'),
+                                emoji: true
+                            },
+                            action_id: 'view_points_history'
+                        }
+                    },
+                    {
+                        type: 'divider'
+                    },
+                    ...journey,
+                    {
+                        type: 'divider'
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.targetLanguage')
+                        },
+                        accessory: {
+                            type: 'static_select',
+                            action_id: 'set_target_language',
+                            placeholder: {
+                                type: 'plain_text',
+                                text: t(locale, 'home.chooseLanguage')
+                            },
+                            options: targetLanguageOptions,
+                            initial_option: targetLanguageOptions.find(option => option.value === user.targetLanguage)
+                        }
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.nativeLanguage', {
+                                language: formatLanguage(getNativeLanguage(user), locale),
+                                isDefault: !user.nativeLanguage
+                            })
+                        },
+                        accessory: {
+                            type: 'static_select',
+                            action_id: 'set_native_language',
+                            placeholder: {
+                                type: 'plain_text',
+                                text: t(locale, 'home.chooseLanguage')
+                            },
+                            options: nativeLanguageOptions,
+                            initial_option: nativeLanguageOptions.find(option => option.value === user.nativeLanguage)
+                        }
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.uiLanguage', { language: LANGUAGES[locale].nativeName })
+                        },
+                        accessory: {
+                            type: 'static_select',
+                            action_id: 'set_ui_language',
+                            placeholder: {
+                                type: 'plain_text',
+                                text: t(locale, 'home.chooseLanguage')
+                            },
+                            options: uiLanguageOptions,
+                            initial_option: uiLanguageOptions.find(option => option.value === (isMessageLocale(user.uiLanguage) ? user.uiLanguage : 'auto'))
+                        }
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.level', {
+                                level: user.level ? formatLevel(user.level, user.targetLanguage) : null,
+                                estimated: user.levelSource !== 'self'
+                            })
+                        },
+                        accessory: {
+                            type: 'static_select',
+                            action_id: 'set_proficiency_level',
+                            placeholder: {
+                                type: 'plain_text',
+                                text: t(locale, 'home.chooseLevel')
+                            },
+                            options: levelOptions,
+                            initial_option: levelOptions.find(option => option.value === (user.levelSource === 'self' ? user.level : 'auto'))
+                        }
+                    },
+                    {
+                        type: 'divider'
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.notifications', { timezone })
+                        }
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.promptStages')
+                        },
+                        accessory: {
+                            type: 'checkboxes',
+                            action_id: 'set_prompt_stages',
+                            options: stageOptions,
+                            ...(selectedStageOptions.length > 0 ? { initial_options: selectedStageOptions } : {})
+                        }
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.pause', { until: paused ? user.pausedUntil : null })
+                        },
+                        accessory: {
+                            type: 'datepicker',
+                            action_id: 'set_pause_until',
+                            placeholder: {
+                                type: 'plain_text',
+                                text: t(locale, 'home.pauseDate')
+                            },
+                            ...(paused ? { initial_date: user.pausedUntil } : {})
+                        }
+                    },
+                    ...(paused ? [{
+                        type: 'actions',
+                        elements: [
+                            {
+                                type: 'button',
+                                text: {
+                                    type: 'plain_text',
+                                    text: t(locale, 'home.resume'),
+                                    emoji: true
+                                },
+                                action_id: 'resume_prompts'
+                            }
+                        ]
+                    }] : []),
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.quietHours', {
+                                start: quietHours.start ? formatTimeOfDay(quietHours.start) : null,
+                                end: quietHours.end ? formatTimeOfDay(quietHours.end) : null
+                            })
+                        }
+                    },
+                    {
+                        type: 'actions',
+                        elements: [
+                            {
+                                type: 'timepicker',
+                                action_id: 'set_quiet_start',
+                                placeholder: {
+                                    type: 'plain_text',
+                                    text: t(locale, 'home.quietStart')
+                                },
+                                ...(quietHours.start ? { initial_time: quietHours.start } : {})
+                            },
+                            {
+                                type: 'timepicker',
+                                action_id: 'set_quiet_end',
+                                placeholder: {
+                                    type: 'plain_text',
+                                    text: t(locale, 'home.quietEnd')
+                                },
+                                ...(quietHours.end ? { initial_time: quietHours.end } : {})
+                            },
+                            ...(quietHours.start || quietHours.end ? [{
+                                type: 'button',
+                                text: {
+                                    type: 'plain_text',
+                                    text: t(locale, 'home.quietOff'),
+                                    emoji: true
+                                },
+                                action_id: 'clear_quiet_hours'
+                            }] : [])
+                        ]
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.reminders', { on: !user.remindersOptOut })
+                        },
+                        accessory: {
+                            type: 'button',
+                            text: {
+                                type: 'plain_text',
+                                text: user.remindersOptOut ? t(locale, 'home.turnOn') : t(locale, 'home.turnOff'),
+                                emoji: true
+                            },
+                            action_id: 'toggle_reminders'
+                        }
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.replyNotifications', { on: !user.replyNotificationsOptOut })
+                        },
+                        accessory: {
+                            type: 'button',
+                            text: {
+                                type: 'plain_text',
+                                text: user.replyNotificationsOptOut ? t(locale, 'home.turnOn') : t(locale, 'home.turnOff'),
+                                emoji: true
+                            },
+                            action_id: 'toggle_reply_notifications'
+                        }
+                    },
+                    {
+                        type: 'divider'
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.howItWorks', {
+                                schedule: scheduleLines.length > 0 ? scheduleLines.join('; ') : describeSchedule(await getChannelSchedule(null), locale)
+                            })
+                        }
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.privacy')
+                        }
+                    },
+                    {
+                        type: 'divider'
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'home.testing')
+                        }
+                    },
+                    {
+                        type: 'actions',
+                        elements: [
+                            {
+                                type: 'button',
+                                text: {
+                                    type: 'plain_text',
+                                    text: t(locale, 'home.generateTest'),
+                                    emoji: true
+                                },
+                                value: 'generate_prompt',
+                                action_id: 'generate_test_prompt',
+                                style: 'primary'
+                            }
+                        ]
+                    }
+                ]
+            }
+        });
+    } catch (error) {
+        console.error('Error refreshing home tab:', error);
+    }
+}
+
+// Event Handlers
+
+// App Home Handler
+app.event('app_home_opened', async ({ event, client, logger }) => {
+    await refreshHomeTab(event.user, client);
+});
+
+// Target Language Selection (the Home tab picker; the pattern also matches the old per-language buttons)
+app.action(/^set_target_language/, async ({ ack, body, action, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const selectedLanguage = action.selected_option ? action.selected_option.value : action.value;
+        const language = getLanguage(selectedLanguage);
+        if (!language) return;
+
+        const user = await getOrCreateUser(userId, body.team.id);
+        user.targetLanguage = selectedLanguage;
+        if (user.nativeLanguage === selectedLanguage) {
+            user.nativeLanguage = null;
+        }
+        await storage.saveUser(user);
+
+        await client.chat.postMessage({
+            channel: userId,
+            text: t(getLocale(user), 'settings.targetSet', { language: formatLanguage(language.code, getLocale(user)) })
+        });
+
+        // Refresh home tab
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error(error);
+    }
+});
+
+app.action('set_native_language', async ({ ack, body, action, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const language = getLanguage(action.selected_option.value);
+        if (!language) return;
+
+        const user = await getOrCreateUser(userId, body.team.id);
+        if (user.targetLanguage === language.code) {
+            await client.chat.postMessage({
+                channel: userId,
+                text: t(getLocale(user), 'settings.nativeIsTarget', { language: getLanguageName(language.code, getLocale(user)) })
+            });
+            await refreshHomeTab(userId, client);
+            return;
+        }
+
+        user.nativeLanguage = language.code;
+        await storage.saveUser(user);
+
+        // With an automatic UI language this confirmation is already in the new language
+        const locale = getLocale(user);
+        await client.chat.postMessage({
+            channel: userId,
+            text: t(locale, 'settings.nativeSet', { language: formatLanguage(language.code, locale), name: getLanguageName(language.code, locale) })
+        });
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error(error);
+    }
+});
+
+// UI language: "auto" follows the native language again
+app.action('set_ui_language', async ({ ack, body, action, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const selected = action.selected_option.value;
+        const user = await getOrCreateUser(userId, body.team.id);
+        user.uiLanguage = isMessageLocale(selected) ? selected : null;
+        await storage.saveUser(user);
+
+        const locale = getLocale(user);
+        await client.chat.postMessage({
+            channel: userId,
+            text: t(locale, 'settings.uiSet', { language: LANGUAGES[locale].nativeName })
+        });
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error(error);
+    }
+});
+
+// Deadline reminder opt-out (button on the reminder DM) and Home tab toggle
+app.action('reminders_opt_out', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const user = await getOrCreateUser(userId, body.team.id);
+        user.remindersOptOut = true;
+        await storage.saveUser(user);
+
+        await client.chat.postMessage({
+            channel: userId,
+            text: t(getLocale(user), 'reminder.stopped')
+        });
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error(error);
+    }
+});
+
+app.action('toggle_reminders', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const user = await getOrCreateUser(userId, body.team.id);
+        user.remindersOptOut = !user.remindersOptOut;
+        await storage.saveUser(user);
+
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error(error);
+    }
+});
+
+// New pseudonym (Home tab): the old handle stays reserved for this user and listed on the Home tab
+app.action('regenerate_pseudonym', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const user = await getOrCreateUser(userId, body.team.id);
+        const locale = getLocale(user);
+        const pseudonym = await storage.getPseudonym(userId);
+        const status = getPseudonymChangeStatus(pseudonym, await storage.getPoints(userId));
+
+        if (PSEUDONYM_CHANGE_LIMIT === 0 || !status.allowed) {
+            await client.chat.postMessage({
+                channel: userId,
+                text: t(locale, `pseudonym.${status.reason || 'limit'}`, {
+                    date: status.availableAt ? formatSlackDate(status.availableAt, t(locale, 'date.at')) : null,
+                    cost: PSEUDONYM_CHANGE_COST
+                })
+            });
+            return;
+        }
+
+        const replacement = await createUniquePseudonym(userId);
+        const now = new Date();
+        if (PSEUDONYM_CHANGE_COST > 0) {
+            await storage.awardPoints({
+                userId: userId,
+                amount: -PSEUDONYM_CHANGE_COST,
+                reason: 'pseudonym_change',
+                sourceType: 'pseudonym',
+                sourceId: replacement.handle
+            });
+        }
+        await storage.savePseudonym(userId, {
+            ...replacement,
+            previousHandles: [...pseudonym.previousHandles, { handle: pseudonym.handle, retiredAt: now }],
+            regenerations: pseudonym.regenerations + 1,
+            regeneratedAt: now
+        });
+
+        console.log(`🎭 ${userId} changed pseudonym from ${pseudonym.handle} to ${replacement.handle}`);
+        await client.chat.postMessage({
+            channel: userId,
+            text: t(locale, 'pseudonym.changed', { handle: replacement.handle, previous: pseudonym.handle, cost: PSEUDONYM_CHANGE_COST })
+        });
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error('Error changing pseudonym:', error);
+    }
+});
+
+app.action('toggle_reply_notifications', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const user = await getOrCreateUser(userId, body.team.id);
+        user.replyNotificationsOptOut = !user.replyNotificationsOptOut;
+        await storage.saveUser(user);
+
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error(error);
+    }
+});
+
+// Daily prompt stages to receive (all ticked is stored as null, so new stages are included)
+app.action('set_prompt_stages', async ({ ack, body, action, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const user = await getOrCreateUser(userId, body.team.id);
+        const selected = action.selected_options.map(option => option.value);
+        user.promptStages = promptStages.every(stage => selected.includes(stage.id)) ? null : selected;
+        await storage.saveUser(user);
+
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error(error);
+    }
+});
+
+// Pause through the picked day (a day already over resumes instead)
+app.action('set_pause_until', async ({ ack, body, action, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const user = await getOrCreateUser(userId, body.team.id);
+        const locale = getLocale(user);
+        const today = getDateKey(new Date(), await getUserTimezone(userId, client));
+        const pausing = Boolean(action.selected_date) && action.selected_date >= today;
+        user.pausedUntil = pausing ? action.selected_date : null;
+        await storage.saveUser(user);
+
+        await client.chat.postMessage({
+            channel: userId,
+            text: pausing ? t(locale, 'settings.paused', { date: user.pausedUntil }) : t(locale, 'settings.resumed')
+        });
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error(error);
+    }
+});
+
+app.action('resume_prompts', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const user = await getOrCreateUser(userId, body.team.id);
+        user.pausedUntil = null;
+        await storage.saveUser(user);
+
+        await client.chat.postMessage({
+            channel: userId,
+            text: t(getLocale(user), 'settings.resumed')
+        });
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error(error);
+    }
+});
+
+// Quiet hours start / end ("HH:MM" from the timepickers)
+app.action(/^set_quiet_(start|end)$/, async ({ ack, body, action, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const user = await getOrCreateUser(userId, body.team.id);
+        const edge = action.action_id === 'set_quiet_start' ? 'start' : 'end';
+        user.quietHours = { start: null, end: null, ...user.quietHours, [edge]: action.selected_time || null };
+        await storage.saveUser(user);
+
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error(error);
+    }
+});
+
+app.action('clear_quiet_hours', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const user = await getOrCreateUser(userId, body.team.id);
+        user.quietHours = null;
+        await storage.saveUser(user);
+
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error(error);
+    }
+});
+
+// Proficiency Level Selection
+app.action('set_proficiency_level', async ({ ack, body, action, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const selectedLevel = action.selected_option.value;
+        let user = await getOrCreateUser(userId, body.team.id);
+
+        if (selectedLevel === 'auto') {
+            user.levelSource = 'inferred';
+            await storage.saveUser(user);
+            user = await updateInferredLevel(user);
+        } else {
+            user.level = getProficiencyLevel(selectedLevel).id;
+            user.levelSource = 'self';
+            await storage.saveUser(user);
+        }
+
+        await client.chat.postMessage({
+            channel: userId,
+            text: user.level
+                ? t(getLocale(user), 'settings.levelSet', { level: formatLevel(user.level, user.targetLanguage), estimated: user.levelSource !== 'self' })
+                : t(getLocale(user), 'settings.levelPending')
+        });
+
+        await refreshHomeTab(userId, client);
+    } catch (error) {
+        logger.error(error);
+    }
+});
+
+// Generate Test Prompt Button Handler
+app.action('generate_test_prompt', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const user = await getOrCreateUser(userId, body.team.id);
+        const locale = getLocale(user);
+
+        if (!user.targetLanguage) {
+            await client.chat.postMessage({
+                channel: userId,
+                text: t(locale, 'setup.chooseLanguage', { languages: describeEnabledLanguages(locale) })
+            });
+            return;
+        }
+
+        // Generate a prompt
+        const prompt = await ensurePromptLanguages(await generateAIPrompt(), [user.targetLanguage]);
+        const personalizedPrompt = getPromptForLevel(prompt, user.targetLanguage, user.level);
+        const language = getLanguage(user.targetLanguage);
+        const languageName = getLanguageName(language.code, locale);
+
+        const promptMessage = await client.chat.postMessage({
+            channel: userId,
+            text: t(locale, 'prompt.testReady'),
+            blocks: [
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: t(locale, 'prompt.testHeading', { flag: language.flag, language: languageName, prompt: personalizedPrompt })
+                    }
+                },
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: `${t(locale, 'prompt.howToRespond')}${language.readingAid ? `\n\n${t(locale, 'prompt.readingTip', { language: languageName })}` : ''}`
+                    }
+                }
+            ]
+        });
+
+        // Store message for reaction handling
+        await storage.trackMessage({
+            channelId: promptMessage.channel,
+            messageTs: promptMessage.ts,
+            userId: userId,
+            type: 'prompt',
+            promptText: personalizedPrompt,
+            targetLanguage: user.targetLanguage
+        });
+
+        console.log(`✅ Test prompt sent to user ${userId}`);
+    } catch (error) {
+        logger.error('Error generating test prompt:', error);
+        await client.chat.postMessage({
+            channel: body.user.id,
+            text: t(await getUserLocale(body.user.id), 'prompt.testError')
+        });
+    }
+});
+
+// Points History Button Handler
+app.action('view_points_history', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const locale = await getUserLocale(userId);
+        const history = await storage.getPointsHistory(userId, { limit: 25 });
+        const userPoints = await storage.getPoints(userId);
+
+        await client.views.open({
+            trigger_id: body.trigger_id,
+            view: {
+                type: 'modal',
+                title: {
+                    type: 'plain_text',
+                    text: t(locale, 'points.historyTitle')
+                },
+                close: {
+                    type: 'plain_text',
+                    text: t(locale, 'common.close')
+                },
+                blocks: [
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'points.balance', { points: userPoints })
+                        }
+                    },
+                    {
+                        type: 'divider'
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: history.length > 0
+                                ? history.map(entry => formatPointsEntry(entry, { locale })).join('\n')
+                                : t(locale, 'points.none')
+                        }
+                    },
+                    {
+                        type: 'context',
+                        elements: [
+                            {
+                                type: 'mrkdwn',
+                                text: t(locale, 'points.showingRecent', { count: 25 })
+                            }
+                        ]
+                    }
+                ]
+            }
+        });
+    } catch (error) {
+        logger.error('Error opening points history:', error);
+    }
+});
+
+// Home tab "My journey" paging
+app.action(/^journey_page_/, async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        await refreshHomeTab(body.user.id, client, { journeyPage: Number(body.actions[0].value) || 0 });
+    } catch (error) {
+        logger.error('Error paging journey:', error);
+    }
+});
+
+function journeyModal(title, blocks, locale) {
+    return {
+        type: 'modal',
+        title: { type: 'plain_text', text: title, emoji: true },
+        close: { type: 'plain_text', text: t(locale, 'common.close') },
+        blocks: blocks
+    };
+}
+
+// Journey buttons: open a placeholder modal straight away (trigger IDs expire after 3 seconds),
+// then fill it in once the AI text is ready. Results are kept on the submission per UI language, so
+// reopening is instant; generate returns { texts, failed } or null when there is nothing to show.
+async function openJourneyModal(body, client, { title, field, generate }) {
+    const userId = body.user.id;
+    const user = await storage.getUser(userId);
+    const locale = getLocale(user);
+    const submission = await storage.getSubmission(body.actions[0].value);
+
+    if (!submission || submission.userId !== userId) {
+        await client.views.open({
+            trigger_id: body.trigger_id,
+            view: journeyModal(t(locale, title), [{ type: 'section', text: { type: 'mrkdwn', text: t(locale, 'journey.notFound') } }], locale)
+        });
+        return;
+    }
+
+    const cached = submission[field] && submission[field][locale];
+    let viewId = null;
+    if (!cached) {
+        const loading = await client.views.open({
+            trigger_id: body.trigger_id,
+            view: journeyModal(t(locale, title), [{ type: 'section', text: { type: 'mrkdwn', text: t(locale, 'journey.loading') } }], locale)
+        });
+        viewId = loading.view.id;
+    }
+
+    let result = cached;
+    if (!result) {
+        try {
+            const generated = await generate(submission, user, locale);
+            result = generated ? generated.texts : [t(locale, 'journey.notFound')];
+            if (generated && !generated.failed) {
+                await storage.updateSubmission(submission.submissionId, { [field]: { ...submission[field], [locale]: result } });
+            }
+        } catch (error) {
+            // Don't leave the modal on its loading message
+            console.error(`Error generating ${field} for submission ${submission.submissionId}:`, error);
+            result = [t(locale, 'journey.failed')];
+        }
+    }
+
+    const view = journeyModal(t(locale, title), result.map(text => ({ type: 'section', text: { type: 'mrkdwn', text: truncateText(text, 2900) } })), locale);
+    if (viewId) {
+        await client.views.update({ view_id: viewId, view });
+    } else {
+        await client.views.open({ trigger_id: body.trigger_id, view });
+    }
+}
+
+app.action('journey_correction', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        await openJourneyModal(body, client, {
+            title: 'journey.correctionTitle',
+            field: 'detailedCorrection',
+            generate: async (submission, user, locale) => {
+                const context = await getSubmissionContext(submission);
+                const correction = await generateDetailedCorrection(
+                    submission.text,
+                    submission.targetLanguage || submission.language,
+                    context && submission.type !== 'reply' ? context.text : null,
+                    getNativeLanguage(user),
+                    locale
+                );
+                return {
+                    texts: [t(locale, 'journey.youWrote', { text: truncateText(submission.text, 1000).replace(/\n/g, '\n> ') }), correction],
+                    failed: correction === t(locale, 'correction.failed')
+                };
+            }
+        });
+    } catch (error) {
+        logger.error('Error opening detailed correction:', error);
+    }
+});
+
+app.action('journey_reading', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        await openJourneyModal(body, client, {
+            title: 'journey.readingTitle',
+            field: 'reading',
+            generate: async (submission, user, locale) => {
+                const context = await getSubmissionContext(submission);
+                if (!context) return null;
+                const reading = await generateReadingAid(context.text, context.language, locale);
+                return {
+                    texts: [t(locale, 'journey.readingOf', { language: getLanguageName(context.language, locale), text: truncateText(context.text, 1000).replace(/\n/g, '\n> ') }), reading],
+                    failed: reading.endsWith(t(locale, 'reading.failed'))
+                };
+            }
+        });
+    } catch (error) {
+        logger.error('Error opening reading help:', error);
+    }
+});
+
+// Prompt page: every response to a prompt, 10 per page
+const PROMPT_RESPONSES_PAGE_SIZE = 10;
+
+async function promptResponsesView(prompt, page = 0, locale = DEFAULT_UI_LANGUAGE) {
+    const filter = { promptId: prompt.promptId, type: 'response' };
+    const total = await storage.countSubmissions(filter);
+    const pageCount = Math.max(1, Math.ceil(total / PROMPT_RESPONSES_PAGE_SIZE));
+    page = Math.min(Math.max(page, 0), pageCount - 1);
+
+    const responses = await storage.listSubmissions(filter, {
+        sort: { timestamp: 1 },
+        skip: page * PROMPT_RESPONSES_PAGE_SIZE,
+        limit: PROMPT_RESPONSES_PAGE_SIZE
+    });
+    const replyCount = await storage.countSubmissions({ promptId: prompt.promptId, type: 'reply' });
+
+    const blocks = [
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: t(locale, 'responses.header', {
+                    category: formatCategory(prompt.category, locale).toUpperCase(),
+                    stage: formatStage(prompt.stage, locale),
+                    posted: prompt.postedAt ? formatSlackDate(prompt.postedAt) : t(locale, 'responses.notPosted'),
+                    channel: prompt.channelId,
+                    texts: formatPromptTexts(prompt)
+                })
+            }
+        },
+        {
+            type: 'context',
+            elements: [
+                {
+                    type: 'mrkdwn',
+                    text: t(locale, 'responses.counts', { responses: total, replies: replyCount })
+                }
+            ]
+        },
+        {
+            type: 'divider'
+        }
+    ];
+
+    for (const response of responses) {
+        const replies = await storage.countSubmissions({ type: 'reply', channelId: response.channelId, parentPostTs: response.channelPostTs });
+        const text = truncateText(response.text, 500);
+        blocks.push({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `*${formatHandle({ handle: response.pseudonym, cohortLabel: response.cohortLabel })}* • ${formatLanguage(response.language, locale)} • ${formatSlackDate(response.timestamp)}${replies > 0 ? ` • 💬 ${replies}` : ''}\n${text}`
+            }
+        });
+    }
+
+    if (responses.length === 0) {
+        blocks.push({
+            type: 'section',
+            text: { type: 'mrkdwn', text: t(locale, 'responses.empty') }
+        });
+    }
+
+    if (pageCount > 1) {
+        const buttons = [];
+        if (page > 0) {
+            buttons.push({
+                type: 'button',
+                text: { type: 'plain_text', text: t(locale, 'common.previous') },
+                action_id: 'prompt_responses_page_prev',
+                value: JSON.stringify({ promptId: prompt.promptId, page: page - 1 })
+            });
+        }
+        if (page < pageCount - 1) {
+            buttons.push({
+                type: 'button',
+                text: { type: 'plain_text', text: t(locale, 'common.next') },
+                action_id: 'prompt_responses_page_next',
+                value: JSON.stringify({ promptId: prompt.promptId, page: page + 1 })
+            });
+        }
+        blocks.push(
+            { type: 'context', elements: [{ type: 'mrkdwn', text: t(locale, 'common.page', { page: page + 1, pageCount }) }] },
+            { type: 'actions', elements: buttons }
+        );
+    }
+
+    return {
+        type: 'modal',
+        callback_id: 'prompt_responses',
+        title: { type: 'plain_text', text: t(locale, 'responses.title') },
+        close: { type: 'plain_text', text: t(locale, 'common.close') },
+        blocks: blocks
+    };
+}
+
+// View Responses Button Handler (on the prompt's channel alert)
+app.action('view_prompt_responses', async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        const locale = await getUserLocale(body.user.id);
+        const prompt = await storage.getPrompt(body.actions[0].value);
+        if (!prompt) {
+            await client.chat.postEphemeral({
+                channel: body.channel.id,
+                user: body.user.id,
+                text: t(locale, 'responses.notFound')
+            });
+            return;
+        }
+
+        await client.views.open({
+            trigger_id: body.trigger_id,
+            view: await promptResponsesView(prompt, 0, locale)
+        });
+    } catch (error) {
+        logger.error('Error opening prompt responses:', error);
+    }
+});
+
+app.action(/^prompt_responses_page_/, async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        const { promptId, page } = JSON.parse(body.actions[0].value);
+        const prompt = await storage.getPrompt(promptId);
+        if (!prompt) return;
+
+        await client.views.update({
+            view_id: body.view.id,
+            hash: body.view.hash,
+            view: await promptResponsesView(prompt, page, await getUserLocale(body.user.id))
+        });
+    } catch (error) {
+        logger.error('Error paging prompt responses:', error);
+    }
+});
+
+// Reply to Response Button Handler
+app.action(/^reply_to_response_/, async ({ ack, body, client, logger }) => {
+    await ack();
+
+    try {
+        const actionId = body.actions[0].action_id;
+        const value = JSON.parse(body.actions[0].value);
+        const { originalPoster, originalText, messageTs, threadTs } = value;
+
+        const userId = body.user.id;
+        const user = await getOrCreateUser(userId, body.team.id);
+        const locale = getLocale(user);
+
+        if (!user.targetLanguage) {
+            await client.chat.postMessage({
+                channel: userId,
+                text: t(locale, 'setup.chooseLanguage', { languages: describeEnabledLanguages(locale) })
+            });
+            return;
+        }
+        const languageName = getLanguageName(user.targetLanguage, locale);
+
+        // Open reply modal
+        await client.views.open({
+            trigger_id: body.trigger_id,
+            view: {
+                type: 'modal',
+                callback_id: 'reply_modal',
+                private_metadata: JSON.stringify({
+                    originalPoster,
+                    originalText,
+                    messageTs,
+                    threadTs,
+                    channelId: body.channel.id
+                }),
+                title: {
+                    type: 'plain_text',
+                    text: t(locale, 'reply.title')
+                },
+                submit: {
+                    type: 'plain_text',
+                    text: t(locale, 'reply.submit')
+                },
+                close: {
+                    type: 'plain_text',
+                    text: t(locale, 'common.cancel')
+                },
+                blocks: [
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'reply.replyingTo', { handle: originalPoster, text: originalText })
+                        }
+                    },
+                    {
+                        type: 'divider'
+                    },
+                    {
+                        type: 'input',
+                        block_id: 'reply_text',
+                        element: {
+                            type: 'plain_text_input',
+                            action_id: 'reply_input',
+                            multiline: true,
+                            placeholder: {
+                                type: 'plain_text',
+                                text: t(locale, 'reply.placeholder', { language: languageName })
+                            }
+                        },
+                        label: {
+                            type: 'plain_text',
+                            text: t(locale, 'reply.label')
+                        }
+                    },
+                    {
+                        type: 'context',
+                        elements: [
+                            {
+                                type: 'mrkdwn',
+                                text: t(locale, 'reply.writeIn', { language: `${languageName} ${getLanguage(user.targetLanguage).flag}` })
+                            }
+                        ]
+                    }
+                ]
+            }
+        });
+    } catch (error) {
+        logger.error('Error opening reply modal:', error);
+    }
+});
+
+// Tell the author of a response that someone replied to it (Home tab: reply notifications)
+async function notifyReplyReceived(parentSubmission, { handle, text, channelId, replyTs }, client) {
+    try {
+        const author = await storage.getUser(parentSubmission.userId);
+        if (!author) return;
+
+        const locale = getLocale(author);
+        const replyLink = await client.chat.getPermalink({ channel: channelId, message_ts: replyTs })
+            .then(result => result.permalink)
+            .catch(() => null);
+
+        await sendNotificationDm(author, 'reply', {
+            text: t(locale, 'reply.receivedText', { handle }),
+            blocks: [
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: t(locale, 'reply.received', {
+                            handle,
+                            link: replyLink,
+                            original: truncateText(parentSubmission.text, 300),
+                            text: text
+                        })
+                    }
+                }
+            ]
+        }, { client });
+    } catch (error) {
+        console.log(`❌ Error notifying ${parentSubmission.userId} of a reply:`, error.message);
+    }
+}
+
+// Reply Modal Submission Handler
+app.view('reply_modal', async ({ ack, body, view, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        const metadata = JSON.parse(view.private_metadata);
+        const { originalPoster, originalText, messageTs, threadTs, channelId } = metadata;
+
+        const replyText = view.state.values.reply_text.reply_input.value;
+
+        if (!replyText || replyText.trim().length === 0) {
+            return;
+        }
+
+        const user = await getOrCreateUser(userId, body.team.id);
+        const locale = getLocale(user);
+        const pseudonym = await storage.getPseudonym(userId);
+
+        // Detect language and validate
+        const expectedLanguage = user.targetLanguage;
+        const languageCheck = checkLanguage(replyText, expectedLanguage, locale);
+        const detectedLanguage = languageCheck.language;
+
+        if (languageCheck.problem) {
+            await client.chat.postMessage({
+                channel: userId,
+                text: `${languageCheck.problem}\n\n${t(locale, 'common.youWrote', { text: replyText })}`
+            });
+            return;
+        }
+
+        const heldBack = await checkSubmission(userId, replyText, {
+            language: detectedLanguage,
+            sourceTexts: [originalText],
+            locale: locale
+        });
+        if (heldBack) {
+            console.log(`🛑 Held back reply from ${userId} (${heldBack.check})`);
+            await client.chat.postMessage({
+                channel: userId,
+                text: `${t(locale, 'reply.notPosted', { reason: heldBack.message })}\n\n${t(locale, 'common.youWrote', { text: replyText })}`
+            });
+            return;
+        }
+
+        // Post reply as thread
+        const replyPost = await client.chat.postMessage({
+            channel: channelId,
+            // Responses live in the prompt's thread, so replies join that thread (older top-level posts start their own)
+            thread_ts: threadTs || messageTs,
+            text: t(DEFAULT_UI_LANGUAGE, 'post.replyText', { handle: formatHandle(pseudonym) }),
+            blocks: [
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: t(DEFAULT_UI_LANGUAGE, 'post.replied', { handle: formatHandle(pseudonym), original: originalPoster, text: replyText })
+                    }
+                },
+                {
+                    type: 'context',
+                    elements: [
+                        {
+                            type: 'mrkdwn',
+                            text: `${formatLanguage(expectedLanguage, DEFAULT_UI_LANGUAGE)} • ${new Date().toLocaleTimeString()}`
+                        }
+                    ]
+                }
+            ]
+        });
+
+        // Generate AI feedback for the replier
+        const feedback = await generateAIFeedback(replyText, expectedLanguage, user.level, getNativeLanguage(user), locale);
+
+        // Store reply for analytics
+        const submissionId = uuidv4();
+        let parentSubmission = null;
+        try {
+            // A reply belongs to the same prompt as the response it answers
+            parentSubmission = await storage.getSubmissionByPost(channelId, messageTs);
+            await storage.saveSubmission({
+                submissionId: submissionId,
+                type: 'reply',
+                userId: userId,
+                pseudonym: pseudonym.handle,
+                cohortLabel: pseudonym.cohortLabel,
+                text: replyText,
+                language: detectedLanguage,
+                languageMix: languageCheck.analysis.proportions,
+                targetLanguage: expectedLanguage,
+                timestamp: new Date(),
+                feedback: feedback,
+                channelId: channelId,
+                channelPostTs: replyPost.ts,
+                parentPostTs: messageTs,
+                promptId: parentSubmission ? parentSubmission.promptId || null : null
+            });
+        } catch (dbError) {
+            console.error('Error syncing reply to database:', dbError);
+        }
+
+        // Award points
+        const award = await awardActionPoints(userId, 'reply', {
+            text: replyText,
+            language: detectedLanguage,
+            targetLanguage: expectedLanguage,
+            sourceType: 'submission',
+            sourceId: submissionId,
+            channelId: channelId
+        });
+
+        const feedbackMessage = await client.chat.postMessage({
+            channel: userId,
+            text: t(locale, 'reply.postedText', { amount: award.amount }),
+            blocks: [
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: t(locale, 'reply.posted', { handle: originalPoster, award: formatAwardLine(award, locale) })
+                    }
+                },
+                {
+                    type: 'divider'
+                },
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: t(locale, 'feedback.section', { feedback, revisionHint: false })
+                    }
+                }
+            ]
+        });
+
+        // Store feedback message for reaction handling
+        await storage.trackMessage({
+            channelId: feedbackMessage.channel,
+            messageTs: feedbackMessage.ts,
+            userId: userId,
+            type: 'feedback',
+            promptText: originalText,
+            originalText: replyText,
+            feedbackText: feedback,
+            targetLanguage: expectedLanguage
+        });
+
+        await recordStreakActivity(userId, { channelId: channelId });
+
+        // Keep the estimated level up to date for users who haven't set one
+        await updateInferredLevel(user);
+
+        if (parentSubmission && parentSubmission.userId !== userId) {
+            await notifyReplyReceived(parentSubmission, { handle: formatHandle(pseudonym), text: replyText, channelId, replyTs: replyPost.ts }, client);
+        }
+
+        console.log(`✅ Reply posted by ${userId} (${pseudonym.handle})`);
+    } catch (error) {
+        logger.error('Error handling reply submission:', error);
+        await client.chat.postMessage({
+            channel: body.user.id,
+            text: t(await getUserLocale(body.user.id), 'reply.error')
+        });
+    }
+});
+
+// DM Response Handler (Anti-cheating pipeline)
+app.message(async ({ message, client, logger }) => {
+    // Update connection health tracker
+    lastConnectionCheck = Date.now();
+    connectionHealthy = true;
+
+    try {
+        // Only handle DMs (not channel messages)
+        if (message.channel_type !== 'im') return;
+        if (message.user === process.env.SLACK_BOT_USER_ID) return;
+
+        const userId = message.user;
+        const responseText = message.text;
+
+        if (!responseText || responseText.trim().length === 0) return;
+
+        // Get user profile first to check language settings
+        const userForDictionary = await getOrCreateUser(userId, 'default');
+        const locale = getLocale(userForDictionary);
+
+        // Check if user has set their language
+        if (!userForDictionary.targetLanguage) {
+            await client.chat.postMessage({
+                channel: userId,
+                text: t(locale, 'setup.chooseLanguageWelcome', { languages: describeEnabledLanguages(locale) })
+            });
+            return;
+        }
+
+        const userNativeLanguage = getNativeLanguage(userForDictionary);
+
+        // --- DICTIONARY GATE: Check if message is a dictionary command ---
+        // English commands always work; the registry adds the ones for the user's native language
+        const lowerCaseText = responseText.toLowerCase();
+        let wordToDefine = '';
+        let commandFound = false;
+
+        for (const code of [...new Set(['en', userNativeLanguage])]) {
+            const commands = getLanguage(code).dictionaryCommands || {};
+            const prefix = (commands.prefixes || []).find(candidate => lowerCaseText.startsWith(candidate));
+            const wrapped = (commands.wrapped || []).find(([start, end]) => lowerCaseText.startsWith(start) && lowerCaseText.endsWith(end));
+            const suffix = (commands.suffixes || []).find(candidate => lowerCaseText.endsWith(candidate));
+
+            if (prefix) {
+                wordToDefine = responseText.substring(prefix.length).trim();
+            } else if (wrapped) {
+                wordToDefine = responseText.substring(wrapped[0].length, responseText.length - wrapped[1].length).trim();
+            } else if (suffix) {
+                wordToDefine = responseText.substring(0, responseText.length - suffix.length).trim();
+            }
+
+            commandFound = Boolean(prefix || wrapped || suffix);
+            if (commandFound) break;
+        }
+
+        // Execute dictionary lookup if command was found
+        if (commandFound) {
+            const nativeCommands = getLanguage(userNativeLanguage).dictionaryCommands || {};
+            const nativeExample = nativeCommands.suffixes ? t(locale, 'dictionary.exampleOr', { example: `presentation${nativeCommands.suffixes[0]}` }) : '';
+            if (wordToDefine.length === 0) {
+                await client.chat.postMessage({
+                    channel: userId,
+                    text: t(locale, 'dictionary.needWord', { example: nativeExample })
+                });
+                return;
+            }
+
+            logger.info(`📖 User ${userId} (Native: ${userNativeLanguage}) requested dictionary definition for: "${wordToDefine}"`);
+
+            // Words can be in either language of the pair; meanings come in the other one
+            const pair = [userForDictionary.targetLanguage, userNativeLanguage];
+            const wordLang = detectLanguage(wordToDefine);
+
+            if (!pair.includes(wordLang)) {
+                await client.chat.postMessage({
+                    channel: userId,
+                    text: t(locale, 'dictionary.unsupported', {
+                        languages: t(locale, 'list.or', { items: pair.map(code => getLanguageName(code, locale)) }),
+                        word: wordToDefine
+                    })
+                });
+                return;
+            }
+            const meaningLang = wordLang === userNativeLanguage ? userForDictionary.targetLanguage : userNativeLanguage;
+
+            // Post a "thinking" message
+            const thinkingMessage = await client.chat.postMessage({
+                channel: userId,
+                text: t(locale, 'dictionary.searching', { word: wordToDefine })
+            });
+
+            // Call the dictionary function
+            const result = await generateDictionaryEntry(wordToDefine, wordLang, meaningLang, locale);
+
+            // Delete the "thinking" message
+            try {
+                await client.chat.delete({
+                    channel: userId,
+                    ts: thinkingMessage.ts
+                });
+            } catch (e) {
+                logger.warn("Couldn't delete 'thinking' message, but proceeding anyway.");
+            }
+
+            // Post the dictionary results
+            await client.chat.postMessage({
+                channel: userId,
+                text: t(locale, 'dictionary.result', { word: wordToDefine }),
+                blocks: result.blocks
+            });
+
+            // Stop processing - this was a dictionary command, not a prompt response
+            return;
+        }
+        // --- END OF DICTIONARY GATE ---
+
+        // Every response answers the user's active prompt
+        const activePrompt = await getActivePrompt(userId);
+        if (!activePrompt) {
+            await client.chat.postMessage({
+                channel: userId,
+                text: t(locale, 'response.noPrompt')
+            });
+            return;
+        }
+        if (activePrompt.late && LATE_RESPONSE_POLICY === 'refuse') {
+            await client.chat.postMessage({
+                channel: userId,
+                text: t(locale, 'response.closed', { date: formatSlackDate(activePrompt.prompt.closedAt || activePrompt.prompt.expiresAt, t(locale, 'date.at')) })
+            });
+            return;
+        }
+
+        const user = await getOrCreateUser(userId, 'default');
+
+        // Detect the language of the response
+        const expectedLanguage = user.targetLanguage;
+        const languageCheck = checkLanguage(responseText, expectedLanguage, locale);
+        const detectedLanguage = languageCheck.language;
+
+        console.log(`User ${userId} responded: "${responseText}" | Detected: ${detectedLanguage} (${Math.round(languageCheck.analysis.confidence * 100)}% confidence) | Expected: ${expectedLanguage}`);
+
+        if (languageCheck.problem) {
+            await client.chat.postMessage({
+                channel: userId,
+                text: `${languageCheck.problem}\n\n${t(locale, 'check.languageTip')}`
+            });
+            return;
+        }
+
+        // Test prompts are practice: the answer gets feedback but isn't posted, scored or counted
+        if (activePrompt.test) {
+            const testPrompt = activePrompt.promptMessage;
+            const feedback = await generateAIFeedback(responseText, expectedLanguage, user.level, getNativeLanguage(user), locale);
+            await storage.markPromptMessageAnswered(testPrompt.channelId, testPrompt.messageTs);
+
+            const feedbackMessage = await client.chat.postMessage({
+                channel: userId,
+                text: t(locale, 'response.testText'),
+                blocks: [
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'response.test')
+                        }
+                    },
+                    {
+                        type: 'divider'
+                    },
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'feedback.section', { feedback, revisionHint: false })
+                        }
+                    }
+                ]
+            });
+
+            await storage.trackMessage({
+                channelId: feedbackMessage.channel,
+                messageTs: feedbackMessage.ts,
+                userId: userId,
+                type: 'feedback',
+                promptText: testPrompt.promptText,
+                originalText: responseText,
+                feedbackText: feedback,
+                targetLanguage: expectedLanguage
+            });
+
+            console.log(`✅ Gave feedback on a test prompt answer from ${userId}`);
+            return;
+        }
+
+        const { prompt: answeredPrompt, promptMessage: latestPrompt } = activePrompt;
+
+        const heldBack = await checkSubmission(userId, responseText, {
+            language: detectedLanguage,
+            sourceTexts: [...Object.values(pickPromptTexts(answeredPrompt)), latestPrompt.promptText],
+            promptId: answeredPrompt.promptId,
+            locale: locale
+        });
+        if (heldBack) {
+            console.log(`🛑 Held back response from ${userId} (${heldBack.check})`);
+            await client.chat.postMessage({
+                channel: userId,
+                text: t(locale, 'response.notPosted', { reason: heldBack.message })
+            });
+            return;
+        }
+
+        // Response is valid - post anonymously in the thread of the prompt it answers
+        const pseudonym = await storage.getPseudonym(userId);
+        const channelId = answeredPrompt.channelId;
+
+        // Post anonymous response first (without button to get timestamp)
+        const anonymousPost = await client.chat.postMessage({
+            channel: channelId,
+            thread_ts: answeredPrompt.channelTs,
+            text: t(DEFAULT_UI_LANGUAGE, 'post.responseText', { handle: formatHandle(pseudonym) }),
+            blocks: [
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: t(DEFAULT_UI_LANGUAGE, 'post.responded', { handle: formatHandle(pseudonym), text: responseText })
+                    }
+                },
+                {
+                    type: 'context',
+                    elements: [
+                        {
+                            type: 'mrkdwn',
+                            text: `${formatLanguage(expectedLanguage, DEFAULT_UI_LANGUAGE)} • ${new Date().toLocaleTimeString()}${activePrompt.late ? t(DEFAULT_UI_LANGUAGE, 'post.late') : ''}`
+                        }
+                    ]
+                }
+            ]
+        });
+
+        // Update the message with reply button using real timestamp
+        await client.chat.update({
+            channel: channelId,
+            ts: anonymousPost.ts,
+            text: t(DEFAULT_UI_LANGUAGE, 'post.responseText', { handle: formatHandle(pseudonym) }),
+            blocks: [
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: t(DEFAULT_UI_LANGUAGE, 'post.responded', { handle: formatHandle(pseudonym), text: responseText })
+                    }
+                },
+                {
+                    type: 'context',
+                    elements: [
+                        {
+                            type: 'mrkdwn',
+                            text: `${formatLanguage(expectedLanguage, DEFAULT_UI_LANGUAGE)} • ${new Date().toLocaleTimeString()}${activePrompt.late ? t(DEFAULT_UI_LANGUAGE, 'post.late') : ''}`
+                        }
+                    ]
+                },
+                {
+                    type: 'actions',
+                    elements: [
+                        {
+                            type: 'button',
+                            text: {
+                                type: 'plain_text',
+                                text: t(DEFAULT_UI_LANGUAGE, 'post.replyButton'),
+                                emoji: true
+                            },
+                            action_id: `reply_to_response_${anonymousPost.ts}`,
+                            value: JSON.stringify({
+                                originalPoster: formatHandle(pseudonym),
+                                originalText: responseText,
+                                messageTs: anonymousPost.ts,
+                                threadTs: answeredPrompt.channelTs
+                            })
+                        }
+                    ]
+                }
+            ]
+        });
+
+        // Answering the same prompt again after reading feedback earns the revision bonus (once)
+        const previousResponses = await storage.countSubmissions({ userId, type: 'response', promptId: answeredPrompt.promptId });
+
+        // Generate AI feedback
+        const feedback = await generateAIFeedback(responseText, expectedLanguage, user.level, getNativeLanguage(user), locale);
+
+        // Store submission for analytics
+        const submissionId = uuidv4();
+        try {
+            await storage.saveSubmission({
+                submissionId: submissionId,
+                type: 'response',
+                userId: userId,
+                pseudonym: pseudonym.handle,
+                cohortLabel: pseudonym.cohortLabel,
+                text: responseText,
+                language: detectedLanguage,
+                languageMix: languageCheck.analysis.proportions,
+                targetLanguage: expectedLanguage,
+                timestamp: new Date(),
+                feedback: feedback,
+                channelId: channelId,
+                channelPostTs: anonymousPost.ts,
+                promptId: answeredPrompt.promptId,
+                late: activePrompt.late
+            });
+        } catch (dbError) {
+            console.error('Error syncing submission to database:', dbError);
+        }
+
+        // Award points
+        const award = await awardActionPoints(userId, 'submission', {
+            text: responseText,
+            language: detectedLanguage,
+            targetLanguage: expectedLanguage,
+            revision: previousResponses === 1,
+            sourceType: 'submission',
+            sourceId: submissionId,
+            channelId: channelId
+        });
+
+        const feedbackMessage = await client.chat.postMessage({
+            channel: userId,
+            text: t(locale, 'response.postedText', { handle: pseudonym.handle, amount: award.amount }),
+            blocks: [
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: t(locale, 'response.posted', { channel: channelId, handle: pseudonym.handle, award: formatAwardLine(award, locale) })
+                    }
+                },
+                {
+                    type: 'divider'
+                },
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: t(locale, 'feedback.section', { feedback, revisionHint: previousResponses === 0 })
+                    }
+                }
+            ]
+        });
+
+        // Store feedback message for reaction handling
+        await storage.trackMessage({
+            channelId: feedbackMessage.channel,
+            messageTs: feedbackMessage.ts,
+            userId: userId,
+            type: 'feedback',
+            promptText: latestPrompt.promptText,
+            originalText: responseText,
+            feedbackText: feedback,
+            targetLanguage: expectedLanguage
+        });
+
+        // Keep the estimated level up to date for users who haven't set one
+        await updateInferredLevel(user);
+
+        await recordStreakActivity(userId, { promptId: answeredPrompt.promptId, onTime: !activePrompt.late, channelId: channelId });
+
+        // Keep the answer count on the prompt's channel alert current
+        await refreshPromptAlert(answeredPrompt.promptId);
+
+        console.log(`✅ Processed valid response from ${userId} (${pseudonym.handle})`);
+
+    } catch (error) {
+        console.error('Error handling DM response:', error);
+        await client.chat.postMessage({
+            channel: message.user,
+            text: t(await getUserLocale(message.user), 'response.error')
+        });
+    }
+});
+
+// Kudos: reacting with one of KUDOS_EMOJI on an anonymous post credits its hidden author
+const KUDOS_EMOJI = (process.env.KUDOS_EMOJI || 'white_check_mark')
+    .split(',')
+    .map(name => name.trim().replace(/:/g, ''))
+    .filter(Boolean);
+
+function isKudosReaction(reaction) {
+    // Skin-tone variants arrive as "name::skin-tone-2"
+    return KUDOS_EMOJI.includes(reaction.split('::')[0]);
+}
+
+async function handleKudosReaction(event, client) {
+    const giverId = event.user;
+    const channelId = event.item.channel;
+
+    if (!(await isPromptChannel(channelId))) return;
+
+    // The stored channel post → submission mapping is the only link to the author
+    const submission = await storage.getSubmissionByPost(channelId, event.item.ts);
+    if (!submission) return;
+
+    const receiverId = submission.userId;
+    if (receiverId === giverId) {
+        console.log(`🙅 Ignoring self-kudos from ${giverId}`);
+        return;
+    }
+
+    const added = await storage.addKudos({
+        submissionId: submission.submissionId,
+        giverId: giverId,
+        receiverId: receiverId,
+        channelId: channelId,
+        reaction: event.reaction
+    });
+    if (!added) {
+        console.log(`⏭️ ${giverId} already gave kudos for submission ${submission.submissionId}`);
+        return;
+    }
+
+    // The rules table caps what one user can collect from kudos each day
+    const award = await awardActionPoints(receiverId, 'kudos', {
+        sourceType: 'submission',
+        sourceId: submission.submissionId,
+        channelId: channelId,
+        awardedBy: giverId
+    });
+    const amount = award.amount;
+    const receiver = await storage.getUser(receiverId);
+    const locale = getLocale(receiver);
+
+    const postLink = await client.chat.getPermalink({ channel: channelId, message_ts: event.item.ts })
+        .then(result => result.permalink)
+        .catch(() => null);
+
+    // The points count either way; the DM waits for quiet hours to end and is skipped while paused
+    const notified = await sendNotificationDm(receiver || { id: receiverId }, 'notice', {
+        text: t(locale, 'kudos.text', { type: submission.type, amount }),
+        blocks: [
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `${t(locale, 'kudos.heading', { type: submission.type, link: postLink })}\n\n> ${submission.text}\n\n${amount > 0 ? formatAwardLine(award, locale) : t(locale, 'kudos.capReached')}`
+                }
+            }
+        ]
+    }, { client });
+
+    console.log(`✅ Kudos for submission ${submission.submissionId} (+${amount}${notified === 'sent' ? '' : `, ${notified}`})`);
+}
+
+// Emoji Reaction Handler - kudos and reading help (furigana etc.)
+app.event('reaction_added', async ({ event, client }) => {
+    try {
+        if (event.item.type === 'message' && isKudosReaction(event.reaction)) {
+            await handleKudosReaction(event, client);
+            return;
+        }
+
+        // Otherwise only handle ❓ emoji reactions
+        if (event.reaction !== 'question' && event.reaction !== 'grey_question') {
+            return;
+        }
+
+        const userId = event.user;
+        const channelId = event.item.channel;
+        const messageTs = event.item.ts;
+
+        // Look up the message in the tracking store (works for any past prompt or feedback)
+        const trackedMessage = await storage.getTrackedMessage(channelId, messageTs);
+
+        // Check if this is a prompt message
+        if (trackedMessage && trackedMessage.userId === userId && trackedMessage.type === 'prompt') {
+            const user = await storage.getUser(userId);
+            const locale = getLocale(user);
+            const language = getLanguage(trackedMessage.targetLanguage || (user && user.targetLanguage));
+            if (!language || !language.readingAid) {
+                // Only languages with a reading aid in the registry
+                const supported = Object.values(LANGUAGES).filter(candidate => candidate.readingAid).map(candidate => getLanguageName(candidate.code, locale));
+                await client.chat.postMessage({
+                    channel: userId,
+                    text: t(locale, 'reading.unavailable', { languages: t(locale, 'list.and', { items: supported }) })
+                });
+                return;
+            }
+
+            console.log(`📖 Generating ${language.name} reading help for ${userId}`);
+            const detailedReading = await generateReadingAid(trackedMessage.promptText, language.code, locale);
+
+            await client.chat.postMessage({
+                channel: userId,
+                text: t(locale, 'reading.result', { language: getLanguageName(language.code, locale), reading: detailedReading })
+            });
+            return;
+        }
+
+        // Check if this is a feedback message
+        if (trackedMessage && trackedMessage.userId === userId && trackedMessage.type === 'feedback') {
+            console.log(`📝 Generating detailed correction explanation for ${userId}`);
+
+            const user = await storage.getUser(userId);
+            const locale = getLocale(user);
+            if (!user || !user.targetLanguage) {
+                await client.chat.postMessage({
+                    channel: userId,
+                    text: t(locale, 'setup.chooseLanguageShort')
+                });
+                return;
+            }
+
+            // Generate detailed correction explanation
+            const detailedCorrection = await generateDetailedCorrection(
+                trackedMessage.originalText,
+                trackedMessage.targetLanguage || user.targetLanguage,
+                trackedMessage.promptText,
+                getNativeLanguage(user),
+                locale
+            );
+
+            await client.chat.postMessage({
+                channel: userId,
+                text: t(locale, 'correction.result', { correction: detailedCorrection })
+            });
+            return;
+        }
+
+        // If we get here, the message isn't tracked (not a prompt or feedback)
+        console.log(`❓ Reaction on untracked message from ${userId}`);
+
+    } catch (error) {
+        console.error('Error handling reaction:', error);
+    }
+});
+
+// Slash Commands
+app.command('/stats', async ({ command, ack, respond, client }) => {
+    await ack();
+
+    try {
+        const userId = command.user_id;
+        const userPoints = await storage.getPoints(userId);
+        const pseudonym = await storage.getPseudonym(userId);
+        const user = await storage.getUser(userId);
+        const locale = getLocale(user);
+
+        const stats = await storage.getSubmissionStats(userId);
+        const promptsReceived = await storage.countTrackedMessages({ userId, type: 'prompt' });
+        const streak = await getStreak(userId);
+
+        const languageBreakdown = Object.entries(stats.byLanguage)
+            .map(([language, count]) => `${formatLanguage(language, locale)}: ${count}`)
+            .join(' • ') || t(locale, 'stats.noLanguages');
+
+        await respond({
+            response_type: 'ephemeral',
+            text: t(locale, 'stats.text'),
+            blocks: [
+                {
+                    type: 'header',
+                    text: {
+                        type: 'plain_text',
+                        text: t(locale, 'stats.title')
                     }
                 },
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: t(locale, 'stats.summary', {
+                            handle: pseudonym ? pseudonym.handle : t(locale, 'common.notSet'),
+                            language: user?.targetLanguage ? formatLanguage(user.targetLanguage, locale) : t(locale, 'common.notSet'),
+                            points: userPoints
+                        })
+                    }
+                },
+                {
+                    type: 'section',
+                    fields: [
+                        {
+                            type: 'mrkdwn',
+                            text: t(locale, 'stats.responses', { count: stats.responses })
+                        },
+                        {
+                            type: 'mrkdwn',
+                            text: t(locale, 'stats.replies', { count: stats.replies })
+                        },
+                        {
+                            type: 'mrkdwn',
+                            text: t(locale, 'stats.promptsReceived', { count: promptsReceived })
+                        },
+                        {
+                            type: 'mrkdwn',
+                            text: t(locale, 'stats.averageLength', { count: stats.averageLength })
+                        },
+                        {
+                            type: 'mrkdwn',
+                            text: t(locale, 'stats.firstActivity', { date: stats.firstActivity ? formatSlackDate(stats.firstActivity) : t(locale, 'stats.noActivity') })
+                        },
+                        {
+                            type: 'mrkdwn',
+                            text: t(locale, 'stats.lastActivity', { date: stats.lastActivity ? formatSlackDate(stats.lastActivity) : t(locale, 'stats.noActivity') })
+                        },
+                        {
+                            type: 'mrkdwn',
+                            text: t(locale, 'stats.promptStreak', { count: streak.promptCurrent, best: streak.promptBest })
+                        },
+                        {
+                            type: 'mrkdwn',
+                            text: t(locale, 'stats.writingStreak', { count: getCurrentDailyStreak(streak), best: streak.dailyBest })
+                        },
+                        {
+                            type: 'mrkdwn',
+                            text: t(locale, 'stats.freezes', { available: streak.freezeTokens, used: streak.freezesUsed })
+                        }
+                    ]
+                },
                 {
                     type: 'context',
                     elements: [
                         {
                             type: 'mrkdwn',
-                            text: `${expectedLanguage === 'ja' ? '🇯🇵 Japanese' : '🇺🇸 English'} • ${new Date().toLocaleTimeString()}`
+                            text: t(locale, 'stats.byLanguage', { breakdown: languageBreakdown })
                         }
                     ]
                 }
             ]
         });
+    } catch (error) {
+        console.error('Error showing stats:', error);
+        await respond({
+            response_type: 'ephemeral',
+            text: t(await getUserLocale(command.user_id), 'stats.error')
+        });
+    }
+});
 
-        // Generate AI feedback for the replier
-        const feedback = await generateAIFeedback(replyText, expectedLanguage);
+// Leaderboards: all-time balances, or this week's / this month's points from the ledger.
+// Weeks start on Monday and months on the 1st, at midnight in the channel's timezone.
+// Period names are the catalog's leaderboard.period.* and leaderboard.previous.* messages.
+const leaderboardPeriodAliases = {
+    week: 'week', weekly: 'week',
+    month: 'month', monthly: 'month',
+    all: 'all', alltime: 'all', 'all-time': 'all'
+};
 
-        const feedbackMessage = await client.chat.postMessage({
-            channel: userId,
-            text: `✅ Your reply has been posted!`,
-            blocks: [
-                {
-                    type: 'section',
-                    text: {
-                        type: 'mrkdwn',
-                        text: `✅ *Reply posted!* Your reply to ${originalPoster} is now live in the thread.`
-                    }
-                },
+// Milliseconds the timezone is ahead of UTC at a given instant
+function getTimezoneOffsetMs(date, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant local midnight starts on a YYYY-MM-DD date in a timezone
+function getZonedMidnight(dateKey, timezone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const guess = Date.UTC(year, month - 1, day);
+    const firstPass = guess - getTimezoneOffsetMs(new Date(guess), timezone);
+    // Re-check the offset at the result in case a DST change falls in between
+    return new Date(guess - getTimezoneOffsetMs(new Date(firstPass), timezone));
+}
+
+// Start of the current period and of the one before it (null for all time)
+function getPeriodRange(period, now = new Date(), timezone = PROMPT_TIMEZONE) {
+    if (period === 'all') return null;
+
+    const [year, month, day] = getDateKey(now, timezone).split('-').map(Number);
+    let startDay;
+    let previousStartDay;
+    if (period === 'week') {
+        const today = new Date(Date.UTC(year, month - 1, day));
+        const daysSinceMonday = (today.getUTCDay() + 6) % 7;
+        startDay = new Date(Date.UTC(year, month - 1, day - daysSinceMonday));
+        previousStartDay = new Date(Date.UTC(year, month - 1, day - daysSinceMonday - 7));
+    } else {
+        startDay = new Date(Date.UTC(year, month - 1, 1));
+        previousStartDay = new Date(Date.UTC(year, month - 2, 1));
+    }
+
+    return {
+        start: getZonedMidnight(startDay.toISOString().slice(0, 10), timezone),
+        previousStart: getZonedMidnight(previousStartDay.toISOString().slice(0, 10), timezone)
+    };
+}
+
+// Whose anonymous posts drew the most replies from other people since `start`
+async function getMostRepliedTo({ channelId = null, start }, limit = 3) {
+    const filter = { type: 'reply', timestamp: { $gte: start } };
+    if (channelId) filter.channelId = channelId;
+
+    const replies = await storage.listSubmissions(filter);
+    const parents = new Map();
+    const counts = new Map();
+
+    for (const reply of replies) {
+        const key = `${reply.channelId}:${reply.parentPostTs}`;
+        if (!parents.has(key)) {
+            parents.set(key, await storage.getSubmissionByPost(reply.channelId, reply.parentPostTs));
+        }
+        const parent = parents.get(key);
+        if (!parent || parent.userId === reply.userId) continue;
+        counts.set(parent.userId, (counts.get(parent.userId) || 0) + 1);
+    }
+
+    return Array.from(counts, ([userId, replyCount]) => ({ userId, replies: replyCount }))
+        .sort((a, b) => b.replies - a.replies)
+        .slice(0, limit);
+}
+
+async function getLeaderboard(period, { channelId = null, limit = 10, now = new Date() } = {}) {
+    const timezone = channelId ? (await getChannelSchedule(channelId)).timezone : PROMPT_TIMEZONE;
+    const range = getPeriodRange(period, now, timezone);
+    if (!range) {
+        return { top: await storage.getTopPoints(limit, { channelId }), range: null };
+    }
+
+    const scope = channelId ? { channelId } : {};
+    const current = await storage.getLedgerTotals({ ...scope, createdAt: { $gte: range.start } });
+    const previous = await storage.getLedgerTotals({ ...scope, createdAt: { $gte: range.previousStart, $lt: range.start } });
+    const previousPoints = new Map(previous.map(row => [row.userId, row.points]));
+
+    const mostImproved = current
+        .map(row => ({ userId: row.userId, improvement: row.points - (previousPoints.get(row.userId) || 0) }))
+        .filter(row => row.improvement > 0)
+        .sort((a, b) => b.improvement - a.improvement)
+        .slice(0, 3);
+
+    return {
+        top: current.slice(0, limit),
+        mostImproved,
+        mostRepliedTo: await getMostRepliedTo({ channelId, start: range.start }),
+        range
+    };
+}
+
+// Leaderboards are posted in channels, so they default to DEFAULT_UI_LANGUAGE
+async function leaderboardBlocks(period, { channelId = null, title = null, locale = DEFAULT_UI_LANGUAGE } = {}) {
+    const board = await getLeaderboard(period, { channelId });
+    const handleFor = async userId => {
+        const pseudonym = await storage.getPseudonym(userId);
+        return pseudonym ? formatHandle(pseudonym) : t(locale, 'common.unknown');
+    };
+
+    const topUsers = await Promise.all(board.top.map(async ({ userId, points: userPoints }, index) => {
+        return t(locale, 'leaderboard.row', { rank: index + 1, handle: await handleFor(userId), points: userPoints });
+    }));
+
+    const blocks = [
+        {
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: title || t(locale, 'leaderboard.title', { period: t(locale, `leaderboard.period.${period}`) })
+            }
+        },
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: topUsers.length > 0 ? topUsers.join('\n') : t(locale, 'leaderboard.empty')
+            }
+        }
+    ];
+
+    if (board.range) {
+        const improved = await Promise.all(board.mostImproved.map(async ({ userId, improvement }) => {
+            return t(locale, 'leaderboard.improvedRow', {
+                handle: await handleFor(userId),
+                points: improvement,
+                previous: t(locale, `leaderboard.previous.${period}`)
+            });
+        }));
+        const repliedTo = await Promise.all(board.mostRepliedTo.map(async ({ userId, replies }) => {
+            return t(locale, 'leaderboard.repliedRow', { handle: await handleFor(userId), count: replies });
+        }));
+        const nobody = t(locale, 'leaderboard.nobody');
+
+        blocks.push({
+            type: 'section',
+            fields: [
                 {
-                    type: 'divider'
+                    type: 'mrkdwn',
+                    text: t(locale, 'leaderboard.mostImproved', { rows: improved.length > 0 ? improved.join('\n') : nobody })
                 },
                 {
-                    type: 'section',
-                    text: {
-                        type: 'mrkdwn',
-                        text: `*🤖 AI Feedback:*\n${feedback}\n\n💡 _React with ❓ for detailed explanations!_`
+                    type: 'mrkdwn',
+                    text: t(locale, 'leaderboard.mostRepliedTo', { rows: repliedTo.length > 0 ? repliedTo.join('\n') : nobody })
+                }
+            ]
+        });
+    }
+
+    const scope = channelId
+        ? t(locale, 'leaderboard.scopeChannel', { channel: await getChannelLabel(channelId) })
+        : t(locale, 'leaderboard.scopeAll');
+    blocks.push({
+        type: 'context',
+        elements: [
+            {
+                type: 'mrkdwn',
+                text: board.range ? t(locale, 'leaderboard.since', { scope, date: formatSlackDate(board.range.start) }) : scope
+            }
+        ]
+    });
+
+    return blocks;
+}
+
+async function postWeeklyLeaderboard(channelId) {
+    await app.client.chat.postMessage({
+        channel: channelId,
+        text: t(DEFAULT_UI_LANGUAGE, 'leaderboard.weekly'),
+        blocks: await leaderboardBlocks('week', { channelId, title: t(DEFAULT_UI_LANGUAGE, 'leaderboard.weekly') })
+    });
+    console.log(`🏆 Posted weekly leaderboard to ${channelId}`);
+}
+
+app.command('/leaderboard', async ({ command, ack, respond }) => {
+    await ack();
+
+    try {
+        const argument = command.text.trim().toLowerCase();
+        const period = argument ? leaderboardPeriodAliases[argument] : 'all';
+        if (!period) {
+            await respond({ response_type: 'ephemeral', text: t(await getUserLocale(command.user_id), 'leaderboard.usage') });
+            return;
+        }
+
+        // In a prompt channel show that cohort's leaderboard, anywhere else the overall one
+        const channelId = await isPromptChannel(command.channel_id) ? command.channel_id : null;
+
+        await respond({
+            response_type: 'in_channel',
+            text: t(DEFAULT_UI_LANGUAGE, 'leaderboard.text'),
+            blocks: await leaderboardBlocks(period, { channelId })
+        });
+    } catch (error) {
+        console.error('Error showing leaderboard:', error);
+        await respond({
+            response_type: 'ephemeral',
+            text: t(await getUserLocale(command.user_id), 'leaderboard.error')
+        });
+    }
+});
+
+// Points ledger command: history for everyone, adjust/reverse for admins
+app.command('/points', async ({ command, ack, respond }) => {
+    await ack();
+
+    const [subcommand = 'history', ...args] = command.text.trim().split(/\s+/).filter(Boolean);
+    const userId = command.user_id;
+    const locale = await getUserLocale(userId);
+
+    try {
+        switch (subcommand.toLowerCase()) {
+            case 'history': {
+                const targetUserId = args[0] && isAdmin(userId) ? parseUserMention(args[0]) : userId;
+                if (!targetUserId) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'points.usageHistory') });
+                    return;
+                }
+
+                const history = await storage.getPointsHistory(targetUserId, { limit: 20 });
+                const balance = await storage.getPoints(targetUserId);
+                const heading = targetUserId === userId ? t(locale, 'points.yourHistory') : t(locale, 'points.historyFor', { user: targetUserId });
+
+                await respond({
+                    response_type: 'ephemeral',
+                    text: `🧾 ${heading}`,
+                    blocks: [
+                        {
+                            type: 'section',
+                            text: {
+                                type: 'mrkdwn',
+                                text: t(locale, 'points.historyBody', {
+                                    heading,
+                                    balance,
+                                    entries: history.length > 0
+                                        ? history.map(entry => formatPointsEntry(entry, { showId: isAdmin(userId), locale })).join('\n')
+                                        : t(locale, 'points.noEntries')
+                                })
+                            }
+                        }
+                    ]
+                });
+                return;
+            }
+
+            case 'adjust': {
+                if (!isAdmin(userId)) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'admin.onlyAdjustPoints') });
+                    return;
+                }
+
+                const targetUserId = parseUserMention(args[0]);
+                const amount = Number(args[1]);
+                if (!targetUserId || !Number.isInteger(amount) || amount === 0) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'points.usageAdjust') });
+                    return;
+                }
+
+                const { entry, balance } = await storage.awardPoints({
+                    userId: targetUserId,
+                    amount: amount,
+                    reason: 'admin_adjustment',
+                    sourceType: 'admin',
+                    note: args.slice(2).join(' ') || null,
+                    awardedBy: userId
+                });
+
+                console.log(`🛠️ Admin ${userId} adjusted points for ${targetUserId} by ${amount} (${entry.entryId})`);
+                await respond({
+                    response_type: 'ephemeral',
+                    text: t(locale, 'points.adjusted', { user: targetUserId, amount, balance, entryId: entry.entryId })
+                });
+                return;
+            }
+
+            case 'reverse': {
+                if (!isAdmin(userId)) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'admin.onlyReversePoints') });
+                    return;
+                }
+
+                const entryId = args[0];
+                if (!entryId) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'points.usageReverse') });
+                    return;
+                }
+
+                const { original, entry, balance } = await storage.reversePointsEntry(entryId, {
+                    reversedBy: userId,
+                    note: args.slice(1).join(' ') || null
+                });
+
+                console.log(`↩️ Admin ${userId} reversed points entry ${entryId} (${entry.entryId})`);
+                await respond({
+                    response_type: 'ephemeral',
+                    text: t(locale, 'points.reversedEntry', {
+                        amount: `${original.amount > 0 ? '+' : ''}${original.amount}`,
+                        reason: formatPointsReason(original.reason, locale),
+                        user: original.userId,
+                        balance,
+                        entryId: entry.entryId
+                    })
+                });
+                return;
+            }
+
+            case 'rules': {
+                const action = (args[0] || 'show').toLowerCase();
+
+                if (action === 'show') {
+                    const stored = await storage.getSetting('pointsRules', null);
+                    await respond({
+                        response_type: 'ephemeral',
+                        text: t(locale, 'points.rulesTitle'),
+                        blocks: [
+                            {
+                                type: 'section',
+                                text: {
+                                    type: 'mrkdwn',
+                                    text: `${t(locale, 'points.rulesHeading', { customized: Boolean(stored) })}\n\n${describePointsRules(await getPointsRules(), locale)}`
+                                }
+                            }
+                        ]
+                    });
+                    return;
+                }
+
+                if (!isAdmin(userId)) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'admin.onlyPointsRules') });
+                    return;
+                }
+
+                if (action === 'set') {
+                    const json = command.text.trim().replace(/^rules\s+set\s*/i, '');
+                    let overrides;
+                    try {
+                        overrides = JSON.parse(json);
+                    } catch (error) {
+                        await respond({ response_type: 'ephemeral', text: t(locale, 'points.usageRulesSet') });
+                        return;
                     }
+
+                    // Validate the merged table before saving, so a typo can't break awards
+                    const rules = pointsRules.mergePointsRules(overrides);
+                    await storage.setSetting('pointsRules', overrides);
+                    console.log(`📐 Admin ${userId} updated the points rules`);
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'points.rulesUpdated', { rules: describePointsRules(rules, locale) }) });
+                    return;
                 }
-            ]
-        });
 
-        // Store feedback message for reaction handling
-        userFeedbackMessages.set(userId, {
-            messageTs: feedbackMessage.ts,
-            feedbackText: feedback,
-            originalText: replyText
-        });
+                if (action === 'reset') {
+                    await storage.setSetting('pointsRules', null);
+                    console.log(`📐 Admin ${userId} reset the points rules`);
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'points.rulesReset', { rules: describePointsRules(await getPointsRules(), locale) }) });
+                    return;
+                }
 
-        // Award points
-        const currentPoints = points.get(userId) || 0;
-        const newPoints = currentPoints + 1;
-        points.set(userId, newPoints);
-        await syncPointsToDatabase(userId, newPoints);
+                await respond({ response_type: 'ephemeral', text: t(locale, 'points.usageRules') });
+                return;
+            }
 
-        console.log(`✅ Reply posted by ${userId} (${pseudonym.handle})`);
+            default:
+                await respond({
+                    response_type: 'ephemeral',
+                    text: t(locale, 'points.usage')
+                });
+        }
     } catch (error) {
-        logger.error('Error handling reply submission:', error);
-        await client.chat.postMessage({
-            channel: body.user.id,
-            text: "❌ Sorry, there was an error posting your reply. Please try again."
+        console.error('Error handling /points:', error);
+        await respond({
+            response_type: 'ephemeral',
+            text: t(locale, 'error.generic', { message: error.message })
         });
     }
 });
 
-// DM Response Handler (Anti-cheating pipeline)
-app.message(async ({ message, client, logger }) => {
-    // Update connection health tracker
-    lastConnectionCheck = Date.now();
-    connectionHealthy = true;
-
-    try {
-        // Only handle DMs (not channel messages)
-        if (message.channel_type !== 'im') return;
-        if (message.user === process.env.SLACK_BOT_USER_ID) return;
+// The prompt bank modal has a field for English plus every enabled language
+function getBankPromptLanguages() {
+    return [LANGUAGES.en, ...getEnabledLanguages().filter(language => language.code !== 'en')];
+}
 
-        const userId = message.user;
-        const responseText = message.text;
+// Prompt bank modal (add a hand-written prompt, or edit an existing entry)
+function promptBankModal(entry = null, locale = 'en') {
+    const categoryOption = category => ({
+        text: { type: 'plain_text', text: `${formatCategory(category, locale)} (${formatStage(getStageForCategory(category), locale)})` },
+        value: category
+    });
 
-        if (!responseText || responseText.trim().length === 0) return;
+    return {
+        type: 'modal',
+        callback_id: 'prompt_bank_modal',
+        private_metadata: JSON.stringify({ bankId: entry ? entry.bankId : null }),
+        title: {
+            type: 'plain_text',
+            text: entry ? t(locale, 'bank.modalEdit', { id: entry.bankId }) : t(locale, 'bank.modalAdd')
+        },
+        submit: {
+            type: 'plain_text',
+            text: t(locale, 'bank.save')
+        },
+        close: {
+            type: 'plain_text',
+            text: t(locale, 'common.cancel')
+        },
+        blocks: [
+            {
+                type: 'input',
+                block_id: 'category',
+                label: { type: 'plain_text', text: t(locale, 'bank.category') },
+                element: {
+                    type: 'static_select',
+                    action_id: 'category_input',
+                    options: promptCategories.map(categoryOption),
+                    ...(entry ? { initial_option: categoryOption(entry.category) } : {})
+                }
+            },
+            // English is required; other languages left empty are translated when the prompt is posted
+            ...getBankPromptLanguages().map(language => ({
+                type: 'input',
+                block_id: `prompt_${language.code}`,
+                label: { type: 'plain_text', text: t(locale, 'bank.languagePrompt', { flag: language.flag, language: getLanguageName(language.code, locale) }) },
+                optional: language.code !== 'en',
+                element: {
+                    type: 'plain_text_input',
+                    action_id: `prompt_${language.code}_input`,
+                    multiline: true,
+                    ...(entry && entry[language.code] ? { initial_value: entry[language.code] } : {})
+                }
+            })),
+            {
+                type: 'context',
+                elements: [
+                    {
+                        type: 'mrkdwn',
+                        text: t(locale, entry ? 'bank.editNote' : 'bank.addNote')
+                    }
+                ]
+            }
+        ]
+    };
+}
 
-        // Get user profile first to check language settings
-        const userForDictionary = getOrCreateUser(userId, 'default');
+// Prompt bank command family (admins only)
+app.command('/prompts', async ({ command, ack, respond, client }) => {
+    await ack();
 
-        // Check if user has set their language
-        if (!userForDictionary.targetLanguage) {
-            await client.chat.postMessage({
-                channel: userId,
-                text: "👋 Please set your target language first! Go to the Home tab and choose Japanese or English."
-            });
-            return;
-        }
+    const userId = command.user_id;
+    const [subcommand = 'help', ...args] = command.text.trim().split(/\s+/).filter(Boolean);
+    const locale = await getUserLocale(userId);
 
-        const userNativeLanguage = userForDictionary.targetLanguage === 'ja' ? 'en' : 'ja';
+    if (!isAdmin(userId)) {
+        await respond({ response_type: 'ephemeral', text: t(locale, 'admin.onlyPromptBank') });
+        return;
+    }
 
-        // --- DICTIONARY GATE: Check if message is a dictionary command ---
-        const lowerCaseText = responseText.toLowerCase();
-        let wordToDefine = '';
-        let commandFound = false;
+    try {
+        switch (subcommand.toLowerCase()) {
+            case 'add':
+                await client.views.open({ trigger_id: command.trigger_id, view: promptBankModal(null, locale) });
+                return;
 
-        // English-style commands
-        if (lowerCaseText.startsWith('define ')) {
-            wordToDefine = responseText.substring(7).trim();
-            commandFound = true;
-        } else if (lowerCaseText.startsWith('look up ')) {
-            wordToDefine = responseText.substring(8).trim();
-            commandFound = true;
-        } else if (lowerCaseText.startsWith('what does "') && lowerCaseText.endsWith('" mean?')) {
-            wordToDefine = responseText.substring(11, responseText.length - 7).trim();
-            commandFound = true;
-        }
-
-        // Japanese-style commands (only trigger if user's native language is Japanese)
-        else if (userNativeLanguage === 'ja') {
-            if (lowerCaseText.endsWith(' 意味')) {
-                wordToDefine = responseText.substring(0, responseText.length - 2).trim();
-                commandFound = true;
-            } else if (lowerCaseText.endsWith(' とは')) {
-                wordToDefine = responseText.substring(0, responseText.length - 2).trim();
-                commandFound = true;
+            case 'edit': {
+                const entry = args[0] ? await storage.getBankPrompt(args[0]) : null;
+                if (!entry) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'bank.notFound', { id: args[0] || '' }) });
+                    return;
+                }
+                await client.views.open({ trigger_id: command.trigger_id, view: promptBankModal(entry, locale) });
+                return;
             }
-        }
 
-        // Execute dictionary lookup if command was found
-        if (commandFound) {
-            if (wordToDefine.length === 0) {
-                await client.chat.postMessage({
-                    channel: userId,
-                    text: "Please tell me what word you want to define. For example: `define industry` or `presentation 意味`"
+            case 'list': {
+                const filterArg = (args[0] || '').toLowerCase();
+                const filter = {};
+                if (bankStatuses.includes(filterArg)) {
+                    filter.status = filterArg;
+                } else if (promptCategories.includes(filterArg)) {
+                    filter.category = filterArg;
+                    filter.status = { $in: ['approved', 'pending'] };
+                } else {
+                    filter.status = { $in: ['approved', 'pending'] };
+                }
+
+                const entries = await storage.listBankPrompts(filter);
+                const blocks = promptCategories
+                    .map(category => ({ category, items: entries.filter(entry => entry.category === category) }))
+                    .filter(group => group.items.length > 0)
+                    .map(group => ({
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: t(locale, 'bank.group', {
+                                category: formatCategory(group.category, locale).toUpperCase(),
+                                count: group.items.length,
+                                entries: group.items.slice(0, 10).map(entry => formatBankPrompt(entry, locale)).join('\n\n'),
+                                more: group.items.length - 10
+                            }).slice(0, 3000)
+                        }
+                    }));
+
+                await respond({
+                    response_type: 'ephemeral',
+                    text: t(locale, 'bank.title'),
+                    blocks: [
+                        {
+                            type: 'header',
+                            text: { type: 'plain_text', text: t(locale, 'bank.heading') }
+                        },
+                        ...(blocks.length > 0
+                            ? blocks.slice(0, 48)
+                            : [{ type: 'section', text: { type: 'mrkdwn', text: t(locale, 'bank.empty') } }])
+                    ]
                 });
                 return;
             }
 
-            logger.info(`📖 User ${userId} (Native: ${userNativeLanguage}) requested dictionary definition for: "${wordToDefine}"`);
+            case 'retire':
+            case 'approve':
+            case 'reject': {
+                const status = { retire: 'retired', approve: 'approved', reject: 'rejected' }[subcommand.toLowerCase()];
+                const entry = args[0]
+                    ? await storage.updateBankPrompt(args[0], { status, reviewedBy: userId, reviewedAt: new Date() })
+                    : null;
+                if (!entry) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'bank.notFound', { id: args[0] || '' }) });
+                    return;
+                }
 
-            const wordLang = detectLanguage(wordToDefine);
+                console.log(`📚 Admin ${userId} set prompt ${entry.bankId} to ${status}`);
+                await respond({ response_type: 'ephemeral', text: t(locale, 'bank.statusSet', { status: formatBankStatus(status, locale), id: entry.bankId, text: entry.en }) });
+                return;
+            }
 
-            if (wordLang !== 'en' && wordLang !== 'ja') {
-                await client.chat.postMessage({
-                    channel: userId,
-                    text: `😕 Sorry, I can only define English or Japanese words. I couldn't understand "${wordToDefine}".`
-                });
+            case 'queue': {
+                const pending = await storage.listBankPrompts({ status: 'pending' }, { limit: 10 });
+                if (pending.length === 0) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'bank.queueEmpty') });
+                    return;
+                }
+
+                // Each candidate is its own DM so its buttons can update it in place
+                for (const entry of pending) {
+                    await sendPromptForReview(entry, [userId]);
+                }
+                await respond({ response_type: 'ephemeral', text: t(locale, 'bank.queueSent', { count: pending.length }) });
                 return;
             }
 
-            // Post a "thinking" message
-            const thinkingMessage = await client.chat.postMessage({
-                channel: userId,
-                text: `One moment, searching for "${wordToDefine}"... 📖`
-            });
+            case 'generate': {
+                const count = Math.min(Math.max(parseInt(args[0], 10) || 1, 1), 5);
+                await respond({ response_type: 'ephemeral', text: t(locale, 'bank.generating', { count }) });
+
+                let plan = await planNextPrompt();
+                for (let i = 0; i < count; i++) {
+                    await queuePromptCandidate(plan);
+                    const nextStage = promptStages[(plan.stageIndex + 1) % promptStages.length];
+                    plan = {
+                        stage: nextStage.id,
+                        stageIndex: (plan.stageIndex + 1) % promptStages.length,
+                        category: pickLeastRecent(nextStage.categories, [plan.category, ...plan.recentCategories]),
+                        recentCategories: [plan.category, ...plan.recentCategories]
+                    };
+                }
+                return;
+            }
 
-            // Call the dictionary function
-            const result = await generateDictionaryEntry(wordToDefine, wordLang, userNativeLanguage);
+            case 'approval': {
+                const mode = (args[0] || '').toLowerCase();
+                if (mode !== 'on' && mode !== 'off') {
+                    const current = await isPromptApprovalRequired();
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'bank.approvalStatus', { on: current }) });
+                    return;
+                }
 
-            // Delete the "thinking" message
-            try {
-                await client.chat.delete({
-                    channel: userId,
-                    ts: thinkingMessage.ts
+                await storage.setSetting('promptApprovalRequired', mode === 'on');
+                console.log(`🔐 Admin ${userId} turned prompt approval ${mode}`);
+                await respond({
+                    response_type: 'ephemeral',
+                    text: t(locale, mode === 'on' ? 'bank.approvalOn' : 'bank.approvalOff')
                 });
-            } catch (e) {
-                logger.warn("Couldn't delete 'thinking' message, but proceeding anyway.");
+                return;
             }
 
-            // Post the dictionary results
-            await client.chat.postMessage({
-                channel: userId,
-                text: `📖 Definition for "${wordToDefine}"`,
-                blocks: result.blocks
-            });
+            default:
+                await respond({ response_type: 'ephemeral', text: t(locale, 'bank.usage') });
+        }
+    } catch (error) {
+        console.error('Error handling /prompts:', error);
+        await respond({ response_type: 'ephemeral', text: t(locale, 'error.generic', { message: error.message }) });
+    }
+});
 
-            // Stop processing - this was a dictionary command, not a prompt response
+// Prompt review buttons (approve / reject from the Block Kit review message)
+app.action(/^prompt_bank_(approve|reject)$/, async ({ ack, body, action, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        if (!isAdmin(userId)) {
+            await client.chat.postEphemeral({
+                channel: body.channel.id,
+                user: userId,
+                text: t(await getUserLocale(userId), 'admin.onlyReview')
+            });
             return;
         }
-        // --- END OF DICTIONARY GATE ---
 
-        const user = getOrCreateUser(userId, 'default');
+        const status = action.action_id === 'prompt_bank_approve' ? 'approved' : 'rejected';
+        const entry = await storage.updateBankPrompt(action.value, {
+            status: status,
+            reviewedBy: userId,
+            reviewedAt: new Date()
+        });
+        if (!entry) return;
 
-        // Detect the language of the response
-        const detectedLanguage = detectLanguage(responseText);
-        const expectedLanguage = user.targetLanguage;
+        const locale = await getReviewLocale(body.channel.id, userId);
+        await client.chat.update({
+            channel: body.channel.id,
+            ts: body.message.ts,
+            text: `${formatBankStatus(status, locale)}: ${entry.en}`,
+            blocks: promptBankReviewBlocks(entry, locale)
+        });
 
-        console.log(`User ${userId} responded: "${responseText}" | Detected: ${detectedLanguage} | Expected: ${expectedLanguage}`);
+        console.log(`📚 Admin ${userId} ${status} prompt ${entry.bankId}`);
+    } catch (error) {
+        logger.error('Error reviewing prompt:', error);
+    }
+});
 
-        // Anti-cheating validation
-        let warningMessage = '';
-        let shouldPost = true;
+app.action('prompt_bank_edit', async ({ ack, body, action, client, logger }) => {
+    await ack();
 
-        if (detectedLanguage === 'unknown') {
-            warningMessage = '⚠️ I couldn\'t detect the language clearly. Please try writing in your target language.';
-            shouldPost = false;
-        } else if (detectedLanguage !== expectedLanguage) {
-            if (expectedLanguage === 'ja' && detectedLanguage === 'en') {
-                warningMessage = '🇯🇵 Please respond in Japanese! Your target language is set to Japanese.';
-            } else if (expectedLanguage === 'en' && detectedLanguage === 'ja') {
-                warningMessage = '🇺🇸 Please respond in English! Your target language is set to English.';
-            }
-            shouldPost = false;
-        }
+    try {
+        if (!isAdmin(body.user.id)) return;
 
-        if (!shouldPost) {
-            await client.chat.postMessage({
-                channel: userId,
-                text: warningMessage + '\n\n💡 Tip: You can change your target language in the Home tab if needed.'
-            });
-            return;
-        }
+        const entry = await storage.getBankPrompt(action.value);
+        if (!entry) return;
 
-        // Response is valid - post anonymously
-        const pseudonym = pseudonyms.get(userId);
-        const channelId = process.env.PROMPT_CHANNEL_ID;
+        const view = promptBankModal(entry, await getUserLocale(body.user.id));
+        view.private_metadata = JSON.stringify({
+            bankId: entry.bankId,
+            reviewChannelId: body.channel.id,
+            reviewMessageTs: body.message.ts
+        });
+        await client.views.open({ trigger_id: body.trigger_id, view });
+    } catch (error) {
+        logger.error('Error opening prompt editor:', error);
+    }
+});
 
-        if (!channelId) {
-            await client.chat.postMessage({
-                channel: userId,
-                text: "❌ No prompt channel configured. Please contact an admin."
+app.view('prompt_bank_modal', async ({ ack, body, view, client, logger }) => {
+    await ack();
+
+    try {
+        const userId = body.user.id;
+        if (!isAdmin(userId)) return;
+
+        const metadata = JSON.parse(view.private_metadata || '{}');
+        const values = view.state.values;
+        const category = values.category.category_input.selected_option.value;
+        const fields = {
+            category: category,
+            stage: getStageForCategory(category),
+            ...Object.fromEntries(getBankPromptLanguages().map(language => {
+                const value = values[`prompt_${language.code}`][`prompt_${language.code}_input`].value;
+                return [language.code, value ? value.trim() : null];
+            }))
+        };
+
+        let entry;
+        if (metadata.bankId) {
+            // Level variants were written for the old text, so drop them if it changed
+            const existing = await storage.getBankPrompt(metadata.bankId);
+            const textChanged = existing && getBankPromptLanguages().some(language => (existing[language.code] || null) !== fields[language.code]);
+            entry = await storage.updateBankPrompt(metadata.bankId, {
+                ...fields,
+                ...(textChanged ? { variants: null } : {}),
+                editedBy: userId,
+                editedAt: new Date()
+            });
+        } else {
+            entry = await storage.addBankPrompt({
+                ...fields,
+                source: 'manual',
+                status: 'approved',
+                createdBy: userId,
+                reviewedBy: userId,
+                reviewedAt: new Date()
+            });
+        }
+        if (!entry) return;
+
+        // Refresh the review message the edit was started from
+        if (metadata.reviewChannelId && metadata.reviewMessageTs) {
+            const reviewLocale = await getReviewLocale(metadata.reviewChannelId, userId);
+            await client.chat.update({
+                channel: metadata.reviewChannelId,
+                ts: metadata.reviewMessageTs,
+                text: t(reviewLocale, 'bank.reviewText', { text: entry.en }),
+                blocks: promptBankReviewBlocks(entry, reviewLocale)
             });
-            return;
         }
 
-        // Post anonymous response first (without button to get timestamp)
-        const anonymousPost = await client.chat.postMessage({
-            channel: channelId,
-            text: `💬 Anonymous Response from ${pseudonym.handle}`,
-            blocks: [
-                {
-                    type: 'section',
-                    text: {
-                        type: 'mrkdwn',
-                        text: `*${pseudonym.handle}* responded:\n\n${responseText}`
-                    }
-                },
-                {
-                    type: 'context',
-                    elements: [
-                        {
-                            type: 'mrkdwn',
-                            text: `${expectedLanguage === 'ja' ? '🇯🇵 Japanese' : '🇺🇸 English'} • ${new Date().toLocaleTimeString()}`
-                        }
-                    ]
-                }
-            ]
-        });
+        // Warn about prompts that repeat something already in history or the bank
+        const history = [
+            ...await storage.listPrompts({}, { limit: PROMPT_HISTORY_LIMIT }),
+            ...(await storage.listBankPrompts({}, { limit: PROMPT_HISTORY_LIMIT })).filter(other => other.bankId !== entry.bankId)
+        ];
+        const similar = findSimilarPrompt(entry, history);
+        const locale = await getUserLocale(userId);
 
-        // Update the message with reply button using real timestamp
-        await client.chat.update({
-            channel: channelId,
-            ts: anonymousPost.ts,
-            text: `💬 Anonymous Response from ${pseudonym.handle}`,
+        await client.chat.postMessage({
+            channel: userId,
+            text: t(locale, 'bank.savedText', { updated: Boolean(metadata.bankId), text: entry.en }),
             blocks: [
                 {
                     type: 'section',
                     text: {
                         type: 'mrkdwn',
-                        text: `*${pseudonym.handle}* responded:\n\n${responseText}`
+                        text: t(locale, 'bank.saved', { updated: Boolean(metadata.bankId), entry: formatBankPrompt(entry, locale) })
                     }
                 },
-                {
+                ...(similar ? [{
                     type: 'context',
                     elements: [
                         {
                             type: 'mrkdwn',
-                            text: `${expectedLanguage === 'ja' ? '🇯🇵 Japanese' : '🇺🇸 English'} • ${new Date().toLocaleTimeString()}`
-                        }
-                    ]
-                },
-                {
-                    type: 'actions',
-                    elements: [
-                        {
-                            type: 'button',
-                            text: {
-                                type: 'plain_text',
-                                text: '💬 Reply Anonymously',
-                                emoji: true
-                            },
-                            action_id: `reply_to_response_${anonymousPost.ts}`,
-                            value: JSON.stringify({
-                                originalPoster: pseudonym.handle,
-                                originalText: responseText,
-                                messageTs: anonymousPost.ts
-                            })
+                            text: t(locale, 'bank.similar', { percent: Math.round(similar.similarity * 100), text: similar.prompt.en })
                         }
-                    ]
-                }
-            ]
-        });
-
-        // Generate and send AI feedback
-        const feedback = await generateAIFeedback(responseText, expectedLanguage);
-
-        const feedbackMessage = await client.chat.postMessage({
-            channel: userId,
-            text: `✅ Your response has been posted anonymously as ${pseudonym.handle}!`,
-            blocks: [
-                {
-                    type: 'section',
-                    text: {
-                        type: 'mrkdwn',
-                        text: `✅ *Posted successfully!* Your response is now live in the channel as *${pseudonym.handle}*`
-                    }
-                },
-                {
-                    type: 'divider'
-                },
-                {
-                    type: 'section',
-                    text: {
-                        type: 'mrkdwn',
-                        text: `*🤖 AI Feedback:*\n${feedback}\n\n💡 _React with ❓ for detailed explanations!_`
-                    }
-                }
-            ]
-        });
-
-        // Store feedback message timestamp for reaction handling
-        userFeedbackMessages.set(userId, {
-            messageTs: feedbackMessage.ts,
-            feedbackText: feedback,
-            originalText: responseText
-        });
-
-        // Award points
-        const currentPoints = points.get(userId) || 0;
-        const newPoints = currentPoints + 1;
-        points.set(userId, newPoints);
-
-        // Store submission for analytics
-        const submissionId = uuidv4();
-        submissions.set(submissionId, {
-            userId: userId,
-            pseudonym: pseudonym.handle,
-            text: responseText,
-            language: detectedLanguage,
-            targetLanguage: expectedLanguage,
-            timestamp: new Date(),
-            feedback: feedback,
-            channelPostTs: anonymousPost.ts
+                    ]
+                }] : [])
+            ]
         });
 
-        // Sync points to MongoDB
-        await syncPointsToDatabase(userId, newPoints);
-
-        // Sync submission to MongoDB
-        try {
-            const collections = getCollections();
-            if (collections) {
-                await collections.submissions.insertOne({
-                    submissionId: submissionId,
-                    userId: userId,
-                    pseudonym: pseudonym.handle,
-                    text: responseText,
-                    language: detectedLanguage,
-                    targetLanguage: expectedLanguage,
-                    timestamp: new Date(),
-                    feedback: feedback,
-                    channelPostTs: anonymousPost.ts
-                });
-            }
-        } catch (dbError) {
-            console.error('Error syncing submission to database:', dbError);
-        }
-
-        console.log(`✅ Processed valid response from ${userId} (${pseudonym.handle})`);
-
+        console.log(`📚 Admin ${userId} ${metadata.bankId ? 'edited' : 'added'} prompt ${entry.bankId}`);
     } catch (error) {
-        console.error('Error handling DM response:', error);
-        await client.chat.postMessage({
-            channel: message.user,
-            text: "❌ Sorry, there was an error processing your response. Please try again."
-        });
+        logger.error('Error saving prompt bank entry:', error);
     }
 });
 
-// Emoji Reaction Handler - Japanese Reading Help
-app.event('reaction_added', async ({ event, client }) => {
+// Schedule command: show the prompt schedule, admins can change it live
+app.command('/schedule', async ({ command, ack, respond }) => {
+    await ack();
+
+    const userId = command.user_id;
+    const [subcommand = 'show', ...args] = command.text.trim().split(/\s+/).filter(Boolean);
+    const locale = await getUserLocale(userId);
+
     try {
-        // Only handle ❓ emoji reactions
-        if (event.reaction !== 'question' && event.reaction !== 'grey_question') {
+        const channelId = await isPromptChannel(command.channel_id) ? command.channel_id : await getDefaultPromptChannelId();
+        if (!channelId) {
+            await respond({ response_type: 'ephemeral', text: t(locale, 'schedule.noChannel') });
             return;
         }
 
-        const userId = event.user;
-        const messageTs = event.item.ts;
+        switch (subcommand.toLowerCase()) {
+            case 'show': {
+                const schedule = await getChannelSchedule(channelId);
+                await respond({
+                    response_type: 'ephemeral',
+                    text: t(locale, 'schedule.show', {
+                        channel: channelId,
+                        schedule: describeSchedule(schedule, locale),
+                        cron: schedule.cron,
+                        isDefault: schedule.isDefault
+                    })
+                });
+                return;
+            }
 
-        // Check if this is a prompt message
-        const promptData = userPromptMessages.get(userId);
-        if (promptData && promptData.messageTs === messageTs) {
-            console.log(`📖 Generating detailed Japanese reading for ${userId}`);
+            case 'set': {
+                if (!isAdmin(userId)) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'admin.onlySchedule') });
+                    return;
+                }
 
-            const user = users.get(userId);
-            if (!user || user.targetLanguage !== 'ja') {
-                // Only provide Japanese readings if user is learning Japanese
-                await client.chat.postMessage({
-                    channel: userId,
-                    text: '💡 Reading help is only available for Japanese learners. Change your target language to Japanese in the Home tab!'
-                });
+                const cronExpression = args.slice(0, 5).join(' ');
+                const current = await getChannelSchedule(channelId);
+                const timezone = args[5] || current.timezone;
+
+                if (args.length < 5 || !cron.validate(cronExpression)) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'schedule.usageSet') });
+                    return;
+                }
+                if (!isValidTimezone(timezone)) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'schedule.unknownTimezone', { timezone }) });
+                    return;
+                }
+
+                const schedule = { cron: cronExpression, timezone: timezone, isDefault: false };
+                await storage.saveSchedule(channelId, { cron: cronExpression, timezone: timezone, updatedBy: userId });
+                schedulePromptJob(channelId, schedule);
+
+                console.log(`📅 Admin ${userId} rescheduled ${channelId}: ${describeSchedule(schedule)}`);
+                await respond({ response_type: 'ephemeral', text: t(locale, 'schedule.updated', { channel: channelId, schedule: describeSchedule(schedule, locale) }) });
                 return;
             }
 
-            // Generate detailed reading
-            const detailedReading = await generateDetailedJapaneseReading(promptData.promptText);
+            case 'reset': {
+                if (!isAdmin(userId)) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'admin.onlySchedule') });
+                    return;
+                }
 
-            await client.chat.postMessage({
-                channel: userId,
-                text: `📖 *Japanese Reading Help*\n\n${detailedReading}\n\n_React with ❓ on any Japanese prompt to see readings!_`
+                await storage.deleteSchedule(channelId);
+                const schedule = await getChannelSchedule(channelId);
+                schedulePromptJob(channelId, schedule);
+
+                console.log(`📅 Admin ${userId} reset the schedule for ${channelId}`);
+                await respond({ response_type: 'ephemeral', text: t(locale, 'schedule.reset', { channel: channelId, schedule: describeSchedule(schedule, locale) }) });
+                return;
+            }
+
+            default:
+                await respond({ response_type: 'ephemeral', text: t(locale, 'schedule.usage') });
+        }
+    } catch (error) {
+        console.error('Error handling /schedule:', error);
+        await respond({ response_type: 'ephemeral', text: t(locale, 'error.generic', { message: error.message }) });
+    }
+});
+
+// Channels command: list prompt channels, admins can add or remove them
+app.command('/channels', async ({ command, ack, respond }) => {
+    await ack();
+
+    const userId = command.user_id;
+    const [subcommand = 'list', ...args] = command.text.trim().split(/\s+/).filter(Boolean);
+    const locale = await getUserLocale(userId);
+
+    try {
+        if (subcommand.toLowerCase() === 'list') {
+            const channelIds = await getPromptChannelIds();
+            const lines = await Promise.all(channelIds.map(async channelId => {
+                return `• ${await getChannelLabel(channelId)} - ${describeSchedule(await getChannelSchedule(channelId), locale)}`;
+            }));
+            await respond({
+                response_type: 'ephemeral',
+                text: lines.length > 0 ? t(locale, 'channels.list', { lines: lines.join('\n') }) : t(locale, 'channels.none')
             });
             return;
         }
 
-        // Check if this is a feedback message
-        const feedbackData = userFeedbackMessages.get(userId);
-        if (feedbackData && feedbackData.messageTs === messageTs) {
-            console.log(`📝 Generating detailed correction explanation for ${userId}`);
+        if (!isAdmin(userId)) {
+            await respond({ response_type: 'ephemeral', text: t(locale, 'admin.onlyChannels') });
+            return;
+        }
 
-            const user = users.get(userId);
-            if (!user || !user.targetLanguage) {
-                await client.chat.postMessage({
-                    channel: userId,
-                    text: '💡 Please set your target language in the Home tab first!'
+        // The channel defaults to the one the command was run in
+        const mentioned = args[0] ? parseChannelMention(args[0]) : null;
+        const channelId = mentioned || command.channel_id;
+        const name = (mentioned ? args.slice(1) : args).join(' ').trim();
+
+        switch (subcommand.toLowerCase()) {
+            case 'add': {
+                const existing = await storage.getChannel(channelId);
+                await storage.saveChannel(channelId, {
+                    active: true,
+                    name: name || (existing && existing.name) || null,
+                    addedBy: userId,
+                    createdAt: (existing && existing.createdAt) || new Date()
+                });
+
+                const schedule = await getChannelSchedule(channelId);
+                schedulePromptJob(channelId, schedule);
+
+                console.log(`📢 Admin ${userId} added prompt channel ${channelId}`);
+                await respond({
+                    response_type: 'ephemeral',
+                    text: t(locale, 'channels.added', { channel: await getChannelLabel(channelId), schedule: describeSchedule(schedule, locale) })
                 });
                 return;
             }
 
-            // Generate detailed correction explanation
-            const detailedCorrection = await generateDetailedCorrection(
-                feedbackData.originalText,
-                user.targetLanguage
-            );
+            case 'remove': {
+                if (!await isPromptChannel(channelId)) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'channels.notPrompt', { channel: channelId }) });
+                    return;
+                }
 
-            await client.chat.postMessage({
-                channel: userId,
-                text: `📝 *Detailed Correction Explanation*\n\n${detailedCorrection}\n\n_React with ❓ on feedback to see detailed explanations!_`
-            });
-            return;
-        }
+                await storage.saveChannel(channelId, { active: false, removedBy: userId });
+                unschedulePromptJob(channelId);
 
-        // If we get here, the message isn't tracked (not a prompt or feedback)
-        console.log(`❓ Reaction on untracked message from ${userId}`);
+                console.log(`📢 Admin ${userId} removed prompt channel ${channelId}`);
+                await respond({ response_type: 'ephemeral', text: t(locale, 'channels.removed', { channel: channelId }) });
+                return;
+            }
 
+            default:
+                await respond({ response_type: 'ephemeral', text: t(locale, 'channels.usage') });
+        }
     } catch (error) {
-        console.error('Error handling reaction:', error);
+        console.error('Error handling /channels:', error);
+        await respond({ response_type: 'ephemeral', text: t(locale, 'error.generic', { message: error.message }) });
     }
 });
 
-// Slash Commands
-app.command('/stats', async ({ command, ack, respond, client }) => {
+// Cohort labels (admins): shown next to a learner's handle in anonymous posts and leaderboards
+const COHORT_LABEL_MAX_LENGTH = 30;
+
+app.command('/cohort', async ({ command, ack, respond }) => {
     await ack();
 
+    const userId = command.user_id;
+    const [subcommand = 'list', ...args] = command.text.trim().split(/\s+/).filter(Boolean);
+    const locale = await getUserLocale(userId);
+
     try {
-        const userId = command.user_id;
-        const userPoints = points.get(userId) || 0;
-        const pseudonym = pseudonyms.get(userId);
-        const user = users.get(userId);
+        if (!isAdmin(userId)) {
+            await respond({ response_type: 'ephemeral', text: t(locale, 'admin.onlyCohorts') });
+            return;
+        }
 
-        const userSubmissions = Array.from(submissions.values())
-            .filter(sub => sub.userId === userId)
-            .length;
+        // Leading mentions are the learners, anything after them is the label
+        const targetUserIds = [];
+        while (args.length > 0 && parseUserMention(args[0])) {
+            targetUserIds.push(parseUserMention(args.shift()));
+        }
+        const label = args.join(' ').trim();
+
+        switch (subcommand.toLowerCase()) {
+            case 'list': {
+                const labelled = (await storage.listPseudonyms()).filter(pseudonym => pseudonym.cohortLabel);
+                const cohorts = new Map();
+                labelled.forEach(pseudonym => cohorts.set(pseudonym.cohortLabel, [...(cohorts.get(pseudonym.cohortLabel) || []), pseudonym.userId]));
+                const lines = Array.from(cohorts, ([cohortLabel, userIds]) => `• *${cohortLabel}* (${userIds.length}): ${userIds.map(id => `<@${id}>`).join(', ')}`);
+                await respond({
+                    response_type: 'ephemeral',
+                    text: lines.length > 0 ? t(locale, 'cohort.list', { lines: lines.join('\n') }) : t(locale, 'cohort.none')
+                });
+                return;
+            }
 
-        await respond({
-            response_type: 'ephemeral',
-            text: `📊 Your Stats`,
-            blocks: [
-                {
-                    type: 'header',
-                    text: {
-                        type: 'plain_text',
-                        text: '📊 Your Learning Stats'
-                    }
-                },
-                {
-                    type: 'section',
-                    text: {
-                        type: 'mrkdwn',
-                        text: `*Anonymous Identity:* ${pseudonym ? pseudonym.handle : 'Not set'}\n*Target Language:* ${user?.targetLanguage ? (user.targetLanguage === 'ja' ? '🇯🇵 Japanese' : '🇺🇸 English') : 'Not set'}\n*Total Points:* ${userPoints}\n*Responses Submitted:* ${userSubmissions}`
+            case 'set': {
+                if (targetUserIds.length === 0 || !label || label.length > COHORT_LABEL_MAX_LENGTH) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'cohort.usageSet', { max: COHORT_LABEL_MAX_LENGTH }) });
+                    return;
+                }
+
+                for (const targetUserId of targetUserIds) {
+                    await getOrCreateUser(targetUserId, command.team_id);
+                    await storage.savePseudonym(targetUserId, { cohortLabel: label });
+                }
+
+                console.log(`🏷️ Admin ${userId} labelled ${targetUserIds.length} user(s) "${label}"`);
+                await respond({
+                    response_type: 'ephemeral',
+                    text: t(locale, 'cohort.set', { users: targetUserIds.map(id => `<@${id}>`).join(', '), count: targetUserIds.length, label })
+                });
+                return;
+            }
+
+            case 'clear': {
+                if (targetUserIds.length === 0) {
+                    await respond({ response_type: 'ephemeral', text: t(locale, 'cohort.usageClear') });
+                    return;
+                }
+
+                for (const targetUserId of targetUserIds) {
+                    if (await storage.getPseudonym(targetUserId)) {
+                        await storage.savePseudonym(targetUserId, { cohortLabel: null });
                     }
                 }
-            ]
-        });
+
+                console.log(`🏷️ Admin ${userId} cleared the cohort label of ${targetUserIds.length} user(s)`);
+                await respond({ response_type: 'ephemeral', text: t(locale, 'cohort.cleared', { users: targetUserIds.map(id => `<@${id}>`).join(', ') }) });
+                return;
+            }
+
+            default:
+                await respond({ response_type: 'ephemeral', text: t(locale, 'cohort.usage') });
+        }
     } catch (error) {
-        console.error('Error showing stats:', error);
-        await respond({
-            response_type: 'ephemeral',
-            text: '❌ Error retrieving your stats. Please try again.'
-        });
+        console.error('Error handling /cohort:', error);
+        await respond({ response_type: 'ephemeral', text: t(locale, 'error.generic', { message: error.message }) });
     }
 });
 
-app.command('/leaderboard', async ({ command, ack, respond }) => {
+// Deliveries command: per-run prompt DM reports for admins
+app.command('/deliveries', async ({ command, ack, respond }) => {
     await ack();
 
+    const locale = await getUserLocale(command.user_id);
+
     try {
-        const topUsers = Array.from(points.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 10)
-            .map(([userId, userPoints], index) => {
-                const pseudonym = pseudonyms.get(userId);
-                return `${index + 1}. ${pseudonym ? pseudonym.handle : 'Unknown'} - ${userPoints} points`;
-            });
+        if (!isAdmin(command.user_id)) {
+            await respond({ response_type: 'ephemeral', text: t(locale, 'admin.onlyDeliveries') });
+            return;
+        }
 
-        const leaderboardText = topUsers.length > 0
-            ? topUsers.join('\n')
-            : 'No participants yet!';
+        const deliveryId = command.text.trim();
+        const deliveries = deliveryId
+            ? [await storage.getDelivery(deliveryId)].filter(Boolean)
+            : await storage.listDeliveries({}, { limit: 5 });
 
-        await respond({
-            response_type: 'in_channel',
-            text: `🏆 Leaderboard`,
-            blocks: [
-                {
-                    type: 'header',
-                    text: {
-                        type: 'plain_text',
-                        text: '🏆 Top Learners'
-                    }
-                },
-                {
-                    type: 'section',
-                    text: {
-                        type: 'mrkdwn',
-                        text: leaderboardText
-                    }
-                }
-            ]
-        });
+        if (deliveries.length === 0) {
+            await respond({ response_type: 'ephemeral', text: deliveryId ? t(locale, 'deliveries.notFound', { id: deliveryId }) : t(locale, 'deliveries.none') });
+            return;
+        }
+
+        const reports = await Promise.all(deliveries.map(async delivery => {
+            return formatDeliveryReport(delivery, await storage.getDeliverySummary(delivery.deliveryId), locale);
+        }));
+        await respond({ response_type: 'ephemeral', text: reports.join('\n\n') });
     } catch (error) {
-        console.error('Error showing leaderboard:', error);
-        await respond({
-            response_type: 'ephemeral',
-            text: '❌ Error retrieving leaderboard. Please try again.'
-        });
+        console.error('Error handling /deliveries:', error);
+        await respond({ response_type: 'ephemeral', text: t(locale, 'error.generic', { message: error.message }) });
     }
 });
 
@@ -1742,29 +5490,283 @@ app.command('/testprompt', async ({ command, ack, respond }) => {
 
         await respond({
             response_type: 'ephemeral',
-            text: '🚀 Triggering test prompt... Check the logs and channel!'
+            text: t(await getUserLocale(command.user_id), 'testPrompt.triggered')
         });
 
-        // Trigger the prompt posting
-        await postPrompt();
+        // Post to this channel if it is a prompt channel, otherwise the default one
+        await postPrompt(await isPromptChannel(command.channel_id) ? command.channel_id : null);
 
         console.log('✅ /testprompt completed');
     } catch (error) {
         console.error('❌ Error in /testprompt:', error);
         await respond({
             response_type: 'ephemeral',
-            text: `❌ Error posting test prompt: ${error.message}`
+            text: t(await getUserLocale(command.user_id), 'testPrompt.failed', { message: error.message })
         });
     }
 });
 
-// Cron Jobs for Automated Prompts (Monday, Wednesday, Friday at 9 AM, 2 PM, 6 PM)
-cron.schedule('0 9,14,18 * * 1,3,5', () => {
-    console.log('Posting scheduled prompt...');
-    postPrompt();
-}, {
-    timezone: "America/New_York"
-});
+// Cron Jobs for Automated Prompts
+// PROMPT_SCHEDULE / PROMPT_TIMEZONE are the default; admins can override a channel's schedule with /schedule
+const FALLBACK_PROMPT_SCHEDULE = '0 9,14,18 * * 1,3,5';
+const DEFAULT_PROMPT_SCHEDULE = cron.validate(process.env.PROMPT_SCHEDULE || '')
+    ? process.env.PROMPT_SCHEDULE
+    : FALLBACK_PROMPT_SCHEDULE;
+const scheduledJobs = new Map(); // channelId -> { task, schedule }
+
+// Missed slots younger than this are posted on startup (0 disables catch-up)
+const PROMPT_CATCHUP_WINDOW_MINUTES = parseInt(process.env.PROMPT_CATCHUP_WINDOW_MINUTES, 10) || 0;
+const SCHEDULER_LOCK_TTL_MS = 10 * 60 * 1000;
+let schedulerLock = null; // Redis lock when REDIS_URL is set, otherwise local to this instance
+let deadlineJob = null;
+let streakRiskJob = null; // Evening streak-at-risk DMs (STREAK_RISK_SCHEDULE)
+
+// Weekly leaderboard post to every prompt channel ("off" disables it)
+const LEADERBOARD_SCHEDULE = process.env.LEADERBOARD_SCHEDULE || '0 23 * * 0';
+let leaderboardJob = null;
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function getChannelSchedule(channelId) {
+    const override = channelId ? await storage.getSchedule(channelId) : null;
+    return {
+        cron: override ? override.cron : DEFAULT_PROMPT_SCHEDULE,
+        timezone: override && override.timezone ? override.timezone : PROMPT_TIMEZONE,
+        isDefault: !override
+    };
+}
+
+// 12-hour clock in English, 24-hour in Japanese (see schedule.time in the catalog)
+function formatTime(hour, minute, locale = 'en') {
+    return t(locale, 'schedule.time', { hour, minute });
+}
+
+// Human-readable schedule, e.g. "Mon/Wed/Fri at 9 AM, 2 PM, and 6 PM (America/New_York)"
+function describeSchedule(schedule, locale = 'en') {
+    const parts = schedule.cron.trim().split(/\s+/);
+    const raw = t(locale, 'schedule.raw', { cron: schedule.cron, timezone: schedule.timezone });
+    if (parts.length !== 5) return raw;
+
+    const [minuteField, hourField, dayOfMonthField, monthField, dayOfWeekField] = parts;
+    const minutes = expandCronField(minuteField, 0, 59);
+    const hours = expandCronField(hourField, 0, 23);
+    const days = expandCronField(dayOfWeekField, 0, 7);
+    if (dayOfMonthField !== '*' || monthField !== '*' || !minutes || minutes.length !== 1 || !hours || days === undefined) {
+        return raw;
+    }
+
+    const dayNames = t(locale, 'schedule.dayNames').split(',');
+    const dayText = days
+        ? [...new Set(days.map(day => dayNames[day % 7]))].join(t(locale, 'schedule.daySeparator'))
+        : t(locale, 'schedule.everyDay');
+    const timeText = t(locale, 'list.and', { items: hours.map(hour => formatTime(hour, minutes[0], locale)) });
+    return t(locale, 'schedule.description', { days: dayText, times: timeText, timezone: schedule.timezone });
+}
+
+// (Re)create the cron job for a channel - called at startup and whenever /schedule changes it
+function schedulePromptJob(channelId, schedule) {
+    const existing = scheduledJobs.get(channelId);
+    if (existing) {
+        existing.task.stop();
+    }
+
+    const task = cron.schedule(schedule.cron, () => {
+        runScheduledPrompt(channelId, getSlotStart(new Date()));
+    }, {
+        timezone: schedule.timezone
+    });
+
+    scheduledJobs.set(channelId, { task, schedule });
+}
+
+function unschedulePromptJob(channelId) {
+    const existing = scheduledJobs.get(channelId);
+    if (existing) {
+        existing.task.stop();
+        scheduledJobs.delete(channelId);
+    }
+}
+
+// Slots are identified by their minute, so every instance derives the same run key
+function getSlotStart(date) {
+    return new Date(Math.floor(date.getTime() / 60000) * 60000);
+}
+
+function getRunKey(channelId, slot) {
+    return `prompt:${channelId}:${slot.toISOString()}`;
+}
+
+// Run a scheduled job at most once per run key: the lock keeps other instances out while we
+// claim the key, and the stored run record stops any later attempt at the same slot.
+// `work` returns the fields to store on the run (at least a status).
+async function runScheduledJob(runKey, record, work) {
+    let lockToken = null;
+    try {
+        lockToken = await schedulerLock.acquire(runKey, SCHEDULER_LOCK_TTL_MS);
+        if (!lockToken) {
+            console.log(`🔒 ${runKey} is being handled by another instance - skipping`);
+            return null;
+        }
+    } catch (error) {
+        console.error(`⚠️ Could not take the scheduler lock for ${runKey} - relying on the run key:`, error.message);
+    }
+
+    try {
+        const claimed = await storage.claimScheduledRun({ ...record, runKey: runKey });
+        if (!claimed) {
+            console.log(`⏭️ ${runKey} has already run - skipping`);
+            return null;
+        }
+
+        const result = await work();
+        await storage.updateScheduledRun(runKey, { ...result, finishedAt: new Date() });
+        return result;
+    } catch (error) {
+        console.error(`❌ Scheduled run ${runKey} failed:`, error);
+        await storage.updateScheduledRun(runKey, { status: 'failed', error: error.message, finishedAt: new Date() }).catch(() => {});
+        return null;
+    } finally {
+        if (lockToken) {
+            await schedulerLock.release(runKey, lockToken).catch(error => {
+                console.error(`⚠️ Could not release the scheduler lock for ${runKey}:`, error.message);
+            });
+        }
+    }
+}
+
+// Post one scheduled prompt slot at most once
+async function runScheduledPrompt(channelId, slot, options = {}) {
+    const result = await runScheduledJob(getRunKey(channelId, slot), {
+        type: 'prompt',
+        channelId: channelId,
+        slot: slot,
+        catchUp: Boolean(options.catchUp)
+    }, async () => {
+        console.log(`Posting scheduled prompt to ${channelId}${options.catchUp ? ' (catch-up)' : ''}...`);
+        const posted = await postPrompt(channelId);
+        return {
+            status: posted ? 'posted' : 'skipped',
+            promptId: posted ? posted.promptId || null : null
+        };
+    });
+    return Boolean(result && result.status === 'posted');
+}
+
+// Most recent slot of a schedule within the last `windowMinutes`, or null
+function findPreviousSlot(schedule, now, windowMinutes) {
+    const current = getSlotStart(now);
+
+    for (let minutesAgo = 0; minutesAgo <= windowMinutes; minutesAgo++) {
+        const slot = new Date(current.getTime() - minutesAgo * 60000);
+        if (matchesCron(schedule.cron, slot, schedule.timezone)) return slot;
+    }
+    return null;
+}
+
+// Post slots that were missed while the bot was down, if they are still within the grace window
+async function catchUpMissedRuns() {
+    if (PROMPT_CATCHUP_WINDOW_MINUTES <= 0) return;
+
+    for (const [channelId, { schedule }] of scheduledJobs) {
+        const slot = findPreviousSlot(schedule, new Date(), PROMPT_CATCHUP_WINDOW_MINUTES);
+        if (!slot || await storage.getScheduledRun(getRunKey(channelId, slot))) continue;
+
+        // Prompts posted before run keys existed have no run record
+        if (await storage.countPrompts({ channelId: channelId, postedAt: { $gte: slot } }) > 0) continue;
+
+        console.log(`⏰ Catching up the missed ${slot.toISOString()} prompt for ${channelId}`);
+        await runScheduledPrompt(channelId, slot, { catchUp: true });
+    }
+}
+
+async function startScheduler() {
+    if (!schedulerLock) {
+        schedulerLock = await createLock();
+        console.log(`🔒 Scheduler lock: ${schedulerLock.name}`);
+    }
+
+    if (!leaderboardJob && LEADERBOARD_SCHEDULE !== 'off') {
+        if (!cron.validate(LEADERBOARD_SCHEDULE)) {
+            console.log(`⚠️  LEADERBOARD_SCHEDULE "${LEADERBOARD_SCHEDULE}" is not a valid cron expression - weekly leaderboard disabled`);
+        } else {
+            leaderboardJob = cron.schedule(LEADERBOARD_SCHEDULE, async () => {
+                const slot = getSlotStart(new Date());
+                try {
+                    for (const channelId of await getPromptChannelIds()) {
+                        await runScheduledJob(`leaderboard:${channelId}:${slot.toISOString()}`, {
+                            type: 'leaderboard',
+                            channelId: channelId,
+                            slot: slot
+                        }, async () => {
+                            await postWeeklyLeaderboard(channelId);
+                            return { status: 'posted' };
+                        });
+                    }
+                } catch (error) {
+                    console.error(`❌ Weekly leaderboard run for ${slot.toISOString()} failed:`, error);
+                }
+            }, {
+                timezone: PROMPT_TIMEZONE
+            });
+            console.log(`🏆 Weekly leaderboard: ${describeSchedule({ cron: LEADERBOARD_SCHEDULE, timezone: PROMPT_TIMEZONE })}`);
+        }
+    }
+
+    if (!streakRiskJob && STREAK_RISK_SCHEDULE !== 'off') {
+        if (!cron.validate(STREAK_RISK_SCHEDULE)) {
+            console.log(`⚠️  STREAK_RISK_SCHEDULE "${STREAK_RISK_SCHEDULE}" is not a valid cron expression - streak warnings disabled`);
+        } else {
+            streakRiskJob = cron.schedule(STREAK_RISK_SCHEDULE, async () => {
+                const slot = getSlotStart(new Date());
+                await runScheduledJob(`streak-risk:${slot.toISOString()}`, { type: 'streak_risk', slot: slot }, async () => {
+                    const sent = await sendDailyStreakWarnings();
+                    console.log(`🔥 Sent ${sent} streak-at-risk warning(s)`);
+                    return { status: 'posted', sent: sent };
+                });
+            }, {
+                timezone: PROMPT_TIMEZONE
+            });
+        }
+    }
+
+    // Reminders and prompt closing - one instance at a time
+    if (!deadlineJob) {
+        deadlineJob = cron.schedule('* * * * *', async () => {
+            let lockToken = null;
+            try {
+                lockToken = await schedulerLock.acquire('prompt-deadlines', 55 * 1000);
+                if (!lockToken) return;
+            } catch (error) {
+                console.error('⚠️ Could not take the deadline lock - relying on per-prompt claims:', error.message);
+            }
+
+            try {
+                await processPromptDeadlines();
+            } finally {
+                if (lockToken) {
+                    await schedulerLock.release('prompt-deadlines', lockToken).catch(() => {});
+                }
+            }
+        });
+    }
+
+    if (process.env.PROMPT_SCHEDULE && DEFAULT_PROMPT_SCHEDULE !== process.env.PROMPT_SCHEDULE) {
+        console.log(`⚠️  PROMPT_SCHEDULE "${process.env.PROMPT_SCHEDULE}" is not a valid cron expression - using "${FALLBACK_PROMPT_SCHEDULE}"`);
+    }
+
+    for (const channelId of await getPromptChannelIds()) {
+        const schedule = await getChannelSchedule(channelId);
+        schedulePromptJob(channelId, schedule);
+        console.log(`📅 Scheduled prompts for ${channelId}: ${describeSchedule(schedule)}${schedule.isDefault ? '' : ' [channel override]'}`);
+    }
+}
 
 // Error handling with better logging and recovery
 app.error(async (error) => {
@@ -1801,8 +5803,7 @@ setInterval(() => {
             'SLACK_BOT_TOKEN',
             'SLACK_SIGNING_SECRET',
             'SLACK_APP_TOKEN',
-            'OPENAI_API_KEY',
-            'MONGODB_URI'
+            'OPENAI_API_KEY'
         ];
 
         const missing = requiredEnvVars.filter(key => !process.env[key]);
@@ -1812,11 +5813,15 @@ setInterval(() => {
         }
         console.log('✅ All required environment variables present');
 
-        console.log('🔄 Connecting to MongoDB...');
-        await connectToDatabase();
+        console.log(`🔄 Connecting to ${storage.backend} storage...`);
+        await storage.connect();
+        await ensureUniquePseudonyms();
 
-        console.log('🔄 Loading data from database...');
-        await loadDataFromDatabase(); // Load existing data from MongoDB
+        const [submissionCount, promptCount] = await Promise.all([
+            storage.countSubmissions(),
+            storage.countPrompts()
+        ]);
+        console.log(`✅ Found ${submissionCount} submissions and ${promptCount} prompts in history`);
 
         console.log('🔄 Starting Slack Socket Mode connection...');
         console.log('   (This may take 10-30 seconds on first connection)');
@@ -1832,42 +5837,58 @@ setInterval(() => {
 
         console.log('\n✅ ========================================');
         console.log('⚡️ PromptBot is running!');
-        console.log('🔗 MongoDB connection:', db ? 'Connected ✅' : 'In-memory mode ⚠️');
+        console.log('🔗 Storage backend:', storage.backend === 'memory' ? 'In-memory mode ⚠️' : `${storage.backend} ✅`);
         console.log('🔌 Slack Socket Mode: Connected ✅');
-        console.log('📅 Scheduled prompts: Mon/Wed/Fri at 9 AM, 2 PM, 6 PM');
+        await startDmQueue();
+        await startScheduler();
         console.log('========================================\n');
 
-        // Check if PROMPT_CHANNEL_ID is configured
-        if (!process.env.PROMPT_CHANNEL_ID) {
-            console.log('⚠️  PROMPT_CHANNEL_ID not configured in .env - prompts will not be posted');
+        await catchUpMissedRuns();
+
+        // Check if any prompt channels are configured
+        const promptChannelIds = await getPromptChannelIds();
+        if (promptChannelIds.length === 0) {
+            console.log('⚠️  No prompt channels configured - set PROMPT_CHANNEL_IDS in .env or add one with /channels add');
         } else {
-            console.log(`📢 Prompt channel configured: ${process.env.PROMPT_CHANNEL_ID}`);
+            console.log(`📢 Prompt channels configured: ${promptChannelIds.join(', ')}`);
 
-            // Send connection confirmation to channel
-            try {
-                await app.client.chat.postMessage({
-                    channel: process.env.PROMPT_CHANNEL_ID,
-                    text: "🤖 PromptBot connected successfully! Ready for intercultural learning. 🌍✨"
-                });
-                console.log('✅ Connection confirmed to prompt channel');
-            } catch (error) {
-                console.log('⚠️  Could not send confirmation to channel:', error.message);
-            }
+            // Announce and test-post on startup only when asked to - otherwise every deploy or restart
+            // would ping the whole channel
+            const announce = process.env.STARTUP_ANNOUNCE === 'true';
+            const testPrompt = process.env.STARTUP_TEST_PROMPT === 'true';
 
-            // Send a test prompt immediately on startup for testing
-            console.log('🚀 Sending test prompt on startup in 5 seconds...');
-            setTimeout(async () => {
+            // Send connection confirmation to each channel
+            for (const channelId of announce ? promptChannelIds : []) {
                 try {
-                    await postPrompt();
-                    console.log('✅ Test prompt posting completed');
+                    await app.client.chat.postMessage({
+                        channel: channelId,
+                        text: t(DEFAULT_UI_LANGUAGE, 'bot.connected')
+                    });
+                    console.log(`✅ Connection confirmed to prompt channel ${channelId}`);
                 } catch (error) {
-                    console.error('❌ Test prompt failed:', error);
+                    console.log(`⚠️  Could not send confirmation to ${channelId}:`, error.message);
                 }
-            }, 5000); // Wait 5 seconds for Socket Mode to fully connect
+            }
+
+            // Send a test prompt on startup for testing (STARTUP_TEST_PROMPT=true)
+            if (testPrompt) {
+                console.log('🚀 Sending test prompt on startup in 5 seconds...');
+                setTimeout(async () => {
+                    for (const channelId of promptChannelIds) {
+                        try {
+                            await postPrompt(channelId);
+                            console.log(`✅ Test prompt posting completed for ${channelId}`);
+                        } catch (error) {
+                            console.error(`❌ Test prompt failed for ${channelId}:`, error);
+                        }
+                    }
+                }, 5000); // Wait 5 seconds for Socket Mode to fully connect
+            }
         }
 
     } catch (error) {
         console.error('❌ Failed to start the app:', error);
+        process.exit(1);
     }
 })();
 
@@ -1877,11 +5898,27 @@ async function gracefulShutdown(signal) {
     connectionHealthy = false;
 
     try {
-        // Close MongoDB connection
-        if (client) {
-            await client.close();
-            console.log('✅ MongoDB connection closed');
+        // Stop scheduling and let in-flight DM jobs finish before storage goes away
+        scheduledJobs.forEach(({ task }) => task.stop());
+        if (deadlineJob) {
+            deadlineJob.stop();
+        }
+        if (leaderboardJob) {
+            leaderboardJob.stop();
         }
+        if (streakRiskJob) {
+            streakRiskJob.stop();
+        }
+        if (dmQueue) {
+            await dmQueue.close();
+        }
+        if (schedulerLock) {
+            await schedulerLock.close();
+        }
+
+        // Close storage connection
+        await storage.close();
+        console.log('✅ Storage connection closed');
 
         // Give Slack client time to clean up
         setTimeout(() => {
@@ -0,0 +1,126 @@
+// Language detection by script proportions
+// Letters are counted per script (each registry language's pattern, Latin for the rest), ignoring
+// digits, emoji, symbols, URLs and Slack markup, so "I'm 20 years old :)" is plain English and one
+// kanji doesn't make a text Japanese. Latin text that reads as romanized Japanese is reported as
+// "romaji" rather than English. langdetect only adjusts the confidence of longer Latin text; it is
+// unreliable on a few words.
+const langdetect = require('langdetect');
+const { LANGUAGES } = require('./registry');
+
+const SCRIPT_LANGUAGES = Object.values(LANGUAGES).filter(language => language.script.type === 'pattern');
+const LATIN_LANGUAGE = Object.values(LANGUAGES).find(language => language.script.type === 'latin').code;
+const SCORED = [...Object.keys(LANGUAGES), 'romaji'];
+const LATIN_WORD_PATTERN = /[a-z\u00C0-\u024F]+(?:['\u2019][a-z]+)?/gi;
+
+// One Hepburn-style syllable: optional consonant cluster + vowel, a syllabic n, or a doubled consonant
+const ROMAJI_WORD_PATTERN = /^(?:(?:ky|gy|sh|ch|ts|ny|hy|by|py|my|ry|j|[kgsztdnhbpmyrwf])?[aiueo\u0101\u012B\u016B\u0113\u014D]|n(?![aiueoy])|([kgsztdhbpmrfjc])(?=\1))+$/;
+// Japanese words that are not also English words (so no "are", "ore", "sore", "de", "hai", "ni"
+// or "wa" - plain English like "We are here" would otherwise read as romaji)
+const ROMAJI_MARKERS = new Set([
+    'ga', 'wo', 'desu', 'deshita', 'masu', 'mashita', 'masen', 'mashou', 'janai',
+    'watashi', 'boku', 'anata', 'kore', 'nani', 'doko', 'itsu', 'totemo',
+    'sugoi', 'kawaii', 'arigatou', 'arigato', 'ohayou', 'konnichiwa', 'konbanwa', 'sumimasen',
+    'gomen', 'iie', 'kyou', 'ashita', 'kinou', 'daisuki', 'suki', 'tabemashita', 'ikimashita'
+]);
+
+// Strip what isn't language: Slack mentions/links/emoji codes and URLs
+function stripMarkup(text) {
+    return (text || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/:[a-z0-9_+-]+:/gi, ' ')
+        .replace(/https?:\/\/\S+/g, ' ');
+}
+
+function isRomajiWord(word) {
+    return ROMAJI_WORD_PATTERN.test(word.toLowerCase());
+}
+
+// Latin words read as romaji when almost all of them are romaji-shaped and at least two are Japanese
+// markers - or, for three words or more, when every word is romaji-shaped and one is a marker
+function isRomaji(words) {
+    if (words.length < 2) {
+        return words.length === 1 && ROMAJI_MARKERS.has(words[0].toLowerCase()) && words[0].length > 3;
+    }
+    const shaped = words.filter(isRomajiWord).length / words.length;
+    const markers = words.filter(word => ROMAJI_MARKERS.has(word.toLowerCase())).length;
+    return (shaped >= 0.8 && markers >= 2) || (words.length >= 3 && shaped === 1 && markers >= 1);
+}
+
+// Weighted letter counts per language code (plus "romaji") for a piece of text.
+// Non-Latin scripts carry their registry weight - a kana or hangul block is worth about two letters.
+function countLetters(text) {
+    const counts = Object.fromEntries(SCORED.map(code => [code, 0]));
+    SCRIPT_LANGUAGES.forEach(language => {
+        counts[language.code] = (text.match(language.script.pattern) || []).length * language.script.weight;
+    });
+
+    const words = text.match(LATIN_WORD_PATTERN) || [];
+    const latin = words.join('').length;
+    counts[isRomaji(words) ? 'romaji' : LATIN_LANGUAGE] += latin;
+
+    return { counts, words };
+}
+
+// Share of each language plus the weighted total
+function toProportions(counts) {
+    const total = SCORED.reduce((sum, code) => sum + counts[code], 0);
+    const shares = Object.fromEntries(SCORED.map(code => [code, total === 0 ? 0 : counts[code] / total]));
+    return { shares, total };
+}
+
+function dominant({ shares, total }) {
+    if (total === 0) return 'unknown';
+    return SCORED.reduce((best, code) => (shares[code] > shares[best] ? code : best));
+}
+
+// Full analysis: { language, confidence, proportions, outsideParentheses, romaji, mixed }
+// language is the dominant registry code or 'romaji' ('unknown' when there are no letters);
+// proportions maps every code to its share. outsideParentheses repeats the proportions without
+// text in (), （） or [] so policies can allow glosses.
+function analyzeLanguage(text) {
+    const clean = stripMarkup(text);
+    const { counts, words } = countLetters(clean);
+    const proportions = toProportions(counts);
+
+    const outside = clean.replace(/\([^)]*\)|（[^）]*）|\[[^\]]*\]/g, ' ');
+    const outsideParentheses = toProportions(countLetters(outside).counts);
+
+    const language = dominant(proportions);
+    let confidence = language === 'unknown' ? 0 : proportions.shares[language];
+
+    // Very little text is never a confident call
+    if (proportions.total < 6) {
+        confidence *= proportions.total / 6;
+    }
+
+    if (language === LATIN_LANGUAGE) {
+        if (words.length >= 4) {
+            const latinText = words.join(' ');
+            const match = langdetect.detect(latinText).find(result => result.lang === LATIN_LANGUAGE);
+            confidence *= 0.7 + 0.3 * (match ? match.prob : 0);
+        } else {
+            confidence *= 0.85;
+        }
+    }
+
+    return {
+        language,
+        confidence: Math.round(confidence * 100) / 100,
+        proportions: proportions.shares,
+        outsideParentheses: outsideParentheses.shares,
+        romaji: counts.romaji > 0,
+        mixed: Object.values(proportions.shares).filter(share => share > 0).length > 1
+    };
+}
+
+// The dominant language code for simple lookups; romaji counts as Japanese here
+function detectLanguage(text) {
+    const { language } = analyzeLanguage(text);
+    return language === 'romaji' ? 'ja' : language;
+}
+
+module.exports = {
+    analyzeLanguage,
+    detectLanguage,
+    isRomajiWord
+};
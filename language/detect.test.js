@@ -0,0 +1,26 @@
+// Detector cases for language/detect.js - run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeLanguage } = require('./detect');
+
+test('plain English with Japanese homographs is not romaji', () => {
+    [
+        'We are here',
+        'Are you sure',
+        'We are going to Kyoto',
+        'Some people are here to make more time'
+    ].forEach(text => assert.strictEqual(analyzeLanguage(text).language, 'en', text));
+});
+
+test('romanized Japanese is romaji', () => {
+    [
+        'Watashi wa gakusei desu',
+        'Kyou wa totemo atsui desu',
+        'Tokyo ni ikimashita',
+        'arigatou'
+    ].forEach(text => assert.strictEqual(analyzeLanguage(text).language, 'romaji', text));
+});
+
+test('Japanese script is Japanese', () => {
+    assert.strictEqual(analyzeLanguage('私は学生です').language, 'ja');
+});
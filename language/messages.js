@@ -0,0 +1,869 @@
+// UI message catalog - every string the bot sends to learners and admins, in English and Japanese
+// Messages are looked up by key with {placeholder} parameters; a value can also be a function of the
+// parameters when the wording depends on them (plurals, optional parts). Keys missing from a locale
+// fall back to English.
+
+const DEFAULT_LOCALE = 'en';
+
+const plural = (count, one, many) => (count === 1 ? one : many);
+
+const MESSAGES = {
+    en: {
+        // Language names, used for labels, pickers and lists
+        'language.en': 'English',
+        'language.ja': 'Japanese',
+        'language.ko': 'Korean',
+        'list.and': ({ items }) => (items.length <= 2 ? items.join(' and ') : `${items.slice(0, -1).join(', ')}, and ${items[items.length - 1]}`),
+        'list.or': ({ items }) => (items.length <= 2 ? items.join(' or ') : `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}`),
+        'date.at': '{date_short} at {time}',
+
+        'common.close': 'Close',
+        'common.cancel': 'Cancel',
+        'common.notSet': 'Not set',
+        'common.previous': '⬅️ Previous',
+        'common.next': 'Next ➡️',
+        'common.page': 'Page {page} of {pageCount}',
+        'common.unknown': 'Unknown',
+        'common.youWrote': '_Here\'s what you wrote, so you can edit it:_\n> {text}',
+
+        // Prompt categories and stages
+        'category.daily_life': 'daily life',
+        'category.opinions': 'opinions',
+        'category.culture': 'culture',
+        'category.imagination': 'imagination',
+        'category.fun': 'fun',
+        'category.storytelling': 'storytelling',
+        'category.collaboration': 'collaboration',
+        'category.general': 'general',
+        'stage.warm_up': 'easy warm-up',
+        'stage.creative': 'creative',
+        'stage.storytelling': 'storytelling',
+
+        // Setup
+        'setup.needLanguage': '👋 Hi! You need to set your target language first.\n\n📱 Go to the Home tab to choose {languages} as your target language.',
+        'setup.chooseLanguage': '⚠️ Please set your target language first! Go to the Home tab and choose {languages}.',
+        'setup.chooseLanguageWelcome': '👋 Please set your target language first! Go to the Home tab and choose {languages}.',
+        'setup.chooseLanguageShort': '💡 Please set your target language in the Home tab first!',
+
+        // Channel alert for a posted prompt
+        'alert.text': '🚨 <!everyone> New Intercultural Prompt Alert! 📱 Check your DMs for today\'s {category} prompt!',
+        'alert.updateText': '🚨 New Intercultural Prompt Alert! 📱 Check your DMs for today\'s {category} prompt!',
+        'alert.header': '🚨 New Prompt Alert!',
+        'alert.body': '<!everyone> 📱 **Check your DMs now!**\n\n*Today\'s Topic:* {category} ({stage})\n\n• Your personalized prompt is waiting in your DMs\n• Respond directly to me in DMs\n• I\'ll post your response in this thread anonymously',
+        'alert.howItWorks': '🎯 *How it works:*\n1️⃣ Read your prompt in DMs (in your target language)\n2️⃣ Reply to me directly in DMs\n3️⃣ I post your response anonymously in this thread\n4️⃣ Get AI feedback in your DMs',
+        'alert.viewResponses': '📋 View responses',
+        'alert.answered': ({ count }) => `📝 ${count} ${plural(count, 'person has', 'people have')} answered`,
+        'alert.closed': '🔒 Closed {date} • {answered}',
+        'alert.openUntil': '⏳ Open until {date} • {answered}',
+        'bot.connected': '🤖 PromptBot connected successfully! Ready for intercultural learning. 🌍✨',
+
+        // Prompt DMs
+        'prompt.ready': '🎯 Your personalized prompt is ready!',
+        'prompt.heading': '*{flag} Today\'s {language} Prompt:*\n\n{prompt}',
+        'prompt.howToRespond': '📝 *How to respond:* Simply type your response here in this DM!',
+        'prompt.readingTip': '💡 _React with ❓ for {language} reading help!_',
+        'prompt.testReady': '🚀 Test prompt generated!',
+        'prompt.testHeading': '*{flag} Test {language} Prompt:*\n\n{prompt}',
+        'prompt.testError': '❌ Sorry, there was an error generating a test prompt. Please try again later.',
+
+        // Deadline reminders
+        'reminder.text': '⏳ Friendly reminder: today\'s prompt closes {date}',
+        'reminder.body': '⏳ *Friendly reminder!* There\'s still time to answer - this prompt closes {date}.\n\n{prompt}\n\n📝 Just reply here in this DM.',
+        'reminder.streak': ({ count, freezes }) => `\n\n🔥 Your ${count}-prompt streak is on the line!${freezes > 0 ? ` (You have ${freezes} 🧊 ${plural(freezes, 'freeze', 'freezes')} to cover a miss.)` : ''}`,
+        'reminder.stop': '🔕 Stop reminders',
+        'reminder.stopped': '🔕 Got it - no more deadline reminders. You can turn them back on in the Home tab.',
+
+        // Streaks
+        'streak.summary': ({ prompt, promptBest, daily, dailyBest, freezes }) =>
+            `🎯 ${prompt} ${plural(prompt, 'prompt', 'prompts')} in a row (best ${promptBest}) • 🔥 ${daily} ${plural(daily, 'day', 'days')} writing (best ${dailyBest}) • 🧊 ${freezes} ${plural(freezes, 'freeze', 'freezes')}`,
+        'streak.freezesEarned': ({ count, total }) => `🧊 You earned ${count === 1 ? 'a streak freeze' : `${count} streak freezes`}! A freeze covers one missed prompt or day. You now have ${total}.`,
+        'streak.milestoneText': ({ kind, count }) => (kind === 'prompt' ? `🎯 ${count} prompts in a row!` : `🔥 ${count} days in a row!`),
+        'streak.milestone': ({ kind, count }) => (kind === 'prompt'
+            ? `🎯 *${count}-prompt streak!* You've answered ${count} prompts in a row.`
+            : `🔥 *${count}-day streak!* You've written in your target language ${count} days in a row.`),
+        'streak.keepGoing': 'Keep it going! 🎉',
+        'streak.freezeUsed': ({ count, left }) => `🧊 You missed a prompt, so a streak freeze kept your ${count}-prompt streak alive. ${left} ${plural(left, 'freeze', 'freezes')} left.`,
+        'streak.atRisk': ({ count, hasFreeze }) => `🔥 Your ${count}-day writing streak is at risk! Write anything in your target language today - answer a prompt or reply to someone's post - to keep it going.${hasFreeze ? ' (Otherwise a 🧊 freeze will cover today.)' : ''}`,
+
+        // Home tab
+        'home.title': '🌍 Intercultural Learning Hub',
+        'home.welcome': '👋 Welcome! Your anonymous identity: *{handle}*',
+        'home.newPseudonym': '🎲 New Pseudonym',
+        'home.newPseudonymConfirmTitle': 'Change pseudonym?',
+        'home.newPseudonymConfirm': ({ cost }) => `You'll get a new random handle${cost > 0 ? ` for ${cost} ${plural(cost, 'point', 'points')}` : ''}. Your points, streaks and history stay with you, and your old handle is never given to anyone else.`,
+        'home.newPseudonymYes': 'Change it',
+        'home.pseudonymChanges': ({ left, cost, cooldownDays, previous }) => [
+            left !== null ? `🎭 ${left} pseudonym ${plural(left, 'change', 'changes')} left` : null,
+            left !== null && cost > 0 ? `${cost} points each` : null,
+            left !== null && cooldownDays > 0 ? `once every ${cooldownDays} ${plural(cooldownDays, 'day', 'days')}` : null,
+            previous.length > 0 ? `Formerly: ${previous.join(', ')}` : null
+        ].filter(Boolean).join(' • '),
+        'home.summary': '🏆 *Points:* {points} | 🎯 *Target Language:* {language}',
+        'home.streaks': '*Streaks:* {summary}\n_Every {points} points earns a 🧊 freeze that covers one missed prompt or day._',
+        'home.pointsHistory': '*🧾 Points History:*\n{entries}',
+        'home.viewAll': '📜 View All',
+        'home.targetLanguage': '*🎯 Choose Your Target Language:*\nSelect the language you want to practice:',
+        'home.chooseLanguage': 'Choose language',
+        'home.nativeLanguage': ({ language, isDefault }) => `*🗣️ Your Native Language:* ${language}${isDefault ? ' (default)' : ''}\nFeedback, corrections and dictionary meanings are explained in this language.`,
+        'home.uiLanguage': '*🌐 Bot Language:* {language}\nThe language of my messages, buttons and help. Automatic follows your native language.',
+        'home.uiLanguageAuto': 'Automatic ({language})',
+        'home.level': ({ level, estimated }) => `*📈 Your Level:* ${level ? `${level}${estimated ? ' (estimated from your responses)' : ''}` : 'Not set yet - I\'ll estimate it after a few responses'}\nPrompts and feedback are adapted to this level.`,
+        'home.levelAuto': '🤖 Estimate from my responses',
+        'home.chooseLevel': 'Choose level',
+        'home.reminders': ({ on }) => `*⏰ Deadline Reminders:* ${on ? 'On' : 'Off'}\nIf you haven't answered a prompt, I'll nudge you once before it closes.`,
+        'home.turnOn': '🔔 Turn On',
+        'home.turnOff': '🔕 Turn Off',
+        'home.notifications': '*🔔 Notifications*\nDates and times below are in your Slack timezone ({timezone}).',
+        'home.promptStages': '*📬 Prompts to Receive:*\nEach day\'s prompts go warm-up → creative → storytelling. Untick the ones you don\'t want DMed.',
+        'home.pause': ({ until }) => (until
+            ? `*🏖️ Paused* through ${until}\nNo prompts, reminders or notifications until then.`
+            : '*🏖️ Pause / Vacation:* Off\nPick the last day of your break and I\'ll stop DMing you until it\'s over.'),
+        'home.pauseDate': 'Last day of break',
+        'home.resume': '▶️ Resume Now',
+        'home.quietHours': ({ start, end }) => (start && end
+            ? `*🌙 Quiet Hours:* ${start} - ${end}\nPrompts, reminders and notifications that come up then wait until quiet hours end.`
+            : '*🌙 Quiet Hours:* Off\nPick a start and an end time and I won\'t DM you in between.'),
+        'home.quietStart': 'Start',
+        'home.quietEnd': 'End',
+        'home.quietOff': '🔔 Turn Off Quiet Hours',
+        'home.replyNotifications': ({ on }) => `*💬 Reply Notifications:* ${on ? 'On' : 'Off'}\nI'll DM you when someone replies to one of your anonymous posts.`,
+        'home.scheduleLine': 'in <#{channel}> {schedule}',
+        'home.howItWorks': '*📚 How it works:*\n\n1️⃣ I post prompts {schedule}\n2️⃣ You receive a DM with a prompt in your target language\n3️⃣ Reply to me in DMs - I post your response anonymously\n4️⃣ Get personalized AI feedback in your DMs\n5️⃣ Earn points for participation!',
+        'home.privacy': '*🔒 Privacy Features:*\n• All responses are posted anonymously\n• Your identity is protected with a pseudonym\n• Only you can see your DM feedback',
+        'home.testing': '*🚀 Testing:*\nWant to try it out right now?',
+        'home.generateTest': '🚀 Generate Test Prompt',
+        'journey.title': ({ total }) => `*🗺️ My Journey* (${total} ${plural(total, 'post', 'posts')})\nYour past responses and replies, with the feedback, replies and points each one got.`,
+        'journey.empty': '_Nothing here yet - answer a prompt in your DMs to start your journey!_',
+        'journey.response': '*📝 Response*',
+        'journey.reply': '*💬 Reply*',
+        'journey.prompt': '_Prompt:_ {text}',
+        'journey.repliedTo': '_Replying to:_ {text}',
+        'journey.feedback': '*💡 Feedback:* {feedback}',
+        'journey.noFeedback': '*💡 Feedback:* _none saved_',
+        'journey.points': ({ points }) => `🏆 ${points > 0 ? '+' : ''}${points} ${plural(Math.abs(points), 'point', 'points')}`,
+        'journey.replies': ({ count }) => `💬 ${count} ${plural(count, 'reply', 'replies')} received`,
+        'journey.correctionButton': '📝 Detailed Correction',
+        'journey.readingButton': '📖 Reading',
+        'journey.loading': '⏳ Working on it - this takes a few seconds...',
+        'journey.correctionTitle': '📝 Detailed Correction',
+        'journey.readingTitle': '📖 Reading Help',
+        'journey.youWrote': '*You wrote:*\n> {text}',
+        'journey.readingOf': '*{language}:*\n> {text}',
+        'journey.notFound': '⚠️ I could not find that post any more.',
+        'journey.failed': '❌ Sorry, something went wrong. Please close this and try again.',
+
+        // Settings confirmations
+        'settings.targetSet': '🎯 Target language set to {language}! You\'ll receive prompts in this language.',
+        'settings.nativeIsTarget': '⚠️ {language} is your target language - pick the language you already speak as your native language.',
+        'settings.nativeSet': '🗣️ Native language set to {language}. Feedback will be explained in {name}.',
+        'settings.uiSet': '🌐 Got it - I\'ll use {language} for my messages from now on.',
+        'settings.levelSet': ({ level, estimated }) => `📈 Level set to ${level}${estimated ? ' (estimated)' : ''}! Prompts and feedback will match it.`,
+        'settings.levelPending': '📈 I\'ll estimate your level once you\'ve sent a few responses.',
+        'settings.paused': '🏖️ Paused through {date}. Enjoy your break - prompts start again the day after.',
+        'settings.resumed': '▶️ Welcome back! Prompts are on again.',
+        'pseudonym.changed': ({ handle, previous, cost }) => `🎭 You're now *${handle}*${cost > 0 ? ` (-${cost} ${plural(cost, 'point', 'points')})` : ''}. New posts use this handle; your earlier posts still show ${previous}, and that handle stays yours.`,
+        'pseudonym.limit': '🎭 You\'ve used all your pseudonym changes.',
+        'pseudonym.cooldown': '🎭 You changed your pseudonym recently - you can change it again {date}.',
+        'pseudonym.points': ({ cost }) => `🎭 A new pseudonym costs ${cost} ${plural(cost, 'point', 'points')} - keep writing and try again soon!`,
+
+        // Points
+        'points.none': 'No points yet - respond to a prompt to earn your first!',
+        'points.historyTitle': '🧾 Points History',
+        'points.balance': ({ points }) => `🏆 *Current balance:* ${points} ${plural(points, 'point', 'points')}`,
+        'points.showingRecent': 'Showing your {count} most recent entries',
+        'points.reversed': '~reversed~',
+        'points.award': ({ amount, breakdown }) => `🏆 *+${amount} ${plural(amount, 'point', 'points')}*${breakdown ? ` (${breakdown})` : ''}`,
+        'points.reason.submission': '📝 Response',
+        'points.reason.reply': '💬 Reply',
+        'points.reason.kudos': '✅ Kudos',
+        'points.reason.bonus': '🎁 Bonus',
+        'points.reason.admin_adjustment': '🛠️ Admin adjustment',
+        'points.reason.reversal': '↩️ Reversal',
+        'points.reason.migration': '📦 Opening balance',
+        'points.reason.pseudonym_change': '🎭 Pseudonym change',
+        'points.action.submission': 'Response',
+        'points.action.reply': 'Reply',
+        'points.action.kudos': 'Kudos',
+        'points.action.streak': 'Streak milestone',
+        'points.line.milestone': '{count} in a row',
+        'points.line.targetLanguage': 'Target language',
+        'points.line.length': 'Length {minLength}+ characters',
+        'points.line.revision': 'Revision after feedback',
+        'points.line.dailyCap': 'Daily {action} cap ({cap})',
+        'points.yourHistory': 'Your points history',
+        'points.historyFor': 'Points history for <@{user}>',
+        'points.historyBody': '*🧾 {heading}* (balance: {balance})\n\n{entries}',
+        'points.noEntries': 'No entries yet.',
+        'points.usageHistory': '⚠️ Usage: `/points history [@user]`',
+        'points.usage': '⚠️ Usage: `/points history`, `/points rules`, `/points adjust @user <amount> [note]` or `/points reverse <entry-id> [note]`',
+        'points.rulesTitle': '📐 Points rules',
+        'points.rulesHeading': ({ customized }) => `*📐 Points rules* ${customized ? '(customized with `/points rules set`)' : '(defaults)'}`,
+        'rules.actionLine': ({ label, action, base, cap, milestones }) => `• *${label}* (\`${action}\`): +${base}${cap ? ` • cap ${cap}/day` : ''}${milestones ? ` • milestones ${milestones}` : ''}`,
+        'rules.actions': '*Actions*',
+        'rules.bonuses': '*Bonuses*\n• Target language: +{targetLanguage}\n• Revision after feedback: +{revision}',
+        'rules.lengthTiers': '*Length tiers* (highest reached applies)',
+        'rules.defaultTier': 'Default',
+        'rules.tier': '{minLength}+ chars +{bonus}',
+        'rules.none': 'none',
+
+        // Admin-only refusals
+        'admin.onlyAdjustPoints': '🚫 Only admins can adjust points.',
+        'admin.onlyReversePoints': '🚫 Only admins can reverse points entries.',
+        'admin.onlyPointsRules': '🚫 Only admins can change the points rules.',
+        'admin.onlyPromptBank': '🚫 Only admins can manage the prompt bank.',
+        'admin.onlyReview': '🚫 Only admins can review prompts.',
+        'admin.onlySchedule': '🚫 Only admins can change the schedule.',
+        'admin.onlyChannels': '🚫 Only admins can manage prompt channels.',
+        'admin.onlyDeliveries': '🚫 Only admins can view delivery reports.',
+        'admin.onlyCohorts': '🚫 Only admins can manage cohort labels.',
+
+        // Admin commands (/points adjust|reverse|rules, /prompts, /schedule, /channels, /cohort, /deliveries, /testprompt)
+        'points.usageAdjust': '⚠️ Usage: `/points adjust @user <amount> [note]`',
+        'points.adjusted': ({ user, amount, balance, entryId }) => `✅ Adjusted <@${user}> by ${amount} ${plural(Math.abs(amount), 'point', 'points')}. New balance: ${balance}\nEntry ID: \`${entryId}\``,
+        'points.usageReverse': '⚠️ Usage: `/points reverse <entry-id> [note]`',
+        'points.reversedEntry': '✅ Reversed {amount} ({reason}) for <@{user}>. New balance: {balance}\nReversal entry ID: `{entryId}`',
+        'points.usageRulesSet': '⚠️ Usage: `/points rules set <json>` - e.g. `{"actions":{"reply":{"base":2}},"revisionBonus":3}`',
+        'points.rulesUpdated': '✅ Points rules updated.\n\n{rules}',
+        'points.rulesReset': '✅ Points rules reset.\n\n{rules}',
+        'points.usageRules': '⚠️ Usage: `/points rules`, `/points rules set <json>` or `/points rules reset`',
+        'bank.usage': '⚠️ Usage: `/prompts add`, `/prompts list [category|pending|retired]`, `/prompts edit <id>`, `/prompts retire <id>`, `/prompts approve <id>`, `/prompts reject <id>`, `/prompts queue`, `/prompts generate [count]` or `/prompts approval on|off`',
+        'bank.notFound': '⚠️ No prompt found with ID `{id}`',
+        'bank.title': '📚 Prompt bank',
+        'bank.heading': '📚 Prompt Bank',
+        'bank.group': ({ category, count, entries, more }) => `*${category}* (${count})\n\n${entries}${more > 0 ? `\n\n_…and ${more} more_` : ''}`,
+        'bank.empty': 'No prompts match. Add one with `/prompts add`.',
+        'bank.status.pending': '🕒 Pending review',
+        'bank.status.approved': '✅ Approved',
+        'bank.status.rejected': '❌ Rejected',
+        'bank.status.retired': '📦 Retired',
+        'bank.statusSet': '{status}: `{id}` {text}',
+        'bank.entry': ({ id, status, category, stage, used, texts }) => `*\`${id}\`* ${status} • ${category} (${stage}) • used ${used}×\n${texts}`,
+        'bank.queueEmpty': '🎉 The review queue is empty. Use `/prompts generate` to add AI candidates.',
+        'bank.queueSent': ({ count }) => `📬 Sent ${count} pending ${plural(count, 'prompt', 'prompts')} to your DMs for review.`,
+        'bank.generating': ({ count }) => `🤖 Generating ${count} prompt ${plural(count, 'candidate', 'candidates')} for review...`,
+        'bank.approvalStatus': ({ on }) => `🔐 Require approval is currently *${on ? 'on' : 'off'}*. Use \`/prompts approval on|off\` to change it.`,
+        'bank.approvalOn': '🔐 Require approval is *on* - scheduled posts will only use approved prompts.',
+        'bank.approvalOff': '🔓 Require approval is *off* - approved bank prompts are used first, then fresh AI prompts.',
+        'bank.noneApproved': '⚠️ A scheduled prompt was skipped because no approved prompts are available. Please review the queue with `/prompts queue`.',
+        'bank.review': ({ pending, manual, entry }) => `*📝 Prompt ${pending ? 'awaiting review' : 'reviewed'}* (${manual ? 'hand-written' : 'AI-generated'})\n\n${entry}`,
+        'bank.reviewText': '📝 Prompt awaiting review: {text}',
+        'bank.reviewedBy': '{status} by <@{user}>',
+        'bank.approve': '✅ Approve',
+        'bank.edit': '✏️ Edit',
+        'bank.reject': '❌ Reject',
+        'bank.modalAdd': '📝 Add Prompt',
+        'bank.modalEdit': '✏️ Edit {id}',
+        'bank.save': 'Save',
+        'bank.category': 'Category',
+        'bank.languagePrompt': '{flag} {language} prompt',
+        'bank.editNote': 'Editing keeps the entry\'s current review status.',
+        'bank.addNote': 'Hand-written prompts are approved as soon as you save them.',
+        'bank.savedText': ({ updated, text }) => `📚 Prompt ${updated ? 'updated' : 'added'}: ${text}`,
+        'bank.saved': ({ updated, entry }) => `📚 *Prompt ${updated ? 'updated' : 'added to the bank'}*\n\n${entry}`,
+        'bank.similar': '⚠️ This is {percent}% similar to an earlier prompt: "{text}"',
+        'schedule.usage': '⚠️ Usage: `/schedule`, `/schedule set <cron> [timezone]` or `/schedule reset`',
+        'schedule.usageSet': '⚠️ Usage: `/schedule set <minute> <hour> <day> <month> <weekday> [timezone]`, e.g. `/schedule set 0 9,14,18 * * 1,3,5 Asia/Tokyo`',
+        'schedule.unknownTimezone': '⚠️ Unknown timezone `{timezone}` - use an IANA name like `America/New_York` or `Asia/Tokyo`.',
+        'schedule.updated': '✅ Prompts for <#{channel}> will now be posted {schedule}',
+        'schedule.reset': '✅ <#{channel}> is back on the default schedule: {schedule}',
+        'channels.usage': '⚠️ Usage: `/channels list`, `/channels add [#channel] [cohort name]` or `/channels remove [#channel]`',
+        'channels.added': '✅ {channel} is now a prompt channel. Prompts will be posted {schedule} - make sure I\'m invited to the channel!',
+        'channels.notPrompt': '⚠️ <#{channel}> is not a prompt channel.',
+        'channels.removed': '✅ <#{channel}> will no longer receive prompts. Its history and leaderboard are kept.',
+        'cohort.usage': '⚠️ Usage: `/cohort list`, `/cohort set @user [@user ...] <label>` or `/cohort clear @user [@user ...]`',
+        'cohort.list': '🏷️ *Cohort labels:*\n{lines}',
+        'cohort.none': 'No cohort labels yet. Add one with `/cohort set @user [@user ...] <label>`.',
+        'cohort.usageSet': '⚠️ Usage: `/cohort set @user [@user ...] <label>` (labels are up to {max} characters)',
+        'cohort.set': ({ users, count, label }) => `✅ ${users} now ${count === 1 ? 'shows' : 'show'} *${label}* next to their handle in new posts and leaderboards.`,
+        'cohort.usageClear': '⚠️ Usage: `/cohort clear @user [@user ...]`',
+        'cohort.cleared': '✅ Cleared the cohort label of {users}.',
+        'delivery.status.sent': '✅ Sent',
+        'delivery.status.needs_setup': '⚙️ No language set',
+        'delivery.status.held_quiet': '🌙 Held for quiet hours',
+        'delivery.status.skipped_paused': '🏖️ Paused',
+        'delivery.status.skipped_stage': '📬 Stage turned off',
+        'delivery.status.skipped_closed': '🔒 Closed before quiet hours ended',
+        'delivery.status.skipped_bot': '🤖 Bots skipped',
+        'delivery.status.skipped_deleted': '👻 Deactivated skipped',
+        'delivery.status.failed': '❌ Failed',
+        'delivery.heading': '📬 *Prompt delivery `{id}`* for <#{channel}> ({category}) - {progress}',
+        'delivery.finished': ({ seconds }) => (seconds === null ? 'finished' : `finished in ${seconds}s`),
+        'delivery.processed': '{processed}/{total} processed',
+        'delivery.noRecipients': 'No recipients',
+        'delivery.failures': ({ failures, more }) => `*Failures:*\n${failures}${more > 0 ? `\n…and ${more} more` : ''}`,
+        'deliveries.notFound': '⚠️ No delivery found with ID `{id}`',
+        'deliveries.none': 'No prompt deliveries yet.',
+        'testPrompt.triggered': '🚀 Triggering test prompt... Check the logs and channel!',
+        'testPrompt.failed': '❌ Error posting test prompt: {message}',
+
+        // Anti-gaming and language checks
+        'check.tooShort': '✏️ That\'s a bit short to post - try writing a full sentence or two (at least {minLength} characters, not counting spaces and punctuation).',
+        'check.echo': '🪞 This looks like the prompt copied back. Answer it in your own words!',
+        'check.burst': '⏳ You\'ve posted {count} times in the last {minutes} minutes. Take a short break and try again in a few minutes.',
+        'check.duplicate': '🔁 This is the same as something you posted {date}. Try saying something new!',
+        'check.unclear': '⚠️ I couldn\'t detect the language clearly. Please write a little more in {language}.',
+        'check.romaji': '🔤 That looks like romaji. Please write it in hiragana, katakana or kanji - your keyboard\'s Japanese input will convert it for you!',
+        'check.romajiOther': '🔤 That looks like Japanese written in Latin letters (romaji). Please respond in {language}!',
+        'check.wrongLanguage': '{flag} Please respond in {name}! Your target language is set to {name}.',
+        'check.mixed': '🔀 About {percent}% of this isn\'t in your target language. {allowed}',
+        'check.mixedStrict': 'Please write everything in {language}.',
+        'check.mixedParentheses': 'A few words in another language are fine in parentheses, like {example} - but keep the rest in {language}.',
+        'check.mixedRatio': 'A few words in another language are fine, but keep most of it in {language}.',
+        'check.languageTip': '💡 Tip: You can change your target language in the Home tab if needed.',
+
+        // Responses and replies
+        'response.noPrompt': '⏰ You don\'t have an open prompt right now. I\'ll DM you the next one as soon as it\'s posted!',
+        'response.closed': '⏰ Sorry, the response window for this prompt closed {date}. I\'ll DM you the next one as soon as it\'s posted!',
+        'response.notPosted': '🛑 *Your response wasn\'t posted.*\n\n{reason}',
+        'response.testText': '🧪 Feedback on your test prompt answer',
+        'response.test': '🧪 *That was a test prompt*, so your answer wasn\'t posted to a channel and doesn\'t earn points. Here\'s your feedback - your next answer goes to the latest scheduled prompt.',
+        'response.postedText': ({ handle, amount }) => `✅ Your response has been posted anonymously as ${handle}! +${amount} ${plural(amount, 'point', 'points')}`,
+        'response.posted': '✅ *Posted successfully!* Your response is now live in the prompt\'s thread in <#{channel}> as *{handle}*\n{award}',
+        'response.error': '❌ Sorry, there was an error processing your response. Please try again.',
+        'feedback.section': ({ feedback, revisionHint }) => `*🤖 AI Feedback:*\n${feedback}\n\n💡 _React with ❓ for detailed explanations${revisionHint ? ', or send a revised answer for a revision bonus' : ''}!_`,
+        'reply.title': '💬 Reply Anonymously',
+        'reply.submit': 'Send Reply',
+        'reply.replyingTo': '*Replying to {handle}:*\n\n> {text}',
+        'reply.placeholder': 'Write your reply in {language}...',
+        'reply.label': 'Your Reply',
+        'reply.writeIn': '⚠️ Please write in *{language}* (your target language)',
+        'reply.notPosted': '🛑 *Your reply wasn\'t posted.*\n\n{reason}',
+        'reply.postedText': ({ amount }) => `✅ Your reply has been posted! +${amount} ${plural(amount, 'point', 'points')}`,
+        'reply.posted': '✅ *Reply posted!* Your reply to {handle} is now live in the thread.\n{award}',
+        'reply.error': '❌ Sorry, there was an error posting your reply. Please try again.',
+        'reply.receivedText': '💬 {handle} replied to your post',
+        'reply.received': ({ handle, link, original, text }) => `💬 *${handle} replied to your post!*${link ? ` (<${link}|view it>)` : ''}\n\n_You wrote:_ ${original}\n\n> ${text}\n\n_You can turn these off in the Home tab._`,
+
+        // Anonymous posts in prompt channels
+        'post.responseText': '💬 Anonymous Response from {handle}',
+        'post.responded': '*{handle}* responded:\n\n{text}',
+        'post.replyText': '💬 Reply from {handle}',
+        'post.replied': '*{handle}* replied to *{original}*:\n\n{text}',
+        'post.late': ' • ⏰ Late',
+        'post.replyButton': '💬 Reply Anonymously',
+
+        // Prompt page
+        'responses.title': '📋 Prompt Responses',
+        'responses.header': '*{category}* ({stage}) • posted {posted} in <#{channel}>\n{texts}',
+        'responses.notPosted': 'not yet',
+        'responses.counts': ({ responses, replies }) => `📝 ${responses} ${plural(responses, 'response', 'responses')} • 💬 ${replies} ${plural(replies, 'reply', 'replies')}`,
+        'responses.empty': 'No responses yet - be the first! Answer the prompt in your DMs.',
+        'responses.notFound': '⚠️ I could not find that prompt.',
+
+        // Dictionary
+        'dictionary.needWord': 'Please tell me what word you want to define. For example: `define industry`{example}',
+        'dictionary.exampleOr': ' or `{example}`',
+        'dictionary.unsupported': '😕 Sorry, I can only define {languages} words. I couldn\'t understand "{word}".',
+        'dictionary.searching': 'One moment, searching for "{word}"... 📖',
+        'dictionary.result': '📖 Definition for "{word}"',
+        'dictionary.poweredBy': '{from} → {to} Powered by OpenAI',
+        'dictionary.openaiError': '❌ Sorry, I had an error looking up *{word}* with OpenAI.',
+        'dictionary.jishoNotFound': '😕 Sorry, I couldn\'t find *{word}* on Jisho.org. Here\'s a link to a manual search:\n\n<{url}|Search for "{word}" on Jisho.org>',
+        'dictionary.jishoFullEntry': '<{url}|View full entry for "{word}" on Jisho.org>',
+        'dictionary.jishoError': '❌ Sorry, I had an error connecting to Jisho.org.',
+
+        // ❓ reactions and AI fallbacks
+        'reading.unavailable': '💡 Reading help is only available for {languages} prompts. You can change your target language in the Home tab!',
+        'reading.result': '📖 *{language} Reading Help*\n\n{reading}\n\n_React with ❓ on any {language} prompt to see readings!_',
+        'reading.failed': '(Reading generation temporarily unavailable)',
+        'correction.result': '📝 *Detailed Correction Explanation*\n\n{correction}\n\n_React with ❓ on feedback to see detailed explanations!_',
+        'correction.failed': 'Detailed explanation temporarily unavailable.',
+        'feedback.failed': 'Great job practicing {language}! Keep up the good work! 🌟',
+
+        // Kudos
+        'kudos.text': ({ type, amount }) => `✅ Someone appreciated your ${type === 'reply' ? 'reply' : 'post'}!${amount > 0 ? ` +${amount} ${plural(amount, 'point', 'points')}` : ''}`,
+        'kudos.heading': ({ type, link }) => `✅ *Someone appreciated your ${type === 'reply' ? 'reply' : 'post'}!*${link ? ` (<${link}|view it>)` : ''}`,
+        'kudos.capReached': '_You\'ve reached today\'s kudos points limit - the appreciation still counts!_',
+
+        // /stats
+        'stats.text': '📊 Your Stats',
+        'stats.title': '📊 Your Learning Stats',
+        'stats.summary': '*Anonymous Identity:* {handle}\n*Target Language:* {language}\n*Total Points:* {points}',
+        'stats.responses': '*Responses Submitted:*\n{count}',
+        'stats.replies': '*Replies Posted:*\n{count}',
+        'stats.promptsReceived': '*Prompts Received:*\n{count}',
+        'stats.averageLength': '*Average Response Length:*\n{count} characters',
+        'stats.firstActivity': '*First Activity:*\n{date}',
+        'stats.lastActivity': '*Last Activity:*\n{date}',
+        'stats.noActivity': 'No activity yet',
+        'stats.promptStreak': '*🎯 Prompt Streak:*\n{count} in a row (best {best})',
+        'stats.writingStreak': '*🔥 Writing Streak:*\n{count} days (best {best})',
+        'stats.freezes': '*🧊 Streak Freezes:*\n{available} available, {used} used',
+        'stats.byLanguage': '*By language:* {breakdown}',
+        'stats.noLanguages': 'None yet',
+        'stats.error': '❌ Error retrieving your stats. Please try again.',
+
+        // Leaderboards
+        'leaderboard.period.week': 'This Week',
+        'leaderboard.period.month': 'This Month',
+        'leaderboard.period.all': 'All Time',
+        'leaderboard.previous.week': 'last week',
+        'leaderboard.previous.month': 'last month',
+        'leaderboard.text': '🏆 Leaderboard',
+        'leaderboard.title': '🏆 Top Learners - {period}',
+        'leaderboard.weekly': '🏆 Weekly Leaderboard',
+        'leaderboard.row': '{rank}. {handle} - {points} points',
+        'leaderboard.empty': 'No participants yet!',
+        'leaderboard.mostImproved': '*📈 Most Improved:*\n{rows}',
+        'leaderboard.improvedRow': '• {handle} +{points} vs {previous}',
+        'leaderboard.mostRepliedTo': '*💬 Most Replied-To:*\n{rows}',
+        'leaderboard.repliedRow': ({ handle, count }) => `• ${handle} - ${count} ${plural(count, 'reply', 'replies')}`,
+        'leaderboard.nobody': '_Nobody yet_',
+        'leaderboard.scopeChannel': 'Points earned in {channel}',
+        'leaderboard.scopeAll': 'All channels',
+        'leaderboard.since': '{scope} since {date}',
+        'leaderboard.usage': '⚠️ Usage: `/leaderboard [week|month|all]`',
+        'leaderboard.error': '❌ Error retrieving leaderboard. Please try again.',
+
+        // Schedules (Home tab, /schedule, /channels)
+        'schedule.dayNames': 'Sun,Mon,Tue,Wed,Thu,Fri,Sat',
+        'schedule.daySeparator': '/',
+        'schedule.everyDay': 'Every day',
+        'schedule.time': ({ hour, minute }) => {
+            const suffix = hour < 12 ? 'AM' : 'PM';
+            const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+            return minute === 0 ? `${displayHour} ${suffix}` : `${displayHour}:${String(minute).padStart(2, '0')} ${suffix}`;
+        },
+        'schedule.description': '{days} at {times} ({timezone})',
+        'schedule.raw': 'on the schedule `{cron}` ({timezone})',
+        'schedule.noChannel': '❌ No prompt channel configured - set PROMPT_CHANNEL_IDS in .env or add one with /channels add',
+        'schedule.show': ({ channel, schedule, cron, isDefault }) => `📅 Prompts for <#${channel}> are posted ${schedule}\nCron: \`${cron}\`${isDefault ? ' (default from PROMPT_SCHEDULE)' : ' (channel override)'}`,
+        'channels.list': '*📢 Prompt channels:*\n{lines}',
+        'channels.none': 'No prompt channels yet - an admin can add one with `/channels add`.',
+        'error.generic': '❌ {message}'
+    },
+
+    ja: {
+        'language.en': '英語',
+        'language.ja': '日本語',
+        'language.ko': '韓国語',
+        'list.and': ({ items }) => items.join('、'),
+        'list.or': ({ items }) => (items.length <= 1 ? items.join('') : `${items.slice(0, -1).join('、')}または${items[items.length - 1]}`),
+        'date.at': '{date_short} {time}',
+
+        'common.close': '閉じる',
+        'common.cancel': 'キャンセル',
+        'common.notSet': '未設定',
+        'common.previous': '⬅️ 前へ',
+        'common.next': '次へ ➡️',
+        'common.page': '{page} / {pageCount} ページ',
+        'common.unknown': '不明',
+        'common.youWrote': '_書いた内容はこちらです。直してもう一度送ってください:_\n> {text}',
+
+        'category.daily_life': '日常生活',
+        'category.opinions': '意見',
+        'category.culture': '文化',
+        'category.imagination': '想像',
+        'category.fun': 'おもしろ',
+        'category.storytelling': 'ストーリー',
+        'category.collaboration': 'コラボ',
+        'category.general': '一般',
+        'stage.warm_up': 'ウォーミングアップ',
+        'stage.creative': 'クリエイティブ',
+        'stage.storytelling': 'ストーリーテリング',
+
+        'setup.needLanguage': '👋 こんにちは！まず学習する言語を設定してください。\n\n📱 ホームタブで{languages}を学習言語として選んでください。',
+        'setup.chooseLanguage': '⚠️ まず学習言語を設定してください！ホームタブで{languages}を選べます。',
+        'setup.chooseLanguageWelcome': '👋 まず学習言語を設定してください！ホームタブで{languages}を選べます。',
+        'setup.chooseLanguageShort': '💡 先にホームタブで学習言語を設定してください！',
+
+        'alert.text': '🚨 <!everyone> 新しい異文化交流のお題です！📱 DMで今日の「{category}」のお題を確認してください！',
+        'alert.updateText': '🚨 新しい異文化交流のお題です！📱 DMで今日の「{category}」のお題を確認してください！',
+        'alert.header': '🚨 新しいお題です！',
+        'alert.body': '<!everyone> 📱 **今すぐDMをチェック！**\n\n*今日のテーマ:* {category}（{stage}）\n\n• あなた専用のお題がDMに届いています\n• DMでそのまま私に返信してください\n• 返信はこのスレッドに匿名で投稿されます',
+        'alert.howItWorks': '🎯 *参加のしかた:*\n1️⃣ DMでお題を読む（学習言語で届きます）\n2️⃣ DMで私に直接返信する\n3️⃣ 返信がこのスレッドに匿名で投稿される\n4️⃣ DMでAIからフィードバックが届く',
+        'alert.viewResponses': '📋 回答を見る',
+        'alert.answered': ({ count }) => `📝 ${count}人が回答しました`,
+        'alert.closed': '🔒 {date}に締め切り • {answered}',
+        'alert.openUntil': '⏳ {date}まで受付中 • {answered}',
+        'bot.connected': '🤖 PromptBotが接続しました！異文化交流を始めましょう。🌍✨',
+
+        'prompt.ready': '🎯 あなた専用のお題が届きました！',
+        'prompt.heading': '*{flag} 今日の{language}のお題:*\n\n{prompt}',
+        'prompt.howToRespond': '📝 *回答のしかた:* このDMにそのまま書いて送ってください！',
+        'prompt.readingTip': '💡 _❓でリアクションすると{language}の読み方を表示します！_',
+        'prompt.testReady': '🚀 テスト用のお題を作成しました！',
+        'prompt.testHeading': '*{flag} テスト用の{language}のお題:*\n\n{prompt}',
+        'prompt.testError': '❌ テスト用のお題の作成中にエラーが発生しました。しばらくしてからもう一度お試しください。',
+
+        'reminder.text': '⏳ リマインダー: 今日のお題は{date}に締め切られます',
+        'reminder.body': '⏳ *リマインダーです！* まだ回答できます。このお題は{date}に締め切られます。\n\n{prompt}\n\n📝 このDMに返信するだけでOKです。',
+        'reminder.streak': ({ count, freezes }) => `\n\n🔥 ${count}回連続の回答記録がかかっています！${freezes > 0 ? `（お休みを補う🧊フリーズが${freezes}個あります）` : ''}`,
+        'reminder.stop': '🔕 リマインダーを停止',
+        'reminder.stopped': '🔕 了解しました。締め切りのリマインダーはもう送りません。ホームタブからいつでも再開できます。',
+
+        'streak.summary': ({ prompt, promptBest, daily, dailyBest, freezes }) =>
+            `🎯 お題に${prompt}回連続で回答（最高${promptBest}） • 🔥 ${daily}日連続で執筆（最高${dailyBest}） • 🧊 フリーズ${freezes}個`,
+        'streak.freezesEarned': ({ count, total }) => `🧊 ストリークフリーズを${count}個獲得しました！フリーズ1個で、お題1回または1日のお休みを補えます。現在${total}個持っています。`,
+        'streak.milestoneText': ({ kind, count }) => (kind === 'prompt' ? `🎯 ${count}回連続回答！` : `🔥 ${count}日連続！`),
+        'streak.milestone': ({ kind, count }) => (kind === 'prompt'
+            ? `🎯 *${count}回連続回答達成！* お題に${count}回続けて回答しました。`
+            : `🔥 *${count}日連続達成！* ${count}日続けて学習言語で書きました。`),
+        'streak.keepGoing': 'この調子で続けましょう！🎉',
+        'streak.freezeUsed': ({ count, left }) => `🧊 お題を1回逃しましたが、ストリークフリーズで${count}回連続の記録を守りました。残りのフリーズは${left}個です。`,
+        'streak.atRisk': ({ count, hasFreeze }) => `🔥 ${count}日連続の執筆記録が途切れそうです！今日中に学習言語で何か書きましょう。お題への回答でも、誰かの投稿への返信でもOKです。${hasFreeze ? '（書かなかった場合は🧊フリーズで今日を補います）' : ''}`,
+
+        'home.title': '🌍 異文化学習ハブ',
+        'home.welcome': '👋 ようこそ！あなたの匿名ID: *{handle}*',
+        'home.newPseudonym': '🎲 新しいニックネーム',
+        'home.newPseudonymConfirmTitle': 'ニックネームを変更しますか？',
+        'home.newPseudonymConfirm': ({ cost }) => `ランダムな新しいニックネームになります${cost > 0 ? `（${cost}ポイント）` : ''}。ポイント・ストリーク・履歴はそのまま引き継がれ、古いニックネームが他の人に使われることはありません。`,
+        'home.newPseudonymYes': '変更する',
+        'home.pseudonymChanges': ({ left, cost, cooldownDays, previous }) => [
+            left !== null ? `🎭 ニックネームの変更はあと${left}回` : null,
+            left !== null && cost > 0 ? `1回${cost}ポイント` : null,
+            left !== null && cooldownDays > 0 ? `${cooldownDays}日に1回まで` : null,
+            previous.length > 0 ? `以前のニックネーム: ${previous.join('、')}` : null
+        ].filter(Boolean).join(' • '),
+        'home.summary': '🏆 *ポイント:* {points} | 🎯 *学習言語:* {language}',
+        'home.streaks': '*ストリーク:* {summary}\n_{points}ポイントごとに、お休み1回分を補う🧊フリーズがもらえます。_',
+        'home.pointsHistory': '*🧾 ポイント履歴:*\n{entries}',
+        'home.viewAll': '📜 すべて見る',
+        'home.targetLanguage': '*🎯 学習言語を選ぶ:*\n練習したい言語を選んでください:',
+        'home.chooseLanguage': '言語を選択',
+        'home.nativeLanguage': ({ language, isDefault }) => `*🗣️ 母語:* ${language}${isDefault ? '（既定）' : ''}\nフィードバック、添削、辞書の意味はこの言語で説明します。`,
+        'home.uiLanguage': '*🌐 ボットの表示言語:* {language}\nメッセージ、ボタン、ヘルプの言語です。「自動」は母語に合わせます。',
+        'home.uiLanguageAuto': '自動（{language}）',
+        'home.level': ({ level, estimated }) => `*📈 レベル:* ${level ? `${level}${estimated ? '（回答から推定）' : ''}` : '未設定 - 何回か回答すると推定します'}\nお題とフィードバックはこのレベルに合わせて調整されます。`,
+        'home.levelAuto': '🤖 回答から推定する',
+        'home.chooseLevel': 'レベルを選択',
+        'home.reminders': ({ on }) => `*⏰ 締め切りリマインダー:* ${on ? 'オン' : 'オフ'}\nお題にまだ回答していない場合、締め切り前に一度お知らせします。`,
+        'home.turnOn': '🔔 オンにする',
+        'home.turnOff': '🔕 オフにする',
+        'home.notifications': '*🔔 通知*\n以下の日付と時刻はSlackのタイムゾーン（{timezone}）です。',
+        'home.promptStages': '*📬 受け取るお題:*\n毎日のお題はウォーミングアップ → クリエイティブ → ストーリーテリングの順です。DMで受け取らないものはチェックを外してください。',
+        'home.pause': ({ until }) => (until
+            ? `*🏖️ 一時停止中*（${until}まで）\nそれまではお題・リマインダー・通知を送りません。`
+            : '*🏖️ 一時停止 / お休み:* オフ\nお休みの最終日を選ぶと、終わるまでDMを止めます。'),
+        'home.pauseDate': 'お休みの最終日',
+        'home.resume': '▶️ 今すぐ再開',
+        'home.quietHours': ({ start, end }) => (start && end
+            ? `*🌙 おやすみ時間:* ${start} - ${end}\nこの間に届くお題・リマインダー・通知は、おやすみ時間が終わってから送ります。`
+            : '*🌙 おやすみ時間:* オフ\n開始と終了の時刻を選ぶと、その間はDMを送りません。'),
+        'home.quietStart': '開始',
+        'home.quietEnd': '終了',
+        'home.quietOff': '🔔 おやすみ時間をオフにする',
+        'home.replyNotifications': ({ on }) => `*💬 返信の通知:* ${on ? 'オン' : 'オフ'}\nあなたの匿名投稿に返信があったらDMでお知らせします。`,
+        'home.scheduleLine': '<#{channel}> で{schedule}',
+        'home.howItWorks': '*📚 参加のしかた:*\n\n1️⃣ {schedule}にお題を投稿します\n2️⃣ 学習言語のお題がDMで届きます\n3️⃣ DMで返信すると、匿名で投稿されます\n4️⃣ あなたに合わせたAIフィードバックがDMで届きます\n5️⃣ 参加するとポイントがもらえます！',
+        'home.privacy': '*🔒 プライバシー:*\n• 回答はすべて匿名で投稿されます\n• あなたの身元はニックネームで守られます\n• DMのフィードバックはあなただけが見られます',
+        'home.testing': '*🚀 お試し:*\n今すぐ試してみますか？',
+        'home.generateTest': '🚀 テスト用のお題を作成',
+        'journey.title': ({ total }) => `*🗺️ マイジャーニー*（${total}件）\nこれまでの回答と返信、それぞれへのフィードバック・返信・ポイントです。`,
+        'journey.empty': '_まだ何もありません。DMでお題に回答してジャーニーを始めましょう！_',
+        'journey.response': '*📝 回答*',
+        'journey.reply': '*💬 返信*',
+        'journey.prompt': '_お題:_ {text}',
+        'journey.repliedTo': '_返信先:_ {text}',
+        'journey.feedback': '*💡 フィードバック:* {feedback}',
+        'journey.noFeedback': '*💡 フィードバック:* _保存されていません_',
+        'journey.points': ({ points }) => `🏆 ${points > 0 ? '+' : ''}${points}ポイント`,
+        'journey.replies': ({ count }) => `💬 返信${count}件`,
+        'journey.correctionButton': '📝 詳しい添削',
+        'journey.readingButton': '📖 読み方',
+        'journey.loading': '⏳ 作成中です。数秒お待ちください...',
+        'journey.correctionTitle': '📝 詳しい添削',
+        'journey.readingTitle': '📖 読み方ヘルプ',
+        'journey.youWrote': '*あなたの文:*\n> {text}',
+        'journey.readingOf': '*{language}:*\n> {text}',
+        'journey.notFound': '⚠️ その投稿が見つかりませんでした。',
+        'journey.failed': '❌ エラーが発生しました。閉じてからもう一度お試しください。',
+
+        'settings.targetSet': '🎯 学習言語を{language}に設定しました！この言語でお題が届きます。',
+        'settings.nativeIsTarget': '⚠️ {language}は学習言語です。母語にはすでに話せる言語を選んでください。',
+        'settings.nativeSet': '🗣️ 母語を{language}に設定しました。フィードバックは{name}で説明します。',
+        'settings.uiSet': '🌐 了解しました。これからは{language}でメッセージを送ります。',
+        'settings.levelSet': ({ level, estimated }) => `📈 レベルを${level}${estimated ? '（推定）' : ''}に設定しました！お題とフィードバックをこのレベルに合わせます。`,
+        'settings.levelPending': '📈 何回か回答していただいたら、レベルを推定します。',
+        'settings.paused': '🏖️ {date}まで一時停止します。よいお休みを！翌日からお題が再開します。',
+        'settings.resumed': '▶️ おかえりなさい！お題を再開しました。',
+        'pseudonym.changed': ({ handle, previous, cost }) => `🎭 新しいニックネームは *${handle}* です${cost > 0 ? `（-${cost}ポイント）` : ''}。これからの投稿はこの名前になります。以前の投稿は ${previous} のままで、その名前もあなた専用です。`,
+        'pseudonym.limit': '🎭 ニックネームの変更回数をすべて使いました。',
+        'pseudonym.cooldown': '🎭 最近ニックネームを変更したばかりです。次に変更できるのは{date}です。',
+        'pseudonym.points': ({ cost }) => `🎭 新しいニックネームには${cost}ポイントが必要です。たくさん書いて、また試してください！`,
+
+        'points.none': 'まだポイントがありません。お題に回答して最初のポイントを獲得しましょう！',
+        'points.historyTitle': '🧾 ポイント履歴',
+        'points.balance': '🏆 *現在のポイント:* {points}ポイント',
+        'points.showingRecent': '最新の{count}件を表示しています',
+        'points.reversed': '~取り消し済み~',
+        'points.award': ({ amount, breakdown }) => `🏆 *+${amount}ポイント*${breakdown ? `（${breakdown}）` : ''}`,
+        'points.reason.submission': '📝 回答',
+        'points.reason.reply': '💬 返信',
+        'points.reason.kudos': '✅ いいね',
+        'points.reason.bonus': '🎁 ボーナス',
+        'points.reason.admin_adjustment': '🛠️ 管理者による調整',
+        'points.reason.reversal': '↩️ 取り消し',
+        'points.reason.migration': '📦 開始時の残高',
+        'points.reason.pseudonym_change': '🎭 ニックネームの変更',
+        'points.action.submission': '回答',
+        'points.action.reply': '返信',
+        'points.action.kudos': 'いいね',
+        'points.action.streak': 'ストリーク達成',
+        'points.line.milestone': '{count}回連続',
+        'points.line.targetLanguage': '学習言語',
+        'points.line.length': '{minLength}文字以上',
+        'points.line.revision': 'フィードバック後の書き直し',
+        'points.line.dailyCap': '{action}の1日の上限（{cap}）',
+        'points.yourHistory': 'あなたのポイント履歴',
+        'points.historyFor': '<@{user}> のポイント履歴',
+        'points.historyBody': '*🧾 {heading}*（残高: {balance}）\n\n{entries}',
+        'points.noEntries': 'まだ記録がありません。',
+        'points.usageHistory': '⚠️ 使い方: `/points history [@user]`',
+        'points.usage': '⚠️ 使い方: `/points history`、`/points rules`、`/points adjust @user <amount> [note]`、`/points reverse <entry-id> [note]`',
+        'points.rulesTitle': '📐 ポイントのルール',
+        'points.rulesHeading': ({ customized }) => `*📐 ポイントのルール* ${customized ? '（`/points rules set` でカスタマイズ済み）' : '（既定）'}`,
+        'rules.actionLine': ({ label, action, base, cap, milestones }) => `• *${label}*（\`${action}\`）: +${base}${cap ? ` • 1日${cap}まで` : ''}${milestones ? ` • 達成ボーナス ${milestones}` : ''}`,
+        'rules.actions': '*アクション*',
+        'rules.bonuses': '*ボーナス*\n• 学習言語: +{targetLanguage}\n• フィードバック後の書き直し: +{revision}',
+        'rules.lengthTiers': '*長さボーナス*（達成した最高段階が適用されます）',
+        'rules.defaultTier': '既定',
+        'rules.tier': '{minLength}文字以上 +{bonus}',
+        'rules.none': 'なし',
+
+        'admin.onlyAdjustPoints': '🚫 ポイントを調整できるのは管理者だけです。',
+        'admin.onlyReversePoints': '🚫 ポイントの記録を取り消せるのは管理者だけです。',
+        'admin.onlyPointsRules': '🚫 ポイントのルールを変更できるのは管理者だけです。',
+        'admin.onlyPromptBank': '🚫 お題バンクを管理できるのは管理者だけです。',
+        'admin.onlyReview': '🚫 お題をレビューできるのは管理者だけです。',
+        'admin.onlySchedule': '🚫 スケジュールを変更できるのは管理者だけです。',
+        'admin.onlyChannels': '🚫 お題チャンネルを管理できるのは管理者だけです。',
+        'admin.onlyDeliveries': '🚫 配信レポートを見られるのは管理者だけです。',
+        'admin.onlyCohorts': '🚫 コホートのラベルを管理できるのは管理者だけです。',
+
+        'points.usageAdjust': '⚠️ 使い方: `/points adjust @user <amount> [note]`',
+        'points.adjusted': '✅ <@{user}> のポイントを {amount} 調整しました。新しい残高: {balance}\n記録ID: `{entryId}`',
+        'points.usageReverse': '⚠️ 使い方: `/points reverse <entry-id> [note]`',
+        'points.reversedEntry': '✅ <@{user}> の {amount}（{reason}）を取り消しました。新しい残高: {balance}\n取り消しの記録ID: `{entryId}`',
+        'points.usageRulesSet': '⚠️ 使い方: `/points rules set <json>` - 例: `{"actions":{"reply":{"base":2}},"revisionBonus":3}`',
+        'points.rulesUpdated': '✅ ポイントのルールを更新しました。\n\n{rules}',
+        'points.rulesReset': '✅ ポイントのルールを初期設定に戻しました。\n\n{rules}',
+        'points.usageRules': '⚠️ 使い方: `/points rules`、`/points rules set <json>`、`/points rules reset`',
+        'bank.usage': '⚠️ 使い方: `/prompts add`、`/prompts list [category|pending|retired]`、`/prompts edit <id>`、`/prompts retire <id>`、`/prompts approve <id>`、`/prompts reject <id>`、`/prompts queue`、`/prompts generate [count]`、`/prompts approval on|off`',
+        'bank.notFound': '⚠️ ID `{id}` のお題は見つかりません',
+        'bank.title': '📚 お題バンク',
+        'bank.heading': '📚 お題バンク',
+        'bank.group': ({ category, count, entries, more }) => `*${category}*（${count}件）\n\n${entries}${more > 0 ? `\n\n_ほか${more}件_` : ''}`,
+        'bank.empty': '該当するお題はありません。`/prompts add` で追加できます。',
+        'bank.status.pending': '🕒 レビュー待ち',
+        'bank.status.approved': '✅ 承認済み',
+        'bank.status.rejected': '❌ 却下',
+        'bank.status.retired': '📦 使用終了',
+        'bank.statusSet': '{status}: `{id}` {text}',
+        'bank.entry': ({ id, status, category, stage, used, texts }) => `*\`${id}\`* ${status} • ${category}（${stage}）• 使用${used}回\n${texts}`,
+        'bank.queueEmpty': '🎉 レビュー待ちのお題はありません。`/prompts generate` でAIの候補を追加できます。',
+        'bank.queueSent': '📬 レビュー待ちのお題{count}件をDMに送りました。',
+        'bank.generating': '🤖 レビュー用のお題の候補を{count}件作成しています...',
+        'bank.approvalStatus': ({ on }) => `🔐 承認必須は現在 *${on ? 'オン' : 'オフ'}* です。\`/prompts approval on|off\` で変更できます。`,
+        'bank.approvalOn': '🔐 承認必須を *オン* にしました。定期投稿には承認済みのお題だけを使います。',
+        'bank.approvalOff': '🔓 承認必須を *オフ* にしました。承認済みのバンクのお題を優先し、なければAIで新しく作ります。',
+        'bank.noneApproved': '⚠️ 承認済みのお題がないため、定期お題の投稿をスキップしました。`/prompts queue` でレビュー待ちのお題を確認してください。',
+        'bank.review': ({ pending, manual, entry }) => `*📝 ${pending ? 'レビュー待ちのお題' : 'レビュー済みのお題'}*（${manual ? '手書き' : 'AI作成'}）\n\n${entry}`,
+        'bank.reviewText': '📝 レビュー待ちのお題: {text}',
+        'bank.reviewedBy': '{status}（<@{user}>）',
+        'bank.approve': '✅ 承認',
+        'bank.edit': '✏️ 編集',
+        'bank.reject': '❌ 却下',
+        'bank.modalAdd': '📝 お題を追加',
+        'bank.modalEdit': '✏️ {id} を編集',
+        'bank.save': '保存',
+        'bank.category': 'カテゴリー',
+        'bank.languagePrompt': '{flag} {language}のお題',
+        'bank.editNote': '編集してもレビューの状態は変わりません。',
+        'bank.addNote': '手書きのお題は保存するとすぐに承認されます。',
+        'bank.savedText': ({ updated, text }) => `📚 お題を${updated ? '更新' : '追加'}しました: ${text}`,
+        'bank.saved': ({ updated, entry }) => `📚 *お題を${updated ? '更新しました' : 'バンクに追加しました'}*\n\n${entry}`,
+        'bank.similar': '⚠️ 以前のお題と{percent}%似ています:「{text}」',
+        'schedule.usage': '⚠️ 使い方: `/schedule`、`/schedule set <cron> [timezone]`、`/schedule reset`',
+        'schedule.usageSet': '⚠️ 使い方: `/schedule set <minute> <hour> <day> <month> <weekday> [timezone]` - 例: `/schedule set 0 9,14,18 * * 1,3,5 Asia/Tokyo`',
+        'schedule.unknownTimezone': '⚠️ タイムゾーン `{timezone}` は使えません。`America/New_York` や `Asia/Tokyo` のようなIANAの名前を指定してください。',
+        'schedule.updated': '✅ <#{channel}> のお題の投稿日時を変更しました: {schedule}',
+        'schedule.reset': '✅ <#{channel}> を既定のスケジュールに戻しました: {schedule}',
+        'channels.usage': '⚠️ 使い方: `/channels list`、`/channels add [#channel] [cohort name]`、`/channels remove [#channel]`',
+        'channels.added': '✅ {channel} をお題チャンネルにしました。投稿日時: {schedule} - ボットをチャンネルに招待してください！',
+        'channels.notPrompt': '⚠️ <#{channel}> はお題チャンネルではありません。',
+        'channels.removed': '✅ <#{channel}> にはもうお題を投稿しません。履歴とランキングは残ります。',
+        'cohort.usage': '⚠️ 使い方: `/cohort list`、`/cohort set @user [@user ...] <label>`、`/cohort clear @user [@user ...]`',
+        'cohort.list': '🏷️ *コホートのラベル:*\n{lines}',
+        'cohort.none': 'コホートのラベルはまだありません。`/cohort set @user [@user ...] <label>` で追加できます。',
+        'cohort.usageSet': '⚠️ 使い方: `/cohort set @user [@user ...] <label>`（ラベルは{max}文字まで）',
+        'cohort.set': '✅ {users} の新しい投稿とランキングでは、ハンドルの横に *{label}* が表示されます。',
+        'cohort.usageClear': '⚠️ 使い方: `/cohort clear @user [@user ...]`',
+        'cohort.cleared': '✅ {users} のコホートのラベルを消しました。',
+        'delivery.status.sent': '✅ 送信済み',
+        'delivery.status.needs_setup': '⚙️ 言語未設定',
+        'delivery.status.held_quiet': '🌙 おやすみ時間のため保留中',
+        'delivery.status.skipped_paused': '🏖️ 一時停止中',
+        'delivery.status.skipped_stage': '📬 受け取らない段階',
+        'delivery.status.skipped_closed': '🔒 おやすみ時間中に締め切り',
+        'delivery.status.skipped_bot': '🤖 ボットを除外',
+        'delivery.status.skipped_deleted': '👻 無効なアカウントを除外',
+        'delivery.status.failed': '❌ 失敗',
+        'delivery.heading': '📬 *お題の配信 `{id}`*（<#{channel}>、{category}）- {progress}',
+        'delivery.finished': ({ seconds }) => (seconds === null ? '完了' : `${seconds}秒で完了`),
+        'delivery.processed': '{processed}/{total}件処理済み',
+        'delivery.noRecipients': '受信者なし',
+        'delivery.failures': ({ failures, more }) => `*失敗:*\n${failures}${more > 0 ? `\nほか${more}件` : ''}`,
+        'deliveries.notFound': '⚠️ ID `{id}` の配信は見つかりません',
+        'deliveries.none': 'お題の配信はまだありません。',
+        'testPrompt.triggered': '🚀 テスト用のお題を投稿しています... ログとチャンネルを確認してください！',
+        'testPrompt.failed': '❌ テスト用のお題を投稿できませんでした: {message}',
+
+        'check.tooShort': '✏️ 投稿するには少し短すぎます。1〜2文で書いてみましょう（スペースと句読点を除いて{minLength}文字以上）。',
+        'check.echo': '🪞 お題をそのまま写したようです。自分の言葉で答えてみましょう！',
+        'check.burst': '⏳ この{minutes}分間に{count}回投稿しています。少し休んでから、数分後にもう一度お試しください。',
+        'check.duplicate': '🔁 {date}に投稿した内容と同じです。新しいことを書いてみましょう！',
+        'check.unclear': '⚠️ 言語をうまく判定できませんでした。{language}でもう少し長く書いてください。',
+        'check.romaji': '🔤 ローマ字のようです。ひらがな・カタカナ・漢字で書いてください。キーボードの日本語入力で変換できます！',
+        'check.romajiOther': '🔤 ローマ字で書かれた日本語のようです。{language}で回答してください！',
+        'check.wrongLanguage': '{flag} {name}で回答してください！学習言語は{name}に設定されています。',
+        'check.mixed': '🔀 約{percent}%が学習言語以外で書かれています。{allowed}',
+        'check.mixedStrict': 'すべて{language}で書いてください。',
+        'check.mixedParentheses': '{example}のように、かっこの中なら他の言語の単語を少し使ってもかまいません。それ以外は{language}で書いてください。',
+        'check.mixedRatio': '他の言語の単語を少し使うのはかまいませんが、ほとんどは{language}で書いてください。',
+        'check.languageTip': '💡 ヒント: 学習言語はホームタブで変更できます。',
+
+        'response.noPrompt': '⏰ 今は回答できるお題がありません。次のお題が投稿されたらすぐにDMでお送りします！',
+        'response.closed': '⏰ 申し訳ありません。このお題の回答受付は{date}に終了しました。次のお題が投稿されたらすぐにDMでお送りします！',
+        'response.notPosted': '🛑 *回答は投稿されませんでした。*\n\n{reason}',
+        'response.testText': '🧪 テスト用のお題への回答のフィードバック',
+        'response.test': '🧪 *これはテスト用のお題でした。* 回答はチャンネルに投稿されず、ポイントも付きません。フィードバックをどうぞ。次の回答は最新の定期お題への回答になります。',
+        'response.postedText': ({ handle, amount }) => `✅ ${handle}として匿名で回答を投稿しました！+${amount}ポイント`,
+        'response.posted': '✅ *投稿しました！* <#{channel}> のお題のスレッドに *{handle}* として回答が公開されました\n{award}',
+        'response.error': '❌ 回答の処理中にエラーが発生しました。もう一度お試しください。',
+        'feedback.section': ({ feedback, revisionHint }) => `*🤖 AIフィードバック:*\n${feedback}\n\n💡 _❓でリアクションすると詳しい説明が見られます${revisionHint ? '。書き直して送ると書き直しボーナスがもらえます' : ''}！_`,
+        'reply.title': '💬 匿名で返信',
+        'reply.submit': '返信を送る',
+        'reply.replyingTo': '*{handle} への返信:*\n\n> {text}',
+        'reply.placeholder': '{language}で返信を書いてください...',
+        'reply.label': 'あなたの返信',
+        'reply.writeIn': '⚠️ *{language}*（学習言語）で書いてください',
+        'reply.notPosted': '🛑 *返信は投稿されませんでした。*\n\n{reason}',
+        'reply.postedText': ({ amount }) => `✅ 返信を投稿しました！+${amount}ポイント`,
+        'reply.posted': '✅ *返信を投稿しました！* {handle} への返信がスレッドに公開されました。\n{award}',
+        'reply.error': '❌ 返信の投稿中にエラーが発生しました。もう一度お試しください。',
+        'reply.receivedText': '💬 {handle} さんがあなたの投稿に返信しました',
+        'reply.received': ({ handle, link, original, text }) => `💬 *${handle} さんがあなたの投稿に返信しました！*${link ? `（<${link}|返信を見る>）` : ''}\n\n_あなたの投稿:_ ${original}\n\n> ${text}\n\n_この通知はホームタブでオフにできます。_`,
+
+        'post.responseText': '💬 {handle} からの匿名回答',
+        'post.responded': '*{handle}* の回答:\n\n{text}',
+        'post.replyText': '💬 {handle} からの返信',
+        'post.replied': '*{handle}* が *{original}* に返信:\n\n{text}',
+        'post.late': ' • ⏰ 締め切り後',
+        'post.replyButton': '💬 匿名で返信',
+
+        'responses.title': '📋 お題への回答',
+        'responses.header': '*{category}*（{stage}） • {posted}に <#{channel}> に投稿\n{texts}',
+        'responses.notPosted': '未投稿',
+        'responses.counts': ({ responses, replies }) => `📝 回答${responses}件 • 💬 返信${replies}件`,
+        'responses.empty': 'まだ回答がありません。最初の回答者になりましょう！お題にはDMで回答できます。',
+        'responses.notFound': '⚠️ そのお題が見つかりませんでした。',
+
+        'dictionary.needWord': '意味を調べたい単語を教えてください。例: `define industry`{example}',
+        'dictionary.exampleOr': '、`{example}`',
+        'dictionary.unsupported': '😕 申し訳ありません。調べられるのは{languages}の単語だけです。「{word}」を認識できませんでした。',
+        'dictionary.searching': '「{word}」を調べています... 📖',
+        'dictionary.result': '📖 「{word}」の意味',
+        'dictionary.poweredBy': '{from} → {to} OpenAIによる辞書',
+        'dictionary.openaiError': '❌ OpenAIで *{word}* を調べる際にエラーが発生しました。',
+        'dictionary.jishoNotFound': '😕 Jisho.orgで *{word}* が見つかりませんでした。こちらから直接検索できます:\n\n<{url}|Jisho.orgで「{word}」を検索>',
+        'dictionary.jishoFullEntry': '<{url}|Jisho.orgで「{word}」の詳しい項目を見る>',
+        'dictionary.jishoError': '❌ Jisho.orgへの接続中にエラーが発生しました。',
+
+        'reading.unavailable': '💡 読み方ヘルプは{languages}のお題でのみ使えます。学習言語はホームタブで変更できます！',
+        'reading.result': '📖 *{language}の読み方ヘルプ*\n\n{reading}\n\n_{language}のお題に❓でリアクションすると読み方を表示します！_',
+        'reading.failed': '（読み方の生成は一時的に利用できません）',
+        'correction.result': '📝 *詳しい添削の説明*\n\n{correction}\n\n_フィードバックに❓でリアクションすると詳しい説明が見られます！_',
+        'correction.failed': '詳細な説明は一時的に利用できません。',
+        'feedback.failed': '{language}の練習、よくできました！この調子で続けましょう！🌟',
+
+        'kudos.text': ({ type, amount }) => `✅ あなたの${type === 'reply' ? '返信' : '投稿'}に「いいね」が届きました！${amount > 0 ? ` +${amount}ポイント` : ''}`,
+        'kudos.heading': ({ type, link }) => `✅ *あなたの${type === 'reply' ? '返信' : '投稿'}に「いいね」が届きました！*${link ? `（<${link}|投稿を見る>）` : ''}`,
+        'kudos.capReached': '_今日の「いいね」ポイントの上限に達しましたが、気持ちはしっかり届いています！_',
+
+        'stats.text': '📊 あなたの記録',
+        'stats.title': '📊 あなたの学習記録',
+        'stats.summary': '*匿名ID:* {handle}\n*学習言語:* {language}\n*合計ポイント:* {points}',
+        'stats.responses': '*回答数:*\n{count}',
+        'stats.replies': '*返信数:*\n{count}',
+        'stats.promptsReceived': '*受け取ったお題:*\n{count}',
+        'stats.averageLength': '*回答の平均の長さ:*\n{count}文字',
+        'stats.firstActivity': '*最初の活動:*\n{date}',
+        'stats.lastActivity': '*最近の活動:*\n{date}',
+        'stats.noActivity': 'まだ活動がありません',
+        'stats.promptStreak': '*🎯 回答ストリーク:*\n{count}回連続（最高{best}）',
+        'stats.writingStreak': '*🔥 執筆ストリーク:*\n{count}日（最高{best}）',
+        'stats.freezes': '*🧊 ストリークフリーズ:*\n残り{available}個、使用済み{used}個',
+        'stats.byLanguage': '*言語別:* {breakdown}',
+        'stats.noLanguages': 'まだありません',
+        'stats.error': '❌ 記録の取得中にエラーが発生しました。もう一度お試しください。',
+
+        'leaderboard.period.week': '今週',
+        'leaderboard.period.month': '今月',
+        'leaderboard.period.all': '全期間',
+        'leaderboard.previous.week': '先週',
+        'leaderboard.previous.month': '先月',
+        'leaderboard.text': '🏆 ランキング',
+        'leaderboard.title': '🏆 トップ学習者 - {period}',
+        'leaderboard.weekly': '🏆 週間ランキング',
+        'leaderboard.row': '{rank}. {handle} - {points}ポイント',
+        'leaderboard.empty': 'まだ参加者がいません！',
+        'leaderboard.mostImproved': '*📈 最も伸びた人:*\n{rows}',
+        'leaderboard.improvedRow': '• {handle} {previous}より+{points}',
+        'leaderboard.mostRepliedTo': '*💬 最も返信が多かった人:*\n{rows}',
+        'leaderboard.repliedRow': ({ handle, count }) => `• ${handle} - 返信${count}件`,
+        'leaderboard.nobody': '_まだいません_',
+        'leaderboard.scopeChannel': '{channel} で獲得したポイント',
+        'leaderboard.scopeAll': '全チャンネル',
+        'leaderboard.since': '{scope}（{date}以降）',
+        'leaderboard.usage': '⚠️ 使い方: `/leaderboard [week|month|all]`',
+        'leaderboard.error': '❌ ランキングの取得中にエラーが発生しました。もう一度お試しください。',
+
+        'schedule.dayNames': '日,月,火,水,木,金,土',
+        'schedule.daySeparator': '・',
+        'schedule.everyDay': '毎日',
+        'schedule.time': ({ hour, minute }) => `${hour}:${String(minute).padStart(2, '0')}`,
+        'schedule.description': '{days} {times}（{timezone}）',
+        'schedule.raw': 'スケジュール `{cron}`（{timezone}）',
+        'schedule.noChannel': '❌ お題チャンネルが設定されていません。.env の PROMPT_CHANNEL_IDS を設定するか、/channels add で追加してください',
+        'schedule.show': ({ channel, schedule, cron, isDefault }) => `📅 <#${channel}> のお題の投稿日時: ${schedule}\nCron: \`${cron}\`${isDefault ? '（PROMPT_SCHEDULE の既定値）' : '（チャンネル個別の設定）'}`,
+        'channels.list': '*📢 お題チャンネル:*\n{lines}',
+        'channels.none': 'お題チャンネルはまだありません。管理者が `/channels add` で追加できます。',
+        'error.generic': '❌ {message}'
+    }
+};
+
+function isMessageLocale(locale) {
+    return Boolean(locale && MESSAGES[locale]);
+}
+
+function hasMessage(key) {
+    return key in MESSAGES[DEFAULT_LOCALE];
+}
+
+function getMessageLocales() {
+    return Object.keys(MESSAGES);
+}
+
+// Look up a message and fill in its {placeholders}; unknown keys come back as the key itself
+function t(locale, key, params = {}) {
+    const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+    const message = key in catalog ? catalog[key] : MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+        console.log(`⚠️ Missing UI message "${key}"`);
+        return key;
+    }
+    if (typeof message === 'function') {
+        return message(params);
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    MESSAGES,
+    isMessageLocale,
+    getMessageLocales,
+    hasMessage,
+    t
+};
@@ -0,0 +1,246 @@
+// Language registry - everything the bot needs to know about a language in one place
+// Each entry has its code, display name and flag, how to recognise its script, how proficiency levels
+// are shown, its reading aid and dictionary provider, and the AI templates for prompts, feedback and
+// corrections. LANGUAGES (env, e.g. "en,ja,ko") picks the languages offered to learners.
+//
+// Feedback and correction templates are written for a learner of the language with a given native
+// language; pairs without a hand-tuned template get one built from the entries' notes.
+
+const DEFAULT_LANGUAGES = 'en,ja';
+
+// Hand-tuned tutor prompts, keyed "<target>:<native>"
+const FEEDBACK_TEMPLATES = {
+    'ja:en': `You are a gentle Japanese language tutor helping an English speaker learn Japanese. The output corrections must always follow these rules:
+1. The correction must follow the structure of: original sentence → corrected sentence → error explanation → motivational note + expansion suggestion
+2. For the original sentence: show the learner's original text → mark errors with a 🔴 directly before the incorrect word, wrongly used kanji character in the context of the prompt and its consequential answer or incorrect grammar structure
+3. For the corrected sentence: rewrite the sentence with all errors fixed and after each kanji word include its hiragana writing directly after in parentheses → mark each corrected word and grammar structure with 🟢 directly before it
+4. For Error Explanations: list each mistake on a new line → format: 「wrong」 → 「correct」 (short reason) → explanations must be short and clear (e.g., "adjective form," "spelling," "missing particle")
+5. For the motivational note: always include one differing ✨ motivational sentence (short praise)
+6. For the Expansion Suggestion: always provide one 👉 model expansion sentence in Japanese → underneath, provide the English translation in parentheses → expansion must be natural, descriptive, and connected as well as complete the learner's attempt, it should also rephrase and restructure the correct sentence to sound more natural
+7. Note: users could type the wrong kanji in response to the prompt question asked, based on the context of the prompt and its consequent answer, correct any mistakes and incorrect kanji choice with the correct one
+8. For the Slack Formatting: use line breaks \\n to separate sections cleanly → use emojis (🔴🟢✨👉) exactly as shown → keep messages short enough for Slack readability
+
+Here is the exact example breakdown of the correction format I would like for you to follow for the Japanese language:
+
+Original:
+隠(かく)すとカウントするとても 🔴楽しな 🔴ゲム です。
+
+Corrected:
+隠(かく)すとカウントするとても 🟢楽(たの)しい 🟢ゲーム です。
+
+「楽しな」 → 「楽しい」 (adjective form)
+「ゲム」 → 「ゲーム」 (spelling)
+
+✨ Great! To be more descriptive, you can say:
+👉 「一人が数えている間に、ほかの人たちが隠れて、見つかるまで待つゲームです。とても楽しいゲームです！」
+(It's a game where one person counts while the others hide and wait until they're found. It's a super fun game!)`,
+
+    'en:ja': `You are a gentle English language tutor helping a Japanese speaker learn English. The output corrections must always follow these rules:
+1. The correction must follow the structure of: original sentence → corrected sentence → error explanation → motivational note + expansion suggestion
+2. For the original sentence: show the learner's original text → mark errors with a 🔴 directly before the incorrect word
+3. For the corrected sentence: rewrite the sentence with all errors fixed → mark each corrected word with a 🟢 directly before it
+4. For Error Explanations: list each mistake on a new line → format: 「wrong」 → 「correct」 (short reason) → explanations must be short and clear and written in fluent n1 level japanese (e.g., "adjective form," "spelling," "missing particle")
+5. For the motivational note: always include one differing ✨ motivational sentence (short praise) in fluent n1 level japanese
+6. For the Expansion Suggestion: always provide one 👉 model expansion sentence in English → underneath, provide the Japanese translation in parentheses → expansion must be natural, descriptive, and connected to the learner's attempt
+7. For the Slack Formatting: use line breaks \\n to separate sections cleanly → use emojis (🔴🟢✨👉) exactly as shown → keep messages short enough for Slack readability
+
+Here is the exact example breakdown of the correction format I would like for you to follow for the English language:
+
+原文:
+We 🔴playing 🔴run game, we 🔴run many time 🔴about tree, 🔴very fast pace.
+
+修正文:
+We 🟢played 🟢a running game. We 🟢ran many times 🟢around the tree 🟢at a very fast pace.
+
+「playing」 → 「played」 (動詞の時制)
+「run game」 → 「a running game」 (冠詞＋名詞表現)
+「run many time」 → 「ran many times」 (動詞形＋複数形)
+「about tree」 → 「around the tree」 (前置詞の誤用)
+「very fast pace」 → 「at a very fast pace」 (前置詞不足)
+
+✨ とても良い挑戦です！あと少しで自然な表現になりました。
+👉 "In my country, children often play a running game where everyone runs around a large tree many times at a very fast pace."
+（私の国では、子供たちはよく大きな木の周りを何度も走るゲームをします。とても速いペースなので、とてもワクワクします。）`
+};
+
+const CORRECTION_TEMPLATES = {
+    'ja:en': `You are a Japanese language tutor for English speakers. Analyze the Japanese text and provide detailed corrections in English format:
+
+Original:
+[Show original with 🔴 before each error]
+
+Corrected:
+[Show corrected with 🟢 before each correction]
+
+【Detailed Explanation】
+"error → correction" → Detailed explanation in English
+[Repeat for each error]
+
+✨ Encouraging comment in English
+👉 Provide a perfect example sentence in Japanese with English translation in parentheses.
+
+Be thorough but encouraging.`,
+
+    'en:ja': `You are an English language tutor for Japanese speakers. Analyze the English text and provide detailed corrections in Japanese format:
+
+原文:
+[Show original with 🔴 before each error]
+
+修正文:
+[Show corrected with 🟢 before each correction]
+
+【詳細な説明】
+「error → correction」 → Detailed explanation in Japanese
+[Repeat for each error]
+
+✨ Encouraging comment in Japanese
+👉 Provide a perfect example sentence in English with Japanese translation in parentheses.
+
+Be thorough but encouraging.`
+};
+
+const LANGUAGES = {
+    en: {
+        code: 'en',
+        name: 'English',
+        nativeName: 'English',
+        flag: '🇺🇸',
+        // Latin letters; the detector gives every Latin word to the language with script "latin"
+        script: { type: 'latin', weight: 1 },
+        minSubmissionLength: 15,
+        formatLevel: level => `CEFR ${level.id}`,
+        readingAid: null,
+        dictionary: 'openai',
+        // How learners whose native language this is ask for a definition
+        dictionaryCommands: { prefixes: ['define ', 'look up '], wrapped: [['what does "', '" mean?']] },
+        glossExample: 'natto (納豆)',
+        promptNotes: 'Use natural, everyday English.',
+        feedbackNotes: ''
+    },
+    ja: {
+        code: 'ja',
+        name: 'Japanese',
+        nativeName: '日本語',
+        flag: '🇯🇵',
+        script: { type: 'pattern', pattern: /[\u3040-\u309F\u30A0-\u30FF\u31F0-\u31FF\u3400-\u4DBF\u4E00-\u9FFF\uFF66-\uFF9F\u3005\u3006]/g, weight: 2 },
+        // Latin text that reads as Japanese is romaji, reported separately by the detector
+        romanization: 'romaji',
+        minSubmissionLength: 6,
+        formatLevel: level => `JLPT ${level.jlpt}`,
+        // Share of kanji raises the estimated level
+        complexityPattern: /[\u4E00-\u9FAF]/g,
+        // Shown when a learner reacts with ❓ to a prompt (the UI text lives in language/messages.js)
+        readingAid: {
+            systemPrompt: `You are a Japanese language assistant. When given Japanese text, rewrite it with hiragana readings in parentheses immediately after EVERY word that contains kanji.
+
+Format: 漢字(かんじ) - Put the full hiragana reading for the entire word immediately after it in parentheses.
+
+Example input: 大学の中で、一番好きな場所はどこですか？
+Example output: 大学(だいがく)の中(なか)で、一番(いちばん)好き(すき)な場所(ばしょ)はどこですか？
+
+Only return the text with readings, no explanations.`
+        },
+        dictionary: 'jisho',
+        dictionaryCommands: { suffixes: [' 意味', ' とは'] },
+        glossExample: '映画(movie)',
+        promptNotes: 'Write pure Japanese without readings, localised so it sounds natural to native speakers (for example, avoid あなた pronoun sentences). Simplified variants use common kanji only.',
+        feedbackNotes: 'In the corrected sentence, write the hiragana reading in parentheses directly after each kanji word.'
+    },
+    ko: {
+        code: 'ko',
+        name: 'Korean',
+        nativeName: '한국어',
+        flag: '🇰🇷',
+        script: { type: 'pattern', pattern: /[\u1100-\u11FF\u3130-\u318F\uAC00-\uD7AF]/g, weight: 2 },
+        minSubmissionLength: 6,
+        formatLevel: level => `TOPIK ${level.topik}`,
+        readingAid: null,
+        dictionary: 'openai',
+        dictionaryCommands: { suffixes: [' 뜻', ' 뜻이 뭐예요?', ' 뜻이 뭐예요'] },
+        glossExample: '영화(movie)',
+        promptNotes: 'Write natural Korean in polite 해요체 style, localised so it sounds natural to native speakers (avoid 당신).',
+        feedbackNotes: 'Point out spacing (띄어쓰기) and particle errors, which are common for learners.'
+    }
+};
+
+function getLanguage(code) {
+    return LANGUAGES[code] || null;
+}
+
+function getLanguageLabel(code) {
+    const language = getLanguage(code);
+    return language ? `${language.flag} ${language.name}` : '❔ Other';
+}
+
+// The languages offered to learners, in LANGUAGES order (unknown codes are skipped with a warning)
+function getEnabledLanguages(env = process.env) {
+    const codes = (env.LANGUAGES || DEFAULT_LANGUAGES).split(',').map(code => code.trim().toLowerCase()).filter(Boolean);
+    const unknown = codes.filter(code => !LANGUAGES[code]);
+    if (unknown.length > 0) {
+        console.log(`⚠️ Unknown language code(s) in LANGUAGES: ${unknown.join(', ')} (supported: ${Object.keys(LANGUAGES).join(', ')})`);
+    }
+    const enabled = [...new Set(codes.filter(code => LANGUAGES[code]))].map(code => LANGUAGES[code]);
+    return enabled.length > 0 ? enabled : DEFAULT_LANGUAGES.split(',').map(code => LANGUAGES[code]);
+}
+
+// Learners who haven't picked a native language: English for learners of everything else, and the
+// first other enabled language for learners of English
+function getDefaultNativeLanguage(targetCode, env = process.env) {
+    if (targetCode !== 'en') return 'en';
+    const other = getEnabledLanguages(env).find(language => language.code !== 'en');
+    return other ? other.code : 'ja';
+}
+
+function joinNames(codes) {
+    const names = codes.map(code => getLanguage(code).name);
+    return names.length <= 2 ? names.join(' and ') : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+function buildFeedbackTemplate(target, native) {
+    return `You are a gentle ${target.name} language tutor helping a ${native.name} speaker learn ${target.name}. The output corrections must always follow these rules:
+1. The correction must follow the structure of: original sentence → corrected sentence → error explanation → motivational note + expansion suggestion
+2. For the original sentence: show the learner's original text → mark errors with a 🔴 directly before the incorrect word
+3. For the corrected sentence: rewrite the sentence with all errors fixed → mark each corrected word with a 🟢 directly before it
+4. For Error Explanations: list each mistake on a new line → format: 「wrong」 → 「correct」 (short reason) → explanations must be short and clear and written in ${native.name}
+5. For the motivational note: always include one differing ✨ motivational sentence (short praise) in ${native.name}
+6. For the Expansion Suggestion: always provide one 👉 model expansion sentence in ${target.name} → underneath, provide the ${native.name} translation in parentheses → expansion must be natural, descriptive, and connected to the learner's attempt
+7. For the Slack Formatting: use line breaks \\n to separate sections cleanly → use emojis (🔴🟢✨👉) exactly as shown → keep messages short enough for Slack readability${target.feedbackNotes ? `\n8. ${target.feedbackNotes}` : ''}`;
+}
+
+function buildCorrectionTemplate(target, native) {
+    return `You are a ${target.name} language tutor for ${native.name} speakers. Analyze the ${target.name} text and provide detailed corrections, with every explanation written in ${native.name}:
+
+[Original, with 🔴 before each error]
+
+[Corrected, with 🟢 before each correction]
+
+[Detailed explanation]
+"error → correction" → Detailed explanation in ${native.name}
+[Repeat for each error]
+
+✨ Encouraging comment in ${native.name}
+👉 Provide a perfect example sentence in ${target.name} with the ${native.name} translation in parentheses.
+
+Be thorough but encouraging.`;
+}
+
+function getFeedbackTemplate(targetCode, nativeCode) {
+    return FEEDBACK_TEMPLATES[`${targetCode}:${nativeCode}`]
+        || buildFeedbackTemplate(getLanguage(targetCode), getLanguage(nativeCode) || LANGUAGES.en);
+}
+
+function getCorrectionTemplate(targetCode, nativeCode) {
+    return CORRECTION_TEMPLATES[`${targetCode}:${nativeCode}`]
+        || buildCorrectionTemplate(getLanguage(targetCode), getLanguage(nativeCode) || LANGUAGES.en);
+}
+
+module.exports = {
+    LANGUAGES,
+    getLanguage,
+    getLanguageLabel,
+    getEnabledLanguages,
+    getDefaultNativeLanguage,
+    getFeedbackTemplate,
+    getCorrectionTemplate,
+    joinNames
+};
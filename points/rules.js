@@ -0,0 +1,181 @@
+// Points rules - a declarative table of what every action is worth
+// The table is stored in the settings collection (admins edit it with /points rules), falling back
+// to POINTS_RULES in the environment and then to DEFAULT_POINTS_RULES. calculatePoints() only reads
+// the table; daily caps need the ledger, so the caller applies them with applyDailyCap().
+
+const DEFAULT_POINTS_RULES = {
+    // base: points for the action itself; dailyCap: most points a user can earn from it per day (0 = no cap)
+    actions: {
+        submission: { label: 'Response', base: 1, dailyCap: 20 },
+        reply: { label: 'Reply', base: 1, dailyCap: 10 },
+        kudos: { label: 'Kudos', base: 1, dailyCap: 10 },
+        streak: { label: 'Streak milestone', base: 0, dailyCap: 0, milestones: { 7: 5, 30: 20, 100: 50 } }
+    },
+    // Extra points for writing in your target language (responses and replies)
+    targetLanguageBonus: 1,
+    // Length tiers by language (characters, so Japanese needs fewer); the highest tier reached applies
+    lengthTiers: {
+        default: [{ minLength: 80, bonus: 1 }, { minLength: 200, bonus: 2 }],
+        ja: [{ minLength: 30, bonus: 1 }, { minLength: 80, bonus: 2 }]
+    },
+    // Answering the same prompt again after reading your feedback (first revision only)
+    revisionBonus: 2
+};
+
+// Which ledger reason each action is recorded under
+const ACTION_REASONS = {
+    submission: 'submission',
+    reply: 'reply',
+    kudos: 'kudos',
+    streak: 'bonus'
+};
+
+const TEXT_ACTIONS = ['submission', 'reply'];
+
+function isPoints(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// Throws with a readable message if a rules table is malformed
+function validatePointsRules(rules) {
+    if (!rules || typeof rules !== 'object') {
+        throw new Error('Points rules must be a JSON object');
+    }
+
+    for (const [action, rule] of Object.entries(rules.actions || {})) {
+        if (!ACTION_REASONS[action]) {
+            throw new Error(`Unknown action "${action}" (expected one of: ${Object.keys(ACTION_REASONS).join(', ')})`);
+        }
+        if (!isPoints(rule.base) || !isPoints(rule.dailyCap)) {
+            throw new Error(`"${action}" needs whole, non-negative "base" and "dailyCap" values`);
+        }
+        for (const [count, bonus] of Object.entries(rule.milestones || {})) {
+            if (!isPoints(Number(count)) || !isPoints(bonus)) {
+                throw new Error(`"${action}" milestone ${count} must map a whole number to whole points`);
+            }
+        }
+    }
+
+    if (!isPoints(rules.targetLanguageBonus) || !isPoints(rules.revisionBonus)) {
+        throw new Error('"targetLanguageBonus" and "revisionBonus" must be whole, non-negative numbers');
+    }
+
+    for (const [language, tiers] of Object.entries(rules.lengthTiers || {})) {
+        if (!Array.isArray(tiers) || tiers.some(tier => !isPoints(tier.minLength) || !isPoints(tier.bonus))) {
+            throw new Error(`Length tiers for "${language}" must be a list of { minLength, bonus } whole numbers`);
+        }
+    }
+
+    return rules;
+}
+
+// Overrides replace defaults field by field, so a stored table only needs the values it changes
+function mergePointsRules(overrides = {}) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('Points rules must be a JSON object');
+    }
+    const unknown = Object.keys(overrides.actions || {}).filter(action => !ACTION_REASONS[action]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown action "${unknown[0]}" (expected one of: ${Object.keys(ACTION_REASONS).join(', ')})`);
+    }
+
+    const actions = {};
+    for (const action of Object.keys(ACTION_REASONS)) {
+        actions[action] = {
+            ...DEFAULT_POINTS_RULES.actions[action],
+            ...((overrides.actions || {})[action] || {})
+        };
+    }
+
+    return validatePointsRules({
+        ...DEFAULT_POINTS_RULES,
+        ...overrides,
+        actions,
+        lengthTiers: { ...DEFAULT_POINTS_RULES.lengthTiers, ...(overrides.lengthTiers || {}) }
+    });
+}
+
+// Turn an action into { action, reason, amount, breakdown: [{ id, label, points, params }] } - no caps applied.
+// id and params let the caller reword a line in the learner's language; label is the English text.
+function calculatePoints(rules, action, context = {}) {
+    const rule = rules.actions[action];
+    if (!rule) {
+        throw new Error(`No points rule for action "${action}"`);
+    }
+
+    const breakdown = [];
+    const add = (id, label, points, params = {}) => {
+        if (points > 0) breakdown.push({ id, label, points, params });
+    };
+
+    add('base', rule.label, rule.base, { action, label: rule.label });
+
+    if (rule.milestones && context.milestone) {
+        add('milestone', `${context.milestone} in a row`, rule.milestones[context.milestone] || 0, { count: context.milestone });
+    }
+
+    if (TEXT_ACTIONS.includes(action) && context.text) {
+        if (context.language && context.language === context.targetLanguage) {
+            add('targetLanguage', 'Target language', rules.targetLanguageBonus);
+        }
+
+        const length = Array.from(context.text.trim()).length;
+        const tiers = rules.lengthTiers[context.language] || rules.lengthTiers.default || [];
+        const tier = tiers
+            .filter(candidate => length >= candidate.minLength)
+            .sort((a, b) => b.bonus - a.bonus)[0];
+        if (tier) {
+            add('length', `Length ${tier.minLength}+ characters`, tier.bonus, { minLength: tier.minLength });
+        }
+
+        if (context.revision) {
+            add('revision', 'Revision after feedback', rules.revisionBonus);
+        }
+    }
+
+    return {
+        action,
+        reason: ACTION_REASONS[action],
+        amount: breakdown.reduce((sum, line) => sum + line.points, 0),
+        breakdown
+    };
+}
+
+// Trim an award to what is left of the action's daily cap, noting the cut in the breakdown
+function applyDailyCap(rules, award, earnedToday) {
+    const cap = rules.actions[award.action].dailyCap;
+    if (!cap || award.amount + earnedToday <= cap) {
+        return { ...award, capped: false };
+    }
+
+    const allowed = Math.max(cap - earnedToday, 0);
+    return {
+        ...award,
+        amount: allowed,
+        capped: true,
+        breakdown: [...award.breakdown, {
+            id: 'dailyCap',
+            label: `Daily ${rules.actions[award.action].label.toLowerCase()} cap (${cap})`,
+            points: allowed - award.amount,
+            params: { action: award.action, label: rules.actions[award.action].label, cap }
+        }]
+    };
+}
+
+// describe(line) can replace the English label, e.g. with a translated one
+function formatPointsBreakdown(award, describe = line => line.label) {
+    if (award.breakdown.length === 0) return '';
+    return award.breakdown
+        .map(line => `${describe(line)} ${line.points > 0 ? '+' : ''}${line.points}`)
+        .join(' • ');
+}
+
+module.exports = {
+    DEFAULT_POINTS_RULES,
+    ACTION_REASONS,
+    validatePointsRules,
+    mergePointsRules,
+    calculatePoints,
+    applyDailyCap,
+    formatPointsBreakdown
+};
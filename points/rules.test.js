@@ -0,0 +1,120 @@
+// Points rules cases for points/rules.js - run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    DEFAULT_POINTS_RULES,
+    validatePointsRules,
+    mergePointsRules,
+    calculatePoints,
+    applyDailyCap,
+    formatPointsBreakdown
+} = require('./rules');
+
+test('overrides replace defaults field by field', () => {
+    const rules = mergePointsRules({ actions: { reply: { base: 3 } }, revisionBonus: 5, lengthTiers: { ko: [{ minLength: 40, bonus: 1 }] } });
+
+    assert.strictEqual(rules.actions.reply.base, 3);
+    assert.strictEqual(rules.actions.reply.dailyCap, DEFAULT_POINTS_RULES.actions.reply.dailyCap);
+    assert.strictEqual(rules.actions.reply.label, 'Reply');
+    assert.deepStrictEqual(rules.actions.submission, DEFAULT_POINTS_RULES.actions.submission);
+    assert.strictEqual(rules.revisionBonus, 5);
+    assert.strictEqual(rules.targetLanguageBonus, DEFAULT_POINTS_RULES.targetLanguageBonus);
+    assert.deepStrictEqual(rules.lengthTiers.ja, DEFAULT_POINTS_RULES.lengthTiers.ja);
+    assert.deepStrictEqual(rules.lengthTiers.ko, [{ minLength: 40, bonus: 1 }]);
+});
+
+test('malformed tables are rejected', () => {
+    assert.throws(() => mergePointsRules([]), /JSON object/);
+    assert.throws(() => mergePointsRules({ actions: { like: { base: 1 } } }), /Unknown action "like"/);
+    assert.throws(() => mergePointsRules({ actions: { reply: { base: -1 } } }), /"reply" needs whole, non-negative/);
+    assert.throws(() => mergePointsRules({ actions: { reply: { dailyCap: 1.5 } } }), /"reply" needs whole, non-negative/);
+    assert.throws(() => mergePointsRules({ actions: { streak: { milestones: { 7: -5 } } } }), /milestone 7/);
+    assert.throws(() => mergePointsRules({ revisionBonus: '2' }), /revisionBonus/);
+    assert.throws(() => mergePointsRules({ lengthTiers: { ja: { minLength: 30 } } }), /Length tiers for "ja"/);
+    assert.throws(() => validatePointsRules(null), /JSON object/);
+    assert.doesNotThrow(() => validatePointsRules(DEFAULT_POINTS_RULES));
+});
+
+test('a response earns the base, target language, length and revision bonuses', () => {
+    const rules = mergePointsRules();
+    const award = calculatePoints(rules, 'submission', {
+        text: 'あ'.repeat(80),
+        language: 'ja',
+        targetLanguage: 'ja',
+        revision: true
+    });
+
+    assert.strictEqual(award.reason, 'submission');
+    assert.deepStrictEqual(award.breakdown.map(line => [line.id, line.points]), [
+        ['base', 1],
+        ['targetLanguage', 1],
+        ['length', 2],
+        ['revision', 2]
+    ]);
+    assert.strictEqual(award.amount, 6);
+    assert.strictEqual(formatPointsBreakdown(award), 'Response +1 • Target language +1 • Length 80+ characters +2 • Revision after feedback +2');
+});
+
+test('length tiers count characters per language and fall back to the default tiers', () => {
+    const rules = mergePointsRules();
+    const lengthBonus = context => {
+        const line = calculatePoints(rules, 'reply', context).breakdown.find(entry => entry.id === 'length');
+        return line ? line.points : 0;
+    };
+
+    assert.strictEqual(lengthBonus({ text: 'あ'.repeat(29), language: 'ja' }), 0);
+    assert.strictEqual(lengthBonus({ text: 'あ'.repeat(30), language: 'ja' }), 1);
+    assert.strictEqual(lengthBonus({ text: 'a'.repeat(79), language: 'en' }), 0);
+    assert.strictEqual(lengthBonus({ text: 'a'.repeat(80), language: 'en' }), 1);
+    assert.strictEqual(lengthBonus({ text: `  ${'a'.repeat(200)}  `, language: 'ko' }), 2);
+});
+
+test('text bonuses only apply to responses and replies written in the target language', () => {
+    const rules = mergePointsRules();
+
+    const english = calculatePoints(rules, 'submission', { text: 'Hello there', language: 'en', targetLanguage: 'ja' });
+    assert.deepStrictEqual(english.breakdown.map(line => line.id), ['base']);
+
+    const kudos = calculatePoints(rules, 'kudos', { text: 'あ'.repeat(100), language: 'ja', targetLanguage: 'ja', revision: true });
+    assert.strictEqual(kudos.amount, 1);
+});
+
+test('streak milestones pay their bonus and other counts pay nothing', () => {
+    const rules = mergePointsRules();
+
+    const milestone = calculatePoints(rules, 'streak', { milestone: 30 });
+    assert.strictEqual(milestone.reason, 'bonus');
+    assert.strictEqual(milestone.amount, 20);
+    assert.deepStrictEqual(milestone.breakdown[0].params, { count: 30 });
+
+    assert.strictEqual(calculatePoints(rules, 'streak', { milestone: 8 }).amount, 0);
+    assert.throws(() => calculatePoints(rules, 'like'), /No points rule/);
+});
+
+test('daily caps trim an award to what is left and note the cut', () => {
+    const rules = mergePointsRules({ actions: { reply: { dailyCap: 10 } } });
+    const award = calculatePoints(rules, 'reply', { text: 'a'.repeat(200), language: 'en', targetLanguage: 'en' });
+    assert.strictEqual(award.amount, 4);
+
+    const underCap = applyDailyCap(rules, award, 6);
+    assert.strictEqual(underCap.capped, false);
+    assert.strictEqual(underCap.amount, 4);
+
+    const partly = applyDailyCap(rules, award, 8);
+    assert.strictEqual(partly.capped, true);
+    assert.strictEqual(partly.amount, 2);
+    assert.deepStrictEqual(partly.breakdown[partly.breakdown.length - 1], {
+        id: 'dailyCap',
+        label: 'Daily reply cap (10)',
+        points: -2,
+        params: { action: 'reply', label: 'Reply', cap: 10 }
+    });
+
+    assert.strictEqual(applyDailyCap(rules, award, 12).amount, 0);
+});
+
+test('a cap of 0 means no cap', () => {
+    const rules = mergePointsRules({ actions: { submission: { dailyCap: 0 } } });
+    const award = calculatePoints(rules, 'submission', {});
+    assert.strictEqual(applyDailyCap(rules, award, 1000).amount, 1);
+});
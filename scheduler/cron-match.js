@@ -0,0 +1,64 @@
+// Cron expression helpers for describing schedules and finding missed slots
+// Reads the same syntax node-cron accepts: lists, ranges, steps, month and weekday names,
+// Sunday as 0 or 7 and an optional leading seconds field.
+
+// Expand one cron field into its values, or null for "*"
+function expandCronField(field, min, max) {
+    if (field === '*') return null;
+
+    const values = new Set();
+    for (const part of field.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText ? parseInt(stepText, 10) : 1;
+        let [start, end] = range === '*' ? [min, max] : range.split('-').map(value => parseInt(value, 10));
+        if (end === undefined) end = stepText ? max : start;
+        if ([start, end, step].some(Number.isNaN)) return undefined;
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return Array.from(values).sort((a, b) => a - b);
+}
+
+const CRON_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec', 'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Month and weekday names (JAN, Monday, ...) as cron numbers
+function replaceCronNames(field) {
+    return field.toLowerCase().replace(/[a-z]+/g, name => {
+        const index = CRON_NAMES.indexOf(name.slice(0, 3));
+        return index < 12 ? String(index + 1) : String(index - 12);
+    });
+}
+
+// Whether a cron expression fires in the minute of `date`, read in `timezone`. Takes what
+// cron.validate accepts (an optional seconds field, which is ignored); like node-cron, every field
+// has to match, day of month and day of week included.
+function matchesCron(expression, date, timezone) {
+    const fields = expression.trim().split(/\s+/);
+    const [minuteField, hourField, dayField, monthField, weekdayField] = fields.length === 6 ? fields.slice(1) : fields;
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    const weekday = CRON_NAMES.indexOf(parts.weekday.toLowerCase()) - 12;
+
+    const fieldMatches = (field, min, max, value) => {
+        const values = expandCronField(replaceCronNames(field), min, max);
+        return values === null || (values !== undefined && values.includes(value));
+    };
+    return fieldMatches(minuteField, 0, 59, Number(parts.minute))
+        && fieldMatches(hourField, 0, 23, Number(parts.hour))
+        && fieldMatches(dayField, 1, 31, Number(parts.day))
+        && fieldMatches(monthField, 1, 12, Number(parts.month))
+        && (fieldMatches(weekdayField, 0, 7, weekday) || (weekday === 0 && fieldMatches(weekdayField, 0, 7, 7)));
+}
+
+module.exports = {
+    expandCronField,
+    matchesCron
+};
@@ -0,0 +1,63 @@
+// Cron matching cases for scheduler/cron-match.js - run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { expandCronField, matchesCron } = require('./cron-match');
+
+test('fields expand lists, ranges and steps', () => {
+    assert.strictEqual(expandCronField('*', 0, 59), null);
+    assert.deepStrictEqual(expandCronField('5', 0, 59), [5]);
+    assert.deepStrictEqual(expandCronField('9,14,18', 0, 23), [9, 14, 18]);
+    assert.deepStrictEqual(expandCronField('1-5', 0, 7), [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(expandCronField('*/15', 0, 59), [0, 15, 30, 45]);
+    assert.deepStrictEqual(expandCronField('10/20', 0, 59), [10, 30, 50]);
+    assert.deepStrictEqual(expandCronField('1-10/3,20', 0, 59), [1, 4, 7, 10, 20]);
+    assert.deepStrictEqual(expandCronField('5,1-3,3', 0, 59), [1, 2, 3, 5]);
+    assert.strictEqual(expandCronField('mon', 0, 7), undefined);
+});
+
+// 2026-10-18 is a Sunday, 2026-10-19 a Monday
+test('minute, hour and weekday ranges', () => {
+    const monday9 = new Date('2026-10-19T09:00:00Z');
+    assert.ok(matchesCron('0 9 * * 1-5', monday9, 'UTC'));
+    assert.ok(!matchesCron('0 9 * * 1-5', new Date('2026-10-18T09:00:00Z'), 'UTC'));
+    assert.ok(!matchesCron('30 9 * * 1-5', monday9, 'UTC'));
+    assert.ok(matchesCron('0 9,14,18 * * 1,3,5', new Date('2026-10-19T14:00:00Z'), 'UTC'));
+    assert.ok(!matchesCron('0 9,14,18 * * 1,3,5', new Date('2026-10-20T14:00:00Z'), 'UTC'));
+});
+
+test('steps', () => {
+    assert.ok(matchesCron('*/15 * * * *', new Date('2026-10-19T10:45:00Z'), 'UTC'));
+    assert.ok(!matchesCron('*/15 * * * *', new Date('2026-10-19T10:50:00Z'), 'UTC'));
+    assert.ok(matchesCron('0 */6 * * *', new Date('2026-10-19T18:00:00Z'), 'UTC'));
+    assert.ok(!matchesCron('0 */6 * * *', new Date('2026-10-19T19:00:00Z'), 'UTC'));
+});
+
+test('Sunday is 0 or 7, and names work for weekdays and months', () => {
+    const sunday = new Date('2026-10-18T08:00:00Z');
+    assert.ok(matchesCron('0 8 * * 0', sunday, 'UTC'));
+    assert.ok(matchesCron('0 8 * * 7', sunday, 'UTC'));
+    assert.ok(matchesCron('0 8 * * 5-7', sunday, 'UTC'));
+    assert.ok(matchesCron('0 8 * * SUN', sunday, 'UTC'));
+    assert.ok(matchesCron('0 8 * Oct Sat,Sun', sunday, 'UTC'));
+    assert.ok(!matchesCron('0 8 * Nov *', sunday, 'UTC'));
+    assert.ok(!matchesCron('0 8 * * mon-fri', sunday, 'UTC'));
+});
+
+test('day of month and day of week both have to match', () => {
+    assert.ok(!matchesCron('0 9 1 * 1', new Date('2026-10-19T09:00:00Z'), 'UTC'));
+    assert.ok(!matchesCron('0 9 1 * 1', new Date('2026-10-01T09:00:00Z'), 'UTC'));
+    assert.ok(matchesCron('0 9 1 * 1', new Date('2027-02-01T09:00:00Z'), 'UTC'));
+});
+
+test('a leading seconds field is ignored', () => {
+    assert.ok(matchesCron('0 0 9 * * 1', new Date('2026-10-19T09:00:00Z'), 'UTC'));
+});
+
+test('fields are read in the schedule timezone', () => {
+    // 09:00 Monday in Tokyo is 00:00 Monday UTC; 09:00 Monday in New York (EDT) is 13:00 UTC
+    assert.ok(matchesCron('0 9 * * 1', new Date('2026-10-19T00:00:00Z'), 'Asia/Tokyo'));
+    assert.ok(!matchesCron('0 9 * * 1', new Date('2026-10-19T09:00:00Z'), 'Asia/Tokyo'));
+    assert.ok(matchesCron('0 9 * * 1', new Date('2026-10-19T13:00:00Z'), 'America/New_York'));
+    // 23:30 Sunday in Los Angeles is already Monday in UTC
+    assert.ok(matchesCron('30 23 * * 0', new Date('2026-10-19T06:30:00Z'), 'America/Los_Angeles'));
+});
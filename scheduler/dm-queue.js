@@ -0,0 +1,223 @@
+// DM fan-out queue - one job per recipient, retried with exponential backoff
+// BullMQ (Redis) when REDIS_URL is set, so several instances share the work; otherwise an
+// in-process queue with the same retry and rate-limit behaviour.
+const { Queue, Worker } = require('bullmq');
+
+const QUEUE_NAME = 'prompt-dms';
+
+// Thrown by the processor when Slack answers 429 - pauses the whole queue for retryAfterMs
+// without using up one of the job's attempts
+class RateLimitedError extends Error {
+    constructor(retryAfterMs) {
+        super(`Rate limited - retry after ${retryAfterMs}ms`);
+        this.name = 'RateLimitedError';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+function backoffDelay(baseDelayMs, attemptsMade) {
+    return baseDelayMs * Math.pow(2, attemptsMade - 1);
+}
+
+// Job ids dedupe a recipient within a delivery. BullMQ rejects custom ids containing ":" or
+// made only of digits, so build them with dmJobId and have both queues enforce the same rule.
+function dmJobId(...parts) {
+    return parts.join('-');
+}
+
+function assertJobId(id) {
+    if (id === undefined) return;
+    if (String(id).includes(':')) {
+        throw new Error(`DM job id ${id} cannot contain ":"`);
+    }
+    if (`${parseInt(id, 10)}` === String(id)) {
+        throw new Error(`DM job id ${id} cannot be an integer`);
+    }
+}
+
+class LocalDmQueue {
+    constructor({ processor, onComplete, onFailed, attempts, backoffMs }) {
+        this.name = 'local';
+        this.processor = processor;
+        this.onComplete = onComplete;
+        this.onFailed = onFailed;
+        this.attempts = attempts;
+        this.backoffMs = backoffMs;
+        this.pending = [];
+        this.pausedUntil = 0;
+        this.running = false;
+        this.timers = new Set();
+    }
+
+    async start() {}
+
+    async close() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.pending = [];
+    }
+
+    // job.delay (ms) holds a job back before it joins the queue
+    async addBulk(jobs) {
+        jobs.forEach(job => assertJobId(job.id));
+        jobs.forEach(job => {
+            const queued = { data: job.data, attemptsMade: 0 };
+            if (job.delay > 0) {
+                this.later(job.delay, () => {
+                    this.pending.push(queued);
+                    this.drain();
+                });
+            } else {
+                this.pending.push(queued);
+            }
+        });
+        this.drain();
+    }
+
+    later(delayMs, fn) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, delayMs);
+        this.timers.add(timer);
+    }
+
+    async drain() {
+        if (this.running) return;
+        this.running = true;
+
+        while (this.pending.length > 0) {
+            const wait = this.pausedUntil - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => this.later(wait, resolve));
+            }
+
+            const job = this.pending.shift();
+            try {
+                const result = await this.processor(job.data);
+                await this.onComplete(job.data, result);
+            } catch (error) {
+                if (error instanceof RateLimitedError) {
+                    this.pausedUntil = Date.now() + error.retryAfterMs;
+                    this.pending.unshift(job);
+                    continue;
+                }
+
+                job.attemptsMade++;
+                if (job.attemptsMade < this.attempts) {
+                    this.later(backoffDelay(this.backoffMs, job.attemptsMade), () => {
+                        this.pending.push(job);
+                        this.drain();
+                    });
+                } else {
+                    await this.onFailed(job.data, error, job.attemptsMade);
+                }
+            }
+        }
+
+        this.running = false;
+    }
+}
+
+class BullDmQueue {
+    constructor({ url, processor, onComplete, onFailed, attempts, backoffMs, concurrency }) {
+        this.name = 'bullmq';
+        this.connected = false;
+        this.connection = {
+            url,
+            maxRetriesPerRequest: null,
+            // Give up after 3 attempts on startup; once connected, keep reconnecting
+            retryStrategy: times => (!this.connected && times > 3 ? null : Math.min(times * 500, 5000))
+        };
+        this.processor = processor;
+        this.onComplete = onComplete;
+        this.onFailed = onFailed;
+        this.attempts = attempts;
+        this.backoffMs = backoffMs;
+        this.concurrency = concurrency;
+        this.queue = null;
+        this.worker = null;
+    }
+
+    async start() {
+        this.queue = new Queue(QUEUE_NAME, { connection: this.connection });
+        this.queue.on('error', error => console.error('❌ DM queue error:', error.message));
+        await this.queue.waitUntilReady();
+        this.connected = true;
+
+        this.worker = new Worker(QUEUE_NAME, async job => {
+            try {
+                const result = await this.processor(job.data);
+                await this.onComplete(job.data, result);
+                return result;
+            } catch (error) {
+                if (error instanceof RateLimitedError) {
+                    await this.worker.rateLimit(error.retryAfterMs);
+                    throw Worker.RateLimitError();
+                }
+                throw error;
+            }
+        }, { connection: this.connection, concurrency: this.concurrency });
+
+        this.worker.on('failed', async (job, error) => {
+            if (job && job.attemptsMade >= (job.opts.attempts || 1)) {
+                await this.onFailed(job.data, error, job.attemptsMade);
+            }
+        });
+        this.worker.on('error', error => console.error('❌ DM worker error:', error.message));
+    }
+
+    async close() {
+        if (this.worker) await this.worker.close();
+        if (this.queue) await this.queue.close();
+    }
+
+    async addBulk(jobs) {
+        jobs.forEach(job => assertJobId(job.id));
+        await this.queue.addBulk(jobs.map(job => ({
+            name: 'prompt-dm',
+            data: job.data,
+            opts: {
+                jobId: job.id,
+                delay: job.delay || 0,
+                attempts: this.attempts,
+                backoff: { type: 'exponential', delay: this.backoffMs },
+                removeOnComplete: 1000,
+                removeOnFail: 5000
+            }
+        })));
+    }
+}
+
+// Start BullMQ when Redis is configured and reachable, otherwise the in-process queue
+async function createDmQueue(handlers, env = process.env) {
+    const options = {
+        ...handlers,
+        attempts: parseInt(env.DM_MAX_ATTEMPTS, 10) || 3,
+        backoffMs: parseInt(env.DM_BACKOFF_MS, 10) || 2000,
+        concurrency: parseInt(env.DM_QUEUE_CONCURRENCY, 10) || 4
+    };
+
+    if (env.REDIS_URL) {
+        const queue = new BullDmQueue({ ...options, url: env.REDIS_URL });
+        try {
+            await queue.start();
+            return queue;
+        } catch (error) {
+            console.error('❌ Could not start the BullMQ DM queue:', error.message);
+            console.log('⚠️ Sending prompt DMs from an in-process queue instead');
+            await queue.close().catch(() => {});
+        }
+    }
+
+    const queue = new LocalDmQueue(options);
+    await queue.start();
+    return queue;
+}
+
+module.exports = {
+    createDmQueue,
+    dmJobId,
+    LocalDmQueue,
+    BullDmQueue,
+    RateLimitedError
+};
@@ -0,0 +1,58 @@
+// DM queue adapter cases for scheduler/dm-queue.js - run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { Job } = require('bullmq');
+const { dmJobId, LocalDmQueue, BullDmQueue } = require('./dm-queue');
+
+const handlers = { attempts: 3, backoffMs: 10 };
+
+// Run bullmq's own job option checks (custom id rules included) without a Redis connection
+function validateWithBull(bullJob) {
+    Job.prototype.validateOptions.call({ name: bullJob.name, opts: bullJob.opts }, { data: JSON.stringify(bullJob.data) });
+}
+
+test('job ids are accepted by bullmq', async () => {
+    const queue = new BullDmQueue({ ...handlers, url: 'redis://localhost:6379', concurrency: 1 });
+    const added = [];
+    queue.queue = { addBulk: async jobs => added.push(...jobs) };
+
+    await queue.addBulk([
+        { id: dmJobId('a1b2c3d4', 'U012ABCDEF'), data: { userId: 'U012ABCDEF' } },
+        { id: dmJobId('12345678', 'U012ABCDEF', Date.now()), data: { userId: 'U012ABCDEF' }, delay: 60000 }
+    ]);
+
+    assert.strictEqual(added.length, 2);
+    added.forEach(job => assert.doesNotThrow(() => validateWithBull(job), job.opts.jobId));
+    assert.strictEqual(added[1].opts.delay, 60000);
+});
+
+test('both queues reject ids bullmq would reject', async () => {
+    const local = new LocalDmQueue({ ...handlers, processor: async () => 'sent', onComplete: async () => {}, onFailed: async () => {} });
+    const bull = new BullDmQueue({ ...handlers, url: 'redis://localhost:6379', concurrency: 1 });
+    bull.queue = { addBulk: async () => assert.fail('should not reach bullmq') };
+
+    for (const id of ['a1b2c3d4:U012ABCDEF', '12345678']) {
+        assert.throws(() => validateWithBull({ name: 'prompt-dm', data: {}, opts: { jobId: id } }));
+        await assert.rejects(local.addBulk([{ id, data: {} }]));
+        await assert.rejects(bull.addBulk([{ id, data: {} }]));
+    }
+});
+
+test('the local queue runs delayed jobs and reports their outcome', async () => {
+    const completed = [];
+    const local = new LocalDmQueue({
+        ...handlers,
+        processor: async data => `sent ${data.userId}`,
+        onComplete: async (data, result) => completed.push(result),
+        onFailed: async () => {}
+    });
+
+    await local.addBulk([
+        { id: dmJobId('a1b2c3d4', 'U2'), data: { userId: 'U2' }, delay: 20 },
+        { id: dmJobId('a1b2c3d4', 'U1'), data: { userId: 'U1' } }
+    ]);
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await local.close();
+
+    assert.deepStrictEqual(completed, ['sent U1', 'sent U2']);
+});
@@ -0,0 +1,104 @@
+// Distributed lock for scheduled runs - stops two bot instances from posting the same slot
+// RedisLock uses SET NX PX with a per-holder token; LocalLock is the single-instance fallback
+// when REDIS_URL is not set or Redis is unreachable.
+const { createClient } = require('redis');
+const { v4: uuidv4 } = require('uuid');
+
+// Only delete the key if we still hold it (the TTL may have handed it to someone else)
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+class LocalLock {
+    constructor() {
+        this.name = 'local';
+        this.locks = new Map();
+    }
+
+    async connect() {}
+
+    async close() {}
+
+    async acquire(key, ttlMs) {
+        const existing = this.locks.get(key);
+        if (existing && existing.expiresAt > Date.now()) return null;
+
+        const token = uuidv4();
+        this.locks.set(key, { token, expiresAt: Date.now() + ttlMs });
+        return token;
+    }
+
+    async release(key, token) {
+        const existing = this.locks.get(key);
+        if (existing && existing.token === token) {
+            this.locks.delete(key);
+        }
+    }
+}
+
+class RedisLock {
+    constructor({ url, prefix = 'promptbot:lock:' }) {
+        this.name = 'redis';
+        this.prefix = prefix;
+        this.connected = false;
+        this.client = createClient({
+            url,
+            socket: {
+                connectTimeout: 5000,
+                // Give up after 3 attempts on startup; once connected, keep reconnecting
+                reconnectStrategy: retries => (!this.connected && retries >= 3
+                    ? new Error('Failed to connect to Redis after 3 attempts')
+                    : Math.min(retries * 500, 5000))
+            }
+        });
+        this.client.on('error', error => console.error('❌ Redis lock error:', error.message));
+    }
+
+    async connect() {
+        await this.client.connect();
+        this.connected = true;
+        console.log('✅ Connected to Redis (scheduler lock)');
+    }
+
+    async close() {
+        if (this.client.isOpen) {
+            await this.client.quit();
+        }
+    }
+
+    async acquire(key, ttlMs) {
+        const token = uuidv4();
+        const result = await this.client.set(this.prefix + key, token, { NX: true, PX: ttlMs });
+        return result === 'OK' ? token : null;
+    }
+
+    async release(key, token) {
+        await this.client.eval(RELEASE_SCRIPT, { keys: [this.prefix + key], arguments: [token] });
+    }
+}
+
+// Connect Redis when configured, falling back to an in-process lock
+async function createLock(env = process.env) {
+    if (!env.REDIS_URL) {
+        return new LocalLock();
+    }
+
+    const lock = new RedisLock({ url: env.REDIS_URL });
+    try {
+        await lock.connect();
+        return lock;
+    } catch (error) {
+        console.error('❌ Could not connect to Redis:', error.message);
+        console.log('⚠️ Scheduler lock is local to this instance - run only one instance without Redis');
+        return new LocalLock();
+    }
+}
+
+module.exports = {
+    createLock,
+    LocalLock,
+    RedisLock
+};
@@ -0,0 +1,46 @@
+// Storage layer entry point - picks a backend from config and wraps it in the Repository
+const Repository = require('./repository');
+const MemoryDriver = require('./memory');
+const MongoDriver = require('./mongo');
+const PostgresDriver = require('./postgres');
+
+const BACKENDS = ['memory', 'mongodb', 'postgres'];
+
+// STORAGE_BACKEND wins; otherwise infer from whichever database URL is configured
+function resolveBackend(env = process.env) {
+    const configured = (env.STORAGE_BACKEND || '').trim().toLowerCase();
+    if (configured) {
+        if (!BACKENDS.includes(configured)) {
+            throw new Error(`Unknown STORAGE_BACKEND "${configured}" (expected one of: ${BACKENDS.join(', ')})`);
+        }
+        return configured;
+    }
+    if (env.MONGODB_URI) return 'mongodb';
+    if (env.DATABASE_URL) return 'postgres';
+    return 'memory';
+}
+
+function createDriver(backend, env = process.env) {
+    switch (backend) {
+        case 'mongodb':
+            return new MongoDriver({ uri: env.MONGODB_URI, dbName: env.DB_NAME });
+        case 'postgres':
+            return new PostgresDriver({ connectionString: env.DATABASE_URL });
+        default:
+            return new MemoryDriver();
+    }
+}
+
+function createStorage(env = process.env) {
+    const backend = resolveBackend(env);
+    return new Repository(createDriver(backend, env), {
+        fallbackToMemory: env.STORAGE_FALLBACK_TO_MEMORY !== 'false'
+    });
+}
+
+module.exports = {
+    BACKENDS,
+    createStorage,
+    resolveBackend,
+    Repository
+};
@@ -0,0 +1,115 @@
+// In-memory storage driver (development and fallback when no database is reachable)
+// Implements the small document API the Repository is built on:
+// findOne, find, insertOne, updateOne, increment, deleteOne, count, sumBy and ensureIndex.
+
+const { getPath, matches, equalityFields, sortDocs } = require('./query');
+
+class MemoryDriver {
+    constructor() {
+        this.name = 'memory';
+        this.collections = new Map();
+        this.uniqueIndexes = new Map();
+    }
+
+    async connect() {}
+
+    async close() {}
+
+    async ensureIndex(collection, fields, options = {}) {
+        if (!options.unique) return;
+        const indexes = this.uniqueIndexes.get(collection) || [];
+        indexes.push(Object.keys(fields));
+        this.uniqueIndexes.set(collection, indexes);
+    }
+
+    // Reject a document that collides with another on a unique index (same error code as MongoDB)
+    checkUnique(collection, doc, ignore = null) {
+        for (const fields of this.uniqueIndexes.get(collection) || []) {
+            const duplicate = this.collection(collection).find(other => other !== ignore &&
+                fields.every(field => getPath(other, field) !== undefined && getPath(other, field) === getPath(doc, field)));
+            if (duplicate) {
+                const error = new Error(`Duplicate key in ${collection}: ${fields.join(', ')}`);
+                error.code = 11000;
+                throw error;
+            }
+        }
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, []);
+        }
+        return this.collections.get(name);
+    }
+
+    async findOne(collection, filter = {}, options = {}) {
+        const [doc] = await this.find(collection, filter, { ...options, limit: 1 });
+        return doc || null;
+    }
+
+    async find(collection, filter = {}, options = {}) {
+        const docs = sortDocs(this.collection(collection).filter(doc => matches(doc, filter)), options.sort);
+        const start = options.skip || 0;
+        const end = options.limit ? start + options.limit : undefined;
+        return docs.slice(start, end).map(doc => structuredClone(doc));
+    }
+
+    async count(collection, filter = {}) {
+        return this.collection(collection).filter(doc => matches(doc, filter)).length;
+    }
+
+    async insertOne(collection, doc) {
+        this.checkUnique(collection, doc);
+        this.collection(collection).push(structuredClone(doc));
+    }
+
+    async updateOne(collection, filter, fields, options = {}) {
+        const existing = this.collection(collection).find(doc => matches(doc, filter));
+        if (existing) {
+            this.checkUnique(collection, { ...existing, ...fields }, existing);
+            Object.assign(existing, structuredClone(fields));
+            return { matched: true, upserted: false };
+        }
+        if (options.upsert) {
+            await this.insertOne(collection, { ...equalityFields(filter), ...fields });
+            return { matched: false, upserted: true };
+        }
+        return { matched: false, upserted: false };
+    }
+
+    // Add `amount` to a numeric field (upserting the document) and return the new value
+    async increment(collection, filter, field, amount, fields = {}) {
+        const existing = this.collection(collection).find(doc => matches(doc, filter));
+        if (existing) {
+            Object.assign(existing, structuredClone(fields), { [field]: (existing[field] || 0) + amount });
+            return existing[field];
+        }
+        await this.insertOne(collection, { ...equalityFields(filter), ...fields, [field]: amount });
+        return amount;
+    }
+
+    // Total of `sumField` per distinct combination of `groupFields`: [{ ...group, total }]
+    async sumBy(collection, filter, groupFields, sumField) {
+        const groups = new Map();
+        for (const doc of this.collection(collection).filter(item => matches(item, filter))) {
+            const group = Object.fromEntries(groupFields.map(field => {
+                const value = getPath(doc, field);
+                return [field, value === undefined ? null : value];
+            }));
+            const key = JSON.stringify(group);
+            if (!groups.has(key)) groups.set(key, { ...group, total: 0 });
+            groups.get(key).total += getPath(doc, sumField) || 0;
+        }
+        return Array.from(groups.values());
+    }
+
+    async deleteOne(collection, filter) {
+        const docs = this.collection(collection);
+        const index = docs.findIndex(doc => matches(doc, filter));
+        if (index === -1) return false;
+        docs.splice(index, 1);
+        return true;
+    }
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,102 @@
+// In-memory driver cases for storage/memory.js - run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const MemoryDriver = require('./memory');
+
+async function seededDriver() {
+    const driver = new MemoryDriver();
+    for (const [userId, points, at] of [['U1', 5, 1], ['U2', 12, 3], ['U3', 8, 2], ['U4', 1, 4]]) {
+        await driver.insertOne('points', { userId, points, at });
+    }
+    return driver;
+}
+
+test('find filters, sorts, skips and limits', async () => {
+    const driver = await seededDriver();
+
+    const top = await driver.find('points', { points: { $gte: 5 } }, { sort: { points: -1 }, limit: 2 });
+    assert.deepStrictEqual(top.map(doc => doc.userId), ['U2', 'U3']);
+
+    const page = await driver.find('points', {}, { sort: { at: 1 }, skip: 1, limit: 2 });
+    assert.deepStrictEqual(page.map(doc => doc.userId), ['U3', 'U2']);
+
+    assert.strictEqual(await driver.count('points', { userId: { $in: ['U1', 'U4', 'U9'] } }), 2);
+    assert.strictEqual((await driver.findOne('points', {}, { sort: { at: -1 } })).userId, 'U4');
+    assert.strictEqual(await driver.findOne('points', { userId: 'U9' }), null);
+});
+
+test('documents are copied in and out', async () => {
+    const driver = new MemoryDriver();
+    const doc = { userId: 'U1', tags: ['a'] };
+    await driver.insertOne('users', doc);
+    doc.tags.push('b');
+
+    const found = await driver.findOne('users', { userId: 'U1' });
+    found.tags.push('c');
+    assert.deepStrictEqual((await driver.findOne('users', { userId: 'U1' })).tags, ['a']);
+});
+
+test('updateOne merges fields and upserts from the filter', async () => {
+    const driver = await seededDriver();
+
+    assert.deepStrictEqual(await driver.updateOne('points', { userId: 'U1' }, { points: 6 }), { matched: true, upserted: false });
+    assert.deepStrictEqual(await driver.findOne('points', { userId: 'U1' }), { userId: 'U1', points: 6, at: 1 });
+
+    assert.deepStrictEqual(await driver.updateOne('points', { userId: 'U9' }, { points: 1 }), { matched: false, upserted: false });
+    assert.deepStrictEqual(
+        await driver.updateOne('points', { userId: 'U9', points: { $exists: false } }, { points: 2 }, { upsert: true }),
+        { matched: false, upserted: true }
+    );
+    assert.deepStrictEqual(await driver.findOne('points', { userId: 'U9' }), { userId: 'U9', points: 2 });
+});
+
+test('unique indexes reject duplicates with the MongoDB error code', async () => {
+    const driver = new MemoryDriver();
+    await driver.ensureIndex('kudos', { submissionId: 1, giverId: 1 }, { unique: true });
+    await driver.ensureIndex('kudos', { receiverId: 1 });
+
+    await driver.insertOne('kudos', { submissionId: 's1', giverId: 'U1', receiverId: 'U2' });
+    await driver.insertOne('kudos', { submissionId: 's1', giverId: 'U3', receiverId: 'U2' });
+    await assert.rejects(
+        driver.insertOne('kudos', { submissionId: 's1', giverId: 'U1', receiverId: 'U2' }),
+        error => error.code === 11000
+    );
+    await assert.rejects(
+        driver.updateOne('kudos', { giverId: 'U3' }, { giverId: 'U1' }),
+        error => error.code === 11000
+    );
+    // Updating a document in place doesn't collide with itself
+    await driver.updateOne('kudos', { giverId: 'U1' }, { note: 'thanks' });
+    assert.strictEqual(await driver.count('kudos'), 2);
+});
+
+test('deleteOne removes the first match', async () => {
+    const driver = await seededDriver();
+    assert.strictEqual(await driver.deleteOne('points', { points: { $lt: 6 } }), true);
+    assert.strictEqual(await driver.deleteOne('points', { userId: 'U9' }), false);
+    assert.strictEqual(await driver.count('points'), 3);
+});
+
+test('increment adds to a field, creating the document from the filter when missing', async () => {
+    const driver = await seededDriver();
+    assert.strictEqual(await driver.increment('points', { userId: 'U1' }, 'points', 3, { touched: true }), 8);
+    assert.deepStrictEqual(await driver.findOne('points', { userId: 'U1' }), { userId: 'U1', points: 8, at: 1, touched: true });
+
+    assert.strictEqual(await driver.increment('points', { userId: 'U9', at: { $gt: 0 } }, 'points', -2), -2);
+    assert.deepStrictEqual(await driver.findOne('points', { userId: 'U9' }), { userId: 'U9', points: -2 });
+});
+
+test('sumBy totals a field per group of matching documents', async () => {
+    const driver = new MemoryDriver();
+    for (const [userId, channelId, amount] of [['U1', 'C1', 5], ['U1', 'C1', 2], ['U1', 'C2', 4], ['U2', 'C1', 1], ['U2', undefined, 9]]) {
+        await driver.insertOne('points_ledger', { userId, channelId, amount });
+    }
+
+    const perUser = await driver.sumBy('points_ledger', {}, ['userId'], 'amount');
+    assert.deepStrictEqual(perUser, [{ userId: 'U1', total: 11 }, { userId: 'U2', total: 10 }]);
+
+    const perChannel = await driver.sumBy('points_ledger', { channelId: 'C1' }, ['channelId', 'userId'], 'amount');
+    assert.deepStrictEqual(perChannel, [{ channelId: 'C1', userId: 'U1', total: 7 }, { channelId: 'C1', userId: 'U2', total: 1 }]);
+
+    assert.deepStrictEqual(await driver.sumBy('points_ledger', { userId: 'U3' }, ['userId'], 'amount'), []);
+});
@@ -0,0 +1,120 @@
+// MongoDB storage driver
+const { MongoClient } = require('mongodb');
+
+class MongoDriver {
+    constructor({ uri, dbName }) {
+        if (!uri) {
+            throw new Error('MONGODB_URI is required for the mongodb storage backend');
+        }
+
+        this.name = 'mongodb';
+        this.dbName = dbName;
+        this.client = new MongoClient(uri, {
+            maxPoolSize: 10,
+            serverSelectionTimeoutMS: 5000,
+            socketTimeoutMS: 45000,
+            connectTimeoutMS: 10000,
+            retryWrites: true,
+            retryReads: true
+        });
+        this.db = null;
+    }
+
+    // Connect with retry logic
+    async connect() {
+        let retries = 3;
+        while (retries > 0) {
+            try {
+                await this.client.connect();
+                this.db = this.client.db(this.dbName);
+                console.log('✅ Connected to MongoDB Atlas');
+                return;
+            } catch (error) {
+                retries--;
+                console.error(`❌ MongoDB connection error (${3 - retries}/3):`, error.message);
+                if (retries > 0) {
+                    console.log(`🔄 Retrying MongoDB connection in 3 seconds...`);
+                    await new Promise(resolve => setTimeout(resolve, 3000));
+                } else {
+                    throw new Error('Failed to connect to MongoDB after 3 attempts');
+                }
+            }
+        }
+    }
+
+    async close() {
+        await this.client.close();
+    }
+
+    async ensureIndex(collection, fields, options = {}) {
+        await this.db.collection(collection).createIndex(fields, { unique: Boolean(options.unique) });
+    }
+
+    async findOne(collection, filter = {}, options = {}) {
+        return this.db.collection(collection).findOne(filter, {
+            sort: options.sort,
+            projection: { _id: 0 }
+        });
+    }
+
+    async find(collection, filter = {}, options = {}) {
+        let cursor = this.db.collection(collection).find(filter, { projection: { _id: 0 } });
+        if (options.sort) cursor = cursor.sort(options.sort);
+        if (options.skip) cursor = cursor.skip(options.skip);
+        if (options.limit) cursor = cursor.limit(options.limit);
+        return cursor.toArray();
+    }
+
+    async count(collection, filter = {}) {
+        return this.db.collection(collection).countDocuments(filter);
+    }
+
+    async insertOne(collection, doc) {
+        // insertOne adds _id to the object it is given, so hand it a copy
+        await this.db.collection(collection).insertOne({ ...doc });
+    }
+
+    async updateOne(collection, filter, fields, options = {}) {
+        const result = await this.db.collection(collection).updateOne(
+            filter,
+            { $set: fields },
+            { upsert: Boolean(options.upsert) }
+        );
+        return { matched: result.matchedCount > 0, upserted: result.upsertedCount > 0 };
+    }
+
+    async increment(collection, filter, field, amount, fields = {}) {
+        const doc = await this.db.collection(collection).findOneAndUpdate(
+            filter,
+            { $inc: { [field]: amount }, $set: fields },
+            { upsert: true, returnDocument: 'after', projection: { _id: 0 } }
+        );
+        return doc[field];
+    }
+
+    async sumBy(collection, filter, groupFields, sumField) {
+        const rows = await this.db.collection(collection).aggregate([
+            { $match: filter },
+            {
+                $group: {
+                    _id: Object.fromEntries(groupFields.map(field => [field.replace(/\./g, '_'), `$${field}`])),
+                    total: { $sum: `$${sumField}` }
+                }
+            }
+        ]).toArray();
+        return rows.map(row => ({
+            ...Object.fromEntries(groupFields.map(field => {
+                const value = row._id[field.replace(/\./g, '_')];
+                return [field, value === undefined ? null : value];
+            })),
+            total: row.total
+        }));
+    }
+
+    async deleteOne(collection, filter) {
+        const result = await this.db.collection(collection).deleteOne(filter);
+        return result.deletedCount > 0;
+    }
+}
+
+module.exports = MongoDriver;
@@ -0,0 +1,248 @@
+// PostgreSQL storage driver
+// Each collection is a table of JSONB documents, so the same filters work across backends.
+const { Pool } = require('pg');
+const { isOperatorObject, equalityFields } = require('./query');
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const COMPARISON_OPERATORS = {
+    $gt: '>',
+    $gte: '>=',
+    $lt: '<',
+    $lte: '<='
+};
+
+function quoteIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+function fieldExpression(field) {
+    const parts = field.split('.');
+    if (parts.length === 1) {
+        return `doc -> '${field.replace(/'/g, "''")}'`;
+    }
+    return `doc #> '{${parts.map(part => part.replace(/[',{}]/g, '')).join(',')}}'`;
+}
+
+// JSON round-trips turn Dates into ISO strings; turn them back on the way out
+function reviveDates(value) {
+    if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+        return new Date(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(reviveDates);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reviveDates(item)]));
+    }
+    return value;
+}
+
+function compileFilter(filter = {}, params = []) {
+    const clauses = [];
+    const addParam = value => {
+        params.push(JSON.stringify(value));
+        return `$${params.length}::jsonb`;
+    };
+
+    for (const [field, condition] of Object.entries(filter)) {
+        const expression = fieldExpression(field);
+
+        if (!isOperatorObject(condition)) {
+            if (condition === null) {
+                clauses.push(`(${expression} IS NULL OR ${expression} = 'null'::jsonb)`);
+            } else {
+                clauses.push(`${expression} = ${addParam(condition)}`);
+            }
+            continue;
+        }
+
+        for (const [operator, operand] of Object.entries(condition)) {
+            if (COMPARISON_OPERATORS[operator]) {
+                clauses.push(`${expression} ${COMPARISON_OPERATORS[operator]} ${addParam(operand)}`);
+            } else if (operator === '$in') {
+                clauses.push(`${expression} IN (SELECT jsonb_array_elements(${addParam(operand)}))`);
+            } else if (operator === '$nin') {
+                clauses.push(`(${expression} IS NULL OR ${expression} NOT IN (SELECT jsonb_array_elements(${addParam(operand)})))`);
+            } else if (operator === '$ne') {
+                clauses.push(operand === null
+                    ? `(${expression} IS NOT NULL AND ${expression} <> 'null'::jsonb)`
+                    : `(${expression} IS NULL OR ${expression} <> ${addParam(operand)})`);
+            } else if (operator === '$exists') {
+                clauses.push(`${expression} IS ${operand ? 'NOT NULL' : 'NULL'}`);
+            } else {
+                throw new Error(`Unsupported filter operator: ${operator}`);
+            }
+        }
+    }
+
+    return clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+}
+
+function compileSort(sort) {
+    if (!sort) return '';
+    const terms = Object.entries(sort)
+        .map(([field, direction]) => `${fieldExpression(field)} ${direction < 0 ? 'DESC NULLS LAST' : 'ASC NULLS FIRST'}`);
+    return `ORDER BY ${terms.join(', ')}`;
+}
+
+class PostgresDriver {
+    constructor({ connectionString }) {
+        if (!connectionString) {
+            throw new Error('DATABASE_URL is required for the postgres storage backend');
+        }
+
+        this.name = 'postgres';
+        this.pool = new Pool({ connectionString, max: 10 });
+        this.tables = new Set();
+    }
+
+    async connect() {
+        await this.pool.query('SELECT 1');
+        console.log('✅ Connected to PostgreSQL');
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+
+    // Create the backing table for a collection the first time it is used
+    async table(collection) {
+        const name = quoteIdentifier(collection);
+        if (!this.tables.has(collection)) {
+            await this.pool.query(`CREATE TABLE IF NOT EXISTS ${name} (id BIGSERIAL PRIMARY KEY, doc JSONB NOT NULL)`);
+            this.tables.add(collection);
+        }
+        return name;
+    }
+
+    async ensureIndex(collection, fields, options = {}) {
+        const table = await this.table(collection);
+        const indexName = quoteIdentifier(`${collection}_${Object.keys(fields).join('_')}_idx`);
+        const columns = Object.entries(fields)
+            .map(([field, direction]) => `(${fieldExpression(field)})${direction < 0 ? ' DESC' : ''}`)
+            .join(', ');
+        await this.pool.query(
+            `CREATE ${options.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${indexName} ON ${table} (${columns})`
+        );
+    }
+
+    async findOne(collection, filter = {}, options = {}) {
+        const [doc] = await this.find(collection, filter, { ...options, limit: 1 });
+        return doc || null;
+    }
+
+    async find(collection, filter = {}, options = {}) {
+        const table = await this.table(collection);
+        const params = [];
+        const where = compileFilter(filter, params);
+        const limit = options.limit ? `LIMIT ${Number(options.limit)}` : '';
+        const offset = options.skip ? `OFFSET ${Number(options.skip)}` : '';
+        const result = await this.pool.query(
+            `SELECT doc FROM ${table} ${where} ${compileSort(options.sort)} ${limit} ${offset}`,
+            params
+        );
+        return result.rows.map(row => reviveDates(row.doc));
+    }
+
+    async count(collection, filter = {}) {
+        const table = await this.table(collection);
+        const params = [];
+        const result = await this.pool.query(
+            `SELECT COUNT(*)::int AS count FROM ${table} ${compileFilter(filter, params)}`,
+            params
+        );
+        return result.rows[0].count;
+    }
+
+    async insertOne(collection, doc) {
+        const table = await this.table(collection);
+        await this.pool.query(`INSERT INTO ${table} (doc) VALUES ($1::jsonb)`, [JSON.stringify(doc)]);
+    }
+
+    async updateOne(collection, filter, fields, options = {}) {
+        const table = await this.table(collection);
+        const params = [JSON.stringify(fields)];
+        const where = compileFilter(filter, params);
+        const result = await this.pool.query(
+            `UPDATE ${table} SET doc = doc || $1::jsonb WHERE id = (SELECT id FROM ${table} ${where} LIMIT 1)`,
+            params
+        );
+
+        if (result.rowCount > 0) {
+            return { matched: true, upserted: false };
+        }
+        if (!options.upsert) {
+            return { matched: false, upserted: false };
+        }
+
+        try {
+            await this.insertOne(collection, { ...equalityFields(filter), ...fields });
+            return { matched: false, upserted: true };
+        } catch (error) {
+            // Lost an upsert race against a unique index - apply the update to the winner
+            if (error.code === '23505') {
+                return this.updateOne(collection, filter, fields);
+            }
+            throw error;
+        }
+    }
+
+    // The row lock taken by UPDATE makes concurrent increments add up instead of overwriting each other
+    async increment(collection, filter, field, amount, fields = {}) {
+        const table = await this.table(collection);
+        const params = [JSON.stringify(fields), amount];
+        const where = compileFilter(filter, params);
+        const key = field.replace(/'/g, "''");
+        const result = await this.pool.query(
+            `UPDATE ${table}
+             SET doc = doc || $1::jsonb || jsonb_build_object('${key}', COALESCE((doc ->> '${key}')::numeric, 0) + $2)
+             WHERE id = (SELECT id FROM ${table} ${where} LIMIT 1)
+             RETURNING (doc ->> '${key}')::float8 AS value`,
+            params
+        );
+        if (result.rowCount > 0) {
+            return result.rows[0].value;
+        }
+
+        try {
+            await this.insertOne(collection, { ...equalityFields(filter), ...fields, [field]: amount });
+            return amount;
+        } catch (error) {
+            // Lost an upsert race against a unique index - add to the winner
+            if (error.code === '23505') {
+                return this.increment(collection, filter, field, amount, fields);
+            }
+            throw error;
+        }
+    }
+
+    async sumBy(collection, filter, groupFields, sumField) {
+        const table = await this.table(collection);
+        const params = [];
+        const where = compileFilter(filter, params);
+        const columns = groupFields.map((field, index) => `${fieldExpression(field)} AS g${index}`);
+        const result = await this.pool.query(
+            `SELECT ${columns.join(', ')}, COALESCE(SUM((${fieldExpression(sumField)})::numeric), 0)::float8 AS total
+             FROM ${table} ${where}
+             GROUP BY ${groupFields.map((field, index) => index + 1).join(', ')}`,
+            params
+        );
+        return result.rows.map(row => ({
+            ...Object.fromEntries(groupFields.map((field, index) => [field, reviveDates(row[`g${index}`])])),
+            total: row.total
+        }));
+    }
+
+    async deleteOne(collection, filter) {
+        const table = await this.table(collection);
+        const params = [];
+        const result = await this.pool.query(
+            `DELETE FROM ${table} WHERE id = (SELECT id FROM ${table} ${compileFilter(filter, params)} LIMIT 1)`,
+            params
+        );
+        return result.rowCount > 0;
+    }
+}
+
+module.exports = PostgresDriver;
@@ -0,0 +1,96 @@
+// Shared document-filter helpers (a small subset of MongoDB query syntax)
+// Supported: plain equality plus $in, $nin, $ne, $gt, $gte, $lt, $lte and $exists.
+
+function getPath(doc, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function isOperatorObject(condition) {
+    return condition !== null
+        && typeof condition === 'object'
+        && !(condition instanceof Date)
+        && !Array.isArray(condition)
+        && Object.keys(condition).some(key => key.startsWith('$'));
+}
+
+function toComparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+function valuesEqual(a, b) {
+    if (Array.isArray(a) && !Array.isArray(b)) {
+        return a.some(item => valuesEqual(item, b));
+    }
+    if (b === null) return a === null || a === undefined;
+    return toComparable(a) === toComparable(b);
+}
+
+function compareValues(a, b) {
+    const left = toComparable(a);
+    const right = toComparable(b);
+    if (left === right) return 0;
+    if (left === undefined || left === null) return -1;
+    if (right === undefined || right === null) return 1;
+    return left < right ? -1 : 1;
+}
+
+function matchesCondition(value, condition) {
+    if (!isOperatorObject(condition)) {
+        return valuesEqual(value, condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$in':
+                return operand.some(item => valuesEqual(value, item));
+            case '$nin':
+                return !operand.some(item => valuesEqual(value, item));
+            case '$ne':
+                return !valuesEqual(value, operand);
+            case '$gt':
+                return value != null && compareValues(value, operand) > 0;
+            case '$gte':
+                return value != null && compareValues(value, operand) >= 0;
+            case '$lt':
+                return value != null && compareValues(value, operand) < 0;
+            case '$lte':
+                return value != null && compareValues(value, operand) <= 0;
+            case '$exists':
+                return operand ? value !== undefined : value === undefined;
+            default:
+                throw new Error(`Unsupported filter operator: ${operator}`);
+        }
+    });
+}
+
+function matches(doc, filter = {}) {
+    return Object.entries(filter).every(([field, condition]) => matchesCondition(getPath(doc, field), condition));
+}
+
+// Fields of a filter that are plain equalities (used to seed upserted documents)
+function equalityFields(filter = {}) {
+    return Object.fromEntries(
+        Object.entries(filter).filter(([field, condition]) => !field.includes('.') && !isOperatorObject(condition))
+    );
+}
+
+function sortDocs(docs, sort) {
+    if (!sort) return docs;
+    const entries = Object.entries(sort);
+    return docs.sort((a, b) => {
+        for (const [field, direction] of entries) {
+            const result = compareValues(getPath(a, field), getPath(b, field));
+            if (result !== 0) return direction < 0 ? -result : result;
+        }
+        return 0;
+    });
+}
+
+module.exports = {
+    getPath,
+    isOperatorObject,
+    compareValues,
+    matches,
+    equalityFields,
+    sortDocs
+};
@@ -0,0 +1,87 @@
+// Filter cases for storage/query.js (the MongoDB subset every driver supports) - run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { getPath, isOperatorObject, matches, equalityFields, sortDocs } = require('./query');
+
+const doc = {
+    userId: 'U1',
+    status: 'sent',
+    amount: 5,
+    tags: ['a', 'b'],
+    promptId: null,
+    createdAt: new Date('2026-10-01T00:00:00Z'),
+    profile: { tz: 'Asia/Tokyo' }
+};
+
+test('plain equality, dates, arrays and nested fields', () => {
+    assert.ok(matches(doc, {}));
+    assert.ok(matches(doc, { userId: 'U1', status: 'sent' }));
+    assert.ok(!matches(doc, { userId: 'U1', status: 'failed' }));
+    assert.ok(matches(doc, { createdAt: new Date('2026-10-01T00:00:00Z') }));
+    assert.ok(matches(doc, { tags: 'b' }));
+    assert.ok(matches(doc, { 'profile.tz': 'Asia/Tokyo' }));
+    assert.strictEqual(getPath(doc, 'profile.missing.deeper'), undefined);
+});
+
+test('null matches null and missing fields', () => {
+    assert.ok(matches(doc, { promptId: null }));
+    assert.ok(matches(doc, { missing: null }));
+    assert.ok(!matches(doc, { userId: null }));
+});
+
+test('$in and $nin', () => {
+    assert.ok(matches(doc, { status: { $in: ['sent', 'needs_setup'] } }));
+    assert.ok(!matches(doc, { status: { $in: ['failed'] } }));
+    assert.ok(matches(doc, { tags: { $in: ['z', 'a'] } }));
+    assert.ok(matches(doc, { status: { $nin: ['failed', 'held_quiet'] } }));
+    assert.ok(!matches(doc, { status: { $nin: ['sent'] } }));
+});
+
+test('$ne', () => {
+    assert.ok(matches(doc, { status: { $ne: 'held_quiet' } }));
+    assert.ok(!matches(doc, { status: { $ne: 'sent' } }));
+    assert.ok(matches(doc, { missing: { $ne: true } }));
+    assert.ok(!matches(doc, { promptId: { $ne: null } }));
+});
+
+test('$exists', () => {
+    assert.ok(matches(doc, { userId: { $exists: true } }));
+    assert.ok(matches(doc, { promptId: { $exists: true } }));
+    assert.ok(!matches(doc, { missing: { $exists: true } }));
+    assert.ok(matches(doc, { missing: { $exists: false } }));
+    assert.ok(!matches(doc, { promptId: { $exists: true, $ne: null } }));
+});
+
+test('range operators skip missing values and compare dates', () => {
+    assert.ok(matches(doc, { amount: { $gt: 4, $lte: 5 } }));
+    assert.ok(!matches(doc, { amount: { $gte: 6 } }));
+    assert.ok(!matches(doc, { missing: { $lt: 10 } }));
+    assert.ok(matches(doc, { createdAt: { $gte: new Date('2026-09-30T00:00:00Z'), $lt: new Date('2026-10-02T00:00:00Z') } }));
+    assert.ok(!matches(doc, { createdAt: { $lt: new Date('2026-10-01T00:00:00Z') } }));
+});
+
+test('unknown operators throw', () => {
+    assert.throws(() => matches(doc, { amount: { $regex: 'x' } }), /Unsupported filter operator: \$regex/);
+});
+
+test('operator objects and upsert seeds', () => {
+    assert.ok(isOperatorObject({ $in: [] }));
+    assert.ok(!isOperatorObject(new Date()));
+    assert.ok(!isOperatorObject(['$in']));
+    assert.ok(!isOperatorObject(null));
+    assert.deepStrictEqual(
+        equalityFields({ userId: 'U1', status: { $ne: 'x' }, 'profile.tz': 'UTC' }),
+        { userId: 'U1' }
+    );
+});
+
+test('sorting by several fields, missing values first', () => {
+    const docs = [
+        { id: 1, group: 'b', at: 2 },
+        { id: 2, group: 'a', at: 1 },
+        { id: 3, group: 'a', at: 3 },
+        { id: 4, at: 5 }
+    ];
+    assert.deepStrictEqual(sortDocs([...docs], { group: 1, at: -1 }).map(item => item.id), [4, 3, 2, 1]);
+    assert.deepStrictEqual(sortDocs([...docs], null).map(item => item.id), [1, 2, 3, 4]);
+});
@@ -0,0 +1,638 @@
+// Repository - the single storage interface every handler goes through
+// Domain methods (users, pseudonyms, points, submissions, prompts, channels, message tracking)
+// are written once on top of a driver's small document API, so backends are interchangeable.
+const { v4: uuidv4 } = require('uuid');
+const MemoryDriver = require('./memory');
+
+const POINT_REASONS = ['submission', 'reply', 'kudos', 'bonus', 'admin_adjustment', 'reversal', 'migration', 'pseudonym_change'];
+
+// Unique index violations: MongoDB (and the memory driver) use 11000, PostgreSQL 23505
+function isDuplicateKeyError(error) {
+    return error && (error.code === 11000 || error.code === '23505');
+}
+
+function toUser(doc) {
+    if (!doc) return null;
+    const { userId, updatedAt, ...fields } = doc;
+    return { ...fields, id: userId };
+}
+
+function toPseudonym(doc) {
+    if (!doc) return null;
+    return {
+        handle: doc.handle,
+        emoji1: doc.emoji1,
+        emoji2: doc.emoji2,
+        cohortLabel: doc.cohortLabel || null,
+        previousHandles: doc.previousHandles || [],
+        regenerations: doc.regenerations || 0,
+        regeneratedAt: doc.regeneratedAt || null
+    };
+}
+
+class Repository {
+    constructor(driver, options = {}) {
+        this.driver = driver;
+        this.backend = driver.name;
+        this.fallbackToMemory = options.fallbackToMemory !== false;
+    }
+
+    // Connect the configured backend, falling back to in-memory storage if it is unreachable.
+    // Index and migration errors on a reachable backend fail startup instead - falling back then
+    // would quietly lose everything written until the next restart.
+    async connect() {
+        try {
+            await this.driver.connect();
+        } catch (error) {
+            if (!this.fallbackToMemory) throw error;
+
+            console.error(`❌ Could not connect to ${this.backend} storage:`, error.message);
+            console.log('⚠️ Continuing with in-memory storage only');
+            this.driver = new MemoryDriver();
+            this.backend = this.driver.name;
+        }
+
+        // The memory driver only enforces unique indexes it has been told about, so this runs for it too
+        await this.ensureIndexes();
+        await this.migrateLegacyPoints();
+        await this.migrateChannelPoints();
+    }
+
+    async close() {
+        await this.driver.close();
+    }
+
+    // Create the indexes the bot relies on for lookups
+    async ensureIndexes() {
+        await this.driver.ensureIndex('users', { userId: 1 }, { unique: true });
+        await this.driver.ensureIndex('pseudonyms', { userId: 1 }, { unique: true });
+        await this.driver.ensureIndex('pseudonym_handles', { handle: 1 }, { unique: true });
+        await this.driver.ensureIndex('points', { userId: 1 }, { unique: true });
+        await this.driver.ensureIndex('points_ledger', { entryId: 1 }, { unique: true });
+        await this.driver.ensureIndex('points_ledger', { userId: 1, createdAt: -1 });
+        await this.driver.ensureIndex('points_ledger', { channelId: 1, createdAt: -1 });
+        await this.driver.ensureIndex('points_ledger', { userId: 1, sourceType: 1, sourceId: 1 });
+        await this.driver.ensureIndex('channel_points', { channelId: 1, userId: 1 }, { unique: true });
+        await this.driver.ensureIndex('channel_points', { channelId: 1, points: -1 });
+        await this.driver.ensureIndex('submissions', { submissionId: 1 }, { unique: true });
+        await this.driver.ensureIndex('submissions', { userId: 1, timestamp: -1 });
+        await this.driver.ensureIndex('submissions', { promptId: 1, timestamp: 1 });
+        await this.driver.ensureIndex('submissions', { channelId: 1, channelPostTs: 1 });
+        await this.driver.ensureIndex('prompts', { promptId: 1 });
+        await this.driver.ensureIndex('prompts', { channelId: 1, postedAt: -1 });
+        await this.driver.ensureIndex('prompts', { status: 1, expiresAt: 1 });
+        await this.driver.ensureIndex('prompt_bank', { bankId: 1 }, { unique: true });
+        await this.driver.ensureIndex('prompt_bank', { status: 1, category: 1 });
+        await this.driver.ensureIndex('settings', { key: 1 }, { unique: true });
+        await this.driver.ensureIndex('schedules', { channelId: 1 }, { unique: true });
+        await this.driver.ensureIndex('channels', { channelId: 1 }, { unique: true });
+        await this.driver.ensureIndex('schedule_runs', { runKey: 1 }, { unique: true });
+        await this.driver.ensureIndex('slack_profiles', { userId: 1 }, { unique: true });
+        await this.driver.ensureIndex('streaks', { userId: 1 }, { unique: true });
+        await this.driver.ensureIndex('streaks', { lastActiveDate: 1 });
+        await this.driver.ensureIndex('kudos', { submissionId: 1, giverId: 1 }, { unique: true });
+        await this.driver.ensureIndex('kudos', { receiverId: 1, createdAt: -1 });
+        await this.driver.ensureIndex('deliveries', { deliveryId: 1 }, { unique: true });
+        await this.driver.ensureIndex('delivery_results', { deliveryId: 1, userId: 1 }, { unique: true });
+        await this.driver.ensureIndex('messages', { channelId: 1, messageTs: 1 }, { unique: true });
+        await this.driver.ensureIndex('messages', { userId: 1, type: 1, createdAt: -1 });
+        await this.driver.ensureIndex('messages', { userId: 1, promptId: 1 });
+    }
+
+    // Users
+
+    async getUser(userId) {
+        return toUser(await this.driver.findOne('users', { userId }));
+    }
+
+    async saveUser(user) {
+        const { id, ...fields } = user;
+        await this.driver.updateOne('users', { userId: id }, { ...fields, updatedAt: new Date() }, { upsert: true });
+    }
+
+    async listUsers() {
+        return (await this.driver.find('users')).map(toUser);
+    }
+
+    // Pseudonyms
+
+    async getPseudonym(userId) {
+        return toPseudonym(await this.driver.findOne('pseudonyms', { userId }));
+    }
+
+    async savePseudonym(userId, pseudonym) {
+        await this.driver.updateOne('pseudonyms', { userId }, { ...pseudonym, updatedAt: new Date() }, { upsert: true });
+    }
+
+    // Every handle ever given out is reserved in pseudonym_handles (retired ones too), so no two
+    // users can share one. Returns whether the handle is now the user's.
+    async claimHandle(userId, handle) {
+        try {
+            await this.driver.insertOne('pseudonym_handles', { handle, userId, claimedAt: new Date() });
+            return true;
+        } catch (error) {
+            if (!isDuplicateKeyError(error)) throw error;
+            const claim = await this.driver.findOne('pseudonym_handles', { handle });
+            return Boolean(claim && claim.userId === userId);
+        }
+    }
+
+    async listPseudonyms() {
+        const docs = await this.driver.find('pseudonyms');
+        return docs.map(doc => ({ userId: doc.userId, ...toPseudonym(doc) }));
+    }
+
+    // Points
+    // The append-only points_ledger is the source of truth. Running totals - each user's balance in
+    // points, and what they earned per channel in channel_points - are updated as entries are
+    // appended, and only rebuilt from the ledger by the migrations and refreshBalance().
+
+    async getPoints(userId) {
+        const doc = await this.driver.findOne('points', { userId });
+        return doc ? doc.points : 0;
+    }
+
+    // Overall balances, or points earned in one channel when options.channelId is given
+    async getTopPoints(limit = 10, options = {}) {
+        const [collection, filter] = options.channelId
+            ? ['channel_points', { channelId: options.channelId, points: { $gt: 0 } }]
+            : ['points', {}];
+        const docs = await this.driver.find(collection, filter, { sort: { points: -1 }, limit });
+        return docs.map(doc => ({ userId: doc.userId, points: doc.points }));
+    }
+
+    // Sum ledger entries matching a filter per user, highest first (users at zero or below are left out).
+    // The sum runs in the database, so keep the filter narrow (a user, a channel, a date range).
+    async getLedgerTotals(filter = {}, options = {}) {
+        const totals = await this.driver.sumBy('points_ledger', filter, ['userId'], 'amount');
+        const ranked = totals
+            .map(row => ({ userId: row.userId, points: row.total }))
+            .filter(row => row.points > 0)
+            .sort((a, b) => b.points - a.points);
+        return options.limit ? ranked.slice(0, options.limit) : ranked;
+    }
+
+    // Repair path: rebuild a user's balance from their whole ledger
+    async refreshBalance(userId) {
+        const [totals] = await this.driver.sumBy('points_ledger', { userId }, ['userId'], 'amount');
+        const balance = totals ? totals.total : 0;
+        await this.driver.updateOne(
+            'points',
+            { userId },
+            { points: balance, ledgerMigrated: true, updatedAt: new Date() },
+            { upsert: true }
+        );
+        return balance;
+    }
+
+    async addLedgerEntry({ userId, amount, reason, sourceType = null, sourceId = null, channelId = null, note = null, awardedBy = null }) {
+        if (!POINT_REASONS.includes(reason)) {
+            throw new Error(`Unknown points reason: ${reason}`);
+        }
+        if (!Number.isInteger(amount)) {
+            throw new Error('Points amount must be a whole number');
+        }
+
+        const entry = {
+            entryId: uuidv4(),
+            userId,
+            amount,
+            reason,
+            sourceType,
+            sourceId,
+            channelId,
+            note,
+            awardedBy,
+            createdAt: new Date()
+        };
+        await this.driver.insertOne('points_ledger', entry);
+        return entry;
+    }
+
+    // Append a ledger entry and return it along with the user's new balance
+    async awardPoints(fields) {
+        const entry = await this.addLedgerEntry(fields);
+        const updatedAt = new Date();
+        const balance = await this.driver.increment('points', { userId: entry.userId }, 'points', entry.amount, { ledgerMigrated: true, updatedAt });
+        if (entry.channelId) {
+            await this.driver.increment('channel_points', { channelId: entry.channelId, userId: entry.userId }, 'points', entry.amount, { updatedAt });
+        }
+        return { entry, balance };
+    }
+
+    async getLedgerEntry(entryId) {
+        return this.driver.findOne('points_ledger', { entryId });
+    }
+
+    async getPointsHistory(userId, options = {}) {
+        return this.driver.find('points_ledger', { userId }, { sort: { createdAt: -1 }, ...options });
+    }
+
+    // Points a user earned from each of the given sources ({ sourceId: points }), leaving out reversed entries
+    async getPointsBySource(userId, sourceType, sourceIds) {
+        const entries = await this.driver.find('points_ledger', { userId, sourceType, sourceId: { $in: sourceIds } });
+        const totals = Object.fromEntries(sourceIds.map(sourceId => [sourceId, 0]));
+        entries
+            .filter(entry => !entry.reversalEntryId)
+            .forEach(entry => { totals[entry.sourceId] += entry.amount; });
+        return totals;
+    }
+
+    // Undo an entry by appending an equal and opposite one; the original is only annotated
+    async reversePointsEntry(entryId, { reversedBy = null, note = null } = {}) {
+        const original = await this.getLedgerEntry(entryId);
+        if (!original) {
+            throw new Error(`No points entry found with ID ${entryId}`);
+        }
+        if (original.reason === 'reversal') {
+            throw new Error('Reversal entries cannot be reversed - add an admin adjustment instead');
+        }
+        if (original.reversalEntryId) {
+            throw new Error(`Entry ${entryId} has already been reversed`);
+        }
+
+        const { entry, balance } = await this.awardPoints({
+            userId: original.userId,
+            amount: -original.amount,
+            reason: 'reversal',
+            sourceType: 'points_ledger',
+            sourceId: entryId,
+            channelId: original.channelId || null,
+            note,
+            awardedBy: reversedBy
+        });
+        await this.driver.updateOne('points_ledger', { entryId }, {
+            reversalEntryId: entry.entryId,
+            reversedAt: entry.createdAt,
+            reversedBy
+        });
+        return { original, entry, balance };
+    }
+
+    // Seed the ledger with an opening balance for users whose points predate it
+    async migrateLegacyPoints() {
+        const legacyBalances = await this.driver.find('points', { ledgerMigrated: { $ne: true } });
+
+        for (const doc of legacyBalances) {
+            const hasEntries = await this.driver.count('points_ledger', { userId: doc.userId }) > 0;
+            if (!hasEntries && doc.points) {
+                await this.addLedgerEntry({
+                    userId: doc.userId,
+                    amount: doc.points,
+                    reason: 'migration',
+                    note: 'Opening balance carried over from the legacy points total'
+                });
+            }
+            await this.refreshBalance(doc.userId);
+        }
+
+        if (legacyBalances.length > 0) {
+            console.log(`✅ Migrated ${legacyBalances.length} legacy point balances to the ledger`);
+        }
+    }
+
+    // Build channel_points from the ledger once, for ledgers that predate the running per-channel totals
+    async migrateChannelPoints() {
+        if (await this.getSetting('channelPointsBuilt', false)) return;
+
+        const totals = await this.driver.sumBy('points_ledger', { channelId: { $ne: null } }, ['channelId', 'userId'], 'amount');
+        for (const row of totals) {
+            await this.driver.updateOne(
+                'channel_points',
+                { channelId: row.channelId, userId: row.userId },
+                { points: row.total, updatedAt: new Date() },
+                { upsert: true }
+            );
+        }
+        await this.setSetting('channelPointsBuilt', true);
+
+        if (totals.length > 0) {
+            console.log(`✅ Built channel points totals for ${totals.length} channel members`);
+        }
+    }
+
+    // Streaks (consecutive prompts answered, consecutive days writing, freeze tokens)
+
+    async getStreak(userId) {
+        return this.driver.findOne('streaks', { userId });
+    }
+
+    async saveStreak(userId, streak) {
+        const { userId: _userId, ...fields } = streak;
+        await this.driver.updateOne('streaks', { userId }, { ...fields, updatedAt: new Date() }, { upsert: true });
+    }
+
+    async listStreaks(filter = {}) {
+        return this.driver.find('streaks', filter);
+    }
+
+    // Kudos - one per giver per post
+
+    // Record a kudos; returns false if this giver already gave one for the submission
+    async addKudos(kudos) {
+        try {
+            await this.driver.insertOne('kudos', { ...kudos, createdAt: new Date() });
+            return true;
+        } catch (error) {
+            if (isDuplicateKeyError(error)) return false;
+            throw error;
+        }
+    }
+
+    async countKudos(filter = {}) {
+        return this.driver.count('kudos', filter);
+    }
+
+    // Submissions
+
+    async saveSubmission(submission) {
+        const record = { ...submission, submissionId: submission.submissionId || uuidv4() };
+        await this.driver.insertOne('submissions', record);
+        return record;
+    }
+
+    async getSubmission(submissionId) {
+        return this.driver.findOne('submissions', { submissionId });
+    }
+
+    async updateSubmission(submissionId, fields) {
+        const result = await this.driver.updateOne('submissions', { submissionId }, fields);
+        return result.matched;
+    }
+
+    async listSubmissions(filter = {}, options = {}) {
+        return this.driver.find('submissions', filter, { sort: { timestamp: -1 }, ...options });
+    }
+
+    // The submission behind an anonymous channel post (responses and replies alike)
+    async getSubmissionByPost(channelId, channelPostTs) {
+        return this.driver.findOne('submissions', { channelId, channelPostTs });
+    }
+
+    async countSubmissions(filter = {}) {
+        return this.driver.count('submissions', filter);
+    }
+
+    // Lifetime submission stats for /stats, computed from persisted submissions
+    async getSubmissionStats(userId) {
+        const userSubmissions = await this.driver.find('submissions', { userId }, { sort: { timestamp: 1 } });
+        const responses = userSubmissions.filter(sub => sub.type !== 'reply');
+        const byLanguage = {};
+
+        userSubmissions.forEach(sub => {
+            const language = sub.language || 'unknown';
+            byLanguage[language] = (byLanguage[language] || 0) + 1;
+        });
+
+        const totalLength = responses.reduce((sum, sub) => sum + (sub.text ? sub.text.length : 0), 0);
+
+        return {
+            responses: responses.length,
+            replies: userSubmissions.length - responses.length,
+            byLanguage,
+            firstActivity: userSubmissions.length > 0 ? userSubmissions[0].timestamp : null,
+            lastActivity: userSubmissions.length > 0 ? userSubmissions[userSubmissions.length - 1].timestamp : null,
+            averageLength: responses.length > 0 ? Math.round(totalLength / responses.length) : 0
+        };
+    }
+
+    // Prompts
+
+    async savePrompt(prompt) {
+        const record = { ...prompt, promptId: prompt.promptId || uuidv4() };
+        if (!record.createdAt) record.createdAt = new Date();
+        await this.driver.updateOne('prompts', { promptId: record.promptId }, record, { upsert: true });
+        return record;
+    }
+
+    async getPrompt(promptId) {
+        return this.driver.findOne('prompts', { promptId });
+    }
+
+    // Update a prompt only while `condition` still holds; returns whether it matched, so callers
+    // can claim one-off work (e.g. sending reminders) without doing it twice
+    async updatePrompt(promptId, fields, condition = {}) {
+        const result = await this.driver.updateOne('prompts', { ...condition, promptId }, { ...fields, updatedAt: new Date() });
+        return result.matched;
+    }
+
+    async listPrompts(filter = {}, options = {}) {
+        return this.driver.find('prompts', filter, { sort: { createdAt: -1 }, ...options });
+    }
+
+    async countPrompts(filter = {}) {
+        return this.driver.count('prompts', filter);
+    }
+
+    // Prompt bank (hand-written prompts and AI candidates awaiting admin review)
+
+    async addBankPrompt(entry) {
+        const record = {
+            bankId: uuidv4().slice(0, 8),
+            status: 'pending',
+            timesUsed: 0,
+            lastUsedAt: null,
+            createdAt: new Date(),
+            ...entry
+        };
+        await this.driver.insertOne('prompt_bank', record);
+        return record;
+    }
+
+    async getBankPrompt(bankId) {
+        return this.driver.findOne('prompt_bank', { bankId });
+    }
+
+    async updateBankPrompt(bankId, fields) {
+        const result = await this.driver.updateOne('prompt_bank', { bankId }, { ...fields, updatedAt: new Date() });
+        return result.matched ? this.getBankPrompt(bankId) : null;
+    }
+
+    async listBankPrompts(filter = {}, options = {}) {
+        return this.driver.find('prompt_bank', filter, { sort: { createdAt: -1 }, ...options });
+    }
+
+    // Settings (runtime toggles admins can change without a redeploy)
+
+    async getSetting(key, defaultValue = null) {
+        const doc = await this.driver.findOne('settings', { key });
+        return doc ? doc.value : defaultValue;
+    }
+
+    async setSetting(key, value) {
+        await this.driver.updateOne('settings', { key }, { value, updatedAt: new Date() }, { upsert: true });
+    }
+
+    // Schedules (per-channel overrides of the PROMPT_SCHEDULE default)
+
+    async getSchedule(channelId) {
+        return this.driver.findOne('schedules', { channelId });
+    }
+
+    async saveSchedule(channelId, schedule) {
+        await this.driver.updateOne('schedules', { channelId }, { ...schedule, updatedAt: new Date() }, { upsert: true });
+    }
+
+    async deleteSchedule(channelId) {
+        return this.driver.deleteOne('schedules', { channelId });
+    }
+
+    async listSchedules() {
+        return this.driver.find('schedules');
+    }
+
+    // Scheduled runs - one record per channel and slot, so a slot is never posted twice
+
+    // Record a run; returns false if another run (or instance) already claimed this key
+    async claimScheduledRun(run) {
+        if (await this.driver.findOne('schedule_runs', { runKey: run.runKey })) {
+            return false;
+        }
+        try {
+            await this.driver.insertOne('schedule_runs', { ...run, status: 'running', startedAt: new Date() });
+            return true;
+        } catch (error) {
+            if (isDuplicateKeyError(error)) return false;
+            throw error;
+        }
+    }
+
+    async getScheduledRun(runKey) {
+        return this.driver.findOne('schedule_runs', { runKey });
+    }
+
+    async updateScheduledRun(runKey, fields) {
+        await this.driver.updateOne('schedule_runs', { runKey }, fields);
+    }
+
+    async listScheduledRuns(filter = {}, options = {}) {
+        return this.driver.find('schedule_runs', filter, { sort: { slot: -1 }, ...options });
+    }
+
+    // Slack profile cache (bot/deleted flags and timezone from users.info)
+
+    async getSlackProfile(userId) {
+        return this.driver.findOne('slack_profiles', { userId });
+    }
+
+    async saveSlackProfile(userId, profile) {
+        await this.driver.updateOne('slack_profiles', { userId }, profile, { upsert: true });
+    }
+
+    // Prompt DM deliveries - one record per fan-out run plus one result per recipient
+
+    async createDelivery(delivery) {
+        const record = {
+            deliveryId: uuidv4().slice(0, 8),
+            status: 'running',
+            createdAt: new Date(),
+            ...delivery
+        };
+        await this.driver.insertOne('deliveries', record);
+        return record;
+    }
+
+    async getDelivery(deliveryId) {
+        return this.driver.findOne('deliveries', { deliveryId });
+    }
+
+    async listDeliveries(filter = {}, options = {}) {
+        return this.driver.find('deliveries', filter, { sort: { createdAt: -1 }, ...options });
+    }
+
+    async recordDeliveryResult(deliveryId, userId, result) {
+        await this.driver.updateOne(
+            'delivery_results',
+            { deliveryId, userId },
+            { ...result, recordedAt: new Date() },
+            { upsert: true }
+        );
+    }
+
+    async listDeliveryResults(deliveryId, filter = {}) {
+        return this.driver.find('delivery_results', { ...filter, deliveryId });
+    }
+
+    async countDeliveryResults(deliveryId, filter = {}) {
+        return this.driver.count('delivery_results', { ...filter, deliveryId });
+    }
+
+    // Result counts by status, plus the recipients that failed and why
+    async getDeliverySummary(deliveryId) {
+        const results = await this.driver.find('delivery_results', { deliveryId });
+        const byStatus = {};
+        results.forEach(result => {
+            byStatus[result.status] = (byStatus[result.status] || 0) + 1;
+        });
+        return {
+            processed: results.length,
+            byStatus,
+            failures: results.filter(result => result.status === 'failed')
+                .map(result => ({ userId: result.userId, error: result.error }))
+        };
+    }
+
+    // Mark a delivery complete; returns false if it was already completed (so the report goes out once)
+    async completeDelivery(deliveryId) {
+        const result = await this.driver.updateOne(
+            'deliveries',
+            { deliveryId, status: 'running' },
+            { status: 'complete', completedAt: new Date() }
+        );
+        return result.matched;
+    }
+
+    // Prompt channels registered with /channels (env-configured channels need no record
+    // unless an admin removes them, which stores active: false)
+
+    async getChannel(channelId) {
+        return this.driver.findOne('channels', { channelId });
+    }
+
+    async saveChannel(channelId, fields) {
+        await this.driver.updateOne('channels', { channelId }, { ...fields, updatedAt: new Date() }, { upsert: true });
+    }
+
+    async listChannels(filter = {}) {
+        return this.driver.find('channels', filter, { sort: { createdAt: 1 } });
+    }
+
+    // Message tracking (DM prompts and feedback, so ❓ reactions can find them later)
+
+    async trackMessage(record) {
+        const messageRecord = { ...record, createdAt: record.createdAt || new Date() };
+        await this.driver.updateOne(
+            'messages',
+            { channelId: messageRecord.channelId, messageTs: messageRecord.messageTs },
+            messageRecord,
+            { upsert: true }
+        );
+        return messageRecord;
+    }
+
+    async getTrackedMessage(channelId, messageTs) {
+        return this.driver.findOne('messages', { channelId, messageTs });
+    }
+
+    async countTrackedMessages(filter = {}) {
+        return this.driver.count('messages', filter);
+    }
+
+    async getPromptMessage(userId, promptId) {
+        return this.driver.findOne('messages', { userId, promptId, type: 'prompt' }, { sort: { createdAt: -1 } });
+    }
+
+    // The newest prompt a user was DMed. Home-tab test prompts have no promptId - `scheduledOnly` skips them.
+    async getLatestPromptMessage(userId, { scheduledOnly = false } = {}) {
+        const filter = { userId, type: 'prompt' };
+        if (scheduledOnly) filter.promptId = { $exists: true, $ne: null };
+        return this.driver.findOne('messages', filter, { sort: { createdAt: -1 } });
+    }
+
+    async markPromptMessageAnswered(channelId, messageTs) {
+        await this.driver.updateOne('messages', { channelId, messageTs }, { answeredAt: new Date() });
+    }
+}
+
+module.exports = Repository;
+module.exports.POINT_REASONS = POINT_REASONS;
@@ -0,0 +1,39 @@
+// Points bookkeeping cases for storage/repository.js - run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const Repository = require('./repository');
+const MemoryDriver = require('./memory');
+
+async function connectedRepository(driver = new MemoryDriver()) {
+    const repository = new Repository(driver);
+    await repository.connect();
+    return repository;
+}
+
+test('awardPoints keeps overall and per-channel totals running', async () => {
+    const storage = await connectedRepository();
+    await storage.awardPoints({ userId: 'U1', amount: 5, reason: 'submission', channelId: 'C1' });
+    await storage.awardPoints({ userId: 'U2', amount: 3, reason: 'reply', channelId: 'C1' });
+    const { balance } = await storage.awardPoints({ userId: 'U1', amount: 2, reason: 'bonus' });
+
+    assert.strictEqual(balance, 7);
+    assert.deepStrictEqual(await storage.getTopPoints(), [{ userId: 'U1', points: 7 }, { userId: 'U2', points: 3 }]);
+    assert.deepStrictEqual(await storage.getTopPoints(10, { channelId: 'C1' }), [{ userId: 'U1', points: 5 }, { userId: 'U2', points: 3 }]);
+    assert.deepStrictEqual(await storage.getLedgerTotals({ reason: 'submission' }), [{ userId: 'U1', points: 5 }]);
+    assert.strictEqual(await storage.refreshBalance('U1'), 7);
+});
+
+test('connect carries legacy balances into the ledger once', async () => {
+    const driver = new MemoryDriver();
+    await driver.insertOne('points', { userId: 'U1', points: 4 });
+    await driver.insertOne('points_ledger', { entryId: 'e1', userId: 'U2', amount: 6, reason: 'submission', channelId: 'C1' });
+    await driver.insertOne('points', { userId: 'U2', points: 6 });
+
+    const storage = await connectedRepository(driver);
+    assert.deepStrictEqual(await storage.getTopPoints(), [{ userId: 'U2', points: 6 }, { userId: 'U1', points: 4 }]);
+    assert.deepStrictEqual(await storage.getTopPoints(10, { channelId: 'C1' }), [{ userId: 'U2', points: 6 }]);
+
+    await storage.connect();
+    assert.strictEqual(await driver.count('points_ledger'), 2);
+    assert.deepStrictEqual(await storage.getTopPoints(10, { channelId: 'C1' }), [{ userId: 'U2', points: 6 }]);
+});